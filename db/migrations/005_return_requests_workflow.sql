@@ -0,0 +1,18 @@
+-- ============================================
+-- MIGRATION : Workflow retours (RMA)
+-- Colonnes de suivi pour return_requests (réception, refus, remboursement Stripe)
+-- ============================================
+
+ALTER TABLE return_requests
+ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS received_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS restocked BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS stripe_refund_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS refunded_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_returns_created ON return_requests(created_at);
+
+COMMENT ON COLUMN return_requests.items IS 'Lignes retournées : [{orderItemId, productId, variantId, productName, quantity, unitPrice, subtotal}]';
+COMMENT ON COLUMN return_requests.status IS 'pending → approved → received → refunded (ou rejected)';
+COMMENT ON COLUMN return_requests.stripe_refund_id IS 'ID du remboursement Stripe (re_...)';
@@ -0,0 +1,18 @@
+-- ============================================
+-- MIGRATION : Moteur de prix unique (promotions + coupons)
+-- Code promo persistant sur le panier, détail des réductions sur la commande
+-- ============================================
+
+ALTER TABLE carts
+ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS applied_promotions JSONB DEFAULT '[]';
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) DEFAULT 0;
+
+COMMENT ON COLUMN carts.coupon_code IS 'Code promo saisi sur le panier (revalidé à chaque calcul)';
+COMMENT ON COLUMN orders.applied_promotions IS 'Promotions automatiques appliquées : [{id, name, type, discount}]';
+COMMENT ON COLUMN orders.discount_amount IS 'Réduction totale (promotions + coupon)';
+COMMENT ON COLUMN order_items.discount_amount IS 'Part de la réduction totale portée par la ligne';
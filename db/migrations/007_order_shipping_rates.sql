@@ -0,0 +1,9 @@
+-- ============================================
+-- MIGRATION : Tarif de livraison choisi au checkout
+-- Le tarif est recalculé côté serveur à la création de commande
+-- ============================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS shipping_rate_id VARCHAR(255);
+
+COMMENT ON COLUMN orders.shipping_rate_id IS 'click_collect, fixed_standard, fixed_express ou ID de tarif Shippo';
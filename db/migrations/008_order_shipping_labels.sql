@@ -0,0 +1,18 @@
+-- ============================================
+-- MIGRATION : Étiquettes transporteur & suivi des colis
+-- ============================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS label_url TEXT,
+ADD COLUMN IF NOT EXISTS tracking_url TEXT,
+ADD COLUMN IF NOT EXISTS shipping_label_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS tracking_status VARCHAR(30),
+ADD COLUMN IF NOT EXISTS tracking_checked_at TIMESTAMPTZ;
+
+-- Commandes expédiées à suivre par le job de synchronisation
+CREATE INDEX IF NOT EXISTS idx_orders_tracking_sync
+  ON orders(tracking_checked_at)
+  WHERE status = 'shipped' AND tracking_number IS NOT NULL;
+
+COMMENT ON COLUMN orders.shipping_label_id IS 'ID de transaction transporteur (Shippo)';
+COMMENT ON COLUMN orders.tracking_status IS 'Dernier statut transporteur : PRE_TRANSIT, TRANSIT, DELIVERED, RETURNED, FAILURE, UNKNOWN';
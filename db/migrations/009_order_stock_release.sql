@@ -0,0 +1,9 @@
+-- ============================================
+-- MIGRATION : Libération du stock des commandes
+-- Évite une double remise en stock (annulation + paiement échoué / expiré)
+-- ============================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS stock_released_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN orders.stock_released_at IS 'Date de remise en stock des articles (NULL = stock réservé)';
@@ -0,0 +1,35 @@
+-- ============================================
+-- MIGRATION : Numérotation des documents
+-- Compteurs par type (commande, ticket, facture, avoir) et par période
+-- Utilisée par services/documentNumberService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS document_sequences (
+  document_type VARCHAR(30) NOT NULL,
+  period_key VARCHAR(8) NOT NULL DEFAULT '',
+  last_value BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (document_type, period_key)
+);
+
+-- Reprise des numéros déjà attribués aujourd'hui (ancien générateur)
+INSERT INTO document_sequences (document_type, period_key, last_value)
+SELECT 'order', to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD'),
+       COALESCE(MAX(split_part(order_number, '-', 3)::bigint), 0)
+FROM orders
+WHERE order_number ~ ('^ORD-' || to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD') || '-[0-9]+$')
+ON CONFLICT (document_type, period_key) DO NOTHING;
+
+INSERT INTO document_sequences (document_type, period_key, last_value)
+SELECT 'ticket', to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD'),
+       COALESCE(MAX(split_part(ticket_number, '-', 3)::bigint), 0)
+FROM support_tickets
+WHERE ticket_number ~ ('^TKT-' || to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD') || '-[0-9]+$')
+ON CONFLICT (document_type, period_key) DO NOTHING;
+
+-- Numéro d'avoir émis lors du remboursement d'un retour
+ALTER TABLE return_requests
+ADD COLUMN IF NOT EXISTS credit_note_number VARCHAR(50) UNIQUE;
+
+COMMENT ON TABLE document_sequences IS 'Compteurs de numérotation (UPSERT atomique, un compteur par type et période)';
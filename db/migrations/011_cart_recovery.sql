@@ -0,0 +1,30 @@
+-- ============================================
+-- MIGRATION : Relance des paniers abandonnés
+-- Un envoi par période d'inactivité du panier, conversion suivie à la commande
+-- Utilisée par jobs/abandonedCarts.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS cart_recovery_emails (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  cart_id UUID REFERENCES carts(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  cart_total NUMERIC(10, 2) NOT NULL DEFAULT 0,
+
+  -- Coupon à usage unique généré pour la relance (optionnel)
+  coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+  coupon_code VARCHAR(50),
+
+  sent_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Conversion
+  converted_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  converted_at TIMESTAMPTZ,
+  converted_amount NUMERIC(10, 2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_recovery_cart ON cart_recovery_emails(cart_id);
+CREATE INDEX IF NOT EXISTS idx_cart_recovery_user ON cart_recovery_emails(user_id);
+CREATE INDEX IF NOT EXISTS idx_cart_recovery_sent ON cart_recovery_emails(sent_at);
+
+COMMENT ON TABLE cart_recovery_emails IS 'Emails de relance des paniers abandonnés et conversions associées';
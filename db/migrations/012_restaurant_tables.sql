@@ -0,0 +1,69 @@
+-- ============================================
+-- MIGRATION : Réservation de tables restaurant
+-- Tables (nombre de couverts), services (horaires, durée de rotation, capacité)
+-- et attribution automatique d'une table aux réservations
+-- Utilisée par services/tableReservationService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS restaurant_tables (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(50) NOT NULL UNIQUE,
+  seats INTEGER NOT NULL CHECK (seats > 0),
+  -- Évite de bloquer une grande table pour une personne seule
+  min_seats INTEGER NOT NULL DEFAULT 1 CHECK (min_seats > 0),
+  zone VARCHAR(50),
+  is_active BOOLEAN DEFAULT true,
+  display_order INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (min_seats <= seats)
+);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_tables_active ON restaurant_tables(is_active);
+
+DROP TRIGGER IF EXISTS update_restaurant_tables_updated_at ON restaurant_tables;
+CREATE TRIGGER update_restaurant_tables_updated_at
+  BEFORE UPDATE ON restaurant_tables
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Services : une réservation peut commencer entre start_time (inclus) et end_time (exclu)
+CREATE TABLE IF NOT EXISTS restaurant_services (
+  code VARCHAR(20) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  turn_minutes INTEGER NOT NULL DEFAULT 90 CHECK (turn_minutes > 0),
+  slot_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_interval_minutes > 0),
+  -- Couverts simultanés max (cuisine / salle), NULL = limité par les tables seulement
+  max_covers INTEGER,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_time > start_time)
+);
+
+DROP TRIGGER IF EXISTS update_restaurant_services_updated_at ON restaurant_services;
+CREATE TRIGGER update_restaurant_services_updated_at
+  BEFORE UPDATE ON restaurant_services
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Horaires historiques : déjeuner 12h-14h, dîner 19h-22h
+INSERT INTO restaurant_services (code, name, start_time, end_time, turn_minutes, slot_interval_minutes) VALUES
+  ('lunch', 'Déjeuner', '12:00', '14:00', 90, 15),
+  ('dinner', 'Dîner', '19:00', '22:00', 120, 15)
+ON CONFLICT (code) DO NOTHING;
+
+-- Réservations de table
+ALTER TABLE reservations
+ADD COLUMN IF NOT EXISTS party_size INTEGER,
+ADD COLUMN IF NOT EXISTS table_id UUID REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS service_code VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_table ON reservations(table_id, reservation_date);
+
+COMMENT ON TABLE restaurant_tables IS 'Tables du restaurant (couverts)';
+COMMENT ON TABLE restaurant_services IS 'Services du restaurant : horaires, durée de rotation, capacité en couverts';
+COMMENT ON COLUMN reservations.party_size IS 'Nombre de couverts (réservation de table)';
+COMMENT ON COLUMN reservations.table_id IS 'Table attribuée automatiquement';
@@ -0,0 +1,26 @@
+-- ============================================
+-- MIGRATION : Attribution des chambres
+-- Chaque séjour reçoit une chambre physique ; deux séjours actifs
+-- ne peuvent pas se chevaucher sur la même chambre
+-- Utilisée par services/hotelInventoryService.js
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS room_id UUID REFERENCES rooms(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_room_reservations_room ON room_reservations(room_id);
+CREATE INDEX IF NOT EXISTS idx_room_reservations_type_dates
+  ON room_reservations(room_type_id, check_in_date, check_out_date);
+
+-- Garde-fou en base contre la double attribution d'une chambre
+ALTER TABLE room_reservations DROP CONSTRAINT IF EXISTS room_reservations_no_overlap;
+ALTER TABLE room_reservations
+ADD CONSTRAINT room_reservations_no_overlap
+EXCLUDE USING gist (
+  room_id WITH =,
+  daterange(check_in_date, check_out_date) WITH &&
+) WHERE (room_id IS NOT NULL AND status <> 'cancelled');
+
+COMMENT ON COLUMN room_reservations.room_id IS 'Chambre physique attribuée (réattribuable par le personnel)';
@@ -0,0 +1,42 @@
+-- ============================================
+-- MIGRATION : Acompte / prépaiement des séjours
+-- Politique par type de chambre ou par offre, paiement Stripe,
+-- séjour en attente de paiement (pending_payment) libéré à expiration
+-- Utilisée par services/hotelPaymentService.js et jobs/hotelHolds.js
+-- ============================================
+
+-- Politique d'acompte : none | first_night | percentage | full
+ALTER TABLE room_types
+ADD COLUMN IF NOT EXISTS deposit_policy VARCHAR(20) NOT NULL DEFAULT 'none',
+ADD COLUMN IF NOT EXISTS deposit_percent NUMERIC(5, 2);
+
+-- Sur une offre, la politique remplace celle du type de chambre (NULL = celle du type)
+ALTER TABLE hotel_offers
+ADD COLUMN IF NOT EXISTS deposit_policy VARCHAR(20),
+ADD COLUMN IF NOT EXISTS deposit_percent NUMERIC(5, 2);
+
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS offer_id UUID REFERENCES hotel_offers(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS deposit_policy VARCHAR(20) DEFAULT 'none',
+ADD COLUMN IF NOT EXISTS deposit_amount NUMERIC(10, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS amount_paid NUMERIC(10, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) DEFAULT 'none',
+ADD COLUMN IF NOT EXISTS payment_intent_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_room_reservations_payment_intent ON room_reservations(payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_room_reservations_holds
+  ON room_reservations(hold_expires_at) WHERE status = 'pending_payment';
+
+-- Un séjour expiré (acompte non payé) libère sa chambre
+ALTER TABLE room_reservations DROP CONSTRAINT IF EXISTS room_reservations_no_overlap;
+ALTER TABLE room_reservations
+ADD CONSTRAINT room_reservations_no_overlap
+EXCLUDE USING gist (
+  room_id WITH =,
+  daterange(check_in_date, check_out_date) WITH &&
+) WHERE (room_id IS NOT NULL AND status NOT IN ('cancelled', 'expired'));
+
+COMMENT ON COLUMN room_types.deposit_policy IS 'Acompte demandé : none, first_night, percentage, full';
+COMMENT ON COLUMN room_reservations.hold_expires_at IS 'Fin de la mise en attente (pending_payment) avant libération de la chambre';
@@ -0,0 +1,48 @@
+-- ============================================
+-- MIGRATION : Conditions d'annulation des séjours
+-- Politiques (gratuite jusqu'à N jours avant l'arrivée, puis X % de pénalité,
+-- ou non remboursable) rattachées aux types de chambre ou aux offres
+-- Utilisée par services/hotelCancellationService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS hotel_cancellation_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  -- Annulation gratuite jusqu'à N jours avant l'arrivée
+  free_until_days INTEGER NOT NULL DEFAULT 0 CHECK (free_until_days >= 0),
+  -- Pénalité au-delà, en % du montant du séjour
+  penalty_percent NUMERIC(5, 2) NOT NULL DEFAULT 100 CHECK (penalty_percent BETWEEN 0 AND 100),
+  non_refundable BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_cancellation_policies_hotel ON hotel_cancellation_policies(hotel_id);
+
+DROP TRIGGER IF EXISTS update_hotel_cancellation_policies_updated_at ON hotel_cancellation_policies;
+CREATE TRIGGER update_hotel_cancellation_policies_updated_at
+  BEFORE UPDATE ON hotel_cancellation_policies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Sur une offre, la politique remplace celle du type de chambre
+ALTER TABLE room_types
+ADD COLUMN IF NOT EXISTS cancellation_policy_id UUID REFERENCES hotel_cancellation_policies(id) ON DELETE SET NULL;
+
+ALTER TABLE hotel_offers
+ADD COLUMN IF NOT EXISTS cancellation_policy_id UUID REFERENCES hotel_cancellation_policies(id) ON DELETE SET NULL;
+
+-- Conditions figées à la réservation, résultat de l'annulation
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS cancellation_policy JSONB,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+ADD COLUMN IF NOT EXISTS penalty_amount NUMERIC(10, 2),
+ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(10, 2),
+ADD COLUMN IF NOT EXISTS refund_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+COMMENT ON TABLE hotel_cancellation_policies IS 'Conditions d''annulation des séjours';
+COMMENT ON COLUMN room_reservations.cancellation_policy IS 'Copie de la politique d''annulation au moment de la réservation';
@@ -0,0 +1,58 @@
+-- ============================================
+-- MIGRATION : Plans tarifaires des séjours
+-- Tarifs semaine / week-end, durée de séjour min/max, jours fermés à
+-- l'arrivée ou au départ, suppléments adulte / enfant, prestations incluses
+-- Utilisée par services/hotelRateService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS hotel_rate_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  -- NULL = plan proposé sur tous les types de chambre de l'hôtel
+  room_type_id UUID REFERENCES room_types(id) ON DELETE CASCADE,
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  -- Prix par nuit ; NULL = prix du type de chambre (tarif période ou prix de base)
+  weekday_price NUMERIC(10, 2) CHECK (weekday_price >= 0),
+  weekend_price NUMERIC(10, 2) CHECK (weekend_price >= 0),
+  -- Nuits au tarif week-end (0 = dimanche ... 6 = samedi)
+  weekend_days SMALLINT[] NOT NULL DEFAULT '{5,6}',
+  -- Occupation comprise dans le prix, suppléments par nuit au-delà
+  base_occupancy INTEGER NOT NULL DEFAULT 2 CHECK (base_occupancy >= 1),
+  extra_adult_price NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (extra_adult_price >= 0),
+  child_price NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (child_price >= 0),
+  -- Restrictions de durée et de jours d'arrivée / départ
+  min_stay INTEGER CHECK (min_stay >= 1),
+  max_stay INTEGER CHECK (max_stay >= 1),
+  closed_to_arrival SMALLINT[] NOT NULL DEFAULT '{}',
+  closed_to_departure SMALLINT[] NOT NULL DEFAULT '{}',
+  -- Prestations incluses (ex. petit-déjeuner)
+  includes_breakfast BOOLEAN NOT NULL DEFAULT false,
+  inclusions JSONB NOT NULL DEFAULT '[]',
+  valid_from DATE,
+  valid_to DATE,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  display_order INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (min_stay IS NULL OR max_stay IS NULL OR min_stay <= max_stay),
+  UNIQUE (hotel_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_rate_plans_room_type ON hotel_rate_plans(hotel_id, room_type_id);
+
+DROP TRIGGER IF EXISTS update_hotel_rate_plans_updated_at ON hotel_rate_plans;
+CREATE TRIGGER update_hotel_rate_plans_updated_at
+  BEFORE UPDATE ON hotel_rate_plans
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Plan choisi et détail du prix nuit par nuit
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS rate_plan_id UUID REFERENCES hotel_rate_plans(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+
+COMMENT ON TABLE hotel_rate_plans IS 'Plans tarifaires (prix, restrictions, suppléments, prestations incluses)';
+COMMENT ON COLUMN room_reservations.price_breakdown IS 'Détail par nuit : [{date, base_price, extra_adults_amount, children_amount, total}]';
@@ -0,0 +1,63 @@
+-- ============================================
+-- MIGRATION : Synchronisation iCal avec les sites de réservation
+-- Export .ics des dates indisponibles par type de chambre,
+-- import de calendriers externes en blocages pris en compte par la disponibilité
+-- Utilisée par services/hotelIcalService.js et jobs/icalSync.js
+-- ============================================
+
+-- Jeton secret de l'URL d'export (GET /hotel/ical/:token.ics)
+ALTER TABLE room_types
+ADD COLUMN IF NOT EXISTS ical_token VARCHAR(64) UNIQUE;
+
+-- Calendriers externes importés (URL synchronisée ou fichier envoyé)
+CREATE TABLE IF NOT EXISTS hotel_ical_feeds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  room_type_id UUID NOT NULL REFERENCES room_types(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  -- NULL = import par fichier uniquement
+  url TEXT,
+  is_active BOOLEAN DEFAULT true,
+  last_synced_at TIMESTAMPTZ,
+  last_status VARCHAR(20),
+  last_error TEXT,
+  event_count INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_ical_feeds_room_type ON hotel_ical_feeds(room_type_id);
+
+DROP TRIGGER IF EXISTS update_hotel_ical_feeds_updated_at ON hotel_ical_feeds;
+CREATE TRIGGER update_hotel_ical_feeds_updated_at
+  BEFORE UPDATE ON hotel_ical_feeds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Nuits bloquées hors réservations du site (end_date exclue, comme check_out_date)
+CREATE TABLE IF NOT EXISTS room_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  room_type_id UUID NOT NULL REFERENCES room_types(id) ON DELETE CASCADE,
+  feed_id UUID REFERENCES hotel_ical_feeds(id) ON DELETE CASCADE,
+  external_uid VARCHAR(255),
+  summary TEXT,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  rooms_count INTEGER NOT NULL DEFAULT 1 CHECK (rooms_count >= 1),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date > start_date),
+  UNIQUE (feed_id, external_uid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_blocks_type_dates ON room_blocks(room_type_id, start_date, end_date);
+
+DROP TRIGGER IF EXISTS update_room_blocks_updated_at ON room_blocks;
+CREATE TRIGGER update_room_blocks_updated_at
+  BEFORE UPDATE ON room_blocks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE hotel_ical_feeds IS 'Calendriers iCal externes (Booking, Airbnb...) par type de chambre';
+COMMENT ON TABLE room_blocks IS 'Blocages de chambres importés (iCal) comptés dans la disponibilité';
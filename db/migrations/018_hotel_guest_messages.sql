@@ -0,0 +1,38 @@
+-- ============================================
+-- MIGRATION : Communications automatiques aux clients de l'hôtel
+-- Email avant l'arrivée (options à ajouter), message le jour d'arrivée,
+-- remerciement après le séjour avec demande d'avis (testimonials)
+-- Utilisée par jobs/guestMessages.js
+-- ============================================
+
+-- Un message de chaque type par séjour (envoyé, ignoré ou en échec)
+CREATE TABLE IF NOT EXISTS hotel_guest_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_reservation_id UUID NOT NULL REFERENCES room_reservations(id) ON DELETE CASCADE,
+  -- pre_arrival | check_in_day | post_stay
+  message_type VARCHAR(30) NOT NULL,
+  -- sent | skipped (préférences email) | failed
+  status VARCHAR(20) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  email_log_id UUID,
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (room_reservation_id, message_type)
+);
+
+DROP TRIGGER IF EXISTS update_hotel_guest_messages_updated_at ON hotel_guest_messages;
+CREATE TRIGGER update_hotel_guest_messages_updated_at
+  BEFORE UPDATE ON hotel_guest_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Lien d'avis envoyé après le séjour
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS review_token VARCHAR(64) UNIQUE,
+ADD COLUMN IF NOT EXISTS review_submitted_at TIMESTAMPTZ;
+
+ALTER TABLE testimonials
+ADD COLUMN IF NOT EXISTS room_reservation_id UUID REFERENCES room_reservations(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE hotel_guest_messages IS 'Emails automatiques envoyés aux clients (avant, pendant, après le séjour)';
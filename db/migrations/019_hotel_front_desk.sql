@@ -0,0 +1,53 @@
+-- ============================================
+-- MIGRATION : Réception (arrivée, départ, folio)
+-- Statut opérationnel des chambres, folio des séjours (prestations
+-- annexes, règlements) et facture de fin de séjour
+-- Utilisée par services/hotelFrontDeskService.js
+-- ============================================
+
+-- Statut des chambres : available (propre, libre) | occupied | dirty | out_of_service
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE room_reservations
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS folio_total NUMERIC(10, 2),
+ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50) UNIQUE,
+ADD COLUMN IF NOT EXISTS invoiced_at TIMESTAMPTZ;
+
+-- Lignes du folio : nuits et options (à l'arrivée), prestations annexes (séjour)
+CREATE TABLE IF NOT EXISTS hotel_folio_charges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_reservation_id UUID NOT NULL REFERENCES room_reservations(id) ON DELETE CASCADE,
+  -- room | add_on | restaurant | bar | spa | minibar | other
+  category VARCHAR(30) NOT NULL,
+  description VARCHAR(255) NOT NULL,
+  quantity NUMERIC(10, 2) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price NUMERIC(10, 2) NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL,
+  charge_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  posted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  voided_at TIMESTAMPTZ,
+  void_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_folio_charges_reservation ON hotel_folio_charges(room_reservation_id);
+
+-- Règlements encaissés à la réception (l'acompte Stripe reste sur room_reservations.amount_paid)
+CREATE TABLE IF NOT EXISTS hotel_folio_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  room_reservation_id UUID NOT NULL REFERENCES room_reservations(id) ON DELETE CASCADE,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+  -- card | cash | transfer | other
+  payment_method VARCHAR(20) NOT NULL,
+  reference VARCHAR(255),
+  received_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_folio_payments_reservation ON hotel_folio_payments(room_reservation_id);
+
+COMMENT ON TABLE hotel_folio_charges IS 'Folio des séjours : nuits, options et prestations annexes';
+COMMENT ON COLUMN room_reservations.invoice_number IS 'Facture de fin de séjour (document_sequences, type invoice)';
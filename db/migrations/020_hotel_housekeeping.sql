@@ -0,0 +1,60 @@
+-- ============================================
+-- MIGRATION : Ménage des chambres
+-- Tâches quotidiennes (départs, recouches) assignées au personnel,
+-- cycle dirty → cleaning → inspected → available,
+-- blocages maintenance retirant une chambre de la vente sur une période
+-- Utilisée par services/housekeepingService.js et jobs/housekeepingTasks.js
+-- ============================================
+
+-- Statut des chambres (rooms.status) : available | occupied | dirty | cleaning | inspected | out_of_service
+-- Une tâche de départ fait suivre la chambre : dirty → cleaning → inspected → available
+
+CREATE TABLE IF NOT EXISTS housekeeping_tasks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  room_id UUID NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  room_reservation_id UUID REFERENCES room_reservations(id) ON DELETE SET NULL,
+  task_date DATE NOT NULL,
+  -- checkout (départ) | stayover (recouche)
+  task_type VARCHAR(20) NOT NULL,
+  -- pending | cleaning | inspected | done | cancelled
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  -- 1 = arrivée attendue dans la chambre le jour même
+  priority INTEGER NOT NULL DEFAULT 0,
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMPTZ,
+  inspected_at TIMESTAMPTZ,
+  inspected_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  completed_at TIMESTAMPTZ,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (room_id, task_date, task_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_housekeeping_tasks_date ON housekeeping_tasks(hotel_id, task_date);
+CREATE INDEX IF NOT EXISTS idx_housekeeping_tasks_assigned ON housekeeping_tasks(assigned_to, task_date);
+
+DROP TRIGGER IF EXISTS update_housekeeping_tasks_updated_at ON housekeeping_tasks;
+CREATE TRIGGER update_housekeeping_tasks_updated_at
+  BEFORE UPDATE ON housekeeping_tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Chambre hors vente sur une période (end_date exclue, comme check_out_date)
+CREATE TABLE IF NOT EXISTS room_maintenance_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  room_id UUID NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date > start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_maintenance_blocks_room ON room_maintenance_blocks(room_id, start_date, end_date);
+
+COMMENT ON TABLE housekeeping_tasks IS 'Tâches de ménage par chambre et par jour (départs, recouches)';
+COMMENT ON TABLE room_maintenance_blocks IS 'Chambres retirées de la vente pour maintenance (prises en compte par la disponibilité)';
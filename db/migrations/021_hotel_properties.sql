@@ -0,0 +1,59 @@
+-- ============================================
+-- MIGRATION : Multi-établissements
+-- Résolution de l'hôtel par slug ou nom de domaine, personnel rattaché
+-- à des établissements précis
+-- Utilisée par services/hotelPropertyService.js et middleware/hotelScope.js
+-- ============================================
+
+ALTER TABLE hotels
+ADD COLUMN IF NOT EXISTS slug VARCHAR(100),
+-- Noms de domaine servant l'établissement (ex : {"hotel-paris.example.com"})
+ADD COLUMN IF NOT EXISTS hostnames TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS address TEXT,
+ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+ADD COLUMN IF NOT EXISTS country VARCHAR(2),
+ADD COLUMN IF NOT EXISTS phone VARCHAR(50),
+ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+ADD COLUMN IF NOT EXISTS check_in_time TIME,
+ADD COLUMN IF NOT EXISTS check_out_time TIME,
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'EUR',
+ADD COLUMN IF NOT EXISTS display_order INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Slug des établissements existants à partir du nom
+UPDATE hotels
+SET slug = TRIM(BOTH '-' FROM regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')) || '-' || substr(id::text, 1, 4)
+WHERE slug IS NULL;
+
+ALTER TABLE hotels ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hotels_slug ON hotels(slug);
+CREATE INDEX IF NOT EXISTS idx_hotels_hostnames ON hotels USING GIN(hostnames);
+
+DROP TRIGGER IF EXISTS update_hotels_updated_at ON hotels;
+CREATE TRIGGER update_hotels_updated_at
+  BEFORE UPDATE ON hotels
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Personnel rattaché à un établissement (les admins accèdent à tous)
+CREATE TABLE IF NOT EXISTS hotel_staff (
+  hotel_id UUID NOT NULL REFERENCES hotels(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (hotel_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hotel_staff_user ON hotel_staff(user_id);
+
+-- Installation mono-établissement : le personnel existant y reste rattaché
+INSERT INTO hotel_staff (hotel_id, user_id)
+SELECT h.id, u.id
+FROM users u
+CROSS JOIN hotels h
+WHERE u.role = 'staff' AND (SELECT COUNT(*) FROM hotels) = 1
+ON CONFLICT DO NOTHING;
+
+COMMENT ON COLUMN hotels.hostnames IS 'Noms de domaine résolus vers cet établissement (routes publiques /hotel)';
+COMMENT ON TABLE hotel_staff IS 'Établissements accessibles à un membre du personnel';
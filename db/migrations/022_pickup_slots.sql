@@ -0,0 +1,72 @@
+-- ============================================
+-- MIGRATION : Créneaux de retrait click & collect
+-- Durée des créneaux, capacité (commandes / articles), délai de préparation,
+-- horaires de retrait par jour et jours de fermeture
+-- Utilisée par services/pickupSlotService.js
+-- ============================================
+
+-- Colonnes utilisées par la création de commande (absentes des schémas initiaux)
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS order_type VARCHAR(30) DEFAULT 'click_collect',
+ADD COLUMN IF NOT EXISTS pickup_time TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS special_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_time ON orders(pickup_time) WHERE pickup_time IS NOT NULL;
+
+-- Paramètres (une seule ligne)
+CREATE TABLE IF NOT EXISTS pickup_settings (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  slot_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_minutes > 0),
+  -- NULL = pas de limite
+  max_orders_per_slot INTEGER CHECK (max_orders_per_slot > 0),
+  max_items_per_slot INTEGER CHECK (max_items_per_slot > 0),
+  -- Délai minimal entre la commande et le début du créneau
+  lead_time_minutes INTEGER NOT NULL DEFAULT 30 CHECK (lead_time_minutes >= 0),
+  -- Nombre de jours réservables à l'avance
+  booking_horizon_days INTEGER NOT NULL DEFAULT 7 CHECK (booking_horizon_days > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_pickup_settings_updated_at ON pickup_settings;
+CREATE TRIGGER update_pickup_settings_updated_at
+  BEFORE UPDATE ON pickup_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO pickup_settings (id, slot_minutes, max_orders_per_slot, lead_time_minutes)
+VALUES (1, 15, 6, 30)
+ON CONFLICT (id) DO NOTHING;
+
+-- Horaires de retrait : plusieurs plages possibles par jour (0 = dimanche … 6 = samedi)
+-- Un créneau peut commencer entre open_time (inclus) et close_time (exclu)
+CREATE TABLE IF NOT EXISTS pickup_hours (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  open_time TIME NOT NULL,
+  close_time TIME NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (close_time > open_time),
+  UNIQUE (day_of_week, open_time)
+);
+
+-- Horaires par défaut : du mardi au dimanche, 11h30-14h et 18h30-21h
+INSERT INTO pickup_hours (day_of_week, open_time, close_time)
+SELECT day, hours.open_time::time, hours.close_time::time
+FROM generate_series(0, 6) AS day
+CROSS JOIN (VALUES ('11:30', '14:00'), ('18:30', '21:00')) AS hours(open_time, close_time)
+WHERE day <> 1
+ON CONFLICT (day_of_week, open_time) DO NOTHING;
+
+-- Fermetures exceptionnelles (congés, jours fériés)
+CREATE TABLE IF NOT EXISTS pickup_closed_days (
+  closed_date DATE PRIMARY KEY,
+  reason VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE pickup_settings IS 'Créneaux de retrait click & collect : durée, capacité, délai de préparation';
+COMMENT ON TABLE pickup_hours IS 'Plages horaires de retrait par jour de la semaine (0 = dimanche)';
+COMMENT ON TABLE pickup_closed_days IS 'Jours sans retrait click & collect';
+COMMENT ON COLUMN orders.pickup_time IS 'Début du créneau de retrait réservé (click & collect)';
@@ -0,0 +1,32 @@
+-- ============================================
+-- MIGRATION : File de préparation cuisine
+-- États de préparation par article (reçu, en préparation, prêt, retiré)
+-- pour les commandes click & collect et sur place
+-- Utilisée par services/kitchenQueueService.js
+-- ============================================
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS prep_status VARCHAR(20) NOT NULL DEFAULT 'received'
+  CHECK (prep_status IN ('received', 'preparing', 'ready', 'collected')),
+ADD COLUMN IF NOT EXISTS prep_started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS prep_ready_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS prep_updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_prep_status ON order_items(prep_status);
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS ready_at TIMESTAMPTZ,
+-- Avis "commande prête" envoyé (une seule fois par commande)
+ADD COLUMN IF NOT EXISTS ready_notified_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS collected_at TIMESTAMPTZ;
+
+-- Articles des commandes déjà terminées : hors de la file
+UPDATE order_items oi
+SET prep_status = 'collected'
+FROM orders o
+WHERE oi.order_id = o.id
+  AND o.status IN ('shipped', 'delivered')
+  AND oi.prep_status = 'received';
+
+COMMENT ON COLUMN order_items.prep_status IS 'Préparation cuisine : received | preparing | ready | collected';
+COMMENT ON COLUMN orders.ready_at IS 'Tous les articles prêts (commande à retirer)';
@@ -0,0 +1,124 @@
+-- ============================================
+-- MIGRATION : Événements temps réel (flux SSE)
+-- Journal des événements poussés aux tableaux de bord (nouvelles commandes,
+-- changements de statut, messages de chat, alertes admin), alimenté par
+-- triggers et diffusé par NOTIFY ; l'identifiant sert de Last-Event-ID
+-- Utilisée par services/realtimeService.js et routes/events.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  -- Destinataires : 'role:admin', 'role:staff' (admin + staff) ou 'user:<uuid>'
+  channels TEXT[] NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events(created_at);
+
+-- Enregistrer un événement et prévenir les serveurs à l'écoute (NOTIFY envoyé au COMMIT)
+CREATE OR REPLACE FUNCTION publish_realtime_event(p_type TEXT, p_channels TEXT[], p_payload JSONB)
+RETURNS VOID AS $$
+DECLARE
+  event_id BIGINT;
+BEGIN
+  INSERT INTO realtime_events (event_type, channels, payload)
+  VALUES (p_type, p_channels, p_payload)
+  RETURNING id INTO event_id;
+
+  PERFORM pg_notify('realtime_events', event_id::text);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Commandes : création et changement de statut (personnel + client)
+CREATE OR REPLACE FUNCTION realtime_orders_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+  recipients TEXT[] := ARRAY['role:staff'];
+BEGIN
+  IF NEW.user_id IS NOT NULL THEN
+    recipients := recipients || ('user:' || NEW.user_id::text);
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    PERFORM publish_realtime_event('order.created', recipients, jsonb_build_object(
+      'order_id', NEW.id,
+      'order_number', NEW.order_number,
+      'status', NEW.status,
+      'payment_status', NEW.payment_status,
+      'order_type', NEW.order_type,
+      'pickup_time', NEW.pickup_time,
+      'total_amount', NEW.total_amount
+    ));
+  ELSIF NEW.status IS DISTINCT FROM OLD.status OR NEW.payment_status IS DISTINCT FROM OLD.payment_status THEN
+    PERFORM publish_realtime_event('order.status_changed', recipients, jsonb_build_object(
+      'order_id', NEW.id,
+      'order_number', NEW.order_number,
+      'from_status', OLD.status,
+      'status', NEW.status,
+      'payment_status', NEW.payment_status
+    ));
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS realtime_orders ON orders;
+CREATE TRIGGER realtime_orders
+  AFTER INSERT OR UPDATE OF status, payment_status ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION realtime_orders_trigger();
+
+-- Messages de chat (personnel + titulaire de la conversation)
+CREATE OR REPLACE FUNCTION realtime_chat_messages_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+  owner_id UUID;
+BEGIN
+  SELECT user_id INTO owner_id FROM chat_conversations WHERE id = NEW.conversation_id;
+
+  PERFORM publish_realtime_event('chat.message', ARRAY['role:staff', 'user:' || owner_id::text], jsonb_build_object(
+    'message_id', NEW.id,
+    'conversation_id', NEW.conversation_id,
+    'sender_id', NEW.sender_id,
+    'message', left(NEW.message, 500),
+    'message_type', NEW.message_type,
+    'created_at', NEW.created_at
+  ));
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS realtime_chat_messages ON chat_messages;
+CREATE TRIGGER realtime_chat_messages
+  AFTER INSERT ON chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION realtime_chat_messages_trigger();
+
+-- Alertes admin
+CREATE OR REPLACE FUNCTION realtime_admin_alerts_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM publish_realtime_event('admin_alert.created', ARRAY['role:admin'], jsonb_build_object(
+    'alert_id', NEW.id,
+    'alert_type', NEW.alert_type,
+    'title', NEW.title,
+    'severity', NEW.severity,
+    'related_resource_type', NEW.related_resource_type,
+    'related_resource_id', NEW.related_resource_id
+  ));
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS realtime_admin_alerts ON admin_alerts;
+CREATE TRIGGER realtime_admin_alerts
+  AFTER INSERT ON admin_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION realtime_admin_alerts_trigger();
+
+COMMENT ON TABLE realtime_events IS 'Événements du flux temps réel (rejoués à la reconnexion via Last-Event-ID)';
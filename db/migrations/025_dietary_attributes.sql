@@ -0,0 +1,56 @@
+-- ============================================
+-- MIGRATION : Allergènes et régimes alimentaires
+-- 14 allergènes réglementés (UE 1169/2011) et étiquettes de régime
+-- sur les plats (dishes) et les produits du café (products)
+-- Utilisée par services/dietaryService.js
+-- ============================================
+
+ALTER TABLE dishes
+ADD COLUMN IF NOT EXISTS allergen_codes TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS allergen_codes TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Étiquettes déduites des anciens indicateurs des plats
+UPDATE dishes
+SET dietary_tags = ARRAY(
+  SELECT unnest(ARRAY[
+    CASE WHEN is_vegan THEN 'vegan' END,
+    CASE WHEN is_vegan OR is_vegetarian THEN 'vegetarian' END
+  ]) AS tag
+  WHERE tag IS NOT NULL
+)
+WHERE dietary_tags = '{}' AND (is_vegan OR is_vegetarian);
+
+-- Codes contrôlés en base (les routes renvoient un message lisible avant)
+ALTER TABLE dishes DROP CONSTRAINT IF EXISTS dishes_allergen_codes_check;
+ALTER TABLE dishes ADD CONSTRAINT dishes_allergen_codes_check CHECK (allergen_codes <@ ARRAY[
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+]::text[]);
+ALTER TABLE dishes DROP CONSTRAINT IF EXISTS dishes_dietary_tags_check;
+ALTER TABLE dishes ADD CONSTRAINT dishes_dietary_tags_check CHECK (dietary_tags <@ ARRAY[
+  'vegan', 'vegetarian', 'halal', 'lactose_free'
+]::text[]);
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_allergen_codes_check;
+ALTER TABLE products ADD CONSTRAINT products_allergen_codes_check CHECK (allergen_codes <@ ARRAY[
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+]::text[]);
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_dietary_tags_check;
+ALTER TABLE products ADD CONSTRAINT products_dietary_tags_check CHECK (dietary_tags <@ ARRAY[
+  'vegan', 'vegetarian', 'halal', 'lactose_free'
+]::text[]);
+
+CREATE INDEX IF NOT EXISTS idx_dishes_allergen_codes ON dishes USING GIN(allergen_codes);
+CREATE INDEX IF NOT EXISTS idx_dishes_dietary_tags ON dishes USING GIN(dietary_tags);
+CREATE INDEX IF NOT EXISTS idx_products_allergen_codes ON products USING GIN(allergen_codes);
+CREATE INDEX IF NOT EXISTS idx_products_dietary_tags ON products USING GIN(dietary_tags);
+
+COMMENT ON COLUMN dishes.allergen_codes IS 'Allergènes réglementés (codes, voir services/dietaryService.js) ; allergens reste un texte libre';
+COMMENT ON COLUMN dishes.dietary_tags IS 'vegan | vegetarian | halal | lactose_free';
+COMMENT ON COLUMN products.allergen_codes IS 'Allergènes réglementés (codes, voir services/dietaryService.js)';
+COMMENT ON COLUMN products.dietary_tags IS 'vegan | vegetarian | halal | lactose_free';
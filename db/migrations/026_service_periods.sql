@@ -0,0 +1,50 @@
+-- ============================================
+-- MIGRATION : Périodes de service (petit-déjeuner, déjeuner, fika, dîner)
+-- Fenêtres jour de la semaine / heure assignables aux menus, plats et
+-- produits du café : disponibles uniquement pendant l'une de leurs périodes
+-- (aucune période = toujours disponible)
+-- Utilisée par services/servicePeriodService.js
+-- ============================================
+
+-- Un élément peut être commandé entre start_time (inclus) et end_time (exclu)
+CREATE TABLE IF NOT EXISTS service_periods (
+  code VARCHAR(30) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  -- 0 = dimanche … 6 = samedi
+  days_of_week SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_time > start_time),
+  CHECK (cardinality(days_of_week) > 0 AND days_of_week <@ '{0,1,2,3,4,5,6}'::smallint[])
+);
+
+DROP TRIGGER IF EXISTS update_service_periods_updated_at ON service_periods;
+CREATE TRIGGER update_service_periods_updated_at
+  BEFORE UPDATE ON service_periods
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO service_periods (code, name, days_of_week, start_time, end_time, display_order) VALUES
+  ('breakfast', 'Petit-déjeuner', '{0,1,2,3,4,5,6}', '08:00', '11:00', 1),
+  ('lunch', 'Déjeuner', '{0,1,2,3,4,5,6}', '11:30', '14:30', 2),
+  ('fika', 'Fika', '{1,2,3,4,5}', '14:00', '17:00', 3),
+  ('dinner', 'Dîner', '{0,1,2,3,4,5,6}', '18:30', '22:00', 4)
+ON CONFLICT (code) DO NOTHING;
+
+-- Périodes assignées (codes service_periods.code)
+ALTER TABLE menus ADD COLUMN IF NOT EXISTS service_periods TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS service_periods TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS service_periods TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_menus_service_periods ON menus USING GIN(service_periods);
+CREATE INDEX IF NOT EXISTS idx_dishes_service_periods ON dishes USING GIN(service_periods);
+CREATE INDEX IF NOT EXISTS idx_products_service_periods ON products USING GIN(service_periods);
+
+COMMENT ON TABLE service_periods IS 'Périodes de service : jours de la semaine et plage horaire';
+COMMENT ON COLUMN menus.service_periods IS 'Codes service_periods ; vide = toujours disponible';
+COMMENT ON COLUMN dishes.service_periods IS 'Codes service_periods ; vide = toujours disponible';
+COMMENT ON COLUMN products.service_periods IS 'Codes service_periods ; vide = toujours disponible (click & collect)';
@@ -0,0 +1,47 @@
+-- ============================================
+-- MIGRATION : Allergènes déclarés / non déclarés
+-- allergen_codes NULL = allergènes non déclarés : ces plats et produits sont
+-- exclus des filtres ?exclude_allergens (un plat historique sans déclaration
+-- n'est pas « sans gluten »). '{}' = déclaré sans allergène
+-- Corrige 025_dietary_attributes.sql (défaut '{}' sans reprise de l'existant)
+-- ============================================
+
+ALTER TABLE dishes ALTER COLUMN allergen_codes DROP NOT NULL;
+ALTER TABLE dishes ALTER COLUMN allergen_codes DROP DEFAULT;
+ALTER TABLE products ALTER COLUMN allergen_codes DROP NOT NULL;
+ALTER TABLE products ALTER COLUMN allergen_codes DROP DEFAULT;
+
+-- Un tableau vide ne distingue pas « aucun allergène » de « jamais renseigné » :
+-- par précaution tout redevient non déclaré (l'admin re-déclare les plats concernés)
+UPDATE dishes SET allergen_codes = NULL WHERE allergen_codes = '{}';
+UPDATE products SET allergen_codes = NULL WHERE allergen_codes = '{}';
+
+-- Reprise des plats dont le texte libre allergens est renseigné : les mots-clés
+-- reconnus deviennent des codes, plus gluten quand is_gluten_free = false.
+-- Les plats sans texte restent non déclarés, même avec is_gluten_free
+UPDATE dishes
+SET allergen_codes = ARRAY(
+  SELECT DISTINCT code FROM unnest(ARRAY[
+    CASE WHEN lower(allergens::text) ~ '(gluten|blé|ble|seigle|orge|avoine|épeautre|farine|wheat|rye|barley|oat)' OR is_gluten_free = false THEN 'gluten' END,
+    CASE WHEN lower(allergens::text) ~ '(crustac|crevette|homard|langoustine|crabe|shrimp|lobster|crab)' THEN 'crustaceans' END,
+    CASE WHEN lower(allergens::text) ~ '(oeuf|œuf|egg)' THEN 'eggs' END,
+    CASE WHEN lower(allergens::text) ~ '(poisson|fish|anchois|saumon|thon|cabillaud)' THEN 'fish' END,
+    CASE WHEN lower(allergens::text) ~ '(arachide|cacahu|peanut)' THEN 'peanuts' END,
+    CASE WHEN lower(allergens::text) ~ '(soja|soy)' THEN 'soybeans' END,
+    CASE WHEN lower(allergens::text) ~ '(lait|lactose|beurre|crème|creme|fromage|milk|dairy|butter|cheese)' THEN 'milk' END,
+    CASE WHEN lower(allergens::text) ~ '(fruits? à coque|noix|noisette|amande|pistache|cajou|pécan|pecan|macadamia|nut)' THEN 'nuts' END,
+    CASE WHEN lower(allergens::text) ~ '(céleri|celeri|celery)' THEN 'celery' END,
+    CASE WHEN lower(allergens::text) ~ '(moutarde|mustard)' THEN 'mustard' END,
+    CASE WHEN lower(allergens::text) ~ '(sésame|sesame)' THEN 'sesame' END,
+    CASE WHEN lower(allergens::text) ~ '(sulfite|sulphite|soufre|sulfur)' THEN 'sulphites' END,
+    CASE WHEN lower(allergens::text) ~ '(lupin)' THEN 'lupin' END,
+    CASE WHEN lower(allergens::text) ~ '(mollusque|moule|huître|huitre|calamar|poulpe|mollusc|mussel|oyster|squid)' THEN 'molluscs' END
+  ]) AS code
+  WHERE code IS NOT NULL
+)
+WHERE allergen_codes IS NULL
+  AND allergens IS NOT NULL
+  AND btrim(allergens::text, ' {}[]"') <> '';
+
+COMMENT ON COLUMN dishes.allergen_codes IS 'Allergènes réglementés (codes, voir services/dietaryService.js) ; NULL = non déclarés ; allergens reste un texte libre';
+COMMENT ON COLUMN products.allergen_codes IS 'Allergènes réglementés (codes, voir services/dietaryService.js) ; NULL = non déclarés';
@@ -0,0 +1,12 @@
+-- ============================================
+-- MIGRATION : Réservation de la commande avant l'achat d'étiquette
+-- L'étiquette transporteur est payante : la commande est réservée
+-- (label_claim_token) avant l'appel au transporteur pour qu'un double clic
+-- ou deux admins n'achètent pas deux étiquettes
+-- ============================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS label_claim_token UUID,
+ADD COLUMN IF NOT EXISTS label_claimed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN orders.label_claim_token IS 'Génération d''étiquette en cours (réservation levée à l''enregistrement ou en cas d''échec)';
@@ -0,0 +1,11 @@
+-- ============================================
+-- MIGRATION : Code transporteur pour le suivi
+-- shipping_carrier est le nom affiché (« DHL Express ») ; le suivi Shippo
+-- attend le code du transporteur (« dhl_express »), enregistré à l'achat
+-- de l'étiquette
+-- ============================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS shipping_carrier_token VARCHAR(50);
+
+COMMENT ON COLUMN orders.shipping_carrier_token IS 'Code transporteur Shippo (suivi) ; NULL pour les commandes antérieures (déduit de shipping_carrier)';
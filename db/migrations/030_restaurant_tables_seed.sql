@@ -0,0 +1,22 @@
+-- ============================================
+-- MIGRATION : Plan de salle par défaut
+-- Sans table, toute réservation de table était refusée (409) jusqu'à la
+-- saisie manuelle du plan : plan initial, uniquement si aucune table
+-- n'existe (modifiable ensuite dans l'admin)
+-- ============================================
+
+INSERT INTO restaurant_tables (name, seats, min_seats, zone, display_order)
+SELECT name, seats, min_seats, zone, display_order
+FROM (VALUES
+  ('T1', 2, 1, 'Salle', 1),
+  ('T2', 2, 1, 'Salle', 2),
+  ('T3', 2, 1, 'Salle', 3),
+  ('T4', 2, 1, 'Salle', 4),
+  ('T5', 4, 2, 'Salle', 5),
+  ('T6', 4, 2, 'Salle', 6),
+  ('T7', 4, 2, 'Salle', 7),
+  ('T8', 4, 2, 'Salle', 8),
+  ('T9', 6, 3, 'Salle', 9),
+  ('T10', 8, 5, 'Salle', 10)
+) AS seed(name, seats, min_seats, zone, display_order)
+WHERE NOT EXISTS (SELECT 1 FROM restaurant_tables);
@@ -0,0 +1,210 @@
+/**
+ * Job - Relance des paniers abandonnés
+ * Détecte les paniers d'utilisateurs identifiés inactifs depuis un délai configurable
+ * et envoie un email de relance (avec coupon à usage unique optionnel)
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../database/db');
+const { sendEmail, checkUserEmailPreferences } = require('../services/emailService');
+const { abandonedCartEmail } = require('../templates/emails');
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const getRecoveryConfig = () => ({
+  idleHours: parseInt(process.env.ABANDONED_CART_IDLE_HOURS, 10) || 24,
+  // Paniers plus anciens ignorés (évite de relancer tout l'historique au déploiement)
+  maxAgeDays: parseInt(process.env.ABANDONED_CART_MAX_AGE_DAYS, 10) || 7,
+  // 0 = pas de coupon
+  couponPercent: parseFloat(process.env.ABANDONED_CART_COUPON_PERCENT) || 0,
+  couponValidDays: parseInt(process.env.ABANDONED_CART_COUPON_VALID_DAYS, 10) || 7,
+});
+
+// ============================================
+// HELPER: Coupon à usage unique
+// ============================================
+/**
+ * Créer un coupon de relance utilisable une seule fois
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} config - { couponPercent, couponValidDays }
+ * @returns {Promise<Object>} Ligne coupons { id, code, discount_value, valid_to }
+ */
+const createRecoveryCoupon = async (client, { couponPercent, couponValidDays }) => {
+  const code = `RELANCE-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const validTo = new Date();
+  validTo.setDate(validTo.getDate() + couponValidDays);
+
+  const result = await client.query(
+    `INSERT INTO coupons (
+      code, description, discount_type, discount_value,
+      usage_limit, usage_limit_per_user, valid_from, valid_to, is_active
+    ) VALUES ($1, $2, 'percentage', $3, 1, 1, NOW(), $4, true)
+    RETURNING id, code, discount_value, valid_to`,
+    [code, 'Relance panier abandonné', couponPercent, validTo]
+  );
+
+  return result.rows[0];
+};
+
+// ============================================
+// RECOVER ONE CART
+// ============================================
+/**
+ * Envoyer la relance d'un panier abandonné
+ * Le coupon et la relance sont enregistrés dans une transaction courte, l'email
+ * part après le COMMIT (aucune connexion ni verrou pendant l'appel réseau).
+ * Si l'envoi échoue, la relance est supprimée (nouvel essai au prochain passage)
+ * et le coupon désactivé
+ * @param {Object} cart - Panier { id, user_id, email, name, metadata }
+ * @param {Object} config - Configuration de relance
+ * @returns {Promise<boolean>} true si l'email a été envoyé
+ */
+const recoverCart = async (cart, config) => {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  let items;
+  let cartTotal;
+  let coupon;
+  let recoveryId;
+
+  try {
+    await client.query('BEGIN');
+
+    const itemsResult = await client.query(
+      `SELECT ci.quantity, ci.price_snapshot, p.name
+       FROM cart_items ci
+       JOIN products p ON ci.product_id = p.id
+       WHERE ci.cart_id = $1
+       ORDER BY ci.added_at ASC`,
+      [cart.id]
+    );
+
+    items = itemsResult.rows.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      total: (parseFloat(item.price_snapshot) * item.quantity).toFixed(2),
+    }));
+    cartTotal = items.reduce((sum, item) => sum + parseFloat(item.total), 0);
+
+    coupon = config.couponPercent > 0 ? await createRecoveryCoupon(client, config) : null;
+
+    const recoveryResult = await client.query(
+      `INSERT INTO cart_recovery_emails (cart_id, user_id, email, cart_total, coupon_id, coupon_code)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [cart.id, cart.user_id, cart.email, cartTotal, coupon?.id || null, coupon?.code || null]
+    );
+    recoveryId = recoveryResult.rows[0].id;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const metadata = cart.metadata || {};
+  const firstname = metadata.firstname || (cart.name || '').split(' ')[0] || '';
+
+  let result;
+  try {
+    result = await sendEmail({
+      to: cart.email,
+      toName: firstname,
+      subject: 'Votre panier vous attend - LE SAGE DEV',
+      html: abandonedCartEmail({
+        firstname,
+        items,
+        cart_total: cartTotal.toFixed(2),
+        currency: 'EUR',
+        coupon_code: coupon?.code,
+        coupon_value: coupon ? `${parseFloat(coupon.discount_value)} %` : null,
+        coupon_expires: coupon ? new Date(coupon.valid_to).toLocaleDateString('fr-FR') : null,
+        cart_url: `${frontendUrl}/cart`,
+      }),
+      emailType: 'abandoned_cart',
+      userId: cart.user_id,
+      context: { cart_id: cart.id, coupon_code: coupon?.code || null },
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success) {
+    await pool.query('DELETE FROM cart_recovery_emails WHERE id = $1', [recoveryId]);
+    if (coupon) {
+      await pool.query('UPDATE coupons SET is_active = false WHERE id = $1', [coupon.id]);
+    }
+    return false;
+  }
+
+  return true;
+};
+
+// ============================================
+// PROCESS ABANDONED CARTS
+// ============================================
+/**
+ * Relancer les paniers abandonnés (une relance par période d'inactivité)
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {number} [options.limit] - Nombre max de paniers par passage
+ * @returns {Promise<Object>} { sent, skipped, errors }
+ */
+const processAbandonedCarts = async ({ db = getPool(), limit = 50 } = {}) => {
+  const config = getRecoveryConfig();
+  const summary = { sent: 0, skipped: 0, errors: 0 };
+
+  const cartsResult = await db.query(
+    `SELECT c.id, c.user_id, u.email, u.name, u.metadata
+     FROM carts c
+     JOIN users u ON c.user_id = u.id
+     WHERE (c.expires_at IS NULL OR c.expires_at > NOW())
+       AND c.updated_at <= NOW() - make_interval(hours => $1)
+       AND c.updated_at > NOW() - make_interval(days => $2)
+       AND EXISTS (SELECT 1 FROM cart_items ci WHERE ci.cart_id = c.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM cart_recovery_emails r
+         WHERE r.cart_id = c.id AND r.sent_at >= c.updated_at
+       )
+     ORDER BY c.updated_at ASC
+     LIMIT $3`,
+    [config.idleHours, config.maxAgeDays, limit]
+  );
+
+  for (const cart of cartsResult.rows) {
+    try {
+      const allowed = await checkUserEmailPreferences(cart.user_id, 'abandoned_cart');
+
+      if (!allowed) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (await recoverCart(cart, config)) {
+        summary.sent++;
+      } else {
+        summary.errors++;
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Relance panier ${cart.id}:`, error.message);
+    }
+  }
+
+  if (summary.sent > 0 || summary.errors > 0) {
+    console.log(`🛒 Paniers abandonnés : ${summary.sent} relance(s), ${summary.skipped} ignoré(s), ${summary.errors} erreur(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  processAbandonedCarts,
+  recoverCart,
+};
@@ -0,0 +1,291 @@
+/**
+ * Job - Communications automatiques aux clients de l'hôtel
+ * Email N jours avant l'arrivée (options et bien-être à ajouter), message le jour
+ * d'arrivée, remerciement après le départ avec demande d'avis (testimonials)
+ * Chaque message est envoyé une seule fois par séjour (hotel_guest_messages)
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../database/db');
+const { sendEmail, checkUserEmailPreferences } = require('../services/emailService');
+const {
+  hotelPreArrivalEmail,
+  hotelCheckInDayEmail,
+  hotelPostStayEmail,
+} = require('../templates/emails');
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Séjours sans message : annulés, expirés, acompte non payé, client absent
+const EXCLUDED_STATUSES = ['cancelled', 'expired', 'pending_payment', 'no_show'];
+
+// Échecs d'envoi retentés au passage suivant jusqu'à ce nombre de tentatives
+const MAX_ATTEMPTS = 3;
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const getMessagesConfig = () => ({
+  preArrivalDays: parseInt(process.env.HOTEL_PRE_ARRIVAL_DAYS, 10) || 3,
+  postStayDelayDays: parseInt(process.env.HOTEL_POST_STAY_DELAY_DAYS, 10) || 1,
+  // Départs plus anciens ignorés (évite d'écrire à tout l'historique au déploiement)
+  postStayMaxDays: parseInt(process.env.HOTEL_POST_STAY_MAX_DAYS, 10) || 7,
+});
+
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// ============================================
+// SÉLECTION DES SÉJOURS
+// ============================================
+/**
+ * Séjours à qui envoyer un type de message
+ * @param {Object} db - Pool pg
+ * @param {string} messageType - pre_arrival | check_in_day | post_stay
+ * @param {string} dateCondition - Condition SQL sur r.check_in_date / r.check_out_date ($1 = aujourd'hui)
+ * @param {Array} params - Paramètres à partir de $4
+ * @param {number} limit
+ */
+const findReservations = async (db, messageType, dateCondition, params, limit) => {
+  const result = await db.query(
+    `SELECT r.*, rt.name as room_type_name, ro.room_number, to_jsonb(h) as hotel,
+       COALESCE(r.user_id, (SELECT u.id FROM users u WHERE LOWER(u.email) = LOWER(r.guest_email) LIMIT 1)) as preference_user_id
+     FROM room_reservations r
+     JOIN room_types rt ON r.room_type_id = rt.id
+     JOIN hotels h ON r.hotel_id = h.id
+     LEFT JOIN rooms ro ON r.room_id = ro.id
+     WHERE r.status <> ALL($2)
+       AND ${dateCondition}
+       AND NOT EXISTS (
+         SELECT 1 FROM hotel_guest_messages m
+         WHERE m.room_reservation_id = r.id AND m.message_type = $3
+           AND (m.status IN ('sent', 'skipped') OR m.attempts >= ${MAX_ATTEMPTS})
+       )
+     ORDER BY r.check_in_date ASC
+     LIMIT ${parseInt(limit, 10)}`,
+    [params.today, EXCLUDED_STATUSES, messageType, ...params.extra]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Enregistrer le résultat d'un message (une ligne par séjour et par type)
+ */
+const recordMessage = async (db, reservationId, messageType, { status, logId = null, error = null }) => {
+  await db.query(
+    `INSERT INTO hotel_guest_messages (room_reservation_id, message_type, status, email_log_id, error_message)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (room_reservation_id, message_type) DO UPDATE
+     SET status = EXCLUDED.status,
+         attempts = hotel_guest_messages.attempts + 1,
+         email_log_id = EXCLUDED.email_log_id,
+         error_message = EXCLUDED.error_message`,
+    [reservationId, messageType, status, logId, error]
+  );
+};
+
+// ============================================
+// CONTENU DES MESSAGES
+// ============================================
+/**
+ * Options et soins proposés avant l'arrivée (hors options déjà réservées)
+ */
+const getUpsells = async (db, reservation) => {
+  const amenitiesResult = await db.query(
+    `SELECT a.name, a.description, a.price, a.price_type
+     FROM amenities a
+     WHERE a.hotel_id = $1 AND a.is_active = true
+       AND NOT EXISTS (
+         SELECT 1 FROM reservation_add_ons ra
+         WHERE ra.room_reservation_id = $2 AND ra.amenity_id = a.id
+       )
+     ORDER BY a.display_order, a.name
+     LIMIT 4`,
+    [reservation.hotel_id, reservation.id]
+  );
+
+  const wellnessResult = await db.query(
+    `SELECT * FROM wellness_services
+     WHERE hotel_id = $1 AND is_active = true
+     ORDER BY display_order, name
+     LIMIT 3`,
+    [reservation.hotel_id]
+  );
+
+  return {
+    amenities: amenitiesResult.rows.map((amenity) => ({
+      name: amenity.name,
+      description: amenity.description,
+      price: amenity.price != null ? Number(amenity.price).toFixed(2) : null,
+      price_label: amenity.price_type === 'per_night' ? 'par nuit' : null,
+    })),
+    wellness: wellnessResult.rows.map((service) => ({
+      name: service.name,
+      description: service.description,
+      price: service.price != null ? Number(service.price).toFixed(2) : null,
+    })),
+  };
+};
+
+/**
+ * Lien d'avis du séjour (jeton créé au premier envoi)
+ */
+const getReviewUrl = async (db, reservation) => {
+  const result = await db.query(
+    `UPDATE room_reservations SET review_token = COALESCE(review_token, $1)
+     WHERE id = $2
+     RETURNING review_token`,
+    [crypto.randomBytes(24).toString('hex'), reservation.id]
+  );
+
+  return `${frontendUrl}/hotel/review?token=${result.rows[0].review_token}`;
+};
+
+const MESSAGES = {
+  pre_arrival: {
+    emailType: 'hotel_pre_arrival',
+    subject: (r) => `Votre séjour du ${new Date(r.check_in_date).toLocaleDateString('fr-FR')} approche`,
+    html: async (db, r, today) => {
+      const { amenities, wellness } = await getUpsells(db, r);
+      const daysBefore = Math.round((new Date(`${toDateKey(r.check_in_date)}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+      return hotelPreArrivalEmail({
+        firstname: r.guest_firstname,
+        hotel_name: r.hotel?.name,
+        room_type_name: r.room_type_name,
+        check_in_date: r.check_in_date,
+        check_out_date: r.check_out_date,
+        nights: r.nights,
+        days_before: daysBefore,
+        amenities,
+        wellness,
+        currency: (r.currency || 'EUR').toUpperCase(),
+        hotel_url: `${frontendUrl}/hotel`,
+      });
+    },
+  },
+  check_in_day: {
+    emailType: 'hotel_check_in_day',
+    subject: () => 'Votre chambre vous attend aujourd\'hui',
+    html: async (db, r) => hotelCheckInDayEmail({
+      firstname: r.guest_firstname,
+      hotel_name: r.hotel?.name,
+      room_type_name: r.room_type_name,
+      room_number: r.room_number,
+      check_in_time: r.hotel?.check_in_time ? String(r.hotel.check_in_time).slice(0, 5) : null,
+      check_out_date: r.check_out_date,
+      address: r.hotel?.address,
+      phone: r.hotel?.phone,
+    }),
+  },
+  post_stay: {
+    emailType: 'hotel_post_stay',
+    subject: () => 'Merci pour votre séjour - votre avis nous intéresse',
+    html: async (db, r) => hotelPostStayEmail({
+      firstname: r.guest_firstname,
+      hotel_name: r.hotel?.name,
+      check_in_date: r.check_in_date,
+      check_out_date: r.check_out_date,
+      review_url: await getReviewUrl(db, r),
+    }),
+  },
+};
+
+// ============================================
+// SEND ONE MESSAGE
+// ============================================
+/**
+ * Envoyer un message à un séjour (préférences email respectées, envoi journalisé)
+ * @param {Object} db - Pool pg
+ * @param {Object} reservation - Séjour (voir findReservations)
+ * @param {string} messageType - pre_arrival | check_in_day | post_stay
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Promise<string>} sent | skipped | failed
+ */
+const sendGuestMessage = async (db, reservation, messageType, today) => {
+  const message = MESSAGES[messageType];
+
+  if (reservation.preference_user_id) {
+    const allowed = await checkUserEmailPreferences(reservation.preference_user_id, message.emailType);
+    if (!allowed) {
+      await recordMessage(db, reservation.id, messageType, { status: 'skipped' });
+      return 'skipped';
+    }
+  }
+
+  const result = await sendEmail({
+    to: reservation.guest_email,
+    toName: `${reservation.guest_firstname} ${reservation.guest_lastname}`,
+    subject: message.subject(reservation),
+    html: await message.html(db, reservation, today),
+    emailType: message.emailType,
+    userId: reservation.user_id || null,
+    context: { room_reservation_id: reservation.id, message_type: messageType },
+    variables: { firstname: reservation.guest_firstname },
+  });
+
+  const status = result.success ? 'sent' : 'failed';
+  await recordMessage(db, reservation.id, messageType, {
+    status,
+    logId: result.logId || null,
+    error: result.success ? null : result.error,
+  });
+
+  return status;
+};
+
+// ============================================
+// PROCESS GUEST MESSAGES
+// ============================================
+/**
+ * Envoyer les messages dus (avant l'arrivée, jour d'arrivée, après le séjour)
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {Date} [options.now]
+ * @param {number} [options.limit] - Nombre max de séjours par type et par passage
+ * @returns {Promise<Object>} { sent, skipped, errors }
+ */
+const processGuestMessages = async ({ db = getPool(), now = new Date(), limit = 50 } = {}) => {
+  const config = getMessagesConfig();
+  const today = toDateKey(now);
+  const summary = { sent: 0, skipped: 0, errors: 0 };
+
+  const batches = [
+    // Arrivée dans 1 à N jours (rattrape un passage manqué)
+    ['pre_arrival', 'r.check_in_date > $1::date AND r.check_in_date <= $1::date + $4::int', [config.preArrivalDays]],
+    ['check_in_day', 'r.check_in_date = $1::date', []],
+    // Après le séjour : clients réellement partis uniquement (lien d'avis)
+    ['post_stay', `r.status = 'checked_out'
+       AND r.check_out_date <= $1::date - $4::int AND r.check_out_date > $1::date - $4::int - $5::int`,
+      [config.postStayDelayDays, config.postStayMaxDays]],
+  ];
+
+  for (const [messageType, dateCondition, extra] of batches) {
+    const reservations = await findReservations(db, messageType, dateCondition, { today, extra }, limit);
+
+    for (const reservation of reservations) {
+      try {
+        const status = await sendGuestMessage(db, reservation, messageType, today);
+        if (status === 'sent') summary.sent++;
+        else if (status === 'skipped') summary.skipped++;
+        else summary.errors++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Message ${messageType} séjour ${reservation.id}:`, error.message);
+      }
+    }
+  }
+
+  if (summary.sent > 0 || summary.errors > 0) {
+    console.log(`🏨 Messages clients : ${summary.sent} envoyé(s), ${summary.skipped} ignoré(s), ${summary.errors} erreur(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  processGuestMessages,
+  sendGuestMessage,
+};
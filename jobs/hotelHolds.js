@@ -0,0 +1,53 @@
+/**
+ * Job - Libération des séjours non payés
+ * Les séjours en attente d'acompte (pending_payment) dont le délai est dépassé
+ * passent au statut "expired" : la chambre redevient disponible
+ */
+
+const { getPool } = require('../database/db');
+const { cancelPaymentIntent } = require('../services/stripeService');
+
+// ============================================
+// RELEASE EXPIRED HOLDS
+// ============================================
+/**
+ * Expirer les séjours dont l'acompte n'a pas été payé à temps
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {Function} [options.cancelIntent] - Annulation du PaymentIntent (défaut : Stripe)
+ * @returns {Promise<Object>} { released, errors }
+ */
+const releaseExpiredHolds = async ({ db = getPool(), cancelIntent = cancelPaymentIntent } = {}) => {
+  const summary = { released: 0, errors: 0 };
+
+  const result = await db.query(
+    `UPDATE room_reservations
+     SET status = 'expired', payment_status = 'expired', hold_expires_at = NULL
+     WHERE status = 'pending_payment' AND hold_expires_at < NOW()
+     RETURNING id, payment_intent_id`
+  );
+
+  summary.released = result.rows.length;
+
+  // Empêcher un paiement tardif (un paiement déjà en cours est géré par le webhook)
+  for (const reservation of result.rows) {
+    if (!reservation.payment_intent_id) continue;
+
+    try {
+      await cancelIntent(reservation.payment_intent_id);
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Annulation acompte séjour ${reservation.id}:`, error.message);
+    }
+  }
+
+  if (summary.released > 0) {
+    console.log(`🏨 Séjours non payés : ${summary.released} libéré(s), ${summary.errors} erreur(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  releaseExpiredHolds,
+};
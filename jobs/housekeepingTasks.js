@@ -0,0 +1,31 @@
+/**
+ * Job - Tâches de ménage du jour
+ * Crée chaque jour les tâches de départ et de recouche des chambres
+ * (sans doublon : les passages suivants ne créent que les tâches manquantes)
+ */
+
+const { getPool } = require('../database/db');
+const { generateDailyTasks } = require('../services/housekeepingService');
+
+// ============================================
+// GENERATE HOUSEKEEPING TASKS
+// ============================================
+/**
+ * Générer les tâches du jour pour tous les hôtels
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @returns {Promise<Object>} { date, checkout, stayover }
+ */
+const generateHousekeepingTasks = async ({ db = getPool() } = {}) => {
+  const summary = await generateDailyTasks(db);
+
+  if (summary.checkout > 0 || summary.stayover > 0) {
+    console.log(`🧹 Ménage du ${summary.date} : ${summary.checkout} départ(s), ${summary.stayover} recouche(s) ajouté(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  generateHousekeepingTasks,
+};
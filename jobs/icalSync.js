@@ -0,0 +1,31 @@
+/**
+ * Job - Synchronisation des calendriers iCal externes
+ * Importe les calendriers des sites de réservation (Booking, Airbnb...)
+ * en blocages de chambres ; les conflits créent une alerte admin
+ */
+
+const { getPool } = require('../database/db');
+const { syncAllFeeds } = require('../services/hotelIcalService');
+
+// ============================================
+// SYNC ICAL FEEDS
+// ============================================
+/**
+ * Synchroniser les calendriers actifs ayant une URL
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @returns {Promise<Object>} { feeds, synced, conflicts, errors }
+ */
+const syncIcalFeeds = async ({ db = getPool() } = {}) => {
+  const summary = await syncAllFeeds({ db });
+
+  if (summary.feeds > 0) {
+    console.log(`📅 Calendriers iCal : ${summary.synced}/${summary.feeds} synchronisé(s), ${summary.conflicts} conflit(s), ${summary.errors} erreur(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  syncIcalFeeds,
+};
@@ -0,0 +1,103 @@
+/**
+ * Jobs périodiques
+ * Démarrés par server.js (désactivables avec ENABLE_JOBS=false,
+ * ex : plusieurs instances derrière un load balancer)
+ */
+
+const { syncTracking } = require('./trackingSync');
+const { processAbandonedCarts } = require('./abandonedCarts');
+const { releaseExpiredHolds } = require('./hotelHolds');
+const { syncIcalFeeds } = require('./icalSync');
+const { processGuestMessages } = require('./guestMessages');
+const { generateHousekeepingTasks } = require('./housekeepingTasks');
+const { pruneEvents } = require('./realtimeEvents');
+
+// ============================================
+// REGISTRE DES JOBS
+// ============================================
+const JOBS = [
+  {
+    name: 'tracking-sync',
+    intervalMinutes: parseInt(process.env.TRACKING_SYNC_INTERVAL_MINUTES, 10) || 60,
+    run: () => syncTracking(),
+  },
+  {
+    name: 'abandoned-carts',
+    intervalMinutes: parseInt(process.env.ABANDONED_CART_INTERVAL_MINUTES, 10) || 60,
+    run: () => processAbandonedCarts(),
+  },
+  {
+    name: 'hotel-holds',
+    intervalMinutes: parseInt(process.env.HOTEL_HOLD_SWEEP_INTERVAL_MINUTES, 10) || 5,
+    run: () => releaseExpiredHolds(),
+  },
+  {
+    name: 'ical-sync',
+    intervalMinutes: parseInt(process.env.HOTEL_ICAL_SYNC_INTERVAL_MINUTES, 10) || 30,
+    run: () => syncIcalFeeds(),
+  },
+  {
+    name: 'guest-messages',
+    intervalMinutes: parseInt(process.env.HOTEL_GUEST_MESSAGES_INTERVAL_MINUTES, 10) || 60,
+    run: () => processGuestMessages(),
+  },
+  {
+    name: 'housekeeping-tasks',
+    intervalMinutes: parseInt(process.env.HOTEL_HOUSEKEEPING_INTERVAL_MINUTES, 10) || 60,
+    run: () => generateHousekeepingTasks(),
+  },
+  {
+    name: 'realtime-events',
+    intervalMinutes: parseInt(process.env.REALTIME_PRUNE_INTERVAL_MINUTES, 10) || 60,
+    run: () => pruneEvents(),
+  },
+];
+
+const timers = [];
+
+/**
+ * Exécuter un job en évitant les chevauchements
+ */
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name}:`, error.message);
+  } finally {
+    job.running = false;
+  }
+};
+
+// ============================================
+// START / STOP
+// ============================================
+const startJobs = () => {
+  if (process.env.ENABLE_JOBS === 'false') {
+    console.log('⏸️  Jobs périodiques désactivés (ENABLE_JOBS=false)');
+    return;
+  }
+
+  JOBS.forEach((job) => {
+    const timer = setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+    // Ne pas empêcher l'arrêt du process
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`⏱️  ${JOBS.length} job(s) périodique(s) démarré(s)`);
+};
+
+const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,31 @@
+/**
+ * Job - Purge des événements temps réel
+ * Le journal ne sert qu'au rejeu après reconnexion (Last-Event-ID)
+ */
+
+const { getPool } = require('../database/db');
+const { pruneRealtimeEvents } = require('../services/realtimeService');
+
+// ============================================
+// PRUNE REALTIME EVENTS
+// ============================================
+/**
+ * Supprimer les événements plus anciens que la durée de conservation
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @returns {Promise<number>} Événements supprimés
+ */
+const pruneEvents = async ({ db = getPool() } = {}) => {
+  const retentionHours = parseInt(process.env.REALTIME_EVENTS_RETENTION_HOURS, 10) || 24;
+  const deleted = await pruneRealtimeEvents({ db, retentionHours });
+
+  if (deleted > 0) {
+    console.log(`📡 ${deleted} événement(s) temps réel purgé(s)`);
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  pruneEvents,
+};
@@ -0,0 +1,109 @@
+/**
+ * Job - Synchronisation du suivi des colis
+ * Interroge le transporteur pour les commandes expédiées
+ * et passe les commandes livrées au statut "delivered"
+ */
+
+const { getPool } = require('../database/db');
+const { getCarrierAdapter, getTrackingInfo } = require('../services/shippingService');
+
+// ============================================
+// SYNC ONE ORDER
+// ============================================
+/**
+ * Mettre à jour le suivi d'une commande expédiée
+ * Passe par l'adaptateur transporteur courant (voir setCarrierAdapter)
+ * @param {Object} order - Ligne orders (tracking_number, shipping_carrier_token, shipping_carrier)
+ * @param {Object} options
+ * @param {Object} options.db - Pool ou client pg
+ * @returns {Promise<Object>} { orderId, trackingStatus, delivered }
+ */
+const syncOrderTracking = async (order, { db }) => {
+  const tracking = await getTrackingInfo(
+    order.tracking_number,
+    order.shipping_carrier_token || order.shipping_carrier
+  );
+
+  if (tracking.status !== 'DELIVERED') {
+    await db.query(
+      `UPDATE orders
+       SET tracking_status = $1, tracking_checked_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [tracking.status, order.id]
+    );
+    return { orderId: order.id, trackingStatus: tracking.status, delivered: false };
+  }
+
+  // Livrée : la condition sur le statut évite un double passage concurrent
+  const result = await db.query(
+    `UPDATE orders
+     SET status = 'delivered',
+         shipping_status = 'delivered',
+         tracking_status = 'DELIVERED',
+         delivered_at = COALESCE($1::timestamptz, NOW()),
+         tracking_checked_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $2 AND status = 'shipped'
+     RETURNING id`,
+    [tracking.statusDate || null, order.id]
+  );
+
+  if (result.rows.length > 0) {
+    await db.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, comment)
+       VALUES ($1, 'shipped', 'delivered', $2)`,
+      [order.id, `Livraison confirmée par le transporteur (${order.shipping_carrier})`]
+    );
+  }
+
+  return { orderId: order.id, trackingStatus: 'DELIVERED', delivered: result.rows.length > 0 };
+};
+
+// ============================================
+// SYNC ALL SHIPPED ORDERS
+// ============================================
+/**
+ * Synchroniser le suivi des commandes expédiées (les moins récemment vérifiées d'abord)
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {number} [options.limit] - Nombre max de commandes par passage
+ * @returns {Promise<Object>} { checked, delivered, errors }
+ */
+const syncTracking = async ({ db = getPool(), limit = 50 } = {}) => {
+  const summary = { checked: 0, delivered: 0, errors: 0 };
+
+  if (!getCarrierAdapter()) {
+    return summary;
+  }
+
+  const ordersResult = await db.query(
+    `SELECT id, order_number, tracking_number, shipping_carrier, shipping_carrier_token
+     FROM orders
+     WHERE status = 'shipped' AND tracking_number IS NOT NULL AND shipping_carrier IS NOT NULL
+     ORDER BY tracking_checked_at ASC NULLS FIRST
+     LIMIT $1`,
+    [limit]
+  );
+
+  for (const order of ordersResult.rows) {
+    try {
+      const result = await syncOrderTracking(order, { db });
+      summary.checked++;
+      if (result.delivered) summary.delivered++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Suivi colis ${order.order_number}:`, error.message);
+    }
+  }
+
+  if (summary.checked > 0 || summary.errors > 0) {
+    console.log(`📦 Suivi colis : ${summary.checked} vérifiée(s), ${summary.delivered} livrée(s), ${summary.errors} erreur(s)`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  syncTracking,
+  syncOrderTracking,
+};
@@ -0,0 +1,103 @@
+/**
+ * Middleware - Établissement d'une requête hôtel
+ * Public : hotel_id, slug (?hotel=) ou nom de domaine, sinon hôtel par défaut
+ * Admin / personnel : hotel_id demandé (ou "all" pour les rapports), limité
+ * aux établissements rattachés pour le personnel
+ */
+
+const { getPool } = require('../database/db');
+const { resolveHotel, getAccessibleHotelIds } = require('../services/hotelPropertyService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Routes publiques : req.hotel / req.hotelId (null si aucun établissement résolu)
+ */
+const resolvePublicHotel = async (req, res, next) => {
+  try {
+    const hotel = await resolveHotel(req.app.locals.pool || getPool(), {
+      hotelId: req.query.hotel_id || req.body?.hotel_id || null,
+      slug: req.query.hotel || null,
+      hostname: req.hostname,
+    });
+    req.hotel = hotel;
+    req.hotelId = hotel ? hotel.id : null;
+    next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('❌ Résolution hôtel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
+/**
+ * Routes admin / personnel (après requireAuth + requireAdmin ou requireStaff)
+ * req.hotelId : établissement demandé ou par défaut (null si aucun, ou "all")
+ * req.hotelIds : établissements accessibles (null = tous, admin)
+ * req.allHotels : true si hotel_id=all (rapports consolidés)
+ */
+const scopeHotel = async (req, res, next) => {
+  const pool = req.app.locals.pool || getPool();
+  const requested = req.query.hotel_id || req.body?.hotel_id || null;
+
+  try {
+    const hotelIds = await getAccessibleHotelIds(pool, { userId: req.userId, role: req.userRole });
+    req.hotelIds = hotelIds;
+    req.allHotels = requested === 'all';
+    req.hotelId = null;
+
+    if (req.allHotels) return next();
+
+    if (requested) {
+      if (!UUID_PATTERN.test(requested)) {
+        return res.status(400).json({ error: 'hotel_id invalide' });
+      }
+      const result = await pool.query('SELECT id FROM hotels WHERE id = $1', [requested]);
+      if (!result.rows[0]) return res.status(404).json({ error: 'Hôtel non trouvé' });
+      req.hotelId = requested;
+    } else {
+      const hotel = await resolveHotel(pool);
+      req.hotelId = hotel ? hotel.id : null;
+      // Personnel rattaché à un seul établissement : celui-ci par défaut
+      if (hotelIds && hotelIds.length === 1 && (!req.hotelId || !hotelIds.includes(req.hotelId))) {
+        req.hotelId = hotelIds[0];
+      }
+    }
+
+    if (req.hotelId && hotelIds && !hotelIds.includes(req.hotelId)) {
+      return res.status(403).json({ error: 'Accès non autorisé à cet établissement' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Périmètre hôtel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
+/**
+ * Exiger un établissement précis (après scopeHotel)
+ */
+const requireHotel = (req, res, next) => {
+  if (!req.hotelId) {
+    return res.status(400).json({ error: 'hotel_id requis (aucun établissement par défaut)' });
+  }
+  next();
+};
+
+/**
+ * Exiger un établissement précis ou hotel_id=all (rapports consolidés)
+ */
+const requireHotelOrAll = (req, res, next) => {
+  if (!req.hotelId && !req.allHotels) {
+    return res.status(400).json({ error: 'hotel_id requis (identifiant ou "all")' });
+  }
+  next();
+};
+
+module.exports = {
+  resolvePublicHotel,
+  scopeHotel,
+  requireHotel,
+  requireHotelOrAll,
+};
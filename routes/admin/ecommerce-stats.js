@@ -24,6 +24,12 @@ const defaultStats = () => ({
   lastMonthRevenue: 0,
   currentMonthOrders: 0,
   lastMonthOrders: 0,
+  cartRecovery: {
+    emailsSent: 0,
+    conversions: 0,
+    recoveryRate: 0,
+    recoveredRevenue: 0,
+  },
 });
 
 // Exécuter toutes les requêtes stats en parallèle (résilient aux tables manquantes)
@@ -48,6 +54,7 @@ async function getStats() {
       lastMonthRevenueResult,
       currentMonthOrdersResult,
       lastMonthOrdersResult,
+      cartRecoveryResult,
     ] = await Promise.all([
       db.query('SELECT COUNT(*) as count FROM orders'),
       db.query('SELECT COALESCE(SUM(total_amount), 0) as total FROM orders WHERE payment_status = $1', ['paid']),
@@ -77,6 +84,11 @@ async function getStats() {
         'SELECT COUNT(*) as count FROM orders WHERE created_at >= $1 AND created_at <= $2',
         [lastMonthStart, lastMonthEnd]
       ),
+      db.query(
+        `SELECT COUNT(*) as sent, COUNT(converted_at) as converted,
+                COALESCE(SUM(converted_amount), 0) as revenue
+         FROM cart_recovery_emails`
+      ).catch(() => ({ rows: [{ sent: '0', converted: '0', revenue: '0' }] })),
     ]);
 
     const totalOrders = parseInt(totalOrdersResult.rows[0]?.count || 0, 10);
@@ -94,6 +106,9 @@ async function getStats() {
     const currentMonthOrders = parseInt(currentMonthOrdersResult.rows[0]?.count || 0, 10);
     const lastMonthOrders = parseInt(lastMonthOrdersResult.rows[0]?.count || 0, 10);
 
+    const recoveryEmailsSent = parseInt(cartRecoveryResult.rows[0]?.sent || 0, 10);
+    const recoveryConversions = parseInt(cartRecoveryResult.rows[0]?.converted || 0, 10);
+
     const revenueGrowth = lastMonthRevenue > 0
       ? parseFloat((((currentMonthRevenue - lastMonthRevenue) / lastMonthRevenue) * 100).toFixed(1))
       : 0;
@@ -116,6 +131,14 @@ async function getStats() {
       lastMonthRevenue,
       currentMonthOrders,
       lastMonthOrders,
+      cartRecovery: {
+        emailsSent: recoveryEmailsSent,
+        conversions: recoveryConversions,
+        recoveryRate: recoveryEmailsSent > 0
+          ? parseFloat(((recoveryConversions / recoveryEmailsSent) * 100).toFixed(1))
+          : 0,
+        recoveredRevenue: parseFloat(cartRecoveryResult.rows[0]?.revenue || 0),
+      },
     };
   } catch (err) {
     console.error('getStats error:', err.message || err);
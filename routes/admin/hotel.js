@@ -3,10 +3,27 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../../middleware/auths');
 const { getPool } = require('../../database/db');
+const { OUT_OF_SERVICE_STATUSES, getFreeRooms, reassignRoom } = require('../../services/hotelInventoryService');
+const { DEPOSIT_POLICIES } = require('../../services/hotelPaymentService');
+const { generateIcalToken, importFeed, syncFeed } = require('../../services/hotelIcalService');
+const { uploadMiddleware } = require('../../middleware/fileUpload');
+const { buildKpiReport, buildPortfolioReport, kpiReportToCsv } = require('../../services/hotelReportService');
+const { getActiveHotels, clearHotelCache, setHotelStaff } = require('../../services/hotelPropertyService');
+const { scopeHotel, requireHotel, requireHotelOrAll } = require('../../middleware/hotelScope');
+const { getRestaurantDateKey, addDaysToDateKey } = require('../../utils/restaurantTime');
+const {
+  EXTRA_CHARGE_CATEGORIES,
+  PAYMENT_METHODS,
+  getFolio,
+  checkIn,
+  postCharge,
+  voidCharge,
+  checkOut,
+  buildInvoice,
+} = require('../../services/hotelFrontDeskService');
 
-const DEFAULT_HOTEL_ID = process.env.DEFAULT_HOTEL_ID || 'b2178a5e-9a4f-4c8d-9e1b-2a3c4d5e6f70';
-
-router.use(requireAuth, requireAdmin);
+// Établissement : ?hotel_id= (ou hotel_id du body), sinon hôtel par défaut ; "all" pour les rapports
+router.use(requireAuth, requireAdmin, scopeHotel);
 
 const query = (pool, sql, params = []) => pool.query(sql, params).then(r => r.rows);
 const queryOne = (pool, sql, params = []) => pool.query(sql, params).then(r => r.rows[0] || null);
@@ -54,19 +71,172 @@ router.put('/users/:userId/role', async (req, res) => {
   }
 });
 
+// ============================================
+// Établissements (multi-propriétés)
+// ============================================
+function parseHotel(body, partial = false) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name requis' };
+    fields.name = String(body.name).trim();
+  }
+  if (body.slug !== undefined || !partial) {
+    const slug = String(body.slug || '').trim().toLowerCase();
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) return { error: 'slug requis (minuscules, chiffres et tirets)' };
+    fields.slug = slug;
+  }
+  if (body.hostnames !== undefined) {
+    if (!Array.isArray(body.hostnames)) return { error: 'hostnames doit être une liste de noms de domaine' };
+    fields.hostnames = [...new Set(body.hostnames.map(h => String(h).trim().toLowerCase()).filter(Boolean))];
+  }
+  for (const key of ['description', 'address', 'city', 'phone', 'email', 'check_in_time', 'check_out_time']) {
+    if (body[key] !== undefined) fields[key] = body[key] || null;
+  }
+  for (const key of ['country', 'currency']) {
+    if (body[key] !== undefined) fields[key] = body[key] ? String(body[key]).trim().toUpperCase() : null;
+  }
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+  if (body.display_order !== undefined) fields.display_order = parseInt(body.display_order, 10) || 0;
+  return { fields };
+}
+
+// Un nom de domaine ne peut servir qu'un établissement
+async function hostnameConflict(pool, hostnames, hotelId = null) {
+  if (!hostnames || hostnames.length === 0) return null;
+  return queryOne(pool, `
+    SELECT name, hostnames FROM hotels
+    WHERE hostnames && $1::text[] AND ($2::uuid IS NULL OR id <> $2::uuid)
+    LIMIT 1
+  `, [hostnames, hotelId]);
+}
+
+router.get('/hotels', async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotels = await query(pool, `
+      SELECT h.*,
+        (SELECT COUNT(*)::int FROM rooms r WHERE r.hotel_id = h.id) as rooms_count,
+        (SELECT COUNT(*)::int FROM hotel_staff hs WHERE hs.hotel_id = h.id) as staff_count
+      FROM hotels h
+      ORDER BY h.display_order, h.name
+    `);
+    res.json(hotels);
+  } catch (e) {
+    console.error('admin hotels list:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/hotels', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseHotel(req.body);
+    if (error) return res.status(400).json({ error });
+    const conflict = await hostnameConflict(pool, fields.hostnames);
+    if (conflict) return res.status(409).json({ error: `Nom de domaine déjà utilisé par ${conflict.name}` });
+    const columns = Object.keys(fields);
+    const values = Object.values(fields);
+    const r = await queryOne(pool, `
+      INSERT INTO hotels (${columns.join(', ')})
+      VALUES (${values.map((_, idx) => `$${idx + 1}`).join(', ')})
+      RETURNING *
+    `, values);
+    clearHotelCache();
+    res.status(201).json(r);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'Slug déjà utilisé' });
+    console.error('admin hotels create:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.put('/hotels/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseHotel(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return res.status(400).json({ error: 'Aucune mise à jour' });
+    const conflict = await hostnameConflict(pool, fields.hostnames, req.params.id);
+    if (conflict) return res.status(409).json({ error: `Nom de domaine déjà utilisé par ${conflict.name}` });
+    const r = await queryOne(pool, `
+      UPDATE hotels
+      SET ${keys.map((key, idx) => `${key} = $${idx + 1}`).join(', ')}
+      WHERE id = $${keys.length + 1}
+      RETURNING *
+    `, [...Object.values(fields), req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Hôtel non trouvé' });
+    clearHotelCache();
+    res.json(r);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'Slug déjà utilisé' });
+    console.error('admin hotels update:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Désactivation (séjours, factures et historique conservés)
+router.delete('/hotels/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const r = await queryOne(pool, 'UPDATE hotels SET is_active = false WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Hôtel non trouvé' });
+    clearHotelCache();
+    res.json({ success: true });
+  } catch (e) {
+    console.error('admin hotels delete:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Personnel rattaché (les admins ont accès à tous les établissements)
+router.get('/hotels/:id/staff', async (req, res) => {
+  try {
+    const pool = getPool();
+    const staff = await query(pool, `
+      SELECT u.id, u.email, u.firstname, u.lastname, hs.created_at
+      FROM hotel_staff hs
+      JOIN users u ON hs.user_id = u.id
+      WHERE hs.hotel_id = $1
+      ORDER BY u.lastname, u.firstname
+    `, [req.params.id]);
+    res.json(staff);
+  } catch (e) {
+    console.error('admin hotels staff:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.put('/hotels/:id/staff', async (req, res) => {
+  const { user_ids } = req.body;
+  if (!Array.isArray(user_ids)) return res.status(400).json({ error: 'user_ids doit être une liste' });
+  const staff = await withTransaction(res, 'hotel staff', async (client) => {
+    const hotel = await client.query('SELECT id FROM hotels WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!hotel.rows[0]) {
+      const error = new Error('Hôtel non trouvé');
+      error.status = 404;
+      throw error;
+    }
+    return setHotelStaff(client, hotel.rows[0].id, user_ids);
+  });
+  if (!staff) return;
+  res.json({ success: true, staff });
+});
+
 // ============================================
 // Chiffre d'affaires prévisionnel
 // ============================================
-router.get('/revenue-forecast', async (req, res) => {
+router.get('/revenue-forecast', requireHotelOrAll, async (req, res) => {
   try {
     const pool = getPool();
-    const hotelId = req.query.hotel_id || DEFAULT_HOTEL_ID;
+    // hotel_id=all : tous les établissements, avec le détail par établissement
+    const hotelId = req.allHotels ? null : req.hotelId;
     const forecast = await queryOne(pool, `
       SELECT 
         COALESCE(SUM(total_amount), 0)::numeric as total_forecast,
         COUNT(*)::int as reservations_count
       FROM room_reservations 
-      WHERE hotel_id = $1 AND status NOT IN ('cancelled') AND check_in_date >= CURRENT_DATE
+      WHERE ($1::uuid IS NULL OR hotel_id = $1) AND status NOT IN ('cancelled', 'expired') AND check_in_date >= CURRENT_DATE
     `, [hotelId]);
     const byMonth = await query(pool, `
       SELECT 
@@ -74,46 +244,136 @@ router.get('/revenue-forecast', async (req, res) => {
         SUM(total_amount)::numeric as amount,
         COUNT(*)::int as count
       FROM room_reservations 
-      WHERE hotel_id = $1 AND status NOT IN ('cancelled') AND check_in_date >= CURRENT_DATE
+      WHERE ($1::uuid IS NULL OR hotel_id = $1) AND status NOT IN ('cancelled', 'expired') AND check_in_date >= CURRENT_DATE
       GROUP BY date_trunc('month', check_in_date)
       ORDER BY month
     `, [hotelId]);
-    res.json({ ...forecast, by_month: byMonth });
+    if (!req.allHotels) return res.json({ ...forecast, by_month: byMonth });
+    const byHotel = await query(pool, `
+      SELECT h.id as hotel_id, h.name,
+        COALESCE(SUM(rr.total_amount), 0)::numeric as total_forecast,
+        COUNT(rr.id)::int as reservations_count
+      FROM hotels h
+      LEFT JOIN room_reservations rr ON rr.hotel_id = h.id
+        AND rr.status NOT IN ('cancelled', 'expired') AND rr.check_in_date >= CURRENT_DATE
+      GROUP BY h.id, h.name
+      ORDER BY total_forecast DESC
+    `);
+    res.json({ ...forecast, by_month: byMonth, by_hotel: byHotel });
   } catch (e) {
     console.error('admin revenue forecast:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// ============================================
+// Indicateurs (occupation, ADR, RevPAR, rythme, annulations, CA à venir)
+// ============================================
+// Période par défaut : mois en cours, jour de l'établissement (from / to = nuits incluses, YYYY-MM-DD)
+const getReportPeriod = (req) => {
+  const [year, month] = getRestaurantDateKey(new Date()).split('-').map(Number);
+  const firstDay = new Date(Date.UTC(year, month - 1, 1)).toISOString().slice(0, 10);
+  const nextMonth = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+  const from = req.query.from || firstDay;
+  const to = req.query.to || addDaysToDateKey(nextMonth, -1);
+  return isDate(from) && isDate(to) ? { from, to } : null;
+};
+
+// Rapport d'un établissement, ou consolidé avec hotel_id=all (établissements actifs)
+const buildReport = async (req, period) => {
+  const pool = getPool();
+  if (req.allHotels) {
+    return buildPortfolioReport(pool, { hotels: await getActiveHotels(pool), ...period });
+  }
+  return buildKpiReport(pool, { hotelId: req.hotelId, ...period });
+};
+
+router.get('/kpi-report', requireHotelOrAll, async (req, res) => {
+  const period = getReportPeriod(req);
+  if (!period) return res.status(400).json({ error: 'from et to au format YYYY-MM-DD' });
+  try {
+    res.json(await buildReport(req, period));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('admin hotel kpi report:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.get('/kpi-report/export', requireHotelOrAll, async (req, res) => {
+  const period = getReportPeriod(req);
+  if (!period) return res.status(400).json({ error: 'from et to au format YYYY-MM-DD' });
+  try {
+    const report = await buildReport(req, period);
+    const scope = req.allHotels ? 'all' : (report.hotel.name || req.hotelId);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=hotel_kpi_${String(scope).replace(/[^a-zA-Z0-9-]+/g, '-')}_${period.from}_${period.to}.csv`);
+    res.send(kpiReportToCsv(report));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('admin hotel kpi export:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // Chambres - Disponibilité par type
 // ============================================
-router.get('/rooms/availability', async (req, res) => {
+router.get('/rooms/availability', requireHotel, async (req, res) => {
   try {
     const pool = getPool();
-    const hotelId = req.query.hotel_id || DEFAULT_HOTEL_ID;
+    const hotelId = req.hotelId;
     const types = await query(pool, `
       SELECT rt.id, rt.name, rt.slug, rt.base_price_per_night,
-        (SELECT COUNT(*) FROM rooms r WHERE r.room_type_id = rt.id AND r.status = 'available') as total_rooms,
-        (SELECT COUNT(*) FROM rooms r WHERE r.room_type_id = rt.id) as total_physical
+        (SELECT COUNT(*) FROM rooms r WHERE r.room_type_id = rt.id AND r.status <> ALL($2)) as total_rooms,
+        (SELECT COUNT(*) FROM rooms r WHERE r.room_type_id = rt.id) as total_physical,
+        (SELECT COALESCE(jsonb_object_agg(s.status, s.count), '{}'::jsonb) FROM (
+          SELECT r.status, COUNT(*)::int as count FROM rooms r WHERE r.room_type_id = rt.id GROUP BY r.status
+        ) s) as room_statuses
       FROM room_types rt
       WHERE rt.hotel_id = $1 AND rt.is_active = true
       ORDER BY rt.display_order
-    `, [hotelId]);
-    const today = new Date().toISOString().slice(0, 10);
+    `, [hotelId, OUT_OF_SERVICE_STATUSES]);
+    const today = getRestaurantDateKey(new Date());
     const next30 = await query(pool, `
       SELECT room_type_id, COUNT(*) as reserved
       FROM room_reservations rr
-      WHERE hotel_id = $1 AND status NOT IN ('cancelled')
+      WHERE hotel_id = $1 AND status NOT IN ('cancelled', 'expired')
         AND check_in_date <= $2 AND check_out_date > $2
       GROUP BY room_type_id
     `, [hotelId, today]);
+    const blocks = await query(pool, `
+      SELECT room_type_id, SUM(rooms_count) as blocked
+      FROM room_blocks
+      WHERE hotel_id = $1 AND start_date <= $2 AND end_date > $2
+      GROUP BY room_type_id
+    `, [hotelId, today]);
+    const maintenance = await query(pool, `
+      SELECT r.room_type_id, COUNT(*) as in_maintenance
+      FROM room_maintenance_blocks mb
+      JOIN rooms r ON mb.room_id = r.id
+      WHERE mb.hotel_id = $1 AND mb.start_date <= $2 AND mb.end_date > $2
+        AND r.status <> ALL($3)
+      GROUP BY r.room_type_id
+    `, [hotelId, today, OUT_OF_SERVICE_STATUSES]);
     const reservedMap = Object.fromEntries(next30.map(r => [r.room_type_id, parseInt(r.reserved)]));
+    const blockedMap = Object.fromEntries(blocks.map(b => [b.room_type_id, parseInt(b.blocked)]));
+    const maintenanceMap = Object.fromEntries(maintenance.map(m => [m.room_type_id, parseInt(m.in_maintenance)]));
     const result = types.map(t => ({
       ...t,
-      total_rooms: parseInt(t.total_rooms) || 0,
+      total_rooms: (parseInt(t.total_rooms) || 0) - (maintenanceMap[t.id] || 0),
       reserved: reservedMap[t.id] || 0,
-      available: (parseInt(t.total_rooms) || 0) - (reservedMap[t.id] || 0)
+      blocked: blockedMap[t.id] || 0,
+      in_maintenance: maintenanceMap[t.id] || 0,
+      available: (parseInt(t.total_rooms) || 0) - (maintenanceMap[t.id] || 0) - (reservedMap[t.id] || 0) - (blockedMap[t.id] || 0),
+      // État des chambres (réception / ménage) : prêtes, occupées, à nettoyer, en cours, contrôlées, hors service
+      ready: t.room_statuses.available || 0,
+      occupied: t.room_statuses.occupied || 0,
+      dirty: t.room_statuses.dirty || 0,
+      cleaning: t.room_statuses.cleaning || 0,
+      inspected: t.room_statuses.inspected || 0,
+      out_of_service: OUT_OF_SERVICE_STATUSES.reduce((sum, status) => sum + (t.room_statuses[status] || 0), 0),
     }));
     res.json({ room_types: result });
   } catch (e) {
@@ -126,7 +386,7 @@ router.put('/room-types/:id', async (req, res) => {
   try {
     const pool = getPool();
     const { id } = req.params;
-    const { base_price_per_night } = req.body;
+    const { base_price_per_night, deposit_policy, deposit_percent, cancellation_policy_id } = req.body;
     const updates = [];
     const params = [];
     let i = 1;
@@ -135,11 +395,37 @@ router.put('/room-types/:id', async (req, res) => {
       params.push(Number(base_price_per_night));
       i++;
     }
+    if (deposit_policy != null) {
+      if (!DEPOSIT_POLICIES.includes(deposit_policy)) {
+        return res.status(400).json({ error: `Politique d'acompte invalide (${DEPOSIT_POLICIES.join(', ')})` });
+      }
+      updates.push(`deposit_policy = $${i}`);
+      params.push(deposit_policy);
+      i++;
+    }
+    if (deposit_percent !== undefined) {
+      const percent = deposit_percent === null ? null : Number(deposit_percent);
+      if (percent !== null && (Number.isNaN(percent) || percent <= 0 || percent > 100)) {
+        return res.status(400).json({ error: 'deposit_percent doit être compris entre 0 et 100' });
+      }
+      if (deposit_policy === 'percentage' && percent === null) {
+        return res.status(400).json({ error: 'deposit_percent requis pour la politique percentage' });
+      }
+      updates.push(`deposit_percent = $${i}`);
+      params.push(percent);
+      i++;
+    }
+    if (cancellation_policy_id !== undefined) {
+      updates.push(`cancellation_policy_id = $${i}`);
+      params.push(cancellation_policy_id || null);
+      i++;
+    }
     if (updates.length === 0) return res.status(400).json({ error: 'Aucune mise à jour' });
     params.push(id);
     await pool.query(`UPDATE room_types SET ${updates.join(', ')}, updated_at = now() WHERE id = $${i}`, params);
     res.json({ success: true });
   } catch (e) {
+    if (e.code === '23503') return res.status(404).json({ error: 'Politique d\'annulation non trouvée' });
     console.error('admin room-types update:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
@@ -148,14 +434,16 @@ router.put('/room-types/:id', async (req, res) => {
 router.post('/rooms', async (req, res) => {
   try {
     const pool = getPool();
-    const { hotel_id, room_type_id, room_number, floor = 1 } = req.body;
-    const hid = hotel_id || DEFAULT_HOTEL_ID;
+    const { room_type_id, room_number, floor = 1 } = req.body;
     if (!room_type_id || !room_number) return res.status(400).json({ error: 'room_type_id et room_number requis' });
+    // La chambre appartient à l'établissement de son type
+    const roomType = await queryOne(pool, 'SELECT hotel_id FROM room_types WHERE id = $1', [room_type_id]);
+    if (!roomType) return res.status(404).json({ error: 'Type de chambre non trouvé' });
     const r = await queryOne(pool, `
       INSERT INTO rooms (hotel_id, room_type_id, room_number, floor, status)
       VALUES ($1, $2, $3, $4, 'available')
       RETURNING *
-    `, [hid, room_type_id, String(room_number), parseInt(floor) || 1]);
+    `, [roomType.hotel_id, room_type_id, String(room_number), parseInt(floor) || 1]);
     res.status(201).json(r);
   } catch (e) {
     console.error('admin rooms add:', e);
@@ -174,13 +462,411 @@ router.delete('/rooms/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// Politiques d'annulation des séjours
+// ============================================
+// Valider les champs d'une politique (partial : mise à jour)
+function parseCancellationPolicy(body, partial = false) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name requis' };
+    fields.name = String(body.name).trim();
+  }
+  if (body.description !== undefined) fields.description = body.description || null;
+  if (body.free_until_days !== undefined) {
+    const days = parseInt(body.free_until_days, 10);
+    if (Number.isNaN(days) || days < 0) return { error: 'free_until_days doit être un entier positif' };
+    fields.free_until_days = days;
+  }
+  if (body.penalty_percent !== undefined) {
+    const percent = Number(body.penalty_percent);
+    if (Number.isNaN(percent) || percent < 0 || percent > 100) return { error: 'penalty_percent doit être compris entre 0 et 100' };
+    fields.penalty_percent = percent;
+  }
+  if (body.non_refundable !== undefined) fields.non_refundable = Boolean(body.non_refundable);
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+  return { fields };
+}
+
+router.get('/cancellation-policies', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const rows = await query(pool, `
+      SELECT cp.*,
+        (SELECT COUNT(*)::int FROM room_types rt WHERE rt.cancellation_policy_id = cp.id) as room_types_count,
+        (SELECT COUNT(*)::int FROM hotel_offers o WHERE o.cancellation_policy_id = cp.id) as offers_count
+      FROM hotel_cancellation_policies cp
+      WHERE cp.hotel_id = $1
+      ORDER BY cp.non_refundable, cp.free_until_days DESC, cp.name
+    `, [hotelId]);
+    res.json(rows);
+  } catch (e) {
+    console.error('admin cancellation policies list:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/cancellation-policies', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseCancellationPolicy(req.body);
+    if (error) return res.status(400).json({ error });
+    const columns = ['hotel_id', ...Object.keys(fields)];
+    const values = [req.hotelId, ...Object.values(fields)];
+    const r = await queryOne(pool, `
+      INSERT INTO hotel_cancellation_policies (${columns.join(', ')})
+      VALUES (${values.map((_, idx) => `$${idx + 1}`).join(', ')})
+      RETURNING *
+    `, values);
+    res.status(201).json(r);
+  } catch (e) {
+    console.error('admin cancellation policies create:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Les séjours déjà réservés conservent la copie de leur politique
+router.put('/cancellation-policies/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseCancellationPolicy(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return res.status(400).json({ error: 'Aucune mise à jour' });
+    const r = await queryOne(pool, `
+      UPDATE hotel_cancellation_policies
+      SET ${keys.map((key, idx) => `${key} = $${idx + 1}`).join(', ')}
+      WHERE id = $${keys.length + 1}
+      RETURNING *
+    `, [...Object.values(fields), req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Politique non trouvée' });
+    res.json(r);
+  } catch (e) {
+    console.error('admin cancellation policies update:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Politique d'une offre (remplace celle du type de chambre)
+router.put('/offers/:id/cancellation-policy', async (req, res) => {
+  try {
+    const pool = getPool();
+    const r = await queryOne(pool,
+      'UPDATE hotel_offers SET cancellation_policy_id = $1 WHERE id = $2 RETURNING id, name, cancellation_policy_id',
+      [req.body.cancellation_policy_id || null, req.params.id]
+    );
+    if (!r) return res.status(404).json({ error: 'Offre non trouvée' });
+    res.json({ success: true, offer: r });
+  } catch (e) {
+    if (e.code === '23503') return res.status(404).json({ error: 'Politique d\'annulation non trouvée' });
+    console.error('admin offers cancellation policy:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// Plans tarifaires
+// ============================================
+const parseWeekdays = (value) => {
+  if (!Array.isArray(value)) return null;
+  const days = value.map(Number);
+  return days.every(d => Number.isInteger(d) && d >= 0 && d <= 6) ? [...new Set(days)] : null;
+};
+
+// Valider les champs d'un plan tarifaire (partial : mise à jour)
+function parseRatePlan(body, partial = false) {
+  const fields = {};
+  for (const key of ['code', 'name']) {
+    if (body[key] !== undefined || !partial) {
+      if (!body[key] || !String(body[key]).trim()) return { error: `${key} requis` };
+      fields[key] = String(body[key]).trim();
+    }
+  }
+  if (body.description !== undefined) fields.description = body.description || null;
+  if (body.room_type_id !== undefined) fields.room_type_id = body.room_type_id || null;
+  for (const key of ['weekday_price', 'weekend_price']) {
+    if (body[key] === undefined) continue;
+    const price = body[key] === null || body[key] === '' ? null : Number(body[key]);
+    if (price !== null && (Number.isNaN(price) || price < 0)) return { error: `${key} invalide` };
+    fields[key] = price;
+  }
+  for (const key of ['extra_adult_price', 'child_price']) {
+    if (body[key] === undefined) continue;
+    const price = Number(body[key]);
+    if (Number.isNaN(price) || price < 0) return { error: `${key} invalide` };
+    fields[key] = price;
+  }
+  for (const key of ['base_occupancy', 'min_stay', 'max_stay']) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null || body[key] === '' ? null : parseInt(body[key], 10);
+    if (value !== null && (Number.isNaN(value) || value < 1)) return { error: `${key} doit être un entier >= 1` };
+    if (key === 'base_occupancy' && value === null) return { error: 'base_occupancy requis' };
+    fields[key] = value;
+  }
+  for (const key of ['weekend_days', 'closed_to_arrival', 'closed_to_departure']) {
+    if (body[key] === undefined) continue;
+    const days = parseWeekdays(body[key]);
+    if (!days) return { error: `${key} doit être une liste de jours (0 = dimanche ... 6 = samedi)` };
+    fields[key] = days;
+  }
+  if (body.inclusions !== undefined) {
+    if (!Array.isArray(body.inclusions)) return { error: 'inclusions doit être une liste' };
+    fields.inclusions = JSON.stringify(body.inclusions);
+  }
+  for (const key of ['valid_from', 'valid_to']) {
+    if (body[key] !== undefined) fields[key] = body[key] || null;
+  }
+  for (const key of ['includes_breakfast', 'is_default', 'is_active']) {
+    if (body[key] !== undefined) fields[key] = Boolean(body[key]);
+  }
+  if (body.display_order !== undefined) fields.display_order = parseInt(body.display_order, 10) || 0;
+  return { fields };
+}
+
+// Erreurs de contraintes communes aux plans tarifaires
+function ratePlanConstraintError(e) {
+  if (e.code === '23505') return 'Code de plan tarifaire déjà utilisé';
+  if (e.code === '23514') return 'Durée de séjour minimum supérieure au maximum';
+  if (e.code === '23503') return 'Type de chambre non trouvé';
+  return null;
+}
+
+router.get('/rate-plans', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const rows = await query(pool, `
+      SELECT rp.*, rt.name as room_type_name
+      FROM hotel_rate_plans rp
+      LEFT JOIN room_types rt ON rp.room_type_id = rt.id
+      WHERE rp.hotel_id = $1 AND ($2::uuid IS NULL OR rp.room_type_id IS NULL OR rp.room_type_id = $2::uuid)
+      ORDER BY rp.is_default DESC, rp.display_order, rp.name
+    `, [hotelId, req.query.room_type_id || null]);
+    res.json(rows);
+  } catch (e) {
+    console.error('admin rate plans list:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/rate-plans', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseRatePlan(req.body);
+    if (error) return res.status(400).json({ error });
+    const columns = ['hotel_id', ...Object.keys(fields)];
+    const values = [req.hotelId, ...Object.values(fields)];
+    const r = await queryOne(pool, `
+      INSERT INTO hotel_rate_plans (${columns.join(', ')})
+      VALUES (${values.map((_, idx) => `$${idx + 1}`).join(', ')})
+      RETURNING *
+    `, values);
+    res.status(201).json(r);
+  } catch (e) {
+    const message = ratePlanConstraintError(e);
+    if (message) return res.status(400).json({ error: message });
+    console.error('admin rate plans create:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.put('/rate-plans/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { error, fields } = parseRatePlan(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return res.status(400).json({ error: 'Aucune mise à jour' });
+    const r = await queryOne(pool, `
+      UPDATE hotel_rate_plans
+      SET ${keys.map((key, idx) => `${key} = $${idx + 1}`).join(', ')}
+      WHERE id = $${keys.length + 1}
+      RETURNING *
+    `, [...Object.values(fields), req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Plan tarifaire non trouvé' });
+    res.json(r);
+  } catch (e) {
+    const message = ratePlanConstraintError(e);
+    if (message) return res.status(400).json({ error: message });
+    console.error('admin rate plans update:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Désactivation (les séjours réservés gardent leur détail de prix)
+router.delete('/rate-plans/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const r = await queryOne(pool, 'UPDATE hotel_rate_plans SET is_active = false WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Plan tarifaire non trouvé' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error('admin rate plans delete:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// Calendriers iCal (sites de réservation externes)
+// ============================================
+const icalExportUrl = (req, token) => `${req.protocol}://${req.get('host')}/hotel/ical/${token}.ics`;
+
+// Générer (ou régénérer) l'URL d'export d'un type de chambre
+router.post('/room-types/:id/ical-token', async (req, res) => {
+  try {
+    const pool = getPool();
+    const r = await queryOne(pool,
+      'UPDATE room_types SET ical_token = $1 WHERE id = $2 RETURNING id, name, ical_token',
+      [generateIcalToken(), req.params.id]
+    );
+    if (!r) return res.status(404).json({ error: 'Type de chambre non trouvé' });
+    res.json({ success: true, room_type_id: r.id, ical_url: icalExportUrl(req, r.ical_token) });
+  } catch (e) {
+    console.error('admin room-types ical token:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.get('/ical-feeds', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const rows = await query(pool, `
+      SELECT f.*, rt.name as room_type_name,
+        (SELECT COUNT(*)::int FROM room_blocks b WHERE b.feed_id = f.id AND b.end_date > CURRENT_DATE) as upcoming_blocks
+      FROM hotel_ical_feeds f
+      JOIN room_types rt ON f.room_type_id = rt.id
+      WHERE f.hotel_id = $1
+      ORDER BY rt.display_order, f.name
+    `, [hotelId]);
+    const exports = await query(pool,
+      'SELECT id, name, ical_token FROM room_types WHERE hotel_id = $1 AND ical_token IS NOT NULL ORDER BY display_order',
+      [hotelId]
+    );
+    res.json({
+      feeds: rows,
+      exports: exports.map(rt => ({ room_type_id: rt.id, name: rt.name, ical_url: icalExportUrl(req, rt.ical_token) })),
+    });
+  } catch (e) {
+    console.error('admin ical feeds list:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/ical-feeds', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { room_type_id, name, url } = req.body;
+    if (!room_type_id || !name) return res.status(400).json({ error: 'room_type_id et name requis' });
+    if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ error: 'URL invalide' });
+    const roomType = await queryOne(pool, 'SELECT id, hotel_id FROM room_types WHERE id = $1', [room_type_id]);
+    if (!roomType) return res.status(404).json({ error: 'Type de chambre non trouvé' });
+    const r = await queryOne(pool, `
+      INSERT INTO hotel_ical_feeds (hotel_id, room_type_id, name, url)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [roomType.hotel_id, room_type_id, String(name).trim(), url || null]);
+    res.status(201).json(r);
+  } catch (e) {
+    console.error('admin ical feeds create:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.put('/ical-feeds/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    const { name, url, is_active } = req.body;
+    if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ error: 'URL invalide' });
+    const r = await queryOne(pool, `
+      UPDATE hotel_ical_feeds
+      SET name = COALESCE($1, name),
+          url = CASE WHEN $2::boolean THEN $3 ELSE url END,
+          is_active = COALESCE($4, is_active)
+      WHERE id = $5
+      RETURNING *
+    `, [name || null, url !== undefined, url || null, is_active ?? null, req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Calendrier non trouvé' });
+    res.json(r);
+  } catch (e) {
+    console.error('admin ical feeds update:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Suppression : les blocages importés sont supprimés avec le calendrier
+router.delete('/ical-feeds/:id', async (req, res) => {
+  try {
+    const pool = getPool();
+    await pool.query('DELETE FROM hotel_ical_feeds WHERE id = $1', [req.params.id]);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('admin ical feeds delete:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Synchroniser depuis l'URL du calendrier
+router.post('/ical-feeds/:id/sync', async (req, res) => {
+  try {
+    const pool = getPool();
+    const feed = await queryOne(pool, 'SELECT * FROM hotel_ical_feeds WHERE id = $1', [req.params.id]);
+    if (!feed) return res.status(404).json({ error: 'Calendrier non trouvé' });
+    const summary = await syncFeed(pool, feed);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('admin ical feeds sync:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Importer un fichier .ics (champ "file") ou un contenu iCal (body.ics)
+router.post('/ical-feeds/:id/import', uploadMiddleware.single('file'), async (req, res) => {
+  try {
+    const pool = getPool();
+    const feed = await queryOne(pool, 'SELECT * FROM hotel_ical_feeds WHERE id = $1', [req.params.id]);
+    if (!feed) return res.status(404).json({ error: 'Calendrier non trouvé' });
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+    if (!content) return res.status(400).json({ error: 'Fichier .ics requis' });
+    const summary = await importFeed(pool, feed, content);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('admin ical feeds import:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Blocages à venir d'un type de chambre
+router.get('/room-blocks', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const rows = await query(pool, `
+      SELECT b.*, f.name as feed_name, rt.name as room_type_name
+      FROM room_blocks b
+      JOIN room_types rt ON b.room_type_id = rt.id
+      LEFT JOIN hotel_ical_feeds f ON b.feed_id = f.id
+      WHERE b.hotel_id = $1 AND b.end_date > CURRENT_DATE
+        AND ($2::uuid IS NULL OR b.room_type_id = $2::uuid)
+      ORDER BY b.start_date
+    `, [hotelId, req.query.room_type_id || null]);
+    res.json(rows);
+  } catch (e) {
+    console.error('admin room blocks list:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // Menus hebdomadaires
 // ============================================
-router.get('/weekly-menus', async (req, res) => {
+router.get('/weekly-menus', requireHotel, async (req, res) => {
   try {
     const pool = getPool();
-    const hotelId = req.query.hotel_id || DEFAULT_HOTEL_ID;
+    const hotelId = req.hotelId;
     const weekStart = req.query.week_start;
     let sql = 'SELECT * FROM weekly_menus WHERE hotel_id = $1';
     const params = [hotelId];
@@ -218,11 +904,11 @@ router.put('/weekly-menus/:id', async (req, res) => {
   }
 });
 
-router.post('/weekly-menus', async (req, res) => {
+router.post('/weekly-menus', requireHotel, async (req, res) => {
   try {
     const pool = getPool();
-    const { hotel_id, week_start_date, meal_type, day_of_week, title, composition, items } = req.body;
-    const hid = hotel_id || DEFAULT_HOTEL_ID;
+    const { week_start_date, meal_type, day_of_week, title, composition, items } = req.body;
+    const hid = req.hotelId;
     if (!week_start_date || meal_type == null || day_of_week == null)
       return res.status(400).json({ error: 'week_start_date, meal_type, day_of_week requis' });
     const r = await queryOne(pool, `
@@ -242,14 +928,15 @@ router.post('/weekly-menus', async (req, res) => {
 // ============================================
 // Réservations chambres (liste admin)
 // ============================================
-router.get('/reservations', async (req, res) => {
+router.get('/reservations', requireHotel, async (req, res) => {
   try {
     const pool = getPool();
-    const hotelId = req.query.hotel_id || DEFAULT_HOTEL_ID;
+    const hotelId = req.hotelId;
     const rows = await query(pool, `
-      SELECT rr.*, rt.name as room_type_name
+      SELECT rr.*, rt.name as room_type_name, ro.room_number
       FROM room_reservations rr
       JOIN room_types rt ON rr.room_type_id = rt.id
+      LEFT JOIN rooms ro ON rr.room_id = ro.id
       WHERE rr.hotel_id = $1
       ORDER BY rr.check_in_date DESC, rr.created_at DESC
       LIMIT 200
@@ -261,4 +948,188 @@ router.get('/reservations', async (req, res) => {
   }
 });
 
+// Chambres libres pour un séjour (tous types de l'hôtel, pour réattribution / surclassement)
+router.get('/reservations/:id/available-rooms', async (req, res) => {
+  try {
+    const pool = getPool();
+    const reservation = await queryOne(pool, 'SELECT * FROM room_reservations WHERE id = $1', [req.params.id]);
+    if (!reservation) return res.status(404).json({ error: 'Réservation non trouvée' });
+    const rooms = await getFreeRooms(pool, {
+      hotelId: reservation.hotel_id,
+      checkIn: reservation.check_in_date,
+      checkOut: reservation.check_out_date,
+      excludeReservationId: reservation.id,
+    });
+    res.json({
+      current_room_id: reservation.room_id,
+      rooms: rooms.map(r => ({ ...r, same_type: r.room_type_id === reservation.room_type_id })),
+    });
+  } catch (e) {
+    console.error('admin hotel available rooms:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Réattribuer une chambre à un séjour
+router.put('/reservations/:id/room', async (req, res) => {
+  const { room_id } = req.body;
+  if (!room_id) return res.status(400).json({ error: 'room_id requis' });
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const { reservation, room } = await reassignRoom(client, req.params.id, room_id);
+    await client.query('COMMIT');
+    res.json({ success: true, reservation: { ...reservation, room_number: room.room_number } });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e.code === '23P01') return res.status(409).json({ error: 'Chambre déjà réservée sur ces dates' });
+    console.error('admin hotel reassign room:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// Réception (arrivées, folio, départs)
+// ============================================
+// Exécuter une opération de réception dans une transaction
+async function withTransaction(res, label, operation) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await operation(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) {
+      res.status(e.status).json({ error: e.message, ...(e.balance != null && { balance: e.balance }) });
+    } else if (e.code === '23P01') {
+      res.status(409).json({ error: 'Chambre déjà réservée sur ces dates' });
+    } else {
+      console.error(`admin hotel ${label}:`, e);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Tableau de la réception : arrivées du jour, clients présents, départs du jour
+router.get('/front-desk', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    // Même jour que l'arrivée (checkIn) : jour de l'établissement
+    const date = req.query.date || getRestaurantDateKey(new Date());
+    const rows = await query(pool, `
+      SELECT rr.*, rt.name as room_type_name, ro.room_number, ro.status as room_status,
+        (rr.check_out_date <= $2::date) as departing
+      FROM room_reservations rr
+      JOIN room_types rt ON rr.room_type_id = rt.id
+      LEFT JOIN rooms ro ON rr.room_id = ro.id
+      WHERE rr.hotel_id = $1
+        AND ((rr.status IN ('pending', 'confirmed') AND rr.check_in_date = $2)
+          OR rr.status = 'checked_in')
+      ORDER BY ro.room_number NULLS LAST, rr.guest_lastname
+    `, [hotelId, date]);
+    const arrivals = rows.filter(r => r.status !== 'checked_in');
+    const inHouse = rows.filter(r => r.status === 'checked_in');
+    res.json({
+      date,
+      arrivals,
+      in_house: inHouse,
+      departures: inHouse.filter(r => r.departing),
+    });
+  } catch (e) {
+    console.error('admin hotel front desk:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Arrivée : chambre attribuée (ou choisie) et marquée occupée, nuits et options reportées au folio
+router.post('/reservations/:id/check-in', async (req, res) => {
+  const { room_id, force } = req.body;
+  const result = await withTransaction(res, 'check-in', client =>
+    checkIn(client, req.params.id, { roomId: room_id || null, force: Boolean(force), userId: req.userId })
+  );
+  if (!result) return;
+  res.json({ success: true, reservation: { ...result.reservation, room_number: result.room.room_number } });
+});
+
+router.get('/reservations/:id/folio', async (req, res) => {
+  try {
+    const pool = getPool();
+    const reservation = await queryOne(pool, 'SELECT * FROM room_reservations WHERE id = $1', [req.params.id]);
+    if (!reservation) return res.status(404).json({ error: 'Réservation non trouvée' });
+    const folio = await getFolio(pool, reservation);
+    res.json({ reservation_id: reservation.id, status: reservation.status, ...folio });
+  } catch (e) {
+    console.error('admin hotel folio:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Prestation annexe (restaurant, bar, spa, minibar...)
+router.post('/reservations/:id/folio/charges', async (req, res) => {
+  const { category, description, quantity = 1, unit_price, charge_date } = req.body;
+  if (!EXTRA_CHARGE_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `Catégorie invalide (${EXTRA_CHARGE_CATEGORIES.join(', ')})` });
+  }
+  if (!description || !String(description).trim()) return res.status(400).json({ error: 'description requise' });
+  if (!(Number(quantity) > 0)) return res.status(400).json({ error: 'quantity doit être positive' });
+  if (unit_price == null || Number.isNaN(Number(unit_price))) return res.status(400).json({ error: 'unit_price requis' });
+  const charge = await withTransaction(res, 'folio charge', client =>
+    postCharge(client, req.params.id, {
+      category,
+      description: String(description).trim(),
+      quantity: Number(quantity),
+      unit_price: Number(unit_price),
+      charge_date,
+    }, { userId: req.userId })
+  );
+  if (!charge) return;
+  res.status(201).json(charge);
+});
+
+router.delete('/reservations/:id/folio/charges/:chargeId', async (req, res) => {
+  const charge = await withTransaction(res, 'folio void', client =>
+    voidCharge(client, req.params.id, req.params.chargeId, { reason: req.body?.reason || null })
+  );
+  if (!charge) return;
+  res.json({ success: true, charge });
+});
+
+// Départ : solde réglé, facture numérotée, chambre à nettoyer
+router.post('/reservations/:id/check-out', async (req, res) => {
+  const { payment_method, reference } = req.body;
+  if (payment_method && !PAYMENT_METHODS.includes(payment_method)) {
+    return res.status(400).json({ error: `Moyen de paiement invalide (${PAYMENT_METHODS.join(', ')})` });
+  }
+  const result = await withTransaction(res, 'check-out', client =>
+    checkOut(client, req.params.id, {
+      payment: payment_method ? { payment_method, reference } : null,
+      userId: req.userId,
+    })
+  );
+  if (!result) return;
+  res.json({ success: true, reservation: result.reservation, invoice: result.invoice });
+});
+
+router.get('/reservations/:id/invoice', async (req, res) => {
+  try {
+    const pool = getPool();
+    const reservation = await queryOne(pool, 'SELECT * FROM room_reservations WHERE id = $1', [req.params.id]);
+    if (!reservation) return res.status(404).json({ error: 'Réservation non trouvée' });
+    if (!reservation.invoice_number) return res.status(404).json({ error: 'Séjour pas encore facturé' });
+    res.json(await buildInvoice(pool, reservation));
+  } catch (e) {
+    console.error('admin hotel invoice:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,228 @@
+// backend/routes/admin/housekeeping.js - Ménage hôtel (tâches, assignation, maintenance)
+// Personnel : consulter et faire avancer ses tâches ; admin : générer, assigner, bloquer des chambres
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireStaff } = require('../../middleware/auths');
+const { getPool } = require('../../database/db');
+const { scopeHotel, requireHotel } = require('../../middleware/hotelScope');
+const {
+  TASK_TYPES,
+  TASK_TRANSITIONS,
+  generateDailyTasks,
+  updateTaskStatus,
+  assignTask,
+  createMaintenanceBlock,
+} = require('../../services/housekeepingService');
+
+// Établissement : ?hotel_id=, limité aux établissements rattachés pour le personnel
+router.use(requireAuth, requireStaff, scopeHotel);
+
+const query = (pool, sql, params = []) => pool.query(sql, params).then(r => r.rows);
+
+const adminOnly = (req, res, next) => {
+  if (req.userRole !== 'admin') {
+    return res.status(403).json({ error: 'Accès réservé aux administrateurs' });
+  }
+  next();
+};
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+async function withTransaction(res, label, operation) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await operation(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.status) {
+      res.status(e.status).json({ error: e.message, ...(e.conflicts && { conflicts: e.conflicts }) });
+    } else {
+      console.error(`admin housekeeping ${label}:`, e);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// Tâches
+// ============================================
+router.get('/tasks', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const { date, status, task_type, assigned_to, mine } = req.query;
+    if (date && !isDate(date)) return res.status(400).json({ error: 'date invalide (YYYY-MM-DD)' });
+    if (task_type && !TASK_TYPES.includes(task_type)) {
+      return res.status(400).json({ error: `Type invalide (${TASK_TYPES.join(', ')})` });
+    }
+
+    let sql = `SELECT t.*, ro.room_number, ro.floor, ro.status as room_status, rt.name as room_type_name,
+        u.firstname as assigned_firstname, u.lastname as assigned_lastname,
+        r.guest_firstname, r.guest_lastname, r.check_out_date
+      FROM housekeeping_tasks t
+      JOIN rooms ro ON t.room_id = ro.id
+      JOIN room_types rt ON ro.room_type_id = rt.id
+      LEFT JOIN users u ON t.assigned_to = u.id
+      LEFT JOIN room_reservations r ON t.room_reservation_id = r.id
+      WHERE t.hotel_id = $1 AND t.task_date = COALESCE($2::date, CURRENT_DATE)`;
+    const params = [hotelId, date || null];
+    if (status) {
+      params.push(status);
+      sql += ` AND t.status = $${params.length}`;
+    }
+    if (task_type) {
+      params.push(task_type);
+      sql += ` AND t.task_type = $${params.length}`;
+    }
+    // Membre du personnel : ses tâches et celles non assignées
+    if (mine === 'true' || req.userRole !== 'admin') {
+      params.push(req.userId);
+      sql += ` AND (t.assigned_to = $${params.length} OR t.assigned_to IS NULL)`;
+    } else if (assigned_to) {
+      params.push(assigned_to);
+      sql += ` AND t.assigned_to = $${params.length}`;
+    }
+    sql += ' ORDER BY t.priority DESC, t.task_type, ro.floor, ro.room_number';
+
+    const tasks = await query(pool, sql, params);
+    const summary = tasks.reduce((acc, t) => ({ ...acc, [t.status]: (acc[t.status] || 0) + 1 }), {});
+    res.json({ tasks, summary });
+  } catch (e) {
+    console.error('admin housekeeping tasks:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Générer les tâches du jour (le job le fait automatiquement) ; hotel_id=all pour tous les établissements
+router.post('/tasks/generate', adminOnly, async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (date && !isDate(date)) return res.status(400).json({ error: 'date invalide (YYYY-MM-DD)' });
+    if (!req.hotelId && !req.allHotels) return res.status(400).json({ error: 'hotel_id requis' });
+    const created = await generateDailyTasks(getPool(), {
+      date: date || null,
+      hotelId: req.allHotels ? null : req.hotelId,
+    });
+    res.json({ success: true, ...created });
+  } catch (e) {
+    console.error('admin housekeeping generate:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Faire avancer une tâche : pending → cleaning → inspected → done
+router.put('/tasks/:id/status', async (req, res) => {
+  const { status, notes } = req.body;
+  if (!Object.keys(TASK_TRANSITIONS).includes(status)) {
+    return res.status(400).json({ error: `Statut invalide (${Object.keys(TASK_TRANSITIONS).join(', ')})` });
+  }
+  const result = await withTransaction(res, 'task status', client =>
+    updateTaskStatus(client, req.params.id, status, {
+      userId: req.userId,
+      isAdmin: req.userRole === 'admin',
+      hotelIds: req.hotelIds,
+      notes: notes ? String(notes).trim() : null,
+    })
+  );
+  if (!result) return;
+  res.json({ success: true, task: result.task, room_status: result.room.status });
+});
+
+router.put('/tasks/:id/assign', adminOnly, async (req, res) => {
+  try {
+    const task = await assignTask(getPool(), req.params.id, req.body.user_id || null);
+    res.json({ success: true, task });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('admin housekeeping assign:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Personnel assignable pour l'établissement (admins et personnel rattaché)
+router.get('/staff', adminOnly, requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const staff = await query(pool, `
+      SELECT u.id, u.firstname, u.lastname, u.email, u.role,
+        (SELECT COUNT(*)::int FROM housekeeping_tasks t
+         WHERE t.assigned_to = u.id AND t.task_date = CURRENT_DATE AND t.status NOT IN ('done', 'cancelled')) as open_tasks
+      FROM users u
+      WHERE u.is_active = true
+        AND (u.role = 'admin'
+          OR (u.role = 'staff' AND EXISTS (SELECT 1 FROM hotel_staff hs WHERE hs.user_id = u.id AND hs.hotel_id = $1)))
+      ORDER BY u.role DESC, u.lastname, u.firstname
+    `, [req.hotelId]);
+    res.json(staff);
+  } catch (e) {
+    console.error('admin housekeeping staff:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// Maintenance (chambre hors vente sur une période)
+// ============================================
+router.get('/maintenance-blocks', requireHotel, async (req, res) => {
+  try {
+    const pool = getPool();
+    const hotelId = req.hotelId;
+    const { room_id, include_past } = req.query;
+    let sql = `SELECT mb.*, ro.room_number, rt.name as room_type_name
+      FROM room_maintenance_blocks mb
+      JOIN rooms ro ON mb.room_id = ro.id
+      JOIN room_types rt ON ro.room_type_id = rt.id
+      WHERE mb.hotel_id = $1`;
+    const params = [hotelId];
+    if (room_id) {
+      params.push(room_id);
+      sql += ` AND mb.room_id = $${params.length}`;
+    }
+    if (include_past !== 'true') sql += ' AND mb.end_date > CURRENT_DATE';
+    sql += ' ORDER BY mb.start_date, ro.room_number';
+    res.json(await query(pool, sql, params));
+  } catch (e) {
+    console.error('admin housekeeping maintenance blocks:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/maintenance-blocks', adminOnly, async (req, res) => {
+  const { room_id, start_date, end_date, reason } = req.body;
+  if (!room_id || !isDate(start_date) || !isDate(end_date)) {
+    return res.status(400).json({ error: 'room_id, start_date et end_date (YYYY-MM-DD) requis' });
+  }
+  if (end_date <= start_date) {
+    return res.status(400).json({ error: 'end_date doit être après start_date' });
+  }
+  const block = await withTransaction(res, 'maintenance block', client =>
+    createMaintenanceBlock(client, {
+      roomId: room_id,
+      startDate: start_date,
+      endDate: end_date,
+      reason: reason ? String(reason).trim() : null,
+      userId: req.userId,
+    })
+  );
+  if (!block) return;
+  res.status(201).json({ success: true, block });
+});
+
+router.delete('/maintenance-blocks/:id', adminOnly, async (req, res) => {
+  try {
+    const result = await getPool().query('DELETE FROM room_maintenance_blocks WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Blocage non trouvé' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error('admin housekeeping delete maintenance block:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
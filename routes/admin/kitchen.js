@@ -0,0 +1,190 @@
+/**
+ * Routes API Cuisine - File de préparation (personnel et admin)
+ * GET /admin/kitchen/queue - Commandes à préparer, triées par heure de retrait
+ * POST /admin/kitchen/items/:id/bump - Article à l'état suivant
+ * PUT /admin/kitchen/items/:id/status - Changer l'état d'un article (correction)
+ * POST /admin/kitchen/orders/:id/bump - Toute la commande à l'état suivant
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db, getPool } = require('../../database/db');
+const { requireStaff } = require('../../middleware/auths');
+const { z } = require('zod');
+const {
+  KITCHEN_ORDER_TYPES,
+  PREP_STATUSES,
+  getKitchenQueue,
+  updateItemPrepStatus,
+  bumpItem,
+  bumpOrder,
+} = require('../../services/kitchenQueueService');
+const { sendOrderReadyEmail } = require('../../utils/emailHelpers');
+
+router.use(requireStaff);
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+const queueQuerySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Format YYYY-MM-DD attendu').optional(),
+  status: z.string().optional()
+    .transform(value => (value ? value.split(',') : undefined))
+    .pipe(z.array(z.enum(PREP_STATUSES)).optional()),
+  orderType: z.enum(KITCHEN_ORDER_TYPES).optional(),
+});
+
+const updateItemStatusSchema = z.object({
+  status: z.enum(PREP_STATUSES),
+});
+
+function handleRouteError(error, res, next) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: error.errors,
+    });
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  next(error);
+}
+
+/**
+ * Exécuter un changement d'état dans une transaction, puis prévenir le client
+ * si la commande vient d'être prête (après COMMIT, sans bloquer la réponse)
+ */
+async function withPrepTransaction(operation) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await operation(client);
+    await client.query('COMMIT');
+
+    if (result.notifyReady) {
+      notifyOrderReady(result.order, result.items);
+    }
+
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function notifyOrderReady(order, items) {
+  try {
+    const userResult = order.user_id
+      ? await db.query('SELECT id, email, firstname, lastname FROM users WHERE id = $1', [order.user_id])
+      : { rows: [] };
+
+    await sendOrderReadyEmail(order, items, userResult.rows[0] || null);
+  } catch (error) {
+    console.error('❌ Avis commande prête:', error.message);
+  }
+}
+
+function formatPrepResult(result) {
+  return {
+    orderId: result.order.id,
+    orderNumber: result.order.order_number,
+    orderStatus: result.order.status,
+    prepStatus: result.prepStatus,
+    readyAt: result.order.ready_at,
+    items: result.items.map(item => ({
+      id: item.id,
+      productName: item.product_name,
+      variantName: item.variant_name,
+      quantity: item.quantity,
+      prepStatus: item.prep_status,
+    })),
+  };
+}
+
+// ============================================
+// GET /admin/kitchen/queue - File de préparation
+// ============================================
+router.get('/queue', async (req, res, next) => {
+  try {
+    const validated = queueQuerySchema.parse(req.query);
+
+    const orders = await getKitchenQueue(db, {
+      statuses: validated.status,
+      date: validated.date || null,
+      orderType: validated.orderType || null,
+    });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    handleRouteError(error, res, next);
+  }
+});
+
+// ============================================
+// POST /admin/kitchen/items/:id/bump - Article suivant
+// ============================================
+router.post('/items/:id/bump', async (req, res, next) => {
+  try {
+    const result = await withPrepTransaction(client => bumpItem(client, req.params.id, { userId: req.userId }));
+
+    res.json({
+      success: true,
+      message: `Article ${result.item.prep_status}`,
+      order: formatPrepResult(result),
+    });
+  } catch (error) {
+    handleRouteError(error, res, next);
+  }
+});
+
+// ============================================
+// PUT /admin/kitchen/items/:id/status - Changer l'état d'un article
+// ============================================
+router.put('/items/:id/status', async (req, res, next) => {
+  try {
+    const validated = updateItemStatusSchema.parse(req.body);
+
+    const result = await withPrepTransaction(client => (
+      updateItemPrepStatus(client, req.params.id, validated.status, { userId: req.userId })
+    ));
+
+    res.json({
+      success: true,
+      message: 'État de préparation mis à jour',
+      order: formatPrepResult(result),
+    });
+  } catch (error) {
+    handleRouteError(error, res, next);
+  }
+});
+
+// ============================================
+// POST /admin/kitchen/orders/:id/bump - Commande suivante
+// ============================================
+router.post('/orders/:id/bump', async (req, res, next) => {
+  try {
+    const result = await withPrepTransaction(client => bumpOrder(client, req.params.id, { userId: req.userId }));
+
+    res.json({
+      success: true,
+      message: result.notifyReady ? 'Commande prête, client prévenu' : `Commande ${result.prepStatus}`,
+      order: formatPrepResult(result),
+    });
+  } catch (error) {
+    handleRouteError(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+/**
+ * Routes API Admin - Promotions automatiques
+ * GET /admin/promotions - Liste des promotions
+ * GET /admin/promotions/:id - Détail promotion
+ * POST /admin/promotions - Créer une promotion
+ * PATCH /admin/promotions/:id - Modifier une promotion
+ * DELETE /admin/promotions/:id - Supprimer une promotion
+ * POST /admin/promotions/dry-run - Simuler les promotions sur un panier exemple
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../../database/db');
+const { requireAdmin } = require('../../middleware/auths');
+const { z } = require('zod');
+const {
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  buildCartLines,
+  dryRunPromotions,
+  isPromotionScheduled,
+} = require('../../services/promotionService');
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Format HH:MM attendu');
+
+const rulesSchema = z.object({
+  // Ciblage
+  productId: z.string().uuid().optional(),
+  categoryId: z.string().uuid().optional(),
+  productIds: z.array(z.string().uuid()).optional(),
+  categoryIds: z.array(z.string().uuid()).optional(),
+  excludedProductIds: z.array(z.string().uuid()).optional(),
+
+  // Conditions par type
+  buyQuantity: z.number().int().positive().optional(),
+  getQuantity: z.number().int().positive().optional(),
+  minAmount: z.number().positive().optional(),
+
+  // Cumul
+  exclusive: z.boolean().optional(),
+  stackableWithCoupons: z.boolean().optional(),
+
+  // Créneau récurrent (ex : happy hour du vendredi)
+  schedule: z.object({
+    daysOfWeek: z.array(z.number().int().min(0).max(6)).optional(),
+    startTime: timeSchema.optional(),
+    endTime: timeSchema.optional(),
+  }).optional(),
+});
+
+const promotionBaseSchema = z.object({
+  name: z.string().min(1).max(255),
+  description: z.string().optional(),
+  type: z.enum(['category_discount', 'buy_x_get_y', 'flash_sale', 'min_purchase']),
+  discountType: z.enum(['percentage', 'fixed']).optional(),
+  discountValue: z.number().positive().optional(),
+  rules: rulesSchema.default({}),
+  priority: z.number().int().default(0),
+  startsAt: z.string().datetime().nullable().optional(),
+  endsAt: z.string().datetime().nullable().optional(),
+  isActive: z.boolean().default(true),
+});
+
+const checkSchedule = (data, ctx) => {
+  if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endsAt'], message: 'endsAt doit être postérieur à startsAt' });
+  }
+};
+
+const createPromotionSchema = promotionBaseSchema.superRefine((data, ctx) => {
+  checkSchedule(data, ctx);
+
+  const rules = data.rules || {};
+
+  if (data.type !== 'buy_x_get_y' && (!data.discountType || !data.discountValue)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['discountValue'], message: 'discountType et discountValue requis' });
+  }
+  if (data.discountType === 'percentage' && data.discountValue > 100) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['discountValue'], message: 'Pourcentage maximum : 100' });
+  }
+  if (data.type === 'category_discount' && !rules.categoryId && !(rules.categoryIds || []).length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', 'categoryIds'], message: 'Catégorie cible requise' });
+  }
+  if (data.type === 'buy_x_get_y' && !rules.productId && !(rules.productIds || []).length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', 'productIds'], message: 'Produit cible requis' });
+  }
+  if (data.type === 'min_purchase' && !rules.minAmount) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', 'minAmount'], message: 'Montant minimum requis' });
+  }
+});
+
+// Contrôles croisés (type, remise, bornes) refaits sur la promotion complète, voir PATCH
+const updatePromotionSchema = promotionBaseSchema.partial();
+
+const dryRunSchema = z.object({
+  items: z.array(z.object({
+    productId: z.string().uuid(),
+    variantId: z.string().uuid().optional(),
+    quantity: z.number().int().positive(),
+  })).min(1),
+  couponCode: z.string().optional(),
+  at: z.string().datetime().optional(),
+  promotion: promotionBaseSchema.optional(),
+});
+
+// ============================================
+// HELPER: Ligne promotions → format de l'API (pour revalider une modification)
+// ============================================
+function toPromotionInput(promo) {
+  return {
+    name: promo.name,
+    description: promo.description ?? undefined,
+    type: promo.type,
+    discountType: promo.discount_type ?? undefined,
+    discountValue: promo.discount_value !== null ? parseFloat(promo.discount_value) : undefined,
+    rules: promo.rules || {},
+    priority: promo.priority,
+    startsAt: promo.starts_at ? new Date(promo.starts_at).toISOString() : null,
+    endsAt: promo.ends_at ? new Date(promo.ends_at).toISOString() : null,
+    isActive: promo.is_active,
+  };
+}
+
+// ============================================
+// HELPER: Statut calculé d'une promotion
+// ============================================
+function getPromotionStatus(promo, now = new Date()) {
+  if (!promo.is_active) return 'inactive';
+  if (promo.starts_at && new Date(promo.starts_at) > now) return 'scheduled';
+  if (promo.ends_at && new Date(promo.ends_at) < now) return 'expired';
+  return isPromotionScheduled(promo, now) ? 'running' : 'outside_schedule';
+}
+
+// ============================================
+// GET /admin/promotions - Liste promotions
+// ============================================
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const { active = '', search = '', type = '', page = '1', limit = '20' } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (pageNum - 1) * limitNum;
+
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (active === 'true') {
+      where += ' AND is_active = true';
+    } else if (active === 'false') {
+      where += ' AND is_active = false';
+    }
+
+    if (type) {
+      where += ` AND type = $${paramIndex}`;
+      params.push(type);
+      paramIndex++;
+    }
+
+    if (search) {
+      where += ` AND (name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM promotions ${where}
+       ORDER BY priority DESC, created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limitNum, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM promotions ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      promotions: result.rows.map((promo) => ({
+        ...promo,
+        status: getPromotionStatus(promo, now),
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /admin/promotions/dry-run - Simulation
+// ============================================
+router.post('/dry-run', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = dryRunSchema.parse(req.body);
+
+    const lines = await buildCartLines(validated.items);
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun produit actif dans le panier exemple',
+      });
+    }
+
+    // Promotion en cours d'édition (non enregistrée), au format de la table
+    const draft = validated.promotion;
+    const draftPromotion = draft
+      ? {
+          name: draft.name,
+          description: draft.description || null,
+          type: draft.type,
+          discount_type: draft.discountType || null,
+          discount_value: draft.discountValue || null,
+          rules: draft.rules,
+          priority: draft.priority,
+          starts_at: draft.startsAt || null,
+          ends_at: draft.endsAt || null,
+          is_active: draft.isActive,
+        }
+      : null;
+
+    const { pricing, promotions } = await dryRunPromotions(lines, {
+      couponCode: validated.couponCode || null,
+      at: validated.at ? new Date(validated.at) : new Date(),
+      draftPromotion,
+    });
+
+    res.json({
+      success: true,
+      promotions,
+      pricing,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// GET /admin/promotions/:id - Détail promotion
+// ============================================
+router.get('/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT * FROM promotions WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      promotion: {
+        ...result.rows[0],
+        status: getPromotionStatus(result.rows[0]),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /admin/promotions - Créer promotion
+// ============================================
+router.post('/', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = createPromotionSchema.parse(req.body);
+    const promotion = await createPromotion(validated);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion créée avec succès',
+      promotion,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// PATCH /admin/promotions/:id - Modifier promotion
+// ============================================
+router.patch('/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = updatePromotionSchema.parse(req.body);
+
+    const existing = await db.query('SELECT * FROM promotions WHERE id = $1', [req.params.id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion non trouvée',
+      });
+    }
+
+    // Promotion obtenue après modification : mêmes règles qu'à la création
+    // (ex : passer en category_discount sans catégorie cible est refusé)
+    const changes = Object.fromEntries(
+      Object.entries(validated).filter(([, value]) => value !== undefined)
+    );
+    createPromotionSchema.parse({ ...toPromotionInput(existing.rows[0]), ...changes });
+
+    const promotion = await updatePromotion(req.params.id, validated);
+
+    res.json({
+      success: true,
+      message: 'Promotion mise à jour avec succès',
+      promotion,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion non trouvée',
+      });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune donnée à mettre à jour',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// DELETE /admin/promotions/:id - Supprimer promotion
+// ============================================
+router.delete('/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const deleted = await deletePromotion(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion supprimée avec succès',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,825 @@
+/**
+ * Routes API Admin - Tables et services du restaurant
+ * GET /admin/restaurant/tables - Liste des tables
+ * POST /admin/restaurant/tables - Créer une table
+ * PATCH /admin/restaurant/tables/:id - Modifier une table
+ * DELETE /admin/restaurant/tables/:id - Supprimer une table
+ * GET /admin/restaurant/services - Services (horaires, rotation, capacité)
+ * PATCH /admin/restaurant/services/:code - Modifier un service
+ * GET /admin/restaurant/floor?date=YYYY-MM-DD - Plan de salle du jour
+ * GET /admin/restaurant/pickup - Créneaux de retrait (paramètres, horaires, fermetures)
+ * PATCH /admin/restaurant/pickup - Modifier durée, capacité, délai de préparation
+ * PUT /admin/restaurant/pickup/hours - Remplacer les horaires de retrait
+ * POST /admin/restaurant/pickup/closed-days - Ajouter un jour de fermeture
+ * DELETE /admin/restaurant/pickup/closed-days/:date - Supprimer un jour de fermeture
+ * GET /admin/restaurant/service-periods - Périodes de service (fika, déjeuner…)
+ * POST /admin/restaurant/service-periods - Créer une période
+ * PATCH /admin/restaurant/service-periods/:code - Modifier une période
+ * DELETE /admin/restaurant/service-periods/:code - Supprimer une période non assignée
+ * PUT /admin/restaurant/menus/:id/service-periods - Assigner des périodes à un menu
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db, getPool } = require('../../database/db');
+const { requireAdmin } = require('../../middleware/auths');
+const { z } = require('zod');
+const { ACTIVE_STATUSES } = require('../../services/tableReservationService');
+const { RELEASED_STATUSES } = require('../../services/pickupSlotService');
+const { getRestaurantTimezone, getRestaurantDateKey } = require('../../utils/restaurantTime');
+const { formatPeriod, validatePeriodCodes } = require('../../services/servicePeriodService');
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+const tableIdSchema = z.string().uuid('ID de table invalide (UUID attendu)');
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Format HH:MM attendu');
+
+const tableSchema = z.object({
+  name: z.string().trim().min(1).max(50),
+  seats: z.number().int().positive(),
+  minSeats: z.number().int().positive().default(1),
+  zone: z.string().max(50).nullable().optional(),
+  isActive: z.boolean().default(true),
+  displayOrder: z.number().int().default(0),
+});
+
+const checkSeats = (data, ctx) => {
+  if (data.seats && data.minSeats && data.minSeats > data.seats) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['minSeats'], message: 'minSeats doit être inférieur ou égal à seats' });
+  }
+};
+
+const createTableSchema = tableSchema.superRefine(checkSeats);
+const updateTableSchema = tableSchema.partial().superRefine(checkSeats);
+
+const updateServiceSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  startTime: timeSchema.optional(),
+  endTime: timeSchema.optional(),
+  turnMinutes: z.number().int().min(15).max(480).optional(),
+  slotIntervalMinutes: z.number().int().min(5).max(120).optional(),
+  maxCovers: z.number().int().positive().nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+const updatePickupSettingsSchema = z.object({
+  slotMinutes: z.number().int().min(5).max(120).optional(),
+  maxOrdersPerSlot: z.number().int().positive().nullable().optional(),
+  maxItemsPerSlot: z.number().int().positive().nullable().optional(),
+  leadTimeMinutes: z.number().int().min(0).max(1440).optional(),
+  bookingHorizonDays: z.number().int().min(1).max(60).optional(),
+  isActive: z.boolean().optional(),
+});
+
+const pickupHoursSchema = z.object({
+  hours: z.array(z.object({
+    dayOfWeek: z.number().int().min(0).max(6),
+    openTime: timeSchema,
+    closeTime: timeSchema,
+  }).refine(range => range.closeTime > range.openTime, {
+    message: 'L\'heure de fin doit être postérieure à l\'heure de début',
+    path: ['closeTime'],
+  })),
+});
+
+const closedDaySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Format YYYY-MM-DD attendu'),
+  reason: z.string().max(255).nullable().optional(),
+});
+
+const servicePeriodSchema = z.object({
+  code: z.string().regex(/^[a-z0-9_]{1,30}$/, 'Code en minuscules (a-z, 0-9, _)'),
+  name: z.string().trim().min(1).max(100),
+  daysOfWeek: z.array(z.number().int().min(0).max(6)).min(1).transform(days => [...new Set(days)].sort()),
+  startTime: timeSchema,
+  endTime: timeSchema,
+  isActive: z.boolean().default(true),
+  displayOrder: z.number().int().default(0),
+});
+
+const checkPeriodTimes = (data, ctx) => {
+  if (data.startTime && data.endTime && data.endTime <= data.startTime) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endTime'], message: 'L\'heure de fin doit être postérieure à l\'heure de début' });
+  }
+};
+
+const createServicePeriodSchema = servicePeriodSchema.superRefine(checkPeriodTimes);
+const updateServicePeriodSchema = servicePeriodSchema.omit({ code: true }).partial().superRefine(checkPeriodTimes);
+
+const menuServicePeriodsSchema = z.object({
+  periods: z.array(z.string()),
+});
+
+const TABLE_FIELDS = {
+  name: 'name',
+  seats: 'seats',
+  minSeats: 'min_seats',
+  zone: 'zone',
+  isActive: 'is_active',
+  displayOrder: 'display_order',
+};
+
+const PICKUP_SETTINGS_FIELDS = {
+  slotMinutes: 'slot_minutes',
+  maxOrdersPerSlot: 'max_orders_per_slot',
+  maxItemsPerSlot: 'max_items_per_slot',
+  leadTimeMinutes: 'lead_time_minutes',
+  bookingHorizonDays: 'booking_horizon_days',
+  isActive: 'is_active',
+};
+
+const SERVICE_PERIOD_FIELDS = {
+  name: 'name',
+  daysOfWeek: 'days_of_week',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  isActive: 'is_active',
+  displayOrder: 'display_order',
+};
+
+const SERVICE_FIELDS = {
+  name: 'name',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  turnMinutes: 'turn_minutes',
+  slotIntervalMinutes: 'slot_interval_minutes',
+  maxCovers: 'max_covers',
+  isActive: 'is_active',
+};
+
+/**
+ * Construire la clause SET d'un UPDATE partiel
+ */
+function buildUpdate(data, fields) {
+  const updates = [];
+  const params = [];
+
+  Object.entries(fields).forEach(([key, column]) => {
+    if (data[key] !== undefined) {
+      params.push(data[key]);
+      updates.push(`${column} = $${params.length}`);
+    }
+  });
+
+  return { updates, params };
+}
+
+function handleZodError(error, res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Données invalides',
+    errors: error.errors,
+  });
+}
+
+// ============================================
+// GET /admin/restaurant/tables - Liste tables
+// ============================================
+router.get('/tables', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM restaurant_tables ORDER BY display_order ASC, name ASC'
+    );
+
+    res.json({
+      success: true,
+      tables: result.rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /admin/restaurant/tables - Créer table
+// ============================================
+router.post('/tables', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = createTableSchema.parse(req.body);
+
+    const result = await db.query(
+      `INSERT INTO restaurant_tables (name, seats, min_seats, zone, is_active, display_order)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        validated.name,
+        validated.seats,
+        validated.minSeats,
+        validated.zone || null,
+        validated.isActive,
+        validated.displayOrder,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Table créée',
+      table: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Une table porte déjà ce nom',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// PATCH /admin/restaurant/tables/:id - Modifier table
+// ============================================
+router.patch('/tables/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const id = tableIdSchema.parse(req.params.id);
+    const validated = updateTableSchema.parse(req.body);
+    const { updates, params } = buildUpdate(validated, TABLE_FIELDS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune modification',
+      });
+    }
+
+    params.push(id);
+
+    const result = await db.query(
+      `UPDATE restaurant_tables SET ${updates.join(', ')}
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Table mise à jour',
+      table: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Une table porte déjà ce nom',
+      });
+    }
+    // Contrainte min_seats <= seats
+    if (error.code === '23514') {
+      return res.status(400).json({
+        success: false,
+        message: 'minSeats doit être inférieur ou égal à seats',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// DELETE /admin/restaurant/tables/:id - Supprimer table
+// ============================================
+router.delete('/tables/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const id = tableIdSchema.parse(req.params.id);
+
+    const upcoming = await db.query(
+      `SELECT COUNT(*)::int as count FROM reservations
+       WHERE table_id = $1 AND status = ANY($2) AND reservation_date >= $3::date`,
+      [id, ACTIVE_STATUSES, getRestaurantDateKey(new Date())]
+    );
+
+    if (upcoming.rows[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${upcoming.rows[0].count} réservation(s) à venir sur cette table : désactivez-la plutôt`,
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM restaurant_tables WHERE id = $1 RETURNING id',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Table supprimée',
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    next(error);
+  }
+});
+
+// ============================================
+// GET /admin/restaurant/services - Services
+// ============================================
+router.get('/services', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM restaurant_services ORDER BY start_time ASC'
+    );
+
+    res.json({
+      success: true,
+      services: result.rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// PATCH /admin/restaurant/services/:code - Modifier service
+// ============================================
+router.patch('/services/:code', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = updateServiceSchema.parse(req.body);
+    const { updates, params } = buildUpdate(validated, SERVICE_FIELDS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune modification',
+      });
+    }
+
+    params.push(req.params.code);
+
+    const result = await db.query(
+      `UPDATE restaurant_services SET ${updates.join(', ')}
+       WHERE code = $${params.length}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service non trouvé',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service mis à jour',
+      service: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    // Contrainte end_time > start_time
+    if (error.code === '23514') {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'heure de fin doit être postérieure à l\'heure de début',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// GET /admin/restaurant/floor - Plan de salle du jour
+// ============================================
+router.get('/floor', requireAdmin, async (req, res, next) => {
+  try {
+    // Jour du restaurant (la date UTC bascule avant minuit en soirée)
+    const date = req.query.date || getRestaurantDateKey(new Date());
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date invalide (YYYY-MM-DD)',
+      });
+    }
+
+    const [tablesResult, reservationsResult] = await Promise.all([
+      db.query('SELECT * FROM restaurant_tables WHERE is_active = true ORDER BY display_order ASC, name ASC'),
+      db.query(
+        `SELECT r.id, r.table_id, r.reservation_time, r.duration, r.party_size, r.service_code,
+                r.status, r.message, u.firstname, u.lastname, u.email, u.phone
+         FROM reservations r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.reservation_date = $1
+           AND LOWER(r.meeting_type) = 'table'
+           AND r.status = ANY($2)
+         ORDER BY r.reservation_time ASC`,
+        [date, ACTIVE_STATUSES]
+      ),
+    ]);
+
+    const reservations = reservationsResult.rows;
+
+    res.json({
+      success: true,
+      date,
+      covers: reservations.reduce((sum, reservation) => sum + (reservation.party_size || 0), 0),
+      tables: tablesResult.rows.map((table) => ({
+        ...table,
+        reservations: reservations.filter((reservation) => reservation.table_id === table.id),
+      })),
+      unassigned: reservations.filter((reservation) => !reservation.table_id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// GET /admin/restaurant/pickup - Créneaux de retrait
+// ============================================
+router.get('/pickup', requireAdmin, async (req, res, next) => {
+  try {
+    const [settingsResult, hoursResult, closedResult] = await Promise.all([
+      db.query('SELECT * FROM pickup_settings WHERE id = 1'),
+      db.query('SELECT * FROM pickup_hours ORDER BY day_of_week ASC, open_time ASC'),
+      db.query(
+        `SELECT closed_date::text as date, reason FROM pickup_closed_days
+         WHERE closed_date >= CURRENT_DATE
+         ORDER BY closed_date ASC`
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      settings: settingsResult.rows[0] || null,
+      hours: hoursResult.rows,
+      closedDays: closedResult.rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// PATCH /admin/restaurant/pickup - Modifier paramètres
+// ============================================
+router.patch('/pickup', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = updatePickupSettingsSchema.parse(req.body);
+    const { updates, params } = buildUpdate(validated, PICKUP_SETTINGS_FIELDS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune modification',
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE pickup_settings SET ${updates.join(', ')}
+       WHERE id = 1
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Créneaux de retrait non configurés',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Créneaux de retrait mis à jour',
+      settings: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    next(error);
+  }
+});
+
+// ============================================
+// PUT /admin/restaurant/pickup/hours - Remplacer horaires
+// ============================================
+router.put('/pickup/hours', requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = pickupHoursSchema.parse(req.body);
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM pickup_hours');
+
+    for (const range of validated.hours) {
+      await client.query(
+        `INSERT INTO pickup_hours (day_of_week, open_time, close_time)
+         VALUES ($1, $2, $3)`,
+        [range.dayOfWeek, range.openTime, range.closeTime]
+      );
+    }
+
+    const result = await client.query(
+      'SELECT * FROM pickup_hours ORDER BY day_of_week ASC, open_time ASC'
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Horaires de retrait mis à jour',
+      hours: result.rows,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Deux plages commencent à la même heure le même jour',
+      });
+    }
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// POST /admin/restaurant/pickup/closed-days - Ajouter fermeture
+// ============================================
+router.post('/pickup/closed-days', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = closedDaySchema.parse(req.body);
+
+    const result = await db.query(
+      `INSERT INTO pickup_closed_days (closed_date, reason)
+       VALUES ($1, $2)
+       ON CONFLICT (closed_date) DO UPDATE SET reason = EXCLUDED.reason
+       RETURNING closed_date::text as date, reason`,
+      [validated.date, validated.reason || null]
+    );
+
+    // Commandes déjà planifiées ce jour-là : à recontacter
+    const ordersResult = await db.query(
+      `SELECT id, order_number, pickup_time FROM orders
+       WHERE order_type = 'click_collect'
+         AND (pickup_time AT TIME ZONE $3)::date = $1
+         AND status <> ALL($2)
+       ORDER BY pickup_time ASC`,
+      [validated.date, RELEASED_STATUSES, getRestaurantTimezone()]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Jour de fermeture enregistré',
+      closedDay: result.rows[0],
+      affectedOrders: ordersResult.rows,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    next(error);
+  }
+});
+
+// ============================================
+// DELETE /admin/restaurant/pickup/closed-days/:date - Supprimer fermeture
+// ============================================
+router.delete('/pickup/closed-days/:date', requireAdmin, async (req, res, next) => {
+  try {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date invalide (YYYY-MM-DD)',
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM pickup_closed_days WHERE closed_date = $1 RETURNING closed_date',
+      [req.params.date]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Jour de fermeture non trouvé',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Jour de fermeture supprimé',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// GET /admin/restaurant/service-periods - Périodes de service
+// ============================================
+router.get('/service-periods', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT sp.*,
+        (SELECT COUNT(*) FROM menus WHERE sp.code = ANY(service_periods))::int AS menus_count,
+        (SELECT COUNT(*) FROM dishes WHERE sp.code = ANY(service_periods))::int AS dishes_count,
+        (SELECT COUNT(*) FROM products WHERE sp.code = ANY(service_periods))::int AS products_count
+       FROM service_periods sp
+       ORDER BY sp.display_order ASC, sp.start_time ASC`
+    );
+
+    res.json({
+      success: true,
+      periods: result.rows.map(period => ({ ...period, label: formatPeriod(period) })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /admin/restaurant/service-periods - Créer période
+// ============================================
+router.post('/service-periods', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = createServicePeriodSchema.parse(req.body);
+
+    const result = await db.query(
+      `INSERT INTO service_periods (code, name, days_of_week, start_time, end_time, is_active, display_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        validated.code,
+        validated.name,
+        validated.daysOfWeek,
+        validated.startTime,
+        validated.endTime,
+        validated.isActive,
+        validated.displayOrder,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Période créée',
+      period: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Une période avec ce code existe déjà',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// PATCH /admin/restaurant/service-periods/:code - Modifier période
+// ============================================
+router.patch('/service-periods/:code', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = updateServicePeriodSchema.parse(req.body);
+    const { updates, params } = buildUpdate(validated, SERVICE_PERIOD_FIELDS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune modification',
+      });
+    }
+
+    params.push(req.params.code);
+
+    const result = await db.query(
+      `UPDATE service_periods SET ${updates.join(', ')}
+       WHERE code = $${params.length}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Période non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Période mise à jour',
+      period: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    // Contrainte end_time > start_time (une seule heure modifiée)
+    if (error.code === '23514') {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'heure de fin doit être postérieure à l\'heure de début',
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// DELETE /admin/restaurant/service-periods/:code - Supprimer période
+// Refusée si elle est encore assignée : retirer le code rendrait
+// les éléments concernés disponibles en permanence (désactiver plutôt)
+// ============================================
+router.delete('/service-periods/:code', requireAdmin, async (req, res, next) => {
+  try {
+    const { code } = req.params;
+
+    const usage = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM menus WHERE $1 = ANY(service_periods))::int AS menus,
+        (SELECT COUNT(*) FROM dishes WHERE $1 = ANY(service_periods))::int AS dishes,
+        (SELECT COUNT(*) FROM products WHERE $1 = ANY(service_periods))::int AS products`,
+      [code]
+    );
+    const { menus, dishes, products } = usage.rows[0];
+
+    if (menus + dishes + products > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Période assignée à ${menus} menu(s), ${dishes} plat(s) et ${products} produit(s) : la désactiver ou la retirer d'abord`,
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM service_periods WHERE code = $1 RETURNING code',
+      [code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Période non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Période supprimée',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// PUT /admin/restaurant/menus/:id/service-periods - Périodes d'un menu
+// [] = menu disponible toute la journée
+// ============================================
+router.put('/menus/:id/service-periods', requireAdmin, async (req, res, next) => {
+  try {
+    const validated = menuServicePeriodsSchema.parse(req.body);
+    const periods = await validatePeriodCodes(db, validated.periods);
+
+    const result = await db.query(
+      `UPDATE menus SET service_periods = $1
+       WHERE id_menu = $2
+       RETURNING id_menu, title, service_periods`,
+      [periods, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu non trouvé',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Périodes du menu mises à jour',
+      menu: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return handleZodError(error, res);
+    // Période inconnue
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -11,13 +11,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../database/db');
 const { requireAdmin } = require('../../middleware/auths');
-
-function generateTicketNumber() {
-  const d = new Date();
-  const datePart = d.toISOString().slice(0, 10).replace(/-/g, '');
-  const r = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `TKT-${datePart}-${r}`;
-}
+const { nextDocumentNumber } = require('../../services/documentNumberService');
 
 // Liste des tickets
 router.get('/tickets', requireAdmin, async (req, res, next) => {
@@ -75,7 +69,7 @@ router.post('/tickets', requireAdmin, async (req, res, next) => {
     if (!subject || !message) {
       return res.status(400).json({ success: false, message: 'Subject et message requis.' });
     }
-    const ticketNumber = generateTicketNumber();
+    const ticketNumber = await nextDocumentNumber('ticket');
     const result = await db.query(
       `INSERT INTO support_tickets (ticket_number, subject, message, priority, customer_email, customer_name, user_id, order_id, status)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'open')
@@ -6,6 +6,7 @@ const crypto = require('crypto');
 
 const router = express.Router();
 const { getPool } = require('../database/db');
+const { mergeGuestCart } = require('../services/cartService');
 
 // 🔥 IMPORT DES HELPERS EMAILS
 const { 
@@ -19,6 +20,25 @@ const {
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRY = '7d'; // 7 jours
 
+// ============================================
+// FUSION PANIER INVITÉ
+// ============================================
+/**
+ * Fusionner le panier invité (header x-session-id ou body.sessionId) dans celui de l'utilisateur
+ * Ne bloque jamais la connexion en cas d'erreur
+ */
+const mergeCartOnLogin = async (req, userId) => {
+  const sessionId = req.headers['x-session-id'] || req.body.sessionId;
+  if (!sessionId) return null;
+
+  try {
+    return await mergeGuestCart(userId, sessionId);
+  } catch (error) {
+    console.error('❌ Erreur fusion panier invité:', error);
+    return null;
+  }
+};
+
 // ============================================
 // UTILITAIRES JWT
 // ============================================
@@ -204,9 +224,12 @@ router.post('/register', async (req, res) => {
 
     console.log('✅ Inscription réussie:', user.email);
 
+    const cart = await mergeCartOnLogin(req, user.id);
+
     res.status(201).json({
       message: 'Inscription réussie',
       token,
+      cart,
       user: {
         id: user.id,
         email: user.email,
@@ -305,11 +328,15 @@ router.post('/login', async (req, res) => {
     const firstname = metadata.firstname || nameParts[0] || '';
     const lastname = metadata.lastname || nameParts.slice(1).join(' ') || '';
     
+    // Panier invité → panier utilisateur
+    const cart = await mergeCartOnLogin(req, user.id);
+    
     // Réponse avec token
     res.json({
       success: true,
       message: 'Connexion réussie',
       token,
+      cart,
       user: {
         id: user.id,
         firstname,
@@ -5,14 +5,19 @@
  * PATCH /api/cart/items/:id - Modifier quantité
  * DELETE /api/cart/items/:id - Retirer un produit
  * DELETE /api/cart - Vider le panier
+ * POST /api/cart/coupon - Appliquer un code promo
+ * DELETE /api/cart/coupon - Retirer le code promo
+ * POST /api/cart/merge - Fusionner le panier invité dans le panier utilisateur
  */
 
 const express = require('express');
 const router = express.Router();
 const { db } = require('../database/db');
-const { requireAdmin } = require('../middleware/auths');
+const { requireAuth, requireAdmin, optionalAuth } = require('../middleware/auths');
 const { z } = require('zod');
 const crypto = require('crypto');
+const { priceCart } = require('../services/promotionService');
+const { mergeGuestCart } = require('../services/cartService');
 
 // ============================================
 // VALIDATION SCHEMAS
@@ -27,6 +32,10 @@ const updateQuantitySchema = z.object({
   quantity: z.number().int().min(0),
 });
 
+const applyCouponSchema = z.object({
+  code: z.string().trim().min(1).max(50),
+});
+
 // ============================================
 // HELPER: Obtenir ou créer un panier
 // ============================================
@@ -70,6 +79,12 @@ async function getOrCreateCart(userId, sessionId) {
 // HELPER: Calculer totaux du panier
 // ============================================
 async function calculateCartTotals(cartId) {
+  const cartResult = await db.query(
+    'SELECT user_id, coupon_code FROM carts WHERE id = $1',
+    [cartId]
+  );
+  const cart = cartResult.rows[0] || {};
+
   const itemsResult = await db.query(
     `SELECT 
       ci.*,
@@ -77,24 +92,50 @@ async function calculateCartTotals(cartId) {
       p.images,
       p.slug,
       p.stock_quantity,
+      p.category_id,
       pv.name as variant_name,
       pv.stock_quantity as variant_stock
      FROM cart_items ci
      JOIN products p ON ci.product_id = p.id
      LEFT JOIN product_variants pv ON ci.variant_id = pv.id
-     WHERE ci.cart_id = $1`,
+     WHERE ci.cart_id = $1
+     ORDER BY ci.added_at ASC`,
     [cartId]
   );
 
   const items = itemsResult.rows;
-  const subtotal = items.reduce((sum, item) => {
-    return sum + parseFloat(item.price_snapshot) * item.quantity;
-  }, 0);
+
+  // Moteur de prix commun (promotions automatiques + code promo du panier)
+  const pricing = await priceCart(
+    items.map((item) => ({
+      productId: item.product_id,
+      variantId: item.variant_id,
+      categoryId: item.category_id,
+      productName: item.product_name,
+      price: item.price_snapshot,
+      quantity: item.quantity,
+    })),
+    { couponCode: cart.coupon_code, userId: cart.user_id }
+  );
 
   return {
-    items,
+    items: items.map((item, index) => ({
+      ...item,
+      discounts: pricing.lines[index].discounts,
+      discount_total: pricing.lines[index].discountTotal.toFixed(2),
+      total: pricing.lines[index].total.toFixed(2),
+    })),
     itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
-    subtotal: subtotal.toFixed(2),
+    subtotal: pricing.subtotal.toFixed(2),
+    promotionDiscount: pricing.promotionDiscount.toFixed(2),
+    couponDiscount: pricing.couponDiscount.toFixed(2),
+    discountTotal: pricing.discountTotal.toFixed(2),
+    total: pricing.total.toFixed(2),
+    appliedPromotions: pricing.appliedPromotions,
+    skippedPromotions: pricing.skippedPromotions,
+    coupon: pricing.coupon,
+    couponError: pricing.couponError,
+    freeShipping: pricing.freeShipping,
   };
 }
 
@@ -135,7 +176,7 @@ router.get('/admin/active-carts', requireAdmin, async (req, res, next) => {
 // ============================================
 // GET /api/cart - Récupérer le panier
 // ============================================
-router.get('/', async (req, res, next) => {
+router.get('/', optionalAuth, async (req, res, next) => {
   try {
     const userId = req.user?.id;
     let sessionId = req.headers['x-session-id'];
@@ -164,7 +205,7 @@ router.get('/', async (req, res, next) => {
 // ============================================
 // POST /api/cart/items - Ajouter au panier
 // ============================================
-router.post('/items', async (req, res, next) => {
+router.post('/items', optionalAuth, async (req, res, next) => {
   try {
     const validated = addToCartSchema.parse(req.body);
     const userId = req.user?.id;
@@ -283,7 +324,7 @@ router.post('/items', async (req, res, next) => {
 // ============================================
 // PATCH /api/cart/items/:id - Modifier quantité
 // ============================================
-router.patch('/items/:id', async (req, res, next) => {
+router.patch('/items/:id', optionalAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const validated = updateQuantitySchema.parse(req.body);
@@ -344,6 +385,8 @@ router.patch('/items/:id', async (req, res, next) => {
       );
     }
 
+    await db.query('UPDATE carts SET updated_at = NOW() WHERE id = $1', [item.cart_id]);
+
     // Récupérer panier mis à jour
     const cartData = await calculateCartTotals(item.cart_id);
 
@@ -370,7 +413,7 @@ router.patch('/items/:id', async (req, res, next) => {
 // ============================================
 // DELETE /api/cart/items/:id - Retirer du panier
 // ============================================
-router.delete('/items/:id', async (req, res, next) => {
+router.delete('/items/:id', optionalAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user?.id;
@@ -406,6 +449,7 @@ router.delete('/items/:id', async (req, res, next) => {
     }
 
     await db.query('DELETE FROM cart_items WHERE id = $1', [id]);
+    await db.query('UPDATE carts SET updated_at = NOW() WHERE id = $1', [item.cart_id]);
 
     // Récupérer panier mis à jour
     const cartData = await calculateCartTotals(item.cart_id);
@@ -423,10 +467,136 @@ router.delete('/items/:id', async (req, res, next) => {
   }
 });
 
+// ============================================
+// POST /api/cart/coupon - Appliquer un code promo
+// ============================================
+router.post('/coupon', optionalAuth, async (req, res, next) => {
+  try {
+    const validated = applyCouponSchema.parse(req.body);
+    const userId = req.user?.id;
+    const sessionId = req.headers['x-session-id'];
+
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session invalide',
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, sessionId);
+
+    await db.query(
+      'UPDATE carts SET coupon_code = $1, updated_at = NOW() WHERE id = $2',
+      [validated.code.toUpperCase(), cart.id]
+    );
+
+    const cartData = await calculateCartTotals(cart.id);
+
+    // Code refusé : on ne le conserve pas sur le panier
+    if (cartData.couponError) {
+      await db.query('UPDATE carts SET coupon_code = NULL WHERE id = $1', [cart.id]);
+
+      return res.status(400).json({
+        success: false,
+        message: cartData.couponError,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Code promo appliqué',
+      cart: {
+        id: cart.id,
+        sessionId: cart.session_id || sessionId,
+        ...cartData,
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// DELETE /api/cart/coupon - Retirer le code promo
+// ============================================
+router.delete('/coupon', optionalAuth, async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    const sessionId = req.headers['x-session-id'];
+
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session invalide',
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, sessionId);
+
+    await db.query(
+      'UPDATE carts SET coupon_code = NULL, updated_at = NOW() WHERE id = $1',
+      [cart.id]
+    );
+
+    const cartData = await calculateCartTotals(cart.id);
+
+    res.json({
+      success: true,
+      message: 'Code promo retiré',
+      cart: {
+        id: cart.id,
+        sessionId: cart.session_id || sessionId,
+        ...cartData,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /api/cart/merge - Fusionner le panier invité
+// ============================================
+router.post('/merge', requireAuth, async (req, res, next) => {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.body.sessionId;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session invalide',
+      });
+    }
+
+    const merge = await mergeGuestCart(req.userId, sessionId);
+    const cart = await getOrCreateCart(req.userId, null);
+    const cartData = await calculateCartTotals(cart.id);
+
+    res.json({
+      success: true,
+      message: merge.merged ? 'Panier fusionné' : 'Aucun panier invité à fusionner',
+      merge,
+      cart: {
+        id: cart.id,
+        ...cartData,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // DELETE /api/cart - Vider le panier
 // ============================================
-router.delete('/', async (req, res, next) => {
+router.delete('/', optionalAuth, async (req, res, next) => {
   try {
     const userId = req.user?.id;
     const sessionId = req.headers['x-session-id'];
@@ -450,6 +620,8 @@ router.delete('/', async (req, res, next) => {
         items: [],
         itemsCount: 0,
         subtotal: '0.00',
+        discountTotal: '0.00',
+        total: '0.00',
       },
     });
   } catch (error) {
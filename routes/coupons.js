@@ -10,16 +10,24 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../database/db');
-const { verifyToken, isAdmin } = require('../middleware/auths');
+const { verifyToken, isAdmin, optionalAuth } = require('../middleware/auths');
 const { z } = require('zod');
+const { priceCart, buildCartLines, CouponError } = require('../services/promotionService');
 
 // ============================================
 // VALIDATION SCHEMAS
 // ============================================
 const validateCouponSchema = z.object({
   code: z.string().min(1),
-  cartTotal: z.number().positive(),
+  cartTotal: z.number().positive().optional(),
+  items: z.array(z.object({
+    productId: z.string().uuid(),
+    variantId: z.string().uuid().optional(),
+    quantity: z.number().int().positive(),
+  })).min(1).optional(),
   userId: z.string().uuid().optional(),
+}).refine(data => data.items || data.cartTotal, {
+  message: 'items ou cartTotal requis',
 });
 
 const createCouponSchema = z.object({
@@ -42,102 +50,42 @@ const createCouponSchema = z.object({
 // ============================================
 // POST /api/coupons/validate - Valider code promo
 // ============================================
-router.post('/validate', async (req, res, next) => {
+router.post('/validate', optionalAuth, async (req, res, next) => {
   try {
     const validated = validateCouponSchema.parse(req.body);
+    const userId = req.userId || validated.userId || null;
 
-    // Chercher le coupon
-    const couponResult = await db.query(
-      `SELECT * FROM coupons 
-       WHERE UPPER(code) = $1 AND is_active = true`,
-      [validated.code.toUpperCase()]
-    );
-
-    if (couponResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Code promo invalide',
-      });
-    }
-
-    const coupon = couponResult.rows[0];
-
-    // Vérifier validité temporelle
-    const now = new Date();
-    if (coupon.valid_from && new Date(coupon.valid_from) > now) {
-      return res.status(400).json({
-        success: false,
-        message: 'Ce code n\'est pas encore actif',
-        availableFrom: coupon.valid_from,
-      });
-    }
-
-    if (coupon.valid_to && new Date(coupon.valid_to) < now) {
-      return res.status(400).json({
-        success: false,
-        message: 'Ce code a expiré',
-        expiredAt: coupon.valid_to,
-      });
-    }
-
-    // Vérifier limite d'utilisation globale
-    if (coupon.usage_limit && coupon.usage_count >= coupon.usage_limit) {
-      return res.status(400).json({
-        success: false,
-        message: 'Ce code a atteint sa limite d\'utilisation',
-      });
-    }
-
-    // Vérifier limite par utilisateur
-    if (validated.userId && coupon.usage_limit_per_user) {
-      const userUsageResult = await db.query(
-        `SELECT COUNT(*) as count FROM coupon_usage 
-         WHERE coupon_id = $1 AND user_id = $2`,
-        [coupon.id, validated.userId]
-      );
-
-      const userUsageCount = parseInt(userUsageResult.rows[0].count);
-      if (userUsageCount >= coupon.usage_limit_per_user) {
-        return res.status(400).json({
-          success: false,
-          message: 'Vous avez déjà utilisé ce code le nombre maximum de fois',
-        });
-      }
-    }
+    // Sans détail du panier, on valorise une ligne unique au montant total
+    const lines = validated.items
+      ? await buildCartLines(validated.items)
+      : [{ productId: null, categoryId: null, productName: 'Panier', price: validated.cartTotal, quantity: 1 }];
 
-    // Vérifier montant minimum
-    if (coupon.min_purchase_amount && validated.cartTotal < parseFloat(coupon.min_purchase_amount)) {
+    if (lines.length === 0) {
       return res.status(400).json({
         success: false,
-        message: `Montant minimum requis : ${coupon.min_purchase_amount}€`,
-        minAmount: parseFloat(coupon.min_purchase_amount),
+        message: 'Aucun produit disponible dans le panier',
       });
     }
 
-    // Calculer la réduction
-    let discountAmount = 0;
-
-    if (coupon.discount_type === 'percentage') {
-      discountAmount = validated.cartTotal * (parseFloat(coupon.discount_value) / 100);
-      
-      if (coupon.max_discount_amount) {
-        discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount_amount));
-      }
-    } else if (coupon.discount_type === 'fixed_amount') {
-      discountAmount = Math.min(parseFloat(coupon.discount_value), validated.cartTotal);
-    }
+    const pricing = await priceCart(lines, {
+      couponCode: validated.code,
+      userId,
+      strictCoupon: true,
+    });
 
     res.json({
       success: true,
       message: 'Code promo valide',
       coupon: {
-        id: coupon.id,
-        code: coupon.code,
-        description: coupon.description,
-        discountType: coupon.discount_type,
-        discountValue: coupon.discount_value,
-        discountAmount: discountAmount.toFixed(2),
+        id: pricing.coupon.id,
+        code: pricing.coupon.code,
+        description: pricing.coupon.description,
+        discountType: pricing.coupon.discountType,
+        discountValue: pricing.coupon.discountValue,
+        discountAmount: pricing.couponDiscount.toFixed(2),
+        freeShipping: pricing.freeShipping,
       },
+      pricing,
     });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -147,6 +95,12 @@ router.post('/validate', async (req, res, next) => {
         errors: error.errors,
       });
     }
+    if (error instanceof CouponError) {
+      return res.status(error.message === 'Code promo invalide' ? 404 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 });
@@ -2,11 +2,38 @@
 const express = require('express');
 const router = express.Router();
 const { requireAdmin } = require('../middleware/auths');
+const {
+  ALLERGEN_LABELS,
+  DIETARY_LABELS,
+  parseDietaryAttributes,
+  parseDietaryFilters,
+  buildDietaryConditions,
+} = require('../services/dietaryService');
+const {
+  parseAvailabilityAt,
+  getOpenPeriods,
+  validatePeriodCodes,
+  buildServicePeriodConditions,
+} = require('../services/servicePeriodService');
+
+// Périodes ouvertes au moment ?at= (sans ?at : pas de filtre, la gestion admin liste tout)
+const openPeriodsFromQuery = async (pool, query) => {
+  if (!query.at) return null;
+  const at = parseAvailabilityAt(query.at);
+  return at ? getOpenPeriods(pool, at) : null;
+};
 
 // GET /dishes - Récupérer tous les plats (PUBLIC)
+// Filtres : ?exclude_allergens=gluten,milk ?allergens= ?diet=vegan,halal ?exclude_diet=
+// ?at=ISO ou HH:MM : seulement les plats servis à ce moment (périodes de service)
 router.get('/', async (req, res) => {
   try {
     const pool = req.app.locals.pool;
+    const params = [];
+    const conditions = [
+      ...buildDietaryConditions(parseDietaryFilters(req.query), 'd', params),
+      ...buildServicePeriodConditions(await openPeriodsFromQuery(pool, req.query), 'd', params)
+    ];
     
     const result = await pool.query(`
       SELECT 
@@ -16,8 +43,9 @@ router.get('/', async (req, res) => {
       FROM dishes d
       LEFT JOIN categories c ON d.category_id = c.id_category
       WHERE d.is_available = true
+        ${conditions.map(condition => `AND ${condition}`).join(' ')}
       ORDER BY c.display_order, d.name
-    `);
+    `, params);
 
     res.json({
       success: true,
@@ -25,6 +53,7 @@ router.get('/', async (req, res) => {
       count: result.rows.length
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('❌ Erreur GET /dishes:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
@@ -40,6 +69,12 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Paramètre de recherche requis' });
     }
 
+    const params = [`%${q}%`];
+    const conditions = [
+      ...buildDietaryConditions(parseDietaryFilters(req.query), 'd', params),
+      ...buildServicePeriodConditions(await openPeriodsFromQuery(pool, req.query), 'd', params)
+    ];
+
     const result = await pool.query(`
       SELECT 
         d.*,
@@ -52,8 +87,9 @@ router.get('/search', async (req, res) => {
           LOWER(d.name) LIKE LOWER($1)
           OR LOWER(d.description) LIKE LOWER($1)
         )
+        ${conditions.map(condition => `AND ${condition}`).join(' ')}
       ORDER BY d.name
-    `, [`%${q}%`]);
+    `, params);
 
     res.json({
       success: true,
@@ -61,11 +97,21 @@ router.get('/search', async (req, res) => {
       count: result.rows.length
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('❌ Erreur GET /dishes/search:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// GET /dishes/dietary-attributes - Allergènes et régimes disponibles (PUBLIC)
+router.get('/dietary-attributes', (req, res) => {
+  res.json({
+    success: true,
+    allergens: Object.entries(ALLERGEN_LABELS).map(([code, label]) => ({ code, label })),
+    dietary_tags: Object.entries(DIETARY_LABELS).map(([code, label]) => ({ code, label }))
+  });
+});
+
 // GET /dishes/:id - Récupérer un plat par ID (PUBLIC)
 router.get('/:id', async (req, res) => {
   try {
@@ -120,18 +166,34 @@ router.post('/', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Champs requis manquants' });
     }
 
+    const { allergenCodes, dietaryTags } = parseDietaryAttributes(req.body);
+    const servicePeriods = req.body.service_periods
+      ? await validatePeriodCodes(pool, req.body.service_periods)
+      : [];
+
     const result = await pool.query(`
       INSERT INTO dishes (
         name, description, category_id, price, image_url,
         allergens, is_vegetarian, is_vegan, is_gluten_free,
-        course_type, preparation_time, calories
+        course_type, preparation_time, calories,
+        allergen_codes, dietary_tags, service_periods
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING *
     `, [
       name, description, category_id, price, image_url,
-      allergens, is_vegetarian, is_vegan, is_gluten_free,
-      course_type, preparation_time, calories
+      allergens,
+      dietaryTags ? dietaryTags.includes('vegetarian') : is_vegetarian,
+      dietaryTags ? dietaryTags.includes('vegan') : is_vegan,
+      allergenCodes ? !allergenCodes.includes('gluten') : is_gluten_free,
+      course_type, preparation_time, calories,
+      // Non fournis = non déclarés (exclus des filtres ?exclude_allergens)
+      allergenCodes || null,
+      dietaryTags || [
+        ...(is_vegan ? ['vegan'] : []),
+        ...(is_vegan || is_vegetarian ? ['vegetarian'] : [])
+      ],
+      servicePeriods
     ]);
 
     res.status(201).json({
@@ -140,6 +202,7 @@ router.post('/', requireAdmin, async (req, res) => {
       dish: result.rows[0]
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('❌ Erreur POST /dishes:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
@@ -167,6 +230,12 @@ router.put('/:id', requireAdmin, async (req, res) => {
       calories
     } = req.body;
 
+    const { allergenCodes, dietaryTags } = parseDietaryAttributes(req.body);
+    // [] = toujours disponible
+    const servicePeriods = req.body.service_periods !== undefined && req.body.service_periods !== null
+      ? await validatePeriodCodes(pool, req.body.service_periods)
+      : null;
+
     const result = await pool.query(`
       UPDATE dishes SET
         name = COALESCE($1, name),
@@ -182,13 +251,22 @@ router.put('/:id', requireAdmin, async (req, res) => {
         is_available = COALESCE($11, is_available),
         preparation_time = COALESCE($12, preparation_time),
         calories = COALESCE($13, calories),
+        allergen_codes = COALESCE($15, allergen_codes),
+        dietary_tags = COALESCE($16, dietary_tags),
+        service_periods = COALESCE($17, service_periods),
         updated_at = CURRENT_TIMESTAMP
       WHERE id_dish = $14
       RETURNING *
     `, [
       name, description, category_id, price, image_url,
-      allergens, is_vegetarian, is_vegan, is_gluten_free,
-      course_type, is_available, preparation_time, calories, id
+      allergens,
+      dietaryTags ? dietaryTags.includes('vegetarian') : is_vegetarian,
+      dietaryTags ? dietaryTags.includes('vegan') : is_vegan,
+      allergenCodes ? !allergenCodes.includes('gluten') : is_gluten_free,
+      course_type, is_available, preparation_time, calories, id,
+      allergenCodes || null,
+      dietaryTags || null,
+      servicePeriods
     ]);
 
     if (result.rows.length === 0) {
@@ -201,6 +279,7 @@ router.put('/:id', requireAdmin, async (req, res) => {
       dish: result.rows[0]
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('❌ Erreur PUT /dishes/:id:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
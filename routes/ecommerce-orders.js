@@ -1,17 +1,39 @@
 /**
  * Routes API - Commandes E-commerce
  * POST /api/ecommerce/orders - Créer une commande
+ * POST /api/ecommerce/orders/shipping-rates - Tarifs de livraison du panier
+ * GET /api/ecommerce/orders/pickup-slots - Créneaux de retrait click & collect disponibles
  * GET /api/ecommerce/orders - Liste commandes utilisateur
  * GET /api/ecommerce/orders/:orderNumber - Détail commande
  * PATCH /api/ecommerce/orders/:id/status - Modifier statut (admin)
  * POST /api/ecommerce/orders/:id/cancel - Annuler commande
+ * GET /api/ecommerce/orders/admin/:id/shipping-rates - Tarifs transporteur actuels (admin)
+ * POST /api/ecommerce/orders/admin/:id/label - Générer l'étiquette et expédier (admin)
+ * POST /api/ecommerce/orders/admin/:id/tracking/sync - Rafraîchir le suivi (admin)
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { db, getPool } = require('../database/db');
 const { requireAuth, requireAdmin, isAdmin, optionalAuth } = require('../middleware/auths');
 const { z } = require('zod');
+const { priceCart, recordCouponUsage } = require('../services/promotionService');
+const {
+  quoteShippingRates,
+  verifyShippingRate,
+  calculateShippingRates,
+  calculateParcelDimensions,
+  createShippingLabel,
+  getCarrierAdapter,
+} = require('../services/shippingService');
+const { syncOrderTracking } = require('../jobs/trackingSync');
+const { lockStockRows, reserveOrderStock, releaseOrderStock } = require('../services/inventoryService');
+const { nextDocumentNumber } = require('../services/documentNumberService');
+const { markCartRecovered } = require('../services/cartService');
+const { parsePickupTime, listAvailableSlots, reservePickupSlot } = require('../services/pickupSlotService');
+const { getProductsAvailabilityFilter, assertProductsAvailableAt } = require('../services/servicePeriodService');
+const { COUNTER_PAYMENT_METHOD } = require('../services/kitchenQueueService');
 
 // ============================================
 // VALIDATION SCHEMAS
@@ -42,9 +64,29 @@ const createOrderSchema = z.object({
   customerNote: z.string().optional(),
   couponCode: z.string().optional(),
   shippingMethod: z.string().optional(),
+  shippingRateId: z.string().min(1).optional(), // ID issu de POST /shipping-rates
   orderType: z.enum(['click_collect', 'on_site', 'privatisation', 'epicerie']).optional(),
-  pickupTime: z.string().optional(), // ISO string ou "12:30"
+  pickupTime: z.string().optional(), // ISO string ou "12:30" (défaut : premier créneau libre)
   specialNotes: z.string().optional(),
+  paymentMethod: z.enum(['card', COUNTER_PAYMENT_METHOD]).optional(), // counter : sur place, réglé au comptoir
+});
+
+const shippingRatesSchema = z.object({
+  items: createOrderSchema.shape.items,
+  shippingAddress: addressSchema.optional(),
+  couponCode: z.string().optional(),
+});
+
+const pickupSlotsQuerySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Format YYYY-MM-DD attendu').optional(),
+  items: z.coerce.number().int().positive().default(1),
+});
+
+// Réservation d'une génération d'étiquette abandonnée (crash) reprise après ce délai
+const LABEL_CLAIM_MINUTES = 10;
+
+const createLabelSchema = z.object({
+  rateId: z.string().min(1).optional(), // défaut : tarif choisi au checkout
 });
 
 const updateStatusSchema = z.object({
@@ -53,42 +95,30 @@ const updateStatusSchema = z.object({
 });
 
 // ============================================
-// HELPER: Générer numéro de commande
-// ============================================
-async function generateOrderNumber() {
-  const year = new Date().getFullYear();
-  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-  
-  // Compter commandes du jour
-  const countResult = await db.query(
-    `SELECT COUNT(*) as count FROM orders 
-     WHERE created_at >= CURRENT_DATE`
-  );
-  
-  const count = parseInt(countResult.rows[0].count) + 1;
-  const orderNumber = `ORD-${date}-${count.toString().padStart(4, '0')}`;
-  
-  return orderNumber;
-}
-
-// ============================================
-// HELPER: Calculer totaux commande
+// HELPER: Charger les articles depuis la base
 // ============================================
-async function calculateOrderTotals(items, couponCode = null) {
-  let subtotal = 0;
+async function loadOrderItems(items, client = db, { lock = false } = {}) {
   const orderItems = [];
+  const requestedStock = {};
 
-  // Calculer sous-total et préparer items
+  // Création de commande : verrouiller le stock jusqu'au COMMIT
+  if (lock) {
+    await lockStockRows(client, items);
+  }
+
+  // Prix, stock et dimensions issus de la base, jamais du client
   for (const item of items) {
     const productQuery = item.variantId
       ? `SELECT 
-          p.id, p.name, p.sku, p.price, p.images, p.stock_quantity,
+          p.id, p.name, p.sku, p.price, p.images, p.stock_quantity, p.category_id,
+          p.weight_kg, p.length_cm, p.width_cm, p.height_cm,
           pv.name as variant_name, pv.sku as variant_sku, 
           pv.price_adjustment, pv.stock_quantity as variant_stock
          FROM products p
          JOIN product_variants pv ON pv.product_id = p.id
          WHERE p.id = $1 AND pv.id = $2 AND p.status = 'active'`
-      : `SELECT id, name, sku, price, images, stock_quantity
+      : `SELECT id, name, sku, price, images, stock_quantity, category_id,
+                weight_kg, length_cm, width_cm, height_cm
          FROM products 
          WHERE id = $1 AND status = 'active'`;
 
@@ -96,7 +126,7 @@ async function calculateOrderTotals(items, couponCode = null) {
       ? [item.productId, item.variantId]
       : [item.productId];
 
-    const productResult = await db.query(productQuery, productParams);
+    const productResult = await client.query(productQuery, productParams);
 
     if (productResult.rows.length === 0) {
       throw new Error(`Produit ${item.productId} non disponible`);
@@ -105,71 +135,78 @@ async function calculateOrderTotals(items, couponCode = null) {
     const product = productResult.rows[0];
     const availableStock = item.variantId ? product.variant_stock : product.stock_quantity;
 
-    if (availableStock < item.quantity) {
-      throw new Error(`Stock insuffisant pour ${product.name}`);
+    // Même produit sur plusieurs lignes : quantités cumulées
+    const stockKey = item.variantId || item.productId;
+    requestedStock[stockKey] = (requestedStock[stockKey] || 0) + item.quantity;
+
+    if (availableStock < requestedStock[stockKey]) {
+      const error = new Error(`Stock insuffisant pour ${product.name}`);
+      error.status = 409;
+      throw error;
     }
 
     const price = item.variantId
       ? parseFloat(product.price) + parseFloat(product.price_adjustment || 0)
       : parseFloat(product.price);
 
-    const itemSubtotal = price * item.quantity;
-    subtotal += itemSubtotal;
-
     orderItems.push({
       productId: product.id,
       variantId: item.variantId || null,
+      categoryId: product.category_id || null,
       productName: product.name,
       variantName: product.variant_name || null,
       sku: item.variantId ? product.variant_sku : product.sku,
       price,
       quantity: item.quantity,
-      subtotal: itemSubtotal,
+      subtotal: price * item.quantity,
       imageUrl: product.images?.[0] || null,
+      weightKg: product.weight_kg,
+      lengthCm: product.length_cm,
+      widthCm: product.width_cm,
+      heightCm: product.height_cm,
     });
   }
 
-  // Appliquer coupon si présent
-  let discountAmount = 0;
-  let couponInfo = null;
-
-  if (couponCode) {
-    const couponResult = await db.query(
-      `SELECT * FROM coupons 
-       WHERE UPPER(code) = UPPER($1) AND is_active = true
-       AND (valid_from IS NULL OR valid_from <= NOW())
-       AND (valid_to IS NULL OR valid_to >= NOW())`,
-      [couponCode]
-    );
-
-    if (couponResult.rows.length > 0) {
-      const coupon = couponResult.rows[0];
-
-      // Vérifier limites
-      if (coupon.usage_limit && coupon.usage_count >= coupon.usage_limit) {
-        throw new Error('Code promo épuisé');
-      }
-
-      if (coupon.min_purchase_amount && subtotal < parseFloat(coupon.min_purchase_amount)) {
-        throw new Error(`Minimum ${coupon.min_purchase_amount}€ requis pour ce code`);
-      }
-
-      // Calculer réduction
-      if (coupon.discount_type === 'percentage') {
-        discountAmount = subtotal * (parseFloat(coupon.discount_value) / 100);
-        if (coupon.max_discount_amount) {
-          discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount_amount));
-        }
-      } else if (coupon.discount_type === 'fixed_amount') {
-        discountAmount = parseFloat(coupon.discount_value);
-      }
-
-      couponInfo = coupon;
-    }
-  }
+  return orderItems;
+}
 
-  // Frais de port (simplifié pour le moment)
-  const shippingCost = subtotal >= 50 ? 0 : 5.99;
+// ============================================
+// HELPER: Calculer totaux commande
+// ============================================
+async function calculateOrderTotals(items, couponCode = null, {
+  userId = null,
+  client = db,
+  shippingRateId = 'click_collect',
+  shippingAddress = null,
+  lockStock = false,
+} = {}) {
+  const orderItems = await loadOrderItems(items, client, { lock: lockStock });
+
+  // Promotions automatiques + coupon (code refusé = erreur 400)
+  // Coupon verrouillé avec le stock : limite par client vérifiée une commande à la fois
+  const pricing = await priceCart(orderItems, {
+    couponCode,
+    userId,
+    db: client,
+    strictCoupon: true,
+    lockCoupon: lockStock,
+  });
+
+  pricing.lines.forEach((line, index) => {
+    orderItems[index].discountAmount = line.discountTotal;
+  });
+
+  const subtotal = pricing.subtotal;
+  const discountAmount = pricing.discountTotal;
+
+  // Frais de port recalculés côté serveur à partir du tarif choisi
+  const shippingRate = await verifyShippingRate(shippingRateId, {
+    toAddress: shippingAddress,
+    items: orderItems,
+    subtotal,
+    freeShipping: pricing.freeShipping,
+  });
+  const shippingCost = shippingRate.price;
 
   // Taxes (simplifié - 20% TVA)
   const taxAmount = (subtotal - discountAmount + shippingCost) * 0.20;
@@ -181,22 +218,112 @@ async function calculateOrderTotals(items, couponCode = null) {
     orderItems,
     subtotal: subtotal.toFixed(2),
     discountAmount: discountAmount.toFixed(2),
+    couponDiscount: pricing.couponDiscount.toFixed(2),
     shippingCost: shippingCost.toFixed(2),
     taxAmount: taxAmount.toFixed(2),
     totalAmount: totalAmount.toFixed(2),
-    couponInfo,
+    couponInfo: pricing.coupon,
+    appliedPromotions: pricing.appliedPromotions,
+    shippingRate,
   };
 }
 
+// ============================================
+// POST /api/ecommerce/orders/shipping-rates - Tarifs de livraison
+// ============================================
+router.post('/shipping-rates', optionalAuth, async (req, res, next) => {
+  try {
+    const validated = shippingRatesSchema.parse(req.body);
+    const orderItems = await loadOrderItems(validated.items);
+
+    // Coupon livraison gratuite : on ne bloque pas le devis si le code est refusé
+    const pricing = await priceCart(orderItems, {
+      couponCode: validated.couponCode || null,
+      userId: req.userId || null,
+    });
+
+    const rates = await quoteShippingRates({
+      toAddress: validated.shippingAddress,
+      items: orderItems,
+      subtotal: pricing.subtotal,
+      freeShipping: pricing.freeShipping,
+    });
+
+    res.json({
+      success: true,
+      rates,
+      subtotal: pricing.subtotal.toFixed(2),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// GET /api/ecommerce/orders/pickup-slots - Créneaux de retrait
+// ============================================
+router.get('/pickup-slots', async (req, res, next) => {
+  try {
+    const validated = pickupSlotsQuerySchema.parse(req.query);
+
+    const slots = await listAvailableSlots({
+      date: validated.date || null,
+      itemsCount: validated.items,
+    });
+
+    res.json({
+      success: true,
+      slots,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// HELPER: Tarif de livraison demandé
+// ============================================
+function resolveShippingRateId(validated) {
+  if (validated.shippingRateId) return validated.shippingRateId;
+
+  // Compatibilité : sans tarif choisi, retrait sur place ou livraison standard / express
+  // (avec Shippo, le tarif équivalent est recalculé par verifyShippingRate)
+  if (!validated.shippingMethod || validated.shippingMethod === 'click_collect') {
+    return 'click_collect';
+  }
+  return validated.shippingMethod === 'express' ? 'fixed_express' : 'fixed_standard';
+}
+
 // ============================================
 // POST /api/ecommerce/orders - Créer commande
 // ============================================
-router.post('/', async (req, res, next) => {
+router.post('/', optionalAuth, async (req, res, next) => {
   const client = await getPool().connect();
   
   try {
     const validated = createOrderSchema.parse(req.body);
     const userId = req.user?.id || null;
+
+    if (validated.paymentMethod === COUNTER_PAYMENT_METHOD && validated.orderType !== 'on_site') {
+      return res.status(400).json({
+        success: false,
+        message: 'Le paiement au comptoir est réservé aux commandes sur place',
+      });
+    }
     const guestEmail = validated.billingAddress.email || req.body.billingAddress?.email || req.body.email || null;
 
     await client.query('BEGIN');
@@ -209,15 +336,43 @@ router.post('/', async (req, res, next) => {
       shippingCost,
       taxAmount,
       totalAmount,
+      couponDiscount,
       couponInfo,
-    } = await calculateOrderTotals(validated.items, validated.couponCode);
+      appliedPromotions,
+      shippingRate,
+    } = await calculateOrderTotals(validated.items, validated.couponCode, {
+      userId,
+      client,
+      shippingRateId: resolveShippingRateId(validated),
+      shippingAddress: validated.shippingAddress || validated.billingAddress,
+      lockStock: true,
+    });
 
-    // Générer numéro commande
-    const orderNumber = await generateOrderNumber();
+    // Générer numéro commande (compteur atomique, dans la transaction)
+    const orderNumber = await nextDocumentNumber('order', { client });
 
     const shippingAddressToUse = validated.shippingAddress || validated.billingAddress;
     const orderType = validated.orderType || 'click_collect';
-    const pickupTime = validated.pickupTime || null;
+
+    // Retrait sur place : créneau vérifié (horaires, délai, capacité) et réservé dans la transaction
+    let pickupTime = null;
+    if (orderType === 'click_collect' && shippingRate.rateId === 'click_collect') {
+      // Articles limités à des périodes de service (fika, déjeuner…) : le créneau par défaut
+      // est le premier où tous sont disponibles
+      const productIds = orderItems.map(item => item.productId);
+      const slot = await reservePickupSlot(client, {
+        pickupTime: validated.pickupTime || null,
+        itemsCount: orderItems.reduce((sum, item) => sum + item.quantity, 0),
+        isSlotAllowed: await getProductsAvailabilityFilter(client, productIds),
+      });
+      pickupTime = slot.start.toISOString();
+
+      // Heure choisie par le client : articles disponibles au retrait ?
+      await assertProductsAvailableAt(client, productIds, slot.start);
+    } else if (validated.pickupTime) {
+      // Sur place, privatisation… : heure indicative conservée, sans créneau
+      pickupTime = parsePickupTime(validated.pickupTime).toISOString();
+    }
     const specialNotes = validated.specialNotes || null;
 
     const insertOrderQuery = `
@@ -226,12 +381,13 @@ router.post('/', async (req, res, next) => {
         billing_address, shipping_address,
         subtotal, shipping_cost, tax_amount, discount_amount, total_amount,
         coupon_code, coupon_discount,
-        shipping_method, customer_note,
+        shipping_method, shipping_carrier, shipping_rate_id, customer_note,
         status, payment_status,
-        order_type, pickup_time, special_notes
+        order_type, pickup_time, special_notes,
+        applied_promotions, payment_method
       ) VALUES (
         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
-        $17, $18::timestamptz, $19
+        $17, $18, $19, $20::timestamptz, $21, $22, $23
       )
       RETURNING *
     `;
@@ -247,15 +403,19 @@ router.post('/', async (req, res, next) => {
       taxAmount,
       discountAmount,
       totalAmount,
-      validated.couponCode || null,
-      discountAmount,
-      validated.shippingMethod || 'click_collect',
+      couponInfo ? couponInfo.code : null,
+      couponDiscount,
+      shippingRate.rateId === 'click_collect' ? 'click_collect' : shippingRate.service,
+      shippingRate.rateId === 'click_collect' ? null : shippingRate.carrier,
+      shippingRate.rateId,
       validated.customerNote || null,
       'pending',
       'pending',
       orderType,
       pickupTime,
       specialNotes,
+      JSON.stringify(appliedPromotions),
+      validated.paymentMethod === COUNTER_PAYMENT_METHOD ? COUNTER_PAYMENT_METHOD : null,
     ];
 
     const orderResult = await client.query(insertOrderQuery, orderValues);
@@ -267,8 +427,8 @@ router.post('/', async (req, res, next) => {
         `INSERT INTO order_items (
           order_id, product_id, variant_id,
           product_name, variant_name, sku,
-          price, quantity, subtotal, image_url
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          price, quantity, subtotal, image_url, discount_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
         [
           order.id,
           item.productId,
@@ -280,31 +440,14 @@ router.post('/', async (req, res, next) => {
           item.quantity,
           item.subtotal,
           item.imageUrl,
+          item.discountAmount,
         ]
       );
-
-      // Décrémenter stock
-      if (item.variantId) {
-        await client.query(
-          'UPDATE product_variants SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-          [item.quantity, item.variantId]
-        );
-      } else {
-        await client.query(
-          'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-          [item.quantity, item.productId]
-        );
-      }
-
-      // Ajouter mouvement inventaire
-      await client.query(
-        `INSERT INTO inventory_movements (
-          product_id, variant_id, type, quantity, reference
-        ) VALUES ($1, $2, 'sale', $3, $4)`,
-        [item.productId, item.variantId, -item.quantity, orderNumber]
-      );
     }
 
+    // Décrémenter stock (lignes verrouillées depuis le calcul des totaux)
+    await reserveOrderStock(client, orderItems, orderNumber);
+
     // Incrémenter compteur ventes produits
     for (const item of orderItems) {
       await client.query(
@@ -315,16 +458,7 @@ router.post('/', async (req, res, next) => {
 
     // Enregistrer usage coupon
     if (couponInfo) {
-      await client.query(
-        'UPDATE coupons SET usage_count = usage_count + 1 WHERE id = $1',
-        [couponInfo.id]
-      );
-
-      await client.query(
-        `INSERT INTO coupon_usage (coupon_id, user_id, order_id, discount_amount)
-         VALUES ($1, $2, $3, $4)`,
-        [couponInfo.id, userId, order.id, discountAmount]
-      );
+      await recordCouponUsage(couponInfo.id, userId, order.id, couponDiscount, client);
     }
 
     // Créer historique statut
@@ -334,6 +468,14 @@ router.post('/', async (req, res, next) => {
       [order.id]
     );
 
+    // Conversion d'une relance de panier abandonné
+    await markCartRecovered(client, {
+      orderId: order.id,
+      amount: order.total_amount,
+      cartId: validated.cartId,
+      couponId: couponInfo?.id,
+    });
+
     // Vider le panier si fourni
     if (validated.cartId) {
       await client.query('DELETE FROM cart_items WHERE cart_id = $1', [validated.cartId]);
@@ -349,6 +491,7 @@ router.post('/', async (req, res, next) => {
         orderNumber: order.order_number,
         totalAmount: order.total_amount,
         status: order.status,
+        pickupTime: order.pickup_time,
       },
     });
   } catch (error) {
@@ -361,7 +504,15 @@ router.post('/', async (req, res, next) => {
         errors: error.errors,
       });
     }
-    
+
+    // Stock insuffisant, créneau de retrait refusé ou complet, article hors période de service
+    if (error.status >= 400 && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     next(error);
   } finally {
     client.release();
@@ -496,6 +647,226 @@ router.get('/admin/by-id/:id', requireAuth, requireAdmin, async (req, res, next)
   }
 });
 
+// ============================================
+// HELPER: Commande admin par UUID
+// ============================================
+async function findOrderForAdmin(id, res) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'ID de commande invalide (UUID attendu)',
+    });
+    return null;
+  }
+
+  const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+  if (orderResult.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Commande non trouvée',
+    });
+    return null;
+  }
+
+  return orderResult.rows[0];
+}
+
+// ============================================
+// GET /api/ecommerce/orders/admin/:id/shipping-rates - Tarifs transporteur (admin)
+// ============================================
+router.get('/admin/:id/shipping-rates', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const order = await findOrderForAdmin(req.params.id, res);
+    if (!order) return;
+
+    // Les tarifs Shippo expirent : on recalcule sur les dimensions réelles des produits
+    const itemsResult = await db.query(
+      `SELECT oi.quantity, p.weight_kg, p.length_cm, p.width_cm, p.height_cm
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE oi.order_id = $1`,
+      [order.id]
+    );
+
+    const rates = await calculateShippingRates(
+      order.shipping_address,
+      calculateParcelDimensions(itemsResult.rows)
+    );
+
+    res.json({
+      success: true,
+      rates,
+      selectedRateId: order.shipping_rate_id,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/orders/admin/:id/label - Générer étiquette (admin)
+// ============================================
+router.post('/admin/:id/label', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const validated = createLabelSchema.parse(req.body || {});
+    const order = await findOrderForAdmin(req.params.id, res);
+    if (!order) return;
+
+    if (!['pending', 'processing'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Impossible de générer une étiquette pour une commande au statut "${order.status}"`,
+      });
+    }
+
+    if (order.tracking_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Une étiquette a déjà été générée pour cette commande',
+        trackingNumber: order.tracking_number,
+      });
+    }
+
+    const rateId = validated.rateId || order.shipping_rate_id;
+
+    if (!rateId || rateId === 'click_collect' || rateId.startsWith('fixed_')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun tarif transporteur pour cette commande (retrait ou tarif fixe)',
+      });
+    }
+
+    // Réserver la commande AVANT l'achat (payant) : une seule génération à la fois
+    const claimToken = crypto.randomUUID();
+    const claim = await db.query(
+      `UPDATE orders
+       SET label_claim_token = $1, label_claimed_at = NOW()
+       WHERE id = $2
+         AND status IN ('pending', 'processing')
+         AND tracking_number IS NULL
+         AND (label_claim_token IS NULL OR label_claimed_at < NOW() - make_interval(mins => $3))
+       RETURNING id`,
+      [claimToken, order.id, LABEL_CLAIM_MINUTES]
+    );
+
+    if (claim.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Une étiquette est déjà en cours de génération pour cette commande',
+      });
+    }
+
+    let label;
+    try {
+      label = await createShippingLabel(rateId, order.id);
+    } catch (error) {
+      await db.query(
+        'UPDATE orders SET label_claim_token = NULL, label_claimed_at = NULL WHERE id = $1 AND label_claim_token = $2',
+        [order.id, claimToken]
+      );
+      throw error;
+    }
+
+    // L'étiquette achetée est toujours enregistrée ; la commande n'est expédiée
+    // que si elle n'a pas été annulée pendant l'achat
+    const result = await db.query(
+      `UPDATE orders
+       SET status = CASE WHEN status IN ('pending', 'processing') THEN 'shipped' ELSE status END,
+           shipping_status = CASE WHEN status IN ('pending', 'processing') THEN 'shipped' ELSE shipping_status END,
+           shipped_at = CASE WHEN status IN ('pending', 'processing') THEN NOW() ELSE shipped_at END,
+           shipping_rate_id = $1,
+           shipping_carrier = $2,
+           tracking_number = $3,
+           tracking_url = $4,
+           label_url = $5,
+           shipping_label_id = $6,
+           shipping_carrier_token = $9,
+           tracking_status = 'PRE_TRANSIT',
+           label_claim_token = NULL,
+           label_claimed_at = NULL,
+           updated_at = NOW()
+       WHERE id = $7 AND label_claim_token = $8
+       RETURNING *`,
+      [
+        rateId,
+        label.carrier,
+        label.trackingNumber,
+        label.trackingUrl || null,
+        label.labelUrl,
+        label.transactionId,
+        order.id,
+        claimToken,
+        label.carrierToken || null,
+      ]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].status !== 'shipped') {
+      return res.status(409).json({
+        success: false,
+        message: 'La commande a été modifiée pendant la génération de l\'étiquette',
+        label,
+      });
+    }
+
+    await db.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, comment, admin_id)
+       VALUES ($1, $2, 'shipped', $3, $4)`,
+      [order.id, order.status, `Étiquette ${label.carrier} générée (${label.trackingNumber})`, req.userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Étiquette générée, commande expédiée',
+      label,
+      order: result.rows[0],
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: error.errors,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/orders/admin/:id/tracking/sync - Rafraîchir suivi (admin)
+// ============================================
+router.post('/admin/:id/tracking/sync', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const order = await findOrderForAdmin(req.params.id, res);
+    if (!order) return;
+
+    if (!getCarrierAdapter()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Aucun transporteur configuré',
+      });
+    }
+
+    if (order.status !== 'shipped' || !order.tracking_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Seules les commandes expédiées avec un numéro de suivi peuvent être synchronisées',
+      });
+    }
+
+    const result = await syncOrderTracking(order, { db });
+
+    res.json({
+      success: true,
+      message: result.delivered ? 'Commande livrée' : 'Suivi mis à jour',
+      tracking: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // GET /api/ecommerce/orders - Liste commandes
 // ============================================
@@ -636,6 +1007,8 @@ router.get('/:orderNumber', optionalAuth, async (req, res, next) => {
 // PATCH /api/ecommerce/orders/:id/status - Modifier statut (admin)
 // ============================================
 router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
   try {
     const { id } = req.params;
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -648,10 +1021,13 @@ router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) =>
     const validated = updateStatusSchema.parse(req.body);
     const adminId = req.userId;
 
-    // Récupérer commande actuelle
-    const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+    await client.query('BEGIN');
+
+    // Récupérer commande actuelle (verrou : annulation concurrente)
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
 
     if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Commande non trouvée',
@@ -664,7 +1040,6 @@ router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) =>
     // Mettre à jour statut
     const updateFields = ['status = $1'];
     const updateValues = [validated.status, id];
-    let paramIndex = 3;
 
     if (validated.status === 'shipped') {
       updateFields.push(`shipped_at = NOW()`);
@@ -674,6 +1049,11 @@ router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) =>
       updateFields.push(`shipping_status = 'delivered'`);
     } else if (validated.status === 'cancelled') {
       updateFields.push(`cancelled_at = NOW()`);
+
+      // Restaurer le stock comme POST /:id/cancel (colis expédié : remis en stock via les retours)
+      if (!['shipped', 'delivered'].includes(oldStatus)) {
+        await releaseOrderStock(client, order, 'Annulation commande (admin)');
+      }
     }
 
     const updateQuery = `
@@ -683,21 +1063,24 @@ router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) =>
       RETURNING *
     `;
 
-    const result = await db.query(updateQuery, updateValues);
+    const result = await client.query(updateQuery, updateValues);
 
     // Ajouter à l'historique
-    await db.query(
+    await client.query(
       `INSERT INTO order_status_history (order_id, from_status, to_status, comment, admin_id)
        VALUES ($1, $2, $3, $4, $5)`,
       [id, oldStatus, validated.status, validated.comment || null, adminId]
     );
 
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Statut mis à jour avec succès',
       order: result.rows[0],
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
@@ -706,6 +1089,8 @@ router.patch('/:id/status', requireAuth, requireAdmin, async (req, res, next) =>
       });
     }
     next(error);
+  } finally {
+    client.release();
   }
 });
 
@@ -722,9 +1107,9 @@ router.post('/:id/cancel', requireAuth, async (req, res, next) => {
 
     await client.query('BEGIN');
 
-    // Vérifier que la commande appartient à l'utilisateur
+    // Vérifier que la commande appartient à l'utilisateur (verrou : annulations concurrentes)
     const orderResult = await client.query(
-      'SELECT * FROM orders WHERE id = $1 AND user_id = $2',
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
       [id, userId]
     );
 
@@ -747,35 +1132,10 @@ router.post('/:id/cancel', requireAuth, async (req, res, next) => {
       });
     }
 
-    // Restaurer le stock
-    const itemsResult = await client.query(
-      'SELECT * FROM order_items WHERE order_id = $1',
-      [id]
-    );
-
-    for (const item of itemsResult.rows) {
-      if (item.variant_id) {
-        await client.query(
-          'UPDATE product_variants SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-          [item.quantity, item.variant_id]
-        );
-      } else {
-        await client.query(
-          'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-          [item.quantity, item.product_id]
-        );
-      }
-
-      // Ajouter mouvement inventaire
-      await client.query(
-        `INSERT INTO inventory_movements (
-          product_id, variant_id, type, quantity, reference, note
-        ) VALUES ($1, $2, 'return', $3, $4, 'Annulation commande')`,
-        [item.product_id, item.variant_id, item.quantity, order.order_number]
-      );
-    }
+    // Restaurer le stock (sauf s'il a déjà été libéré, ex : paiement échoué)
+    await releaseOrderStock(client, order, 'Annulation commande');
 
-    // Mettre à jour commande
+    // Mettre à jour commande (le statut cancelled libère aussi le créneau de retrait)
     await client.query(
       `UPDATE orders 
        SET status = 'cancelled', cancelled_at = NOW(), admin_note = $1
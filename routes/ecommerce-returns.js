@@ -0,0 +1,615 @@
+/**
+ * Routes API - Retours E-commerce (RMA)
+ * POST /api/ecommerce/returns - Ouvrir une demande de retour
+ * GET /api/ecommerce/returns - Mes demandes de retour
+ * GET /api/ecommerce/returns/:id - Détail d'une demande
+ * GET /api/ecommerce/returns/admin/list - Liste des retours (admin)
+ * POST /api/ecommerce/returns/admin/:id/approve - Approuver (admin)
+ * POST /api/ecommerce/returns/admin/:id/reject - Refuser (admin)
+ * POST /api/ecommerce/returns/admin/:id/receive - Réception colis + remise en stock (admin)
+ * POST /api/ecommerce/returns/admin/:id/refund - Rembourser via Stripe (admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { db, getPool } = require('../database/db');
+const { requireAuth, requireAdmin } = require('../middleware/auths');
+const stripeService = require('../services/stripeService');
+const { nextDocumentNumber } = require('../services/documentNumberService');
+const { z } = require('zod');
+
+// Délai de rétractation (jours après livraison)
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14;
+
+// Statuts de départ autorisés pour chaque action admin
+const RETURN_TRANSITIONS = {
+  approve: ['pending'],
+  reject: ['pending', 'approved'],
+  receive: ['approved'],
+  refund: ['received'],
+};
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+const createReturnSchema = z.object({
+  orderId: z.string().uuid(),
+  items: z.array(z.object({
+    orderItemId: z.string().uuid(),
+    quantity: z.number().int().positive(),
+  })).min(1),
+  reason: z.enum(['damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other']),
+  detailedReason: z.string().max(2000).optional(),
+});
+
+const adminNoteSchema = z.object({
+  adminNote: z.string().max(2000).optional(),
+});
+
+const receiveSchema = z.object({
+  restock: z.boolean().default(true),
+  adminNote: z.string().max(2000).optional(),
+});
+
+const refundSchema = z.object({
+  amount: z.number().positive().optional(), // remboursement partiel (ex. article abîmé)
+  refundMethod: z.enum(['stripe', 'manual']).default('stripe'),
+  adminNote: z.string().max(2000).optional(),
+});
+
+// ============================================
+// HELPER: Charger un retour verrouillé et vérifier la transition
+// ============================================
+async function lockReturnForAction(client, id, action) {
+  if (!uuidRegex.test(id)) {
+    const error = new Error('ID de retour invalide (UUID attendu)');
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await client.query(
+    'SELECT * FROM return_requests WHERE id = $1 FOR UPDATE',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    const error = new Error('Demande de retour non trouvée');
+    error.status = 404;
+    throw error;
+  }
+
+  const returnRequest = result.rows[0];
+  if (!RETURN_TRANSITIONS[action].includes(returnRequest.status)) {
+    const error = new Error(`Action impossible depuis le statut "${returnRequest.status}"`);
+    error.status = 400;
+    throw error;
+  }
+
+  return returnRequest;
+}
+
+function handleRouteError(error, res, next) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: error.errors,
+    });
+  }
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  next(error);
+}
+
+// ============================================
+// POST /api/ecommerce/returns - Ouvrir un retour
+// ============================================
+router.post('/', requireAuth, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = createReturnSchema.parse(req.body);
+    const userId = req.userId;
+
+    await client.query('BEGIN');
+
+    // Verrouiller la commande pour éviter deux demandes concurrentes sur les mêmes lignes
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [validated.orderId, userId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      const error = new Error('Commande non trouvée');
+      error.status = 404;
+      throw error;
+    }
+
+    const order = orderResult.rows[0];
+
+    if (order.status !== 'delivered') {
+      const error = new Error('Seules les commandes livrées peuvent faire l\'objet d\'un retour');
+      error.status = 400;
+      throw error;
+    }
+
+    if (order.delivered_at) {
+      const deadline = new Date(order.delivered_at);
+      deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+      if (deadline < new Date()) {
+        const error = new Error(`Le délai de retour de ${RETURN_WINDOW_DAYS} jours est dépassé`);
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    const orderItemsResult = await client.query(
+      'SELECT * FROM order_items WHERE order_id = $1',
+      [order.id]
+    );
+    const orderItemsById = new Map(orderItemsResult.rows.map((item) => [item.id, item]));
+
+    // Quantités déjà engagées dans des retours non refusés
+    const existingReturns = await client.query(
+      `SELECT items FROM return_requests
+       WHERE order_id = $1 AND status <> 'rejected'`,
+      [order.id]
+    );
+    const alreadyReturned = {};
+    for (const row of existingReturns.rows) {
+      for (const line of row.items || []) {
+        alreadyReturned[line.orderItemId] = (alreadyReturned[line.orderItemId] || 0) + line.quantity;
+      }
+    }
+
+    const returnItems = [];
+    let refundAmount = 0;
+
+    for (const line of validated.items) {
+      const orderItem = orderItemsById.get(line.orderItemId);
+      if (!orderItem) {
+        const error = new Error(`Article ${line.orderItemId} absent de la commande`);
+        error.status = 400;
+        throw error;
+      }
+
+      const returnable = orderItem.quantity - (alreadyReturned[orderItem.id] || 0);
+      if (line.quantity > returnable) {
+        const error = new Error(`Quantité retournable dépassée pour ${orderItem.product_name} (max ${returnable})`);
+        error.status = 400;
+        throw error;
+      }
+      alreadyReturned[orderItem.id] = (alreadyReturned[orderItem.id] || 0) + line.quantity;
+
+      // Prix payé : réductions (promotions + coupon) réparties sur la ligne
+      const lineDiscount = parseFloat(orderItem.discount_amount || 0);
+      const unitPrice = parseFloat(
+        (parseFloat(orderItem.price) - lineDiscount / orderItem.quantity).toFixed(2)
+      );
+      const subtotal = unitPrice * line.quantity;
+      refundAmount += subtotal;
+
+      returnItems.push({
+        orderItemId: orderItem.id,
+        productId: orderItem.product_id,
+        variantId: orderItem.variant_id,
+        productName: orderItem.product_name,
+        quantity: line.quantity,
+        unitPrice,
+        subtotal: parseFloat(subtotal.toFixed(2)),
+      });
+    }
+
+    const insertResult = await client.query(
+      `INSERT INTO return_requests (
+        order_id, user_id, items, reason, detailed_reason, status, refund_amount
+      ) VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+      RETURNING *`,
+      [
+        order.id,
+        userId,
+        JSON.stringify(returnItems),
+        validated.reason,
+        validated.detailedReason || null,
+        refundAmount.toFixed(2),
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Demande de retour enregistrée',
+      returnRequest: insertResult.rows[0],
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleRouteError(error, res, next);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// GET /api/ecommerce/returns/admin/list - Liste des retours (admin)
+// ============================================
+router.get('/admin/list', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const { status = '', page = '1', limit = '20' } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (pageNum - 1) * limitNum;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      whereClause += ` AND rr.status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM return_requests rr ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    params.push(limitNum, offset);
+    const result = await db.query(
+      `SELECT
+        rr.*,
+        o.order_number,
+        o.guest_email,
+        u.email as user_email,
+        u.name as user_name
+       FROM return_requests rr
+       JOIN orders o ON rr.order_id = o.id
+       LEFT JOIN users u ON rr.user_id = u.id
+       ${whereClause}
+       ORDER BY rr.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      returns: result.rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum) || 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/returns/admin/:id/approve - Approuver
+// ============================================
+router.post('/admin/:id/approve', requireAuth, requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = adminNoteSchema.parse(req.body || {});
+
+    await client.query('BEGIN');
+    const returnRequest = await lockReturnForAction(client, req.params.id, 'approve');
+
+    const result = await client.query(
+      `UPDATE return_requests
+       SET status = 'approved', approved_by = $1, approved_at = NOW(),
+           admin_note = COALESCE($2, admin_note), updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [req.userId, validated.adminNote || null, returnRequest.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Retour approuvé',
+      returnRequest: result.rows[0],
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleRouteError(error, res, next);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/returns/admin/:id/reject - Refuser
+// ============================================
+router.post('/admin/:id/reject', requireAuth, requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = adminNoteSchema.parse(req.body || {});
+
+    await client.query('BEGIN');
+    const returnRequest = await lockReturnForAction(client, req.params.id, 'reject');
+
+    const result = await client.query(
+      `UPDATE return_requests
+       SET status = 'rejected', rejected_at = NOW(),
+           admin_note = COALESCE($1, admin_note), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [validated.adminNote || null, returnRequest.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Retour refusé',
+      returnRequest: result.rows[0],
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleRouteError(error, res, next);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/returns/admin/:id/receive - Réception + remise en stock
+// ============================================
+router.post('/admin/:id/receive', requireAuth, requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = receiveSchema.parse(req.body || {});
+
+    await client.query('BEGIN');
+    const returnRequest = await lockReturnForAction(client, req.params.id, 'receive');
+
+    const orderResult = await client.query(
+      'SELECT order_number FROM orders WHERE id = $1',
+      [returnRequest.order_id]
+    );
+    const orderNumber = orderResult.rows[0]?.order_number || null;
+
+    if (validated.restock) {
+      for (const item of returnRequest.items || []) {
+        if (!item.productId) continue; // produit supprimé depuis la commande
+
+        if (item.variantId) {
+          await client.query(
+            'UPDATE product_variants SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+            [item.quantity, item.variantId]
+          );
+        } else {
+          await client.query(
+            'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+            [item.quantity, item.productId]
+          );
+        }
+
+        await client.query(
+          `INSERT INTO inventory_movements (
+            product_id, variant_id, type, quantity, reference, note, admin_id
+          ) VALUES ($1, $2, 'return', $3, $4, $5, $6)`,
+          [
+            item.productId,
+            item.variantId || null,
+            item.quantity,
+            orderNumber,
+            `Retour ${returnRequest.id}`,
+            req.userId,
+          ]
+        );
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE return_requests
+       SET status = 'received', received_at = NOW(), received_by = $1, restocked = $2,
+           admin_note = COALESCE($3, admin_note), updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [req.userId, validated.restock, validated.adminNote || null, returnRequest.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: validated.restock ? 'Retour reçu et remis en stock' : 'Retour reçu (sans remise en stock)',
+      returnRequest: result.rows[0],
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleRouteError(error, res, next);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// POST /api/ecommerce/returns/admin/:id/refund - Rembourser
+// ============================================
+router.post('/admin/:id/refund', requireAuth, requireAdmin, async (req, res, next) => {
+  const client = await getPool().connect();
+
+  try {
+    const validated = refundSchema.parse(req.body || {});
+
+    await client.query('BEGIN');
+    const returnRequest = await lockReturnForAction(client, req.params.id, 'refund');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+      [returnRequest.order_id]
+    );
+    const order = orderResult.rows[0];
+
+    const maxAmount = parseFloat(returnRequest.refund_amount);
+    const amount = validated.amount !== undefined ? validated.amount : maxAmount;
+    if (amount > maxAmount) {
+      const error = new Error(`Le remboursement ne peut pas dépasser ${maxAmount.toFixed(2)}€`);
+      error.status = 400;
+      throw error;
+    }
+
+    let stripeRefund = null;
+    if (validated.refundMethod === 'stripe') {
+      if (!order.stripe_payment_intent_id) {
+        const error = new Error('Aucun paiement Stripe associé à cette commande, utilisez un remboursement manuel');
+        error.status = 400;
+        throw error;
+      }
+
+      // Clé d'idempotence par retour et montant : si l'enregistrement échoue après
+      // le remboursement, un nouvel essai retrouve le même remboursement Stripe
+      const amountCents = Math.round(amount * 100);
+      stripeRefund = await stripeService.refundPayment({
+        paymentIntentId: order.stripe_payment_intent_id,
+        amount: amountCents,
+        reason: 'requested_by_customer',
+        idempotencyKey: `return-refund-${returnRequest.id}-${amountCents}`,
+      });
+    }
+
+    // Avoir : numérotation continue (compteur verrouillé jusqu'au COMMIT)
+    const creditNoteNumber = await nextDocumentNumber('credit_note', { client });
+
+    const result = await client.query(
+      `UPDATE return_requests
+       SET status = 'refunded', refund_method = $1, refund_amount = $2, refunded_at = NOW(),
+           refunded_by = $3, stripe_refund_id = $4,
+           admin_note = COALESCE($5, admin_note), credit_note_number = $6, updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+      [
+        validated.refundMethod,
+        amount.toFixed(2),
+        req.userId,
+        stripeRefund?.id || null,
+        validated.adminNote || null,
+        creditNoteNumber,
+        returnRequest.id,
+      ]
+    );
+
+    // Commande intégralement remboursée ?
+    const refundedResult = await client.query(
+      `SELECT COALESCE(SUM(refund_amount), 0) as total
+       FROM return_requests
+       WHERE order_id = $1 AND status = 'refunded'`,
+      [order.id]
+    );
+    const totalRefunded = parseFloat(refundedResult.rows[0].total);
+    const fullyRefunded = totalRefunded >= parseFloat(order.total_amount);
+    const newStatus = fullyRefunded ? 'refunded' : order.status;
+
+    await client.query(
+      `UPDATE orders
+       SET status = $1, payment_status = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [newStatus, fullyRefunded ? 'refunded' : 'partially_refunded', order.id]
+    );
+
+    await client.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, comment, admin_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        order.id,
+        order.status,
+        newStatus,
+        `Retour ${returnRequest.id} remboursé : ${amount.toFixed(2)}€ (${validated.refundMethod}, avoir ${creditNoteNumber})`,
+        req.userId,
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Remboursement effectué',
+      returnRequest: result.rows[0],
+      refund: stripeRefund,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleRouteError(error, res, next);
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// GET /api/ecommerce/returns - Mes retours
+// ============================================
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT rr.*, o.order_number
+       FROM return_requests rr
+       JOIN orders o ON rr.order_id = o.id
+       WHERE rr.user_id = $1
+       ORDER BY rr.created_at DESC`,
+      [req.userId]
+    );
+
+    res.json({
+      success: true,
+      returns: result.rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// GET /api/ecommerce/returns/:id - Détail
+// ============================================
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de retour invalide (UUID attendu)',
+      });
+    }
+
+    const result = await db.query(
+      `SELECT rr.*, o.order_number
+       FROM return_requests rr
+       JOIN orders o ON rr.order_id = o.id
+       WHERE rr.id = $1 AND rr.user_id = $2`,
+      [id, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Demande de retour non trouvée',
+      });
+    }
+
+    res.json({
+      success: true,
+      returnRequest: result.rows[0],
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// backend/routes/events.js - Flux temps réel (Server-Sent Events)
+// Nouvelles commandes, changements de statut, messages de chat, alertes admin
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireAuth, requireAdmin } = require('../middleware/auths');
+const { getPool } = require('../database/db');
+const {
+  subscribe,
+  getRealtimeStats,
+  createStreamTicket,
+  verifyStreamTicket,
+} = require('../services/realtimeService');
+
+// POST /events/ticket - Ticket d'ouverture du flux (60 s)
+// EventSource ne permet pas d'envoyer d'en-tête : le ticket passe en ?ticket=,
+// le JWT ne figure jamais dans l'URL (journaux d'accès, proxys)
+router.post('/ticket', requireAuth, (req, res) => {
+  res.json({ success: true, ...createStreamTicket(req.userId) });
+});
+
+// GET /events/stream - Flux SSE de l'utilisateur connecté
+// Authentification : en-tête Authorization ou ?ticket= (POST /events/ticket) ; ticket expiré
+// à la reconnexion automatique : 401, le client redemande un ticket et rouvre le flux avec ?lastEventId=
+// Reconnexion : en-tête Last-Event-ID (envoyé par le navigateur) ou ?lastEventId=
+router.get('/stream', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  let userId = null;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const decoded = verifyToken(authHeader.substring(7));
+    if (!decoded) {
+      return res.status(401).json({ error: 'Token invalide ou expiré' });
+    }
+    userId = decoded.userId;
+  } else if (req.query.ticket) {
+    userId = verifyStreamTicket(req.query.ticket);
+    if (!userId) {
+      return res.status(401).json({ error: 'Ticket invalide ou expiré' });
+    }
+  } else {
+    return res.status(401).json({ error: 'Non authentifié' });
+  }
+
+  try {
+    // Rôle relu en base : un changement de rôle s'applique à la reconnexion
+    const result = await getPool().query(
+      'SELECT id, role, is_active FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || user.is_active === false) {
+      return res.status(403).json({ error: 'Accès non autorisé' });
+    }
+
+    // Curseur "42" ou "42:39,41" (voir services/realtimeService.js)
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+
+    await subscribe(req, res, { userId: user.id, role: user.role, lastEventId });
+  } catch (error) {
+    console.error('Erreur flux temps réel:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /events/stats - Connexions ouvertes sur cette instance (admin)
+router.get('/stats', requireAdmin, (req, res) => {
+  res.json({ success: true, ...getRealtimeStats() });
+});
+
+module.exports = router;
@@ -2,11 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth, optionalAuth } = require('../middleware/auths');
-
-// UUID par défaut (migration 20260205000000_seed_default_hotel_fixed_id.sql)
-const DEFAULT_HOTEL_UUID = 'b2178a5e-9a4f-4c8d-9e1b-2a3c4d5e6f70';
-const getHotelId = (req) =>
-  req.query.hotel_id || req.body?.hotel_id || process.env.DEFAULT_HOTEL_ID || req.app?.locals?.defaultHotelId || DEFAULT_HOTEL_UUID;
+const { getRoomTypeAvailability, reserveRoom } = require('../services/hotelInventoryService');
+const {
+  getHoldMinutes,
+  resolveDepositPolicy,
+  computeDepositAmount,
+  createDepositPayment,
+} = require('../services/hotelPaymentService');
+const {
+  resolveCancellationPolicy,
+  quoteCancellation,
+  cancelReservation,
+} = require('../services/hotelCancellationService');
+const { getRatePlans, quoteRoomType, quoteBooking } = require('../services/hotelRateService');
+const { buildRoomTypeCalendar } = require('../services/hotelIcalService');
+const { sendHotelCancellationEmail } = require('../utils/emailHelpers');
+const { getActiveHotels } = require('../services/hotelPropertyService');
+const { resolvePublicHotel } = require('../middleware/hotelScope');
+
+// Établissement résolu par resolvePublicHotel (hotel_id, ?hotel=slug, nom de domaine, hôtel par défaut)
+const getHotelId = (req) => req.hotelId;
 
 const query = async (pool, sql, params = []) => {
   const result = await pool.query(sql, params);
@@ -17,6 +32,8 @@ const queryOne = async (pool, sql, params = []) => {
   return result.rows[0] || null;
 };
 
+router.use(resolvePublicHotel);
+
 // ============================================
 // INFOS HÔTEL
 // ============================================
@@ -34,6 +51,68 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ============================================
+// ÉTABLISSEMENTS
+// ============================================
+router.get('/properties', async (req, res) => {
+  try {
+    const hotels = await getActiveHotels(req.app.locals.pool);
+    const { city } = req.query;
+    res.json(hotels
+      .filter(h => !city || (h.city || '').toLowerCase() === String(city).toLowerCase())
+      .map(h => ({
+        id: h.id,
+        slug: h.slug,
+        name: h.name,
+        description: h.description,
+        address: h.address,
+        city: h.city,
+        country: h.country,
+        phone: h.phone,
+        email: h.email,
+      })));
+  } catch (e) {
+    console.error('hotel properties:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Recherche de disponibilité sur tous les établissements (filtre ville optionnel)
+router.get('/search', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const stay = parseStayQuery(req);
+  if (!stay) return res.status(400).json({ error: 'check_in et check_out requis (check_out après check_in)' });
+  try {
+    const { city } = req.query;
+    const hotels = (await getActiveHotels(pool))
+      .filter(h => !city || (h.city || '').toLowerCase() === String(city).toLowerCase());
+
+    const results = [];
+    for (const hotel of hotels) {
+      const roomTypes = (await getHotelAvailability(pool, hotel.id, stay)).filter(rt => rt.available);
+      if (roomTypes.length === 0) continue;
+      const lowest = roomTypes.reduce((cheapest, rt) => (
+        rt.total_price != null && (!cheapest || rt.total_price < cheapest.total_price) ? rt : cheapest
+      ), null);
+      results.push({
+        hotel: { id: hotel.id, slug: hotel.slug, name: hotel.name, city: hotel.city, address: hotel.address },
+        lowest_total_price: lowest ? lowest.total_price : null,
+        currency: lowest ? lowest.currency : hotel.currency,
+        room_types: roomTypes,
+      });
+    }
+    results.sort((a, b) => (a.lowest_total_price ?? Infinity) - (b.lowest_total_price ?? Infinity));
+
+    res.json({
+      check_in: stay.checkIn, check_out: stay.checkOut, nights: stay.nights,
+      adults: stay.adults, children: stay.children, hotels: results,
+    });
+  } catch (e) {
+    console.error('hotel search:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // TYPES DE CHAMBRES
 // ============================================
@@ -53,6 +132,86 @@ router.get('/rooms', async (req, res) => {
   }
 });
 
+/**
+ * Disponibilité et prix des types de chambre d'un hôtel sur un séjour
+ * @returns {Promise<Array>} Types de chambre (capacité dépassée : ignorés, sauf roomTypeId demandé)
+ */
+async function getHotelAvailability(pool, hotelId, { checkIn, checkOut, adults, children, roomTypeId = null }) {
+  let roomTypes = [];
+  if (roomTypeId) {
+    const rt = await queryOne(pool, 'SELECT * FROM room_types WHERE id = $1 AND hotel_id = $2 AND is_active = true', [roomTypeId, hotelId]);
+    if (!rt) {
+      const error = new Error('Type de chambre non trouvé');
+      error.status = 404;
+      throw error;
+    }
+    roomTypes = [rt];
+  } else {
+    roomTypes = await query(pool, 'SELECT * FROM room_types WHERE hotel_id = $1 AND is_active = true ORDER BY display_order', [hotelId]);
+  }
+
+  const nights = Math.ceil((new Date(checkOut) - new Date(checkIn)) / (24 * 60 * 60 * 1000));
+  const results = [];
+
+  for (const rt of roomTypes) {
+    // Même moteur tarifaire que la réservation
+    let ratePlans;
+    try {
+      ratePlans = await quoteRoomType(pool, { roomType: rt, checkIn, checkOut, adults, children });
+    } catch (e) {
+      // Capacité dépassée : type ignoré dans la liste, erreur si demandé explicitement
+      if (e.status && !roomTypeId) continue;
+      throw e;
+    }
+
+    // Chambres physiques hors maintenance (aucune chambre configurée = complet)
+    const { available } = await getRoomTypeAvailability(pool, {
+      roomTypeId: rt.id,
+      checkIn,
+      checkOut,
+    });
+
+    // Meilleur prix : plan réservable le moins cher
+    const bookablePlans = ratePlans.filter(q => q.bookable);
+    const best = (bookablePlans.length > 0 ? bookablePlans : ratePlans)
+      .reduce((cheapest, q) => (!cheapest || q.room_total < cheapest.room_total ? q : cheapest), null);
+
+    results.push({
+      room_type_id: rt.id,
+      name: rt.name,
+      slug: rt.slug,
+      max_guests: rt.max_guests,
+      image_url: rt.image_url,
+      base_price_per_night: rt.base_price_per_night,
+      available: available > 0 && bookablePlans.length > 0,
+      rooms_available: Math.max(0, available),
+      nights,
+      total_price: best ? best.room_total : null,
+      price_breakdown: best ? best.breakdown : [],
+      rate_plans: ratePlans,
+      currency: rt.currency,
+    });
+  }
+
+  return results;
+}
+
+// Séjour demandé (dates et occupants) ; null si dates invalides
+const parseStayQuery = (req) => {
+  const { check_in, check_out } = req.query;
+  if (!check_in || !check_out) return null;
+  const checkIn = new Date(check_in);
+  const checkOut = new Date(check_out);
+  if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime()) || checkOut <= checkIn) return null;
+  return {
+    checkIn: check_in,
+    checkOut: check_out,
+    adults: Math.max(1, parseInt(req.query.adults, 10) || 1),
+    children: Math.max(0, parseInt(req.query.children, 10) || 0),
+    nights: Math.ceil((checkOut - checkIn) / (24 * 60 * 60 * 1000)),
+  };
+};
+
 // IMPORTANT: /rooms/availability doit être avant /rooms/:id pour ne pas matcher "availability" comme UUID
 router.get('/rooms/availability', async (req, res) => {
   const pool = req.app.locals.pool;
@@ -61,64 +220,16 @@ router.get('/rooms/availability', async (req, res) => {
   if (!hotelId || !check_in || !check_out) {
     return res.status(400).json({ error: 'check_in, check_out et hotel_id requis' });
   }
+  const stay = parseStayQuery(req);
+  if (!stay) return res.status(400).json({ error: 'check_out doit être après check_in' });
   try {
-    const checkIn = new Date(check_in);
-    const checkOut = new Date(check_out);
-    if (checkOut <= checkIn) return res.status(400).json({ error: 'check_out doit être après check_in' });
-
-    let roomTypes = [];
-    if (room_type_id) {
-      const rt = await queryOne(pool, 'SELECT * FROM room_types WHERE id = $1 AND hotel_id = $2 AND is_active = true', [room_type_id, hotelId]);
-      if (!rt) return res.status(404).json({ error: 'Type de chambre non trouvé' });
-      roomTypes = [rt];
-    } else {
-      roomTypes = await query(pool, 'SELECT * FROM room_types WHERE hotel_id = $1 AND is_active = true ORDER BY display_order', [hotelId]);
-    }
-
-    const pricingsByType = {};
-    for (const rt of roomTypes) {
-      const pricings = await query(pool, 'SELECT * FROM room_pricings WHERE room_type_id = $1', [rt.id]);
-      pricingsByType[rt.id] = pricings;
-    }
-
-    const nights = Math.ceil((checkOut - checkIn) / (24 * 60 * 60 * 1000));
-    const results = [];
-
-    for (const rt of roomTypes) {
-      const overlapping = await query(pool,
-        `SELECT id FROM room_reservations
-         WHERE room_type_id = $1 AND status NOT IN ('cancelled')
-         AND (check_in_date < $2 AND check_out_date > $3)`,
-        [rt.id, check_out, check_in]
-      );
-      const totalRooms = await queryOne(pool, 'SELECT COUNT(*) as c FROM rooms WHERE room_type_id = $1 AND status = $2', [rt.id, 'available']);
-      const total = (totalRooms && parseInt(totalRooms.c, 10) > 0) ? parseInt(totalRooms.c, 10) : 99;
-      const available = Math.max(0, total - overlapping.length);
-
-      let totalPrice = 0;
-      for (let i = 0; i < nights; i++) {
-        const d = new Date(checkIn);
-        d.setDate(d.getDate() + i);
-        totalPrice += getPriceForDate(pricingsByType[rt.id] || [], rt.base_price_per_night, d);
-      }
-
-      results.push({
-        room_type_id: rt.id,
-        name: rt.name,
-        slug: rt.slug,
-        max_guests: rt.max_guests,
-        image_url: rt.image_url,
-        base_price_per_night: rt.base_price_per_night,
-        available: available > 0,
-        rooms_available: Math.max(0, available),
-        nights,
-        total_price: Math.round(totalPrice * 100) / 100,
-        currency: rt.currency,
-      });
-    }
-
-    res.json({ check_in: check_in, check_out: check_out, nights, room_types: results });
+    const results = await getHotelAvailability(pool, hotelId, { ...stay, roomTypeId: room_type_id || null });
+    res.json({
+      check_in: check_in, check_out: check_out, nights: stay.nights,
+      adults: stay.adults, children: stay.children, room_types: results,
+    });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error('hotel availability:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
@@ -136,23 +247,32 @@ router.get('/rooms/:id', async (req, res) => {
       'SELECT * FROM room_pricings WHERE room_type_id = $1 AND end_date >= CURRENT_DATE ORDER BY start_date',
       [req.params.id]
     );
-    res.json({ ...row, pricings });
+    const ratePlans = await getRatePlans(pool, row);
+    res.json({ ...row, pricings, rate_plans: ratePlans });
   } catch (e) {
     console.error('hotel room detail:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-// Prix pour une nuit donnée (base ou tarif période)
-function getPriceForDate(pricings, basePrice, date) {
-  const d = new Date(date);
-  const match = pricings.find(p => {
-    const start = new Date(p.start_date);
-    const end = new Date(p.end_date);
-    return d >= start && d <= end;
-  });
-  return match ? Number(match.price_per_night) : Number(basePrice);
-}
+// ============================================
+// EXPORT ICAL (sites de réservation externes)
+// URL secrète par type de chambre, générée depuis l'admin
+// ============================================
+router.get('/ical/:token.ics', async (req, res) => {
+  const pool = req.app.locals.pool;
+  try {
+    const roomType = await queryOne(pool, 'SELECT * FROM room_types WHERE ical_token = $1', [req.params.token]);
+    if (!roomType) return res.status(404).json({ error: 'Calendrier non trouvé' });
+    const calendar = await buildRoomTypeCalendar(pool, roomType);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${roomType.slug || roomType.id}.ics"`);
+    res.send(calendar);
+  } catch (e) {
+    console.error('hotel ical export:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
 
 // ============================================
 // OPTIONS (petit-déjeuner, etc.)
@@ -283,6 +403,8 @@ router.post('/reservations', optionalAuth, async (req, res) => {
     children = 0,
     special_requests,
     add_ons = [],
+    offer_id,
+    rate_plan_id,
     user_id: bodyUserId,
   } = req.body;
 
@@ -307,12 +429,27 @@ router.post('/reservations', optionalAuth, async (req, res) => {
     const roomType = await queryOne(pool, 'SELECT * FROM room_types WHERE id = $1 AND hotel_id = $2', [resolvedRoomTypeId, hotelId]);
     if (!roomType) return res.status(404).json({ error: 'Type de chambre/table non trouvé' });
 
-    const pricings = await query(pool, 'SELECT * FROM room_pricings WHERE room_type_id = $1', [resolvedRoomTypeId]);
-    let roomTotal = 0;
-    for (let i = 0; i < nights; i++) {
-      const d = new Date(checkIn);
-      d.setDate(d.getDate() + i);
-      roomTotal += getPriceForDate(pricings, roomType.base_price_per_night, d);
+    // Plan tarifaire : restrictions, prix nuit par nuit et suppléments d'occupation
+    const quote = await quoteBooking(pool, {
+      roomType,
+      checkIn: check_in_date,
+      checkOut: check_out_date,
+      adults: Math.max(1, parseInt(adults, 10) || 1),
+      children: Math.max(0, parseInt(children, 10) || 0),
+      ratePlanId: rate_plan_id || null,
+    });
+    const nightlyPrices = quote.breakdown.map(night => night.total);
+    const roomTotal = quote.room_total;
+
+    let offer = null;
+    if (offer_id) {
+      offer = await queryOne(pool,
+        `SELECT * FROM hotel_offers
+         WHERE id = $1 AND hotel_id = $2 AND is_active = true
+         AND (valid_to IS NULL OR valid_to >= CURRENT_DATE)`,
+        [offer_id, hotelId]
+      );
+      if (!offer) return res.status(404).json({ error: 'Offre non trouvée ou expirée' });
     }
 
     let addOnsTotal = 0;
@@ -320,6 +457,8 @@ router.post('/reservations', optionalAuth, async (req, res) => {
     for (const ao of add_ons) {
       const amenity = await queryOne(pool, 'SELECT * FROM amenities WHERE id = $1 AND hotel_id = $2', [ao.amenity_id, hotelId]);
       if (!amenity) continue;
+      // Petit-déjeuner déjà inclus dans le plan tarifaire : pas facturé en option
+      if (amenity.type === 'breakfast' && quote.rate_plan.includes_breakfast) continue;
       const qty = Math.max(1, parseInt(ao.quantity, 10) || 1);
       const unitPrice = Number(amenity.price);
       const total = amenity.price_type === 'per_night' ? unitPrice * nights * qty : unitPrice * qty;
@@ -329,29 +468,98 @@ router.post('/reservations', optionalAuth, async (req, res) => {
 
     const totalAmount = Math.round((roomTotal + addOnsTotal) * 100) / 100;
 
-    const [reservation] = await query(pool,
-      `INSERT INTO room_reservations (
-        hotel_id, user_id, guest_email, guest_firstname, guest_lastname, guest_phone,
-        room_type_id, check_in_date, check_out_date, nights, adults, children,
-        status, total_amount, currency, special_requests
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending', $13, $14, $15)
-      RETURNING *`,
-      [
-        hotelId, userId, guest_email, guest_firstname, guest_lastname, guest_phone || null,
-        resolvedRoomTypeId, check_in_date, check_out_date, nights, adults, children,
-        totalAmount, roomType.currency, special_requests || null,
-      ]
-    );
+    // Acompte : séjour en attente de paiement, libéré s'il n'est pas payé à temps
+    const depositPolicy = resolveDepositPolicy(roomType, offer);
+    const depositAmount = computeDepositAmount(depositPolicy, { nightlyPrices, totalAmount });
+    const requiresPayment = depositAmount > 0;
+    const holdExpiresAt = requiresPayment ? new Date(Date.now() + getHoldMinutes() * 60 * 1000) : null;
+
+    // Conditions d'annulation figées au moment de la réservation
+    const cancellationPolicy = await resolveCancellationPolicy(pool, roomType, offer);
+
+    // Inventaire : type verrouillé, disponibilité revérifiée, chambre attribuée
+    const client = await pool.connect();
+    let reservation;
+    let room;
 
-    for (const ao of addOnsToInsert) {
-      await pool.query(
-        'INSERT INTO reservation_add_ons (room_reservation_id, amenity_id, quantity, unit_price, total_price) VALUES ($1, $2, $3, $4, $5)',
-        [reservation.id, ao.amenity_id, ao.quantity, ao.unit_price, ao.total_price]
+    try {
+      await client.query('BEGIN');
+
+      room = await reserveRoom(client, {
+        roomTypeId: resolvedRoomTypeId,
+        checkIn: check_in_date,
+        checkOut: check_out_date,
+      });
+
+      const insertResult = await client.query(
+        `INSERT INTO room_reservations (
+          hotel_id, user_id, guest_email, guest_firstname, guest_lastname, guest_phone,
+          room_type_id, room_id, check_in_date, check_out_date, nights, adults, children,
+          status, total_amount, currency, special_requests,
+          offer_id, deposit_policy, deposit_amount, hold_expires_at, cancellation_policy,
+          rate_plan_id, price_breakdown
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+        RETURNING *`,
+        [
+          hotelId, userId, guest_email, guest_firstname, guest_lastname, guest_phone || null,
+          resolvedRoomTypeId, room.id, check_in_date, check_out_date, nights, adults, children,
+          requiresPayment ? 'pending_payment' : 'pending', totalAmount, roomType.currency, special_requests || null,
+          offer ? offer.id : null, depositPolicy.policy, depositAmount, holdExpiresAt,
+          JSON.stringify(cancellationPolicy),
+          quote.rate_plan.id, JSON.stringify(quote.breakdown),
+        ]
       );
+      reservation = insertResult.rows[0];
+
+      for (const ao of addOnsToInsert) {
+        await client.query(
+          'INSERT INTO reservation_add_ons (room_reservation_id, amenity_id, quantity, unit_price, total_price) VALUES ($1, $2, $3, $4, $5)',
+          [reservation.id, ao.amenity_id, ao.quantity, ao.unit_price, ao.total_price]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
     }
 
-    res.status(201).json({ success: true, reservation });
+    let payment = null;
+    if (requiresPayment) {
+      try {
+        const intent = await createDepositPayment(reservation, { db: pool });
+        payment = {
+          clientSecret: intent.clientSecret,
+          paymentIntentId: intent.paymentIntentId,
+          amount: depositAmount,
+          currency: intent.currency,
+          policy: depositPolicy.policy,
+          holdExpiresAt,
+        };
+      } catch (e) {
+        // Paiement impossible : la chambre est libérée aussitôt
+        console.error('hotel reservation deposit:', e);
+        await pool.query(
+          `UPDATE room_reservations SET status = 'expired', hold_expires_at = NULL WHERE id = $1`,
+          [reservation.id]
+        );
+        return res.status(502).json({ error: 'Paiement de l\'acompte indisponible, veuillez réessayer' });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      reservation: { ...reservation, room_number: room.room_number },
+      rate_plan: quote.rate_plan,
+      payment,
+    });
   } catch (e) {
+    if (e.restrictions) return res.status(e.status).json({ error: e.message, restrictions: e.restrictions });
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    // Contrainte room_reservations_no_overlap
+    if (e.code === '23P01') return res.status(409).json({ error: 'Chambre déjà réservée sur ces dates' });
     console.error('hotel reservation create:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
@@ -364,9 +572,10 @@ router.get('/reservations/my', requireAuth, async (req, res) => {
   const hotelId = getHotelId(req);
   try {
     const rows = await query(pool,
-      `SELECT r.*, rt.name as room_type_name, rt.slug as room_type_slug
+      `SELECT r.*, rt.name as room_type_name, rt.slug as room_type_slug, ro.room_number
        FROM room_reservations r
        JOIN room_types rt ON r.room_type_id = rt.id
+       LEFT JOIN rooms ro ON r.room_id = ro.id
        WHERE r.user_id = $1 AND ($2::uuid IS NULL OR r.hotel_id = $2)
        ORDER BY r.check_in_date DESC`,
       [userId, hotelId || null]
@@ -383,9 +592,11 @@ router.get('/reservations/:id', async (req, res) => {
   const pool = req.app.locals.pool;
   try {
     const row = await queryOne(pool,
-      `SELECT r.*, rt.name as room_type_name, rt.slug as room_type_slug, rt.image_url as room_type_image
+      `SELECT r.*, rt.name as room_type_name, rt.slug as room_type_slug, rt.image_url as room_type_image,
+              ro.room_number
        FROM room_reservations r
        JOIN room_types rt ON r.room_type_id = rt.id
+       LEFT JOIN rooms ro ON r.room_id = ro.id
        WHERE r.id = $1`,
       [req.params.id]
     );
@@ -398,19 +609,124 @@ router.get('/reservations/:id', async (req, res) => {
   }
 });
 
-// Annuler une réservation
-router.put('/reservations/:id/cancel', async (req, res) => {
+// Client autorisé à annuler : propriétaire connecté, admin, ou e-mail du séjour pour une réservation invité
+function canManageReservation(req, reservation) {
+  if (req.user?.role === 'admin') return true;
+  if (reservation.user_id) return Boolean(req.userId) && reservation.user_id === req.userId;
+  const email = req.body?.guest_email || req.query.guest_email;
+  return Boolean(email) && email.trim().toLowerCase() === String(reservation.guest_email).toLowerCase();
+}
+
+// Simulation d'annulation (frais et montant remboursé)
+router.get('/reservations/:id/cancellation', optionalAuth, async (req, res) => {
   const pool = req.app.locals.pool;
   try {
-    const r = await queryOne(pool, 'SELECT id, status FROM room_reservations WHERE id = $1', [req.params.id]);
+    const r = await queryOne(pool, 'SELECT * FROM room_reservations WHERE id = $1', [req.params.id]);
     if (!r) return res.status(404).json({ error: 'Réservation non trouvée' });
-    if (r.status === 'cancelled') return res.status(400).json({ error: 'Déjà annulée' });
-    await pool.query('UPDATE room_reservations SET status = $1, cancelled_at = now() WHERE id = $2', ['cancelled', req.params.id]);
-    res.json({ success: true, message: 'Réservation annulée' });
+    if (!canManageReservation(req, r)) return res.status(403).json({ error: 'Accès non autorisé' });
+    if (['cancelled', 'expired'].includes(r.status)) return res.status(400).json({ error: 'Déjà annulée' });
+    const cancellation = await quoteCancellation(r, { db: pool });
+    res.json(cancellation);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('hotel reservation cancellation quote:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Annuler une réservation (remboursement selon la politique d'annulation)
+router.put('/reservations/:id/cancel', optionalAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  try {
+    const r = await queryOne(pool, 'SELECT id, user_id, guest_email FROM room_reservations WHERE id = $1', [req.params.id]);
+    if (!r) return res.status(404).json({ error: 'Réservation non trouvée' });
+    if (!canManageReservation(req, r)) return res.status(403).json({ error: 'Accès non autorisé' });
+
+    const { reservation, cancellation, retry } = await cancelReservation(pool, req.params.id, {
+      reason: req.body?.reason || null,
+    });
+
+    // Récapitulatif envoyé sans bloquer la réponse (une seule fois, pas au nouvel essai de remboursement)
+    if (!retry) {
+      sendHotelCancellationEmail(reservation)
+        .catch(err => console.error('hotel cancel email:', err.message));
+    }
+
+    const message = reservation.payment_status === 'refund_pending'
+      ? 'Réservation annulée, remboursement en attente (nous vous recontactons)'
+      : 'Réservation annulée';
+    res.json({ success: true, message, reservation, cancellation });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error('hotel reservation cancel:', e);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// ============================================
+// AVIS APRÈS SÉJOUR (lien envoyé par email, publié après modération)
+// ============================================
+router.get('/reviews/:token', async (req, res) => {
+  const pool = req.app.locals.pool;
+  try {
+    const r = await queryOne(pool,
+      `SELECT r.guest_firstname, r.check_in_date, r.check_out_date, r.review_submitted_at, rt.name as room_type_name
+       FROM room_reservations r
+       JOIN room_types rt ON r.room_type_id = rt.id
+       WHERE r.review_token = $1`,
+      [req.params.token]
+    );
+    if (!r) return res.status(404).json({ error: 'Lien d\'avis invalide' });
+    res.json({ ...r, already_submitted: Boolean(r.review_submitted_at) });
+  } catch (e) {
+    console.error('hotel review get:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.post('/reviews/:token', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { content } = req.body;
+  const rating = parseInt(req.body.rating, 10);
+  if (!content || !String(content).trim()) return res.status(400).json({ error: 'content requis' });
+  if (!(rating >= 1 && rating <= 5)) return res.status(400).json({ error: 'rating doit être compris entre 1 et 5' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Un seul avis par séjour
+    const result = await client.query(
+      `UPDATE room_reservations SET review_submitted_at = NOW()
+       WHERE review_token = $1 AND review_submitted_at IS NULL
+       RETURNING id, user_id, guest_firstname, guest_lastname`,
+      [req.params.token]
+    );
+    const r = result.rows[0];
+    if (!r) {
+      await client.query('ROLLBACK');
+      const exists = await queryOne(pool, 'SELECT id FROM room_reservations WHERE review_token = $1', [req.params.token]);
+      if (!exists) return res.status(404).json({ error: 'Lien d\'avis invalide' });
+      return res.status(409).json({ error: 'Avis déjà envoyé pour ce séjour' });
+    }
+    const inserted = await client.query(
+      `INSERT INTO testimonials (user_id, room_reservation_id, author_name, author_role, content, rating, is_approved)
+       VALUES ($1, $2, $3, $4, $5, $6, false)
+       RETURNING id, author_name, content, rating, is_approved`,
+      [
+        r.user_id, r.id,
+        `${r.guest_firstname} ${(r.guest_lastname || '').charAt(0)}.`.trim(),
+        'Client de l\'hôtel',
+        String(content).trim(), rating,
+      ]
+    );
+    await client.query('COMMIT');
+    res.status(201).json({ success: true, message: 'Merci pour votre avis !', testimonial: inserted.rows[0] });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('hotel review create:', e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
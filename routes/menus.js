@@ -1,14 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../database/db');
+const { parseDietaryFilters, buildDietaryConditions } = require('../services/dietaryService');
+const {
+  parseAvailabilityAt,
+  getOpenPeriods,
+  buildServicePeriodConditions,
+} = require('../services/servicePeriodService');
+const { getRestaurantDateKey } = require('../utils/restaurantTime');
+
+/**
+ * Moment de disponibilité demandé (?at=ISO ou HH:MM, défaut maintenant, any = carte complète)
+ * @returns {Promise<Object>} { at, dateKey, openPeriods } (openPeriods null si at=any)
+ * @throws {Error} status 400 si ?at est invalide
+ */
+const resolveAvailability = async (query) => {
+  const at = parseAvailabilityAt(query.at);
+  const dateKey = getRestaurantDateKey(at || new Date());
+  const openPeriods = at ? await getOpenPeriods(pool.getPool(), at) : null;
+  return { at, dateKey, openPeriods };
+};
+
+const formatAvailability = ({ at, openPeriods }) => ({
+  at: at ? at.toISOString() : null,
+  open_periods: openPeriods
+    ? openPeriods.map(({ code, name, start_time, end_time }) => ({ code, name, start_time, end_time }))
+    : null
+});
+
+const andConditions = (conditions) => conditions.map(condition => `AND ${condition}`).join(' ');
 
 /**
  * GET /api/menus
- * Récupère tous les menus actifs avec leurs plats
+ * Récupère les menus actifs commandables maintenant (ou ?at=…) avec leurs plats
+ * Périodes de service : menus et plats hors de leurs périodes sont omis (?at=any : carte complète)
+ * Filtres allergènes / régimes (?exclude_allergens=gluten ?diet=vegan…) :
+ * seuls les plats compatibles sont listés, les menus sans plat compatible sont omis
  */
 router.get('/', async (req, res) => {
   try {
     console.log('📋 Récupération de tous les menus...');
+
+    let dietaryFilters;
+    let availability;
+    try {
+      dietaryFilters = parseDietaryFilters(req.query);
+      availability = await resolveAvailability(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const menuParams = [availability.dateKey];
+    const menuConditions = buildServicePeriodConditions(availability.openPeriods, 'm', menuParams);
     
     const menusQuery = `
       SELECT 
@@ -21,15 +68,17 @@ router.get('/', async (req, res) => {
         m.is_active,
         m.available_from,
         m.available_until,
+        m.service_periods,
         m.display_order
       FROM menus m
       WHERE m.is_active = true
-        AND (m.available_from IS NULL OR m.available_from <= CURRENT_DATE)
-        AND (m.available_until IS NULL OR m.available_until >= CURRENT_DATE)
+        AND (m.available_from IS NULL OR m.available_from <= $1::date)
+        AND (m.available_until IS NULL OR m.available_until >= $1::date)
+        ${andConditions(menuConditions)}
       ORDER BY m.display_order ASC, m.title ASC
     `;
 
-    const menusResult = await pool.query(menusQuery);
+    const menusResult = await pool.query(menusQuery, menuParams);
     
     // Le résultat est directement le tableau, pas result.rows
     const menus = Array.isArray(menusResult) ? menusResult : [];
@@ -40,6 +89,7 @@ router.get('/', async (req, res) => {
     if (menus.length === 0) {
       return res.json({
         success: true,
+        ...formatAvailability(availability),
         menus: []
       });
     }
@@ -47,6 +97,11 @@ router.get('/', async (req, res) => {
     // Pour chaque menu, récupérer les plats associés
     const menusWithDishes = await Promise.all(
       menus.map(async (menu) => {
+        const params = [menu.id_menu];
+        const conditions = [
+          ...buildDietaryConditions(dietaryFilters, 'd', params),
+          ...buildServicePeriodConditions(availability.openPeriods, 'd', params)
+        ];
         const dishesQuery = `
           SELECT 
             d.id_dish,
@@ -58,6 +113,9 @@ router.get('/', async (req, res) => {
             d.is_vegetarian,
             d.is_vegan,
             d.is_gluten_free,
+            d.allergen_codes,
+            d.dietary_tags,
+            d.service_periods,
             d.course_type,
             md.course_order,
             md.is_optional,
@@ -67,10 +125,11 @@ router.get('/', async (req, res) => {
           LEFT JOIN categories c ON d.category_id = c.id_category
           WHERE md.menu_id = $1
             AND d.is_available = true
+            ${andConditions(conditions)}
           ORDER BY md.course_order ASC
         `;
 
-        const dishesResult = await pool.query(dishesQuery, [menu.id_menu]);
+        const dishesResult = await pool.query(dishesQuery, params);
         const dishes = Array.isArray(dishesResult) ? dishesResult : [];
 
         return {
@@ -81,9 +140,13 @@ router.get('/', async (req, res) => {
       })
     );
 
+    // Un menu dont aucun plat n'est servi (filtres, périodes) n'est pas commandable
     res.json({
       success: true,
-      menus: menusWithDishes
+      ...formatAvailability(availability),
+      menus: dietaryFilters || availability.openPeriods
+        ? menusWithDishes.filter(menu => menu.dish_count > 0)
+        : menusWithDishes
     });
   } catch (error) {
     console.error('❌ Erreur récupération menus:', error);
@@ -97,10 +160,20 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/menus/dishes/all
- * Récupère tous les plats disponibles
+ * Récupère tous les plats disponibles maintenant (ou ?at=…, ?at=any : tous)
  */
 router.get('/dishes/all', async (req, res) => {
   try {
+    let availability;
+    try {
+      availability = await resolveAvailability(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const params = [];
+    const conditions = buildServicePeriodConditions(availability.openPeriods, 'd', params);
     const dishesQuery = `
       SELECT 
         d.id_dish,
@@ -112,6 +185,9 @@ router.get('/dishes/all', async (req, res) => {
         d.is_vegetarian,
         d.is_vegan,
         d.is_gluten_free,
+        d.allergen_codes,
+        d.dietary_tags,
+        d.service_periods,
         d.course_type,
         d.preparation_time,
         c.name as category_name,
@@ -119,14 +195,16 @@ router.get('/dishes/all', async (req, res) => {
       FROM dishes d
       LEFT JOIN categories c ON d.category_id = c.id_category
       WHERE d.is_available = true
+        ${andConditions(conditions)}
       ORDER BY c.display_order ASC, d.name ASC
     `;
 
-    const result = await pool.query(dishesQuery);
+    const result = await pool.query(dishesQuery, params);
     const dishes = Array.isArray(result) ? result : [];
 
     res.json({
       success: true,
+      ...formatAvailability(availability),
       dishes: dishes
     });
   } catch (error) {
@@ -140,12 +218,22 @@ router.get('/dishes/all', async (req, res) => {
 
 /**
  * GET /api/menus/dishes/category/:categoryId
- * Récupère les plats d'une catégorie spécifique
+ * Récupère les plats d'une catégorie disponibles maintenant (ou ?at=…, ?at=any : tous)
  */
 router.get('/dishes/category/:categoryId', async (req, res) => {
   try {
     const { categoryId } = req.params;
 
+    let availability;
+    try {
+      availability = await resolveAvailability(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const params = [categoryId];
+    const conditions = buildServicePeriodConditions(availability.openPeriods, 'd', params);
     const dishesQuery = `
       SELECT 
         d.id_dish,
@@ -157,18 +245,23 @@ router.get('/dishes/category/:categoryId', async (req, res) => {
         d.is_vegetarian,
         d.is_vegan,
         d.is_gluten_free,
+        d.allergen_codes,
+        d.dietary_tags,
+        d.service_periods,
         d.course_type
       FROM dishes d
       WHERE d.category_id = $1
         AND d.is_available = true
+        ${andConditions(conditions)}
       ORDER BY d.name ASC
     `;
 
-    const result = await pool.query(dishesQuery, [categoryId]);
+    const result = await pool.query(dishesQuery, params);
     const dishes = Array.isArray(result) ? result : [];
 
     res.json({
       success: true,
+      ...formatAvailability(availability),
       dishes: dishes
     });
   } catch (error) {
@@ -220,11 +313,22 @@ router.get('/categories/all', async (req, res) => {
 /**
  * GET /api/menus/type/:type
  * Récupère les menus par type (standard, seasonal, special, tasting, chef)
+ * disponibles maintenant (ou ?at=…, ?at=any : tous)
  */
 router.get('/type/:type', async (req, res) => {
   try {
     const { type } = req.params;
 
+    let availability;
+    try {
+      availability = await resolveAvailability(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const params = [type, availability.dateKey];
+    const conditions = buildServicePeriodConditions(availability.openPeriods, 'm', params);
     const menusQuery = `
       SELECT 
         m.id_menu,
@@ -233,20 +337,23 @@ router.get('/type/:type', async (req, res) => {
         m.price,
         m.image,
         m.menu_type,
+        m.service_periods,
         m.display_order
       FROM menus m
       WHERE m.is_active = true
         AND m.menu_type = $1
-        AND (m.available_from IS NULL OR m.available_from <= CURRENT_DATE)
-        AND (m.available_until IS NULL OR m.available_until >= CURRENT_DATE)
+        AND (m.available_from IS NULL OR m.available_from <= $2::date)
+        AND (m.available_until IS NULL OR m.available_until >= $2::date)
+        ${andConditions(conditions)}
       ORDER BY m.display_order ASC
     `;
 
-    const result = await pool.query(menusQuery, [type]);
+    const result = await pool.query(menusQuery, params);
     const menus = Array.isArray(result) ? result : [];
 
     res.json({
       success: true,
+      ...formatAvailability(availability),
       menus: menus
     });
   } catch (error) {
@@ -261,6 +368,8 @@ router.get('/type/:type', async (req, res) => {
 /**
  * GET /api/menus/:id
  * Récupère un menu spécifique avec tous ses détails
+ * Le menu reste consultable hors de ses périodes de service : is_orderable l'indique,
+ * seuls les plats servis maintenant (ou ?at=…, ?at=any : tous) sont listés
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -268,6 +377,14 @@ router.get('/:id', async (req, res) => {
     
     console.log(`📋 Récupération du menu ${id}...`);
 
+    let availability;
+    try {
+      availability = await resolveAvailability(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     // Récupérer le menu
     const menuQuery = `
       SELECT 
@@ -280,6 +397,7 @@ router.get('/:id', async (req, res) => {
         m.is_active,
         m.available_from,
         m.available_until,
+        m.service_periods,
         m.display_order,
         m.created_at
       FROM menus m
@@ -299,6 +417,8 @@ router.get('/:id', async (req, res) => {
     const menu = menus[0];
 
     // Récupérer les plats du menu groupés par type de plat
+    const dishParams = [id];
+    const dishConditions = buildServicePeriodConditions(availability.openPeriods, 'd', dishParams);
     const dishesQuery = `
       SELECT 
         d.id_dish,
@@ -310,6 +430,9 @@ router.get('/:id', async (req, res) => {
         d.is_vegetarian,
         d.is_vegan,
         d.is_gluten_free,
+        d.allergen_codes,
+        d.dietary_tags,
+        d.service_periods,
         d.course_type,
         d.preparation_time,
         d.calories,
@@ -322,17 +445,25 @@ router.get('/:id', async (req, res) => {
       LEFT JOIN categories c ON d.category_id = c.id_category
       WHERE md.menu_id = $1
         AND d.is_available = true
+        ${andConditions(dishConditions)}
       ORDER BY md.course_order ASC
     `;
 
-    const dishesResult = await pool.query(dishesQuery, [id]);
+    const dishesResult = await pool.query(dishesQuery, dishParams);
     const dishes = Array.isArray(dishesResult) ? dishesResult : [];
     
     console.log(`✅ Menu trouvé avec ${dishes.length} plats`);
 
+    const openCodes = (availability.openPeriods || []).map(period => period.code);
+    const inPeriod = !availability.openPeriods
+      || menu.service_periods.length === 0
+      || menu.service_periods.some(code => openCodes.includes(code));
+
     res.json({
       success: true,
       ...menu,
+      ...formatAvailability(availability),
+      is_orderable: inPeriod && dishes.length > 0,
       dishes: dishes,
       dish_count: dishes.length
     });
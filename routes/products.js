@@ -12,6 +12,8 @@ const router = express.Router();
 const { db } = require('../database/db');
 const { requireAdmin } = require('../middleware/auths');
 const { z } = require('zod');
+const { ALLERGENS, DIETARY_TAGS } = require('../services/dietaryService');
+const { validatePeriodCodes } = require('../services/servicePeriodService');
 
 // ============================================
 // VALIDATION SCHEMAS
@@ -19,6 +21,13 @@ const { z } = require('zod');
 // Helper: optional UUID, accept empty string as undefined (évite crash admin à la publication)
 const optionalUuid = z.union([z.string().uuid(), z.literal('')]).transform((v) => (v === '' ? undefined : v)).optional();
 
+// Allergènes réglementés et régimes (un produit végan est aussi végétarien)
+const allergenCodesSchema = z.array(z.enum(ALLERGENS)).transform((codes) => [...new Set(codes)]);
+const dietaryTagsSchema = z.array(z.enum(DIETARY_TAGS)).transform((tags) => {
+  const unique = [...new Set(tags)];
+  return unique.includes('vegan') && !unique.includes('vegetarian') ? [...unique, 'vegetarian'] : unique;
+});
+
 const productCreateSchema = z.object({
   sku: z.string().min(1).max(100),
   name: z.string().min(1).max(255),
@@ -49,6 +58,10 @@ const productCreateSchema = z.object({
   lengthCm: z.number().positive().optional(),
   widthCm: z.number().positive().optional(),
   heightCm: z.number().positive().optional(),
+  allergenCodes: allergenCodesSchema.nullable().optional(), // null = non déclarés
+  dietaryTags: dietaryTagsSchema.optional(),
+  // Périodes de service (codes) : commandable en click & collect uniquement pendant l'une d'elles
+  servicePeriods: z.array(z.string().min(1).max(30)).optional(),
 });
 
 const productUpdateSchema = productCreateSchema.partial();
@@ -347,6 +360,9 @@ router.post('/', requireAdmin, async (req, res, next) => {
     if (body.categoryId === '') body.categoryId = undefined;
     if (body.brandId === '') body.brandId = undefined;
     const validated = productCreateSchema.parse(body);
+    const servicePeriods = validated.servicePeriods
+      ? await validatePeriodCodes(db, validated.servicePeriods)
+      : [];
 
     // Vérifier unicité SKU et slug
     const existingCheck = await db.query(
@@ -370,7 +386,8 @@ router.post('/', requireAdmin, async (req, res, next) => {
         images, featured_image, video_url,
         meta_title, meta_description, meta_keywords,
         status, is_featured, is_on_sale,
-        weight_kg, length_cm, width_cm, height_cm
+        weight_kg, length_cm, width_cm, height_cm,
+        allergen_codes, dietary_tags, service_periods
       ) VALUES (
         $1, $2, $3, $4, $5,
         $6, $7, $8,
@@ -379,7 +396,8 @@ router.post('/', requireAdmin, async (req, res, next) => {
         $17, $18, $19,
         $20, $21, $22,
         $23, $24, $25,
-        $26, $27, $28, $29
+        $26, $27, $28, $29,
+        $30, $31, $32
       )
       RETURNING *
     `;
@@ -414,6 +432,9 @@ router.post('/', requireAdmin, async (req, res, next) => {
       validated.lengthCm || null,
       validated.widthCm || null,
       validated.heightCm || null,
+      validated.allergenCodes || null, // non fournis = non déclarés
+      validated.dietaryTags || [],
+      servicePeriods,
     ];
 
     const result = await db.query(insertQuery, values);
@@ -431,6 +452,10 @@ router.post('/', requireAdmin, async (req, res, next) => {
         errors: error.errors,
       });
     }
+    // Période de service inconnue
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     next(error);
   }
 });
@@ -445,6 +470,9 @@ router.patch('/:id', requireAdmin, async (req, res, next) => {
     if (body.categoryId === '') body.categoryId = undefined;
     if (body.brandId === '') body.brandId = undefined;
     const validated = productUpdateSchema.parse(body);
+    if (validated.servicePeriods) {
+      validated.servicePeriods = await validatePeriodCodes(db, validated.servicePeriods);
+    }
 
     // Vérifier existence
     const existingProduct = await db.query(
@@ -505,6 +533,9 @@ router.patch('/:id', requireAdmin, async (req, res, next) => {
         errors: error.errors,
       });
     }
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     next(error);
   }
 });
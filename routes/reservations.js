@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auths');
 const { getPool } = require('../database/db');
+const { getAvailableTimes, assignTable } = require('../services/tableReservationService');
 
 // 🔥 IMPORT DES HELPERS EMAILS
 const { 
@@ -29,7 +30,33 @@ router.post('/check-availability', async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
-    const { reservation_date, reservation_time } = req.body;
+    const { reservation_date, reservation_time, meeting_type, party_size } = req.body;
+
+    // Réservation de table : heures réservables pour le nombre de couverts
+    if (party_size !== undefined || (meeting_type || '').toLowerCase() === 'table') {
+      const partySize = parseInt(party_size, 10);
+
+      if (!reservation_date || !/^\d{4}-\d{2}-\d{2}$/.test(reservation_date)) {
+        return res.status(400).json({ error: 'Date requise (YYYY-MM-DD)' });
+      }
+
+      if (!Number.isInteger(partySize) || partySize < 1) {
+        return res.status(400).json({ error: 'Nombre de couverts invalide' });
+      }
+
+      const times = await getAvailableTimes(reservation_date, partySize, { db: pool });
+      const requestedTime = reservation_time ? reservation_time.slice(0, 5) : null;
+
+      return res.json({
+        available: requestedTime
+          ? times.some((slot) => slot.time === requestedTime)
+          : times.length > 0,
+        date: reservation_date,
+        time: requestedTime,
+        party_size: partySize,
+        times
+      });
+    }
 
     if (!reservation_date || !reservation_time) {
       return res.status(400).json({ error: 'Date et heure requises' });
@@ -40,6 +67,7 @@ router.post('/check-availability', async (req, res) => {
       `SELECT id FROM reservations 
        WHERE reservation_date = $1
        AND reservation_time = $2
+       AND LOWER(COALESCE(meeting_type, '')) <> 'table'
        AND status IN ('confirmed', 'pending')`,
       [reservation_date, reservation_time]
     );
@@ -69,7 +97,8 @@ router.post('/', requireAuth, async (req, res) => {
       meeting_type,
       project_type,
       estimated_budget,
-      message
+      message,
+      party_size
     } = req.body;
 
     console.log('📝 Création rendez-vous pour user:', userId);
@@ -90,56 +119,99 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
 
-    // Vérifier horaires : 9h-18h pour rendez-vous, 12h-14h et 19h-22h pour réservation table (restaurant)
-    const [hour] = reservation_time.split(':').map(Number);
     const isTableReservation = (meeting_type || '').toLowerCase() === 'table';
+    let result;
+
     if (isTableReservation) {
-      const validLunch = hour >= 12 && hour < 14;
-      const validDinner = hour >= 19 && hour < 22;
-      if (!validLunch && !validDinner) {
-        return res.status(400).json({
-          error: 'Horaires restaurant : déjeuner 12h-14h, dîner 19h-22h'
+      // Réservation de table : service, capacité et table attribuée automatiquement
+      const partySize = parseInt(party_size, 10);
+
+      if (!Number.isInteger(partySize) || partySize < 1) {
+        return res.status(400).json({ error: 'Nombre de couverts invalide' });
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const { table, service } = await assignTable(client, {
+          date: reservation_date,
+          time: reservation_time,
+          partySize
         });
+
+        const insertResult = await client.query(
+          `INSERT INTO reservations 
+           (user_id, reservation_date, reservation_time, duration, meeting_type, party_size,
+            table_id, service_code, message, status) 
+           VALUES ($1, $2, $3, $4, 'table', $5, $6, $7, $8, 'pending')
+           RETURNING *`,
+          [
+            userId,
+            reservation_date,
+            reservation_time,
+            service.turn_minutes,
+            partySize,
+            table.id,
+            service.code,
+            message || null
+          ]
+        );
+
+        await client.query('COMMIT');
+        result = [{ ...insertResult.rows[0], table_name: table.name }];
+      } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (error.status) {
+          return res.status(error.status).json({ success: false, error: error.message });
+        }
+        throw error;
+      } finally {
+        client.release();
       }
     } else {
+      // Rendez-vous : 9h-18h, un seul rendez-vous par créneau
+      const [hour] = reservation_time.split(':').map(Number);
       if (hour < 9 || hour >= 18) {
         return res.status(400).json({
           error: 'Horaires disponibles : 9h00 - 18h00'
         });
       }
-    }
 
-    // Vérifier si le créneau est disponible
-    const existingReservation = await queryOne(pool,
-      `SELECT id FROM reservations 
-       WHERE reservation_date = $1
-       AND reservation_time = $2
-       AND status IN ('confirmed', 'pending')`,
-      [reservation_date, reservation_time]
-    );
+      const existingReservation = await queryOne(pool,
+        `SELECT id FROM reservations 
+         WHERE reservation_date = $1
+         AND reservation_time = $2
+         AND LOWER(COALESCE(meeting_type, '')) <> 'table'
+         AND status IN ('confirmed', 'pending')`,
+        [reservation_date, reservation_time]
+      );
 
-    if (existingReservation) {
-      return res.status(400).json({ 
-        error: 'Ce créneau n\'est plus disponible, veuillez en choisir un autre'
-      });
-    }
+      if (existingReservation) {
+        return res.status(400).json({ 
+          error: 'Ce créneau n\'est plus disponible, veuillez en choisir un autre'
+        });
+      }
 
-    // Créer le rendez-vous
-    const result = await query(pool,
-      `INSERT INTO reservations 
-       (user_id, reservation_date, reservation_time, meeting_type, project_type, estimated_budget, message, status) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
-       RETURNING *`,
-      [
-        userId, 
-        reservation_date, 
-        reservation_time, 
-        meeting_type || 'visio',
-        project_type || null,
-        estimated_budget || null,
-        message || null
-      ]
-    );
+      // Créer le rendez-vous
+      result = await query(pool,
+        `INSERT INTO reservations 
+         (user_id, reservation_date, reservation_time, meeting_type, project_type, estimated_budget, message, status) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+         RETURNING *`,
+        [
+          userId, 
+          reservation_date, 
+          reservation_time, 
+          meeting_type || 'visio',
+          project_type || null,
+          estimated_budget || null,
+          message || null
+        ]
+      );
+    }
 
     console.log('✅ Rendez-vous créé:', result[0]);
 
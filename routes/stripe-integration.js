@@ -237,6 +237,14 @@ router.post('/create-checkout-from-order', async (req, res, next) => {
         order_id: order.id,
         order_number: order.order_number,
       },
+      // Recopié sur le PaymentIntent : les webhooks payment_intent.* (paiement, échec,
+      // annulation, stock) retrouvent la commande par metadata.order_id
+      payment_intent_data: {
+        metadata: {
+          order_id: order.id,
+          order_number: order.order_number,
+        },
+      },
     });
 
     res.json({
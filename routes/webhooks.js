@@ -2,6 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const stripeService = require('../services/stripeService');
+const { releaseOrderStock, rereserveOrderStock } = require('../services/inventoryService');
+const {
+  confirmDepositPayment,
+  markDepositFailed,
+  releaseDepositHold,
+} = require('../services/hotelPaymentService');
 
 /**
  * WEBHOOK STRIPE
@@ -123,6 +129,16 @@ async function handleStripeEvent(event, pool) {
           );
         }
 
+        // E-COMMERCE: stock libéré après un échec puis paiement réussi
+        if (metadata.order_id) {
+          await reserveOrderStockAfterPayment(pool, metadata.order_id, data);
+        }
+
+        // HÔTEL: acompte payé → séjour confirmé
+        if (metadata.room_reservation_id) {
+          await confirmDepositPayment(pool, data);
+        }
+
         // Envoyer un email de confirmation (géré par le service Stripe)
         await stripeService.handleWebhookEvent(event);
         break;
@@ -153,6 +169,19 @@ async function handleStripeEvent(event, pool) {
           ]
         );
 
+        // E-COMMERCE: libérer le stock réservé (re-réservé si le client réessaie avec succès)
+        if (data.metadata?.order_id) {
+          await releaseOrderStockForPayment(pool, data.metadata.order_id, {
+            cancel: false,
+            reason: 'Paiement échoué',
+          });
+        }
+
+        // HÔTEL: le séjour reste en attente jusqu'à expiration
+        if (data.metadata?.room_reservation_id) {
+          await markDepositFailed(pool, data);
+        }
+
         // Envoyer un email d'échec
         await stripeService.handleWebhookEvent(event);
         break;
@@ -168,6 +197,19 @@ async function handleStripeEvent(event, pool) {
            WHERE payment_intent_id = $1 OR stripe_payment_intent_id = $1`,
           [data.id]
         );
+
+        // E-COMMERCE: paiement annulé ou expiré → commande annulée, stock libéré
+        if (data.metadata?.order_id) {
+          await releaseOrderStockForPayment(pool, data.metadata.order_id, {
+            cancel: true,
+            reason: 'Paiement annulé ou expiré',
+          });
+        }
+
+        // HÔTEL: chambre libérée
+        if (data.metadata?.room_reservation_id) {
+          await releaseDepositHold(pool, data);
+        }
         break;
       }
 
@@ -215,6 +257,13 @@ async function handleStripeEvent(event, pool) {
 
       case 'checkout.session.expired': {
         console.log('⏰ Checkout session expired:', data.id);
+
+        if (data.metadata?.order_id) {
+          await releaseOrderStockForPayment(pool, data.metadata.order_id, {
+            cancel: true,
+            reason: 'Session de paiement expirée',
+          });
+        }
         break;
       }
 
@@ -341,6 +390,151 @@ async function handleStripeEvent(event, pool) {
   }
 }
 
+/**
+ * Commande e-commerce : libérer le stock après échec / expiration du paiement
+ * Idempotent (Stripe peut renvoyer le même événement)
+ */
+async function releaseOrderStockForPayment(pool, orderId, { cancel, reason }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT id, order_number, status, payment_status FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+
+    // Commande inconnue ou déjà payée : rien à libérer
+    if (!order || order.payment_status === 'paid') {
+      await client.query('COMMIT');
+      return;
+    }
+
+    await releaseOrderStock(client, order, reason);
+
+    if (cancel && order.status === 'pending') {
+      await client.query(
+        `UPDATE orders
+         SET status = 'cancelled', payment_status = 'canceled',
+             cancelled_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [order.id]
+      );
+
+      await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, comment)
+         VALUES ($1, 'pending', 'cancelled', $2)`,
+        [order.id, reason]
+      );
+    } else if (!cancel) {
+      await client.query(
+        `UPDATE orders SET payment_status = 'failed', updated_at = NOW() WHERE id = $1`,
+        [order.id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Commande e-commerce : re-réserver le stock libéré quand le paiement aboutit finalement
+ * Commande annulée entre-temps : pas de re-réservation, le paiement est remboursé
+ */
+async function reserveOrderStockAfterPayment(pool, orderId, paymentIntent) {
+  const client = await pool.connect();
+  let cancelledOrder = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT id, order_number, status FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+
+    if (order && order.status === 'cancelled') {
+      cancelledOrder = order;
+      await client.query('COMMIT');
+    } else {
+      const shortages = order ? await rereserveOrderStock(client, order) : null;
+
+      // Paiement encaissé mais stock parti entre-temps : alerte admin
+      if (shortages && shortages.length > 0) {
+        await client.query(
+          `INSERT INTO admin_alerts (alert_type, title, message, severity)
+           VALUES ($1, $2, $3, $4)`,
+          [
+            'stock_shortage',
+            'Rupture sur commande payée',
+            `Commande ${order.order_number} : ${shortages.map((item) => `${item.productName} (-${item.missing})`).join(', ')}`,
+            'high'
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Remboursement hors transaction (aucun verrou pendant l'appel Stripe)
+  if (cancelledOrder) {
+    await refundCancelledOrderPayment(pool, cancelledOrder, paymentIntent);
+  }
+}
+
+/**
+ * Rembourser un paiement encaissé sur une commande déjà annulée
+ * Clé d'idempotence par PaymentIntent : un webhook rejoué ne rembourse pas deux fois
+ */
+async function refundCancelledOrderPayment(pool, order, paymentIntent) {
+  try {
+    const refund = await stripeService.refundPayment({
+      paymentIntentId: paymentIntent.id,
+      reason: 'requested_by_customer',
+      idempotencyKey: `order-cancelled-refund-${paymentIntent.id}`,
+    });
+
+    await pool.query(
+      `UPDATE orders
+       SET payment_status = 'refunded', stripe_payment_intent_id = $1, updated_at = NOW()
+       WHERE id = $2`,
+      [paymentIntent.id, order.id]
+    );
+
+    await pool.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, comment)
+       VALUES ($1, 'cancelled', 'cancelled', $2)`,
+      [order.id, `Paiement reçu après annulation, remboursé (${refund.id})`]
+    );
+  } catch (error) {
+    console.error('cancelled order refund:', error.message);
+    await pool.query(
+      `INSERT INTO admin_alerts (alert_type, title, message, severity)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        'order_paid_after_cancel',
+        'Paiement reçu sur une commande annulée',
+        `Commande ${order.order_number} : ${paymentIntent.amount / 100} ${paymentIntent.currency.toUpperCase()} encaissés après annulation, remboursement automatique échoué (${error.message})`,
+        'high'
+      ]
+    );
+  }
+}
+
 /**
  * GET /webhooks/test
  * Endpoint de test (développement uniquement)
@@ -0,0 +1,89 @@
+// backend/scripts/fakeShippo.js
+/**
+ * Faux serveur Shippo local (étiquettes + suivi)
+ * Usage: node scripts/fakeShippo.js [port]
+ * Puis : SHIPPO_API_KEY=shippo_test_fake SHIPPO_API_URL=http://localhost:4010
+ *
+ * Chaque colis passe PRE_TRANSIT → TRANSIT → DELIVERED au fil des appels de suivi.
+ */
+
+const http = require('http');
+
+const TRACKING_STEPS = ['PRE_TRANSIT', 'TRANSIT', 'DELIVERED'];
+
+const createFakeShippoServer = () => {
+  const parcels = new Map();
+  let sequence = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      // POST /transactions/ - Achat d'étiquette
+      if (req.method === 'POST' && req.url.startsWith('/transactions')) {
+        sequence++;
+        const trackingNumber = `FAKE${String(sequence).padStart(8, '0')}`;
+        const request = body ? JSON.parse(body) : {};
+        parcels.set(trackingNumber, 0);
+
+        return send(201, {
+          object_id: `txn_fake_${sequence}`,
+          status: 'SUCCESS',
+          tracking_number: trackingNumber,
+          tracking_url_provider: `http://localhost/track/${trackingNumber}`,
+          label_url: `http://localhost/labels/${trackingNumber}.pdf`,
+          rate: {
+            object_id: request.rate || 'rate_fake',
+            provider: 'shippo',
+            servicelevel: { name: 'Fake Express' },
+          },
+          messages: [],
+        });
+      }
+
+      // GET /tracks/:carrier/:trackingNumber/ - Suivi
+      const trackMatch = req.url.match(/^\/tracks\/([^/]+)\/([^/?]+)/);
+      if (req.method === 'GET' && trackMatch) {
+        const [, carrier, trackingNumber] = trackMatch;
+
+        if (!parcels.has(trackingNumber)) {
+          return send(404, { detail: 'Not found' });
+        }
+
+        const step = Math.min(parcels.get(trackingNumber), TRACKING_STEPS.length - 1);
+        parcels.set(trackingNumber, step + 1);
+
+        return send(200, {
+          carrier,
+          tracking_number: trackingNumber,
+          eta: null,
+          tracking_status: {
+            status: TRACKING_STEPS[step],
+            status_details: `Fake status ${TRACKING_STEPS[step]}`,
+            status_date: new Date().toISOString(),
+            location: { city: 'Paris', country: 'FR' },
+          },
+          tracking_history: [],
+        });
+      }
+
+      return send(404, { detail: 'Not found' });
+    });
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 4010;
+  createFakeShippoServer().listen(port, () => {
+    console.log(`🧪 Faux Shippo sur http://localhost:${port}`);
+  });
+}
+
+module.exports = { createFakeShippoServer };
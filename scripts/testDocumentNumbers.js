@@ -0,0 +1,89 @@
+// backend/scripts/testDocumentNumbers.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const { DOCUMENT_TYPES, nextDocumentNumber } = require('../services/documentNumberService');
+
+/**
+ * Test de concurrence de la numérotation des documents
+ * Usage: node scripts/testDocumentNumbers.js [nombre] (DATABASE_URL requis)
+ *
+ * Lance N demandes simultanées (hors transaction et dans des transactions
+ * parallèles) sur un type de document de test et vérifie l'absence de doublon et de trou.
+ */
+
+const TEST_TYPE = 'concurrency_test';
+const COUNT = parseInt(process.argv[2], 10) || 100;
+
+const testDocumentNumbers = async () => {
+  console.log(`🧪 Test numérotation concurrente (${COUNT} numéros)\n`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 10,
+  });
+  initPool(pool);
+
+  DOCUMENT_TYPES[TEST_TYPE] = { prefix: 'TST', period: 'none', padding: 6 };
+
+  try {
+    await pool.query('DELETE FROM document_sequences WHERE document_type = $1', [TEST_TYPE]);
+
+    // 1. Appels simultanés hors transaction
+    const direct = await Promise.all(
+      Array.from({ length: COUNT }, () => nextDocumentNumber(TEST_TYPE))
+    );
+
+    // 2. Transactions parallèles (une sur cinq annulée : le numéro doit être réattribué)
+    const transactional = await Promise.all(
+      Array.from({ length: COUNT }, async (_, index) => {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const number = await nextDocumentNumber(TEST_TYPE, { client });
+          if (index % 5 === 0) {
+            await client.query('ROLLBACK');
+            return null;
+          }
+          await client.query('COMMIT');
+          return number;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      })
+    );
+
+    const numbers = [...direct, ...transactional.filter(Boolean)];
+    const unique = new Set(numbers);
+
+    console.log(`   Numéros obtenus : ${numbers.length}, distincts : ${unique.size}`);
+
+    if (unique.size !== numbers.length) {
+      throw new Error('Doublons détectés');
+    }
+
+    // Numérotation continue : TST-000001 … TST-00000N
+    const counters = numbers.map((number) => parseInt(number.split('-')[1], 10)).sort((a, b) => a - b);
+    const hasGap = counters.some((value, index) => value !== index + 1);
+
+    if (hasGap) {
+      throw new Error(`Trou dans la numérotation : ${counters.join(', ')}`);
+    }
+
+    console.log(`   Premier : ${numbers.sort()[0]}, dernier : ${numbers.sort()[numbers.length - 1]}`);
+    console.log('\n✅ Aucun doublon, numérotation continue');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.query('DELETE FROM document_sequences WHERE document_type = $1', [TEST_TYPE]);
+    await pool.end();
+  }
+};
+
+testDocumentNumbers();
@@ -0,0 +1,211 @@
+// backend/scripts/testHotelCancellation.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const stripeService = require('../services/stripeService');
+const { reserveRoom } = require('../services/hotelInventoryService');
+const {
+  DEFAULT_POLICY,
+  computeCancellation,
+  cancelReservation,
+} = require('../services/hotelCancellationService');
+const { getRestaurantDateKey, addDaysToDateKey } = require('../utils/restaurantTime');
+
+/**
+ * Test des annulations de séjour : calcul du remboursement et remboursement Stripe
+ * Usage: node scripts/testHotelCancellation.js (DATABASE_URL requis pour la partie 2)
+ *
+ * 1. Montants remboursables selon la politique (sans base)
+ * 2. Annulation d'un séjour payé : échec Stripe (séjour annulé, remboursement en
+ *    attente) puis nouvel essai avec la même clé d'idempotence, refus d'une troisième annulation
+ * Stripe n'est pas appelé : le remboursement est remplacé par une fonction de test.
+ */
+
+const HOTEL_ID = process.env.DEFAULT_HOTEL_ID || 'b2178a5e-9a4f-4c8d-9e1b-2a3c4d5e6f70';
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+};
+
+// Date d'arrivée à N jours d'aujourd'hui (YYYY-MM-DD, jour de l'établissement)
+const daysFromNow = days => addDaysToDateKey(getRestaurantDateKey(), days);
+
+// Date d'arrivée telle que renvoyée par pg pour une colonne DATE (minuit local)
+const checkInIn = (days) => {
+  const [year, month, day] = daysFromNow(days).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const testRefundMath = () => {
+  const flexible = { name: 'Flexible', free_until_days: 7, penalty_percent: 50, non_refundable: false };
+  const stay = { total_amount: 400, amount_paid: 400 };
+
+  const early = computeCancellation(flexible, { ...stay, check_in_date: checkInIn(10) });
+  assert(early.freeCancellation && early.refundAmount === 400, '10 jours avant (gratuit jusqu\'à 7) : 400 remboursés');
+
+  const late = computeCancellation(flexible, { ...stay, check_in_date: checkInIn(3) });
+  assert(late.penaltyAmount === 200 && late.refundAmount === 200, '3 jours avant, 50 % de pénalité : 200 remboursés');
+
+  const deposit = computeCancellation(flexible, { ...stay, amount_paid: 100, check_in_date: checkInIn(3) });
+  assert(deposit.penaltyAmount === 100 && deposit.refundAmount === 0, 'Pénalité limitée à l\'acompte encaissé : rien à rembourser');
+
+  const unpaid = computeCancellation(flexible, { ...stay, amount_paid: 0, check_in_date: checkInIn(3) });
+  assert(unpaid.penaltyAmount === 0 && unpaid.refundAmount === 0, 'Rien encaissé : ni pénalité ni remboursement');
+
+  const nonRefundable = computeCancellation(
+    { ...flexible, non_refundable: true },
+    { ...stay, check_in_date: checkInIn(30) }
+  );
+  assert(nonRefundable.refundAmount === 0, 'Non remboursable : 0');
+
+  const sameDay = computeCancellation(DEFAULT_POLICY, { ...stay, check_in_date: checkInIn(0) });
+  assert(sameDay.freeCancellation && sameDay.refundAmount === 400, 'Politique par défaut : gratuite le jour d\'arrivée');
+
+  const rounding = computeCancellation(
+    { ...flexible, penalty_percent: 33 },
+    { total_amount: 99.99, amount_paid: 99.99, check_in_date: checkInIn(1) }
+  );
+  assert(rounding.penaltyAmount === 33 && rounding.refundAmount === 66.99, 'Arrondi au centime : 33 retenus, 66,99 remboursés');
+
+  let started = false;
+  try {
+    computeCancellation(flexible, { ...stay, check_in_date: checkInIn(-1) });
+  } catch (error) {
+    started = error.status === 400;
+  }
+  assert(started, 'Séjour commencé : annulation refusée (400)');
+};
+
+const testHotelCancellation = async () => {
+  console.log('🧪 Test annulations de séjour\n');
+
+  try {
+    testRefundMath();
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 2,
+  });
+  initPool(pool);
+
+  const originalRefund = stripeService.refundPayment;
+  let roomTypeId = null;
+
+  try {
+    const roomTypeResult = await pool.query(
+      `INSERT INTO room_types (hotel_id, name, slug, base_price_per_night, max_guests, is_active)
+       VALUES ($1, 'Test annulation', $2, 200, 2, false)
+       RETURNING id`,
+      [HOTEL_ID, `test-cancellation-${Date.now()}`]
+    );
+    roomTypeId = roomTypeResult.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO rooms (hotel_id, room_type_id, room_number, floor, status)
+       VALUES ($1, $2, $3, 1, 'available')`,
+      [HOTEL_ID, roomTypeId, `C${Date.now() % 100000}`]
+    );
+
+    const checkIn = daysFromNow(3);
+    const checkOut = daysFromNow(5);
+    const policy = { id: null, name: 'Flexible', free_until_days: 7, penalty_percent: 50, non_refundable: false };
+
+    const client = await pool.connect();
+    let reservationId;
+    try {
+      await client.query('BEGIN');
+      const room = await reserveRoom(client, { roomTypeId, checkIn, checkOut });
+      const result = await client.query(
+        `INSERT INTO room_reservations (
+          hotel_id, guest_email, guest_firstname, guest_lastname,
+          room_type_id, room_id, check_in_date, check_out_date, nights, status, total_amount,
+          deposit_policy, deposit_amount, amount_paid, payment_status, payment_intent_id, paid_at,
+          cancellation_policy
+        ) VALUES ($1, 'test-cancellation@example.com', 'Test', 'Annulation', $2, $3, $4, $5, 2,
+                  'confirmed', 400, 'full', 400, 400, 'paid', $6, NOW(), $7)
+        RETURNING id`,
+        [HOTEL_ID, roomTypeId, room.id, checkIn, checkOut, `pi_test_cancel_${Date.now()}`, JSON.stringify(policy)]
+      );
+      reservationId = result.rows[0].id;
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const refunds = [];
+
+    // 1er essai : Stripe indisponible, séjour annulé quand même, remboursement en attente
+    stripeService.refundPayment = async (params) => {
+      refunds.push(params);
+      throw new Error('Stripe indisponible (test)');
+    };
+    const failed = await cancelReservation(pool, reservationId, { reason: 'Test' });
+    const alerts = await pool.query(
+      "SELECT id FROM admin_alerts WHERE alert_type = 'hotel_cancel_refund' AND message LIKE $1",
+      [`%${reservationId}%`]
+    );
+    assert(
+      failed.reservation.status === 'cancelled' && failed.reservation.payment_status === 'refund_pending' && alerts.rows.length === 1,
+      'Échec Stripe : séjour annulé, remboursement en attente, alerte admin'
+    );
+
+    // 2e essai : seul le remboursement est retenté
+    stripeService.refundPayment = async (params) => {
+      refunds.push(params);
+      return { id: 're_test_cancellation' };
+    };
+    const { reservation, cancellation, retry } = await cancelReservation(pool, reservationId, { reason: 'Test' });
+
+    assert(retry && cancellation.refundAmount === 200 && refunds[1].amount === 20000, 'Nouvel essai : remboursement de 200 € (20000 centimes)');
+    assert(
+      refunds[0].idempotencyKey === `hotel-cancel-refund-${reservationId}` && refunds[1].idempotencyKey === refunds[0].idempotencyKey,
+      'Même clé d\'idempotence à chaque essai'
+    );
+    assert(
+      reservation.status === 'cancelled' && reservation.payment_status === 'partially_refunded'
+        && Number(reservation.penalty_amount) === 200 && reservation.refund_id === 're_test_cancellation',
+      'Séjour annulé, pénalité et remboursement enregistrés'
+    );
+
+    // Annulation déjà remboursée refusée, aucun nouveau remboursement
+    let secondStatus = null;
+    try {
+      await cancelReservation(pool, reservationId);
+    } catch (error) {
+      secondStatus = error.status;
+    }
+    assert(secondStatus === 400 && refunds.length === 2, 'Annulation déjà remboursée refusée (400), pas de nouveau remboursement');
+
+    console.log('\n✅ Annulations de séjour conformes');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    stripeService.refundPayment = originalRefund;
+    if (roomTypeId) {
+      await pool.query(
+        `DELETE FROM admin_alerts WHERE alert_type = 'hotel_cancel_refund'
+         AND message LIKE ANY (SELECT '%' || id || '%' FROM room_reservations WHERE room_type_id = $1)`,
+        [roomTypeId]
+      );
+      await pool.query('DELETE FROM room_reservations WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM rooms WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM room_types WHERE id = $1', [roomTypeId]);
+      console.log('🧹 Données de test supprimées');
+    }
+    await pool.end();
+  }
+};
+
+testHotelCancellation();
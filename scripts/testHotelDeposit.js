@@ -0,0 +1,218 @@
+// backend/scripts/testHotelDeposit.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const stripeService = require('../services/stripeService');
+const { reserveRoom } = require('../services/hotelInventoryService');
+const { computeDepositAmount, confirmDepositPayment } = require('../services/hotelPaymentService');
+const { releaseExpiredHolds } = require('../jobs/hotelHolds');
+
+/**
+ * Test des acomptes hôtel : montant, mise en attente, expiration, paiement tardif
+ * (chambre réattribuée ou acompte remboursé) et acompte encaissé sur un séjour annulé
+ * Usage: node scripts/testHotelDeposit.js (DATABASE_URL requis)
+ *
+ * Stripe n'est pas appelé : annulation et remboursement sont remplacés par des
+ * fonctions de test qui enregistrent leurs appels.
+ */
+
+const HOTEL_ID = process.env.DEFAULT_HOTEL_ID || 'b2178a5e-9a4f-4c8d-9e1b-2a3c4d5e6f70';
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+};
+
+const paymentIntentFor = (reservationId, amount) => ({
+  id: `pi_test_${reservationId}`,
+  amount: Math.round(amount * 100),
+  amount_received: Math.round(amount * 100),
+  currency: 'eur',
+  metadata: { room_reservation_id: reservationId },
+});
+
+const testHotelDeposit = async () => {
+  console.log('🧪 Test acomptes hôtel\n');
+
+  // 1. Montants (sans base)
+  const nightly = { nightlyPrices: [120, 100, 100], totalAmount: 340 };
+  assert(computeDepositAmount({ policy: 'none' }, nightly) === 0, 'Sans acompte : 0');
+  assert(computeDepositAmount({ policy: 'first_night' }, nightly) === 120, 'Première nuit : 120');
+  assert(computeDepositAmount({ policy: 'percentage', percent: 30 }, nightly) === 102, '30 % : 102');
+  assert(computeDepositAmount({ policy: 'percentage', percent: 150 }, nightly) === 340, 'Pourcentage plafonné au total');
+  assert(computeDepositAmount({ policy: 'full' }, nightly) === 340, 'Prépaiement : total');
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 4,
+  });
+  initPool(pool);
+
+  const originalRefund = stripeService.refundPayment;
+  let roomTypeId = null;
+
+  try {
+    const roomTypeResult = await pool.query(
+      `INSERT INTO room_types (hotel_id, name, slug, base_price_per_night, max_guests, is_active)
+       VALUES ($1, 'Test acompte', $2, 100, 2, false)
+       RETURNING id`,
+      [HOTEL_ID, `test-deposit-${Date.now()}`]
+    );
+    roomTypeId = roomTypeResult.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO rooms (hotel_id, room_type_id, room_number, floor, status)
+       VALUES ($1, $2, $3, 1, 'available')`,
+      [HOTEL_ID, roomTypeId, `D${Date.now() % 100000}`]
+    );
+
+    const checkIn = new Date(Date.now() + 40 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const checkOut = new Date(Date.now() + 42 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    // Séjour en attente d'acompte sur la seule chambre
+    const createHold = async (email, holdMinutes) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const room = await reserveRoom(client, { roomTypeId, checkIn, checkOut });
+        const result = await client.query(
+          `INSERT INTO room_reservations (
+            hotel_id, guest_email, guest_firstname, guest_lastname,
+            room_type_id, room_id, check_in_date, check_out_date, nights, status, total_amount,
+            deposit_policy, deposit_amount, payment_status, hold_expires_at
+          ) VALUES ($1, $2, 'Test', 'Acompte', $3, $4, $5, $6, 2, 'pending_payment', 200,
+                    'full', 200, 'pending', NOW() + make_interval(mins => $7))
+          RETURNING id`,
+          [HOTEL_ID, email, roomTypeId, room.id, checkIn, checkOut, holdMinutes]
+        );
+        await client.query(
+          'UPDATE room_reservations SET payment_intent_id = $1 WHERE id = $2',
+          [`pi_test_${result.rows[0].id}`, result.rows[0].id]
+        );
+        await client.query('COMMIT');
+        return result.rows[0].id;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    };
+
+    const getReservation = async id => (
+      await pool.query('SELECT * FROM room_reservations WHERE id = $1', [id])
+    ).rows[0];
+
+    // 2. Mise en attente : la chambre est bloquée
+    const heldId = await createHold('test-deposit-held@example.com', 30);
+    let blocked = false;
+    try {
+      await createHold('test-deposit-second@example.com', 30);
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      blocked = true;
+    }
+    assert(blocked, 'Chambre bloquée pendant la mise en attente');
+
+    // 3. Expiration : séjour libéré, PaymentIntent annulé
+    await pool.query(
+      "UPDATE room_reservations SET hold_expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+      [heldId]
+    );
+    // Autres séjours expirés de la base : annulation Stripe habituelle
+    const cancelled = [];
+    const summary = await releaseExpiredHolds({
+      db: pool,
+      cancelIntent: async id => (id.startsWith('pi_test_') ? cancelled.push(id) : stripeService.cancelPaymentIntent(id)),
+    });
+    const expired = await getReservation(heldId);
+    assert(summary.released >= 1 && expired.status === 'expired', 'Séjour non payé expiré');
+    assert(cancelled.includes(`pi_test_${heldId}`), 'PaymentIntent du séjour expiré annulé');
+
+    // 4. Paiement tardif, chambre encore libre : séjour confirmé
+    await confirmDepositPayment(pool, paymentIntentFor(heldId, 200));
+    const late = await getReservation(heldId);
+    assert(late.status === 'confirmed' && late.payment_status === 'paid', 'Paiement tardif : chambre réattribuée, séjour confirmé');
+
+    const refunds = [];
+    stripeService.refundPayment = async (params) => {
+      refunds.push(params);
+      return { id: `re_test_${refunds.length}` };
+    };
+
+    // 5. Paiement tardif, chambre reprise entre-temps : séjour expiré, acompte remboursé
+    const lateResult = await pool.query(
+      `INSERT INTO room_reservations (
+        hotel_id, guest_email, guest_firstname, guest_lastname,
+        room_type_id, check_in_date, check_out_date, nights, status, total_amount,
+        deposit_policy, deposit_amount, payment_status
+      ) VALUES ($1, 'test-deposit-late@example.com', 'Test', 'Acompte', $2, $3, $4, 2, 'expired', 200,
+                'full', 200, 'pending')
+      RETURNING id`,
+      [HOTEL_ID, roomTypeId, checkIn, checkOut]
+    );
+    const lateId = lateResult.rows[0].id;
+    await confirmDepositPayment(pool, paymentIntentFor(lateId, 200));
+    const tooLate = await getReservation(lateId);
+    assert(
+      tooLate.status === 'expired' && tooLate.payment_status === 'refunded' && !tooLate.room_id,
+      'Plus de chambre : séjour expiré, acompte remboursé'
+    );
+    assert(refunds[0].idempotencyKey === `hotel-deposit-late-refund-pi_test_${lateId}`, 'Remboursement tardif : clé par PaymentIntent');
+    refunds.length = 0;
+
+    // 6. Acompte encaissé sur un séjour annulé : remboursé une seule fois
+    await pool.query(
+      "UPDATE room_reservations SET status = 'cancelled', payment_status = 'pending' WHERE id = $1",
+      [heldId]
+    );
+
+    await confirmDepositPayment(pool, paymentIntentFor(heldId, 200));
+    await confirmDepositPayment(pool, paymentIntentFor(heldId, 200));
+    const refunded = await getReservation(heldId);
+    assert(refunds.length === 1, 'Webhook rejoué : un seul remboursement');
+    assert(refunds[0].idempotencyKey === `hotel-deposit-cancelled-refund-pi_test_${heldId}`, 'Clé d\'idempotence par PaymentIntent');
+    assert(
+      refunded.status === 'cancelled' && refunded.payment_status === 'refunded' && Number(refunded.refund_amount) === 200,
+      'Séjour annulé : acompte remboursé'
+    );
+
+    // 7. Remboursement impossible : alerte admin
+    await pool.query(
+      "UPDATE room_reservations SET payment_status = 'pending', refund_id = NULL WHERE id = $1",
+      [heldId]
+    );
+    stripeService.refundPayment = async () => {
+      throw new Error('Stripe indisponible (test)');
+    };
+    await confirmDepositPayment(pool, paymentIntentFor(heldId, 200));
+    const alerts = await pool.query(
+      "SELECT id FROM admin_alerts WHERE alert_type = 'hotel_deposit_cancelled' AND severity = 'high' AND message LIKE $1",
+      [`%${heldId}%`]
+    );
+    assert(alerts.rows.length === 1, 'Échec du remboursement : alerte admin créée');
+
+    console.log('\n✅ Acomptes hôtel conformes');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    stripeService.refundPayment = originalRefund;
+    if (roomTypeId) {
+      await pool.query(
+        `DELETE FROM admin_alerts WHERE alert_type = 'hotel_deposit_cancelled'
+         AND message LIKE ANY (SELECT '%' || id || '%' FROM room_reservations WHERE room_type_id = $1)`,
+        [roomTypeId]
+      );
+      await pool.query('DELETE FROM room_reservations WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM rooms WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM room_types WHERE id = $1', [roomTypeId]);
+      console.log('🧹 Données de test supprimées');
+    }
+    await pool.end();
+  }
+};
+
+testHotelDeposit();
@@ -0,0 +1,97 @@
+// backend/scripts/testHotelOverbooking.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { reserveRoom } = require('../services/hotelInventoryService');
+
+/**
+ * Test de surréservation : N demandes simultanées pour la dernière chambre
+ * Usage: node scripts/testHotelOverbooking.js [nombre] (DATABASE_URL requis)
+ *
+ * Crée un type de chambre de test avec une seule chambre physique,
+ * lance N réservations concurrentes sur les mêmes dates et vérifie
+ * qu'une seule aboutit.
+ */
+
+const COUNT = parseInt(process.argv[2], 10) || 10;
+const HOTEL_ID = process.env.DEFAULT_HOTEL_ID || 'b2178a5e-9a4f-4c8d-9e1b-2a3c4d5e6f70';
+
+const testHotelOverbooking = async () => {
+  console.log(`🧪 Test surréservation (${COUNT} demandes pour 1 chambre)\n`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 10,
+  });
+
+  let roomTypeId = null;
+
+  try {
+    const roomTypeResult = await pool.query(
+      `INSERT INTO room_types (hotel_id, name, slug, base_price_per_night, max_guests, is_active)
+       VALUES ($1, 'Test surréservation', $2, 100, 2, false)
+       RETURNING id`,
+      [HOTEL_ID, `test-overbooking-${Date.now()}`]
+    );
+    roomTypeId = roomTypeResult.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO rooms (hotel_id, room_type_id, room_number, floor, status)
+       VALUES ($1, $2, $3, 1, 'available')`,
+      [HOTEL_ID, roomTypeId, `T${Date.now() % 100000}`]
+    );
+
+    const checkIn = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const checkOut = new Date(Date.now() + 32 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const results = await Promise.all(
+      Array.from({ length: COUNT }, async (_, index) => {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const room = await reserveRoom(client, { roomTypeId, checkIn, checkOut });
+          await client.query(
+            `INSERT INTO room_reservations (
+              hotel_id, guest_email, guest_firstname, guest_lastname,
+              room_type_id, room_id, check_in_date, check_out_date, nights, status, total_amount
+            ) VALUES ($1, $2, 'Test', 'Concurrence', $3, $4, $5, $6, 2, 'pending', 200)`,
+            [HOTEL_ID, `test-${index}@example.com`, roomTypeId, room.id, checkIn, checkOut]
+          );
+          await client.query('COMMIT');
+          return 'ok';
+        } catch (error) {
+          await client.query('ROLLBACK');
+          if (error.status === 409) return 'rejected';
+          throw error;
+        } finally {
+          client.release();
+        }
+      })
+    );
+
+    const accepted = results.filter((result) => result === 'ok').length;
+    const rejected = results.filter((result) => result === 'rejected').length;
+
+    console.log(`   Acceptées : ${accepted}, refusées : ${rejected}`);
+
+    if (accepted !== 1) {
+      throw new Error(`1 réservation attendue, ${accepted} acceptée(s)`);
+    }
+
+    console.log('\n✅ Une seule réservation pour la dernière chambre');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (roomTypeId) {
+      await pool.query('DELETE FROM room_reservations WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM rooms WHERE room_type_id = $1', [roomTypeId]);
+      await pool.query('DELETE FROM room_types WHERE id = $1', [roomTypeId]);
+      console.log('🧹 Données de test supprimées');
+    }
+    await pool.end();
+  }
+};
+
+testHotelOverbooking();
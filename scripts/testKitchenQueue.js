@@ -0,0 +1,166 @@
+// backend/scripts/testKitchenQueue.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const {
+  COUNTER_PAYMENT_METHOD,
+  getKitchenQueue,
+  updateItemPrepStatus,
+  bumpItem,
+  bumpOrder,
+} = require('../services/kitchenQueueService');
+const { getRestaurantDateKey, addDaysToDateKey, restaurantTimeToDate } = require('../utils/restaurantTime');
+
+/**
+ * Test de la file cuisine : commandes admises et changements d'état
+ * Usage: node scripts/testKitchenQueue.js (DATABASE_URL requis)
+ *
+ * 1. File du lendemain (retrait à 00:30, heure du restaurant) : commandes payées
+ *    et commandes sur place réglées au comptoir uniquement
+ * 2. Transitions : received → preparing → ready → collected, retour arrière,
+ *    transition interdite, commande non payée refusée
+ */
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+};
+
+const testKitchenQueue = async () => {
+  console.log('🧪 Test file cuisine\n');
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 2,
+  });
+  initPool(pool);
+
+  const prefix = `TEST-KITCHEN-${Date.now()}`;
+  let created = false;
+
+  const inTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const expectError = async (fn, status) => {
+    try {
+      await inTransaction(fn);
+    } catch (error) {
+      if (error.status === status) return error;
+      throw error;
+    }
+    throw new Error(`Erreur ${status} attendue`);
+  };
+
+  try {
+    // Juste après minuit (heure du restaurant) : la veille en UTC
+    const day = addDaysToDateKey(getRestaurantDateKey(), 1);
+    const pickupTime = restaurantTimeToDate(day, 30);
+
+    const createOrder = async (suffix, { orderType, paymentStatus, paymentMethod = null, status = 'pending' }) => {
+      const orderResult = await pool.query(
+        `INSERT INTO orders (
+          order_number, billing_address, shipping_address, subtotal, total_amount,
+          status, payment_status, payment_method, order_type, pickup_time
+        ) VALUES ($1, '{}', '{}', 12, 12, $2, $3, $4, $5, $6)
+        RETURNING id`,
+        [`${prefix}-${suffix}`, status, paymentStatus, paymentMethod, orderType, pickupTime]
+      );
+      const orderId = orderResult.rows[0].id;
+
+      const itemsResult = await pool.query(
+        `INSERT INTO order_items (order_id, product_name, price, quantity, subtotal)
+         VALUES ($1, 'Kanelbulle', 4, 1, 4), ($1, 'Kaffe', 8, 1, 8)
+         RETURNING id`,
+        [orderId]
+      );
+      created = true;
+      return { id: orderId, itemIds: itemsResult.rows.map(row => row.id) };
+    };
+
+    const paid = await createOrder('PAID', { orderType: 'click_collect', paymentStatus: 'paid', status: 'processing' });
+    const unpaid = await createOrder('UNPAID', { orderType: 'click_collect', paymentStatus: 'pending' });
+    const counter = await createOrder('COUNTER', {
+      orderType: 'on_site',
+      paymentStatus: 'pending',
+      paymentMethod: COUNTER_PAYMENT_METHOD,
+    });
+    const onSiteUnpaid = await createOrder('ONSITE', { orderType: 'on_site', paymentStatus: 'pending' });
+
+    // 1. Commandes admises
+    const queue = await getKitchenQueue(pool, { date: day });
+    const queued = queue.map(order => order.id);
+    assert(queued.includes(paid.id), `Commande payée dans la file du ${day}`);
+    assert(queued.includes(counter.id), 'Commande sur place réglée au comptoir dans la file');
+    assert(!queued.includes(unpaid.id), 'Commande en ligne non payée hors file');
+    assert(!queued.includes(onSiteUnpaid.id), 'Commande sur place sans paiement au comptoir hors file');
+
+    await expectError(client => bumpOrder(client, unpaid.id), 400);
+    console.log('✅ Commande non payée : préparation refusée');
+
+    // 2. Transitions
+    await expectError(client => updateItemPrepStatus(client, paid.itemIds[0], 'collected'), 400);
+    console.log('✅ Passage direct received → collected refusé');
+
+    let result = await inTransaction(client => bumpItem(client, paid.itemIds[0]));
+    assert(result.item.prep_status === 'preparing' && result.prepStatus === 'received', 'Article en préparation, commande toujours à l\'état received');
+
+    result = await inTransaction(client => bumpOrder(client, paid.id));
+    assert(result.items.every(item => item.prep_status === 'preparing'), 'Commande entière en préparation');
+
+    result = await inTransaction(client => bumpOrder(client, paid.id));
+    assert(result.prepStatus === 'ready' && result.notifyReady && result.order.ready_at, 'Commande prête, avis client à envoyer');
+
+    result = await inTransaction(client => bumpOrder(client, paid.id));
+    assert(result.prepStatus === 'collected' && result.order.status === 'delivered', 'Commande retirée : livrée');
+
+    result = await inTransaction(client => updateItemPrepStatus(client, paid.itemIds[0], 'ready'));
+    assert(
+      result.order.status === 'processing' && !result.order.collected_at && !result.notifyReady,
+      'Retrait annulé : commande de nouveau en cours, pas de second avis'
+    );
+
+    await expectError(client => bumpOrder(client, paid.id).then(() => bumpOrder(client, paid.id)), 400);
+    console.log('✅ Commande déjà retirée : plus d\'état suivant');
+
+    const history = await pool.query(
+      'SELECT to_status FROM order_status_history WHERE order_id = $1 ORDER BY created_at ASC',
+      [paid.id]
+    );
+    assert(
+      history.rows.map(row => row.to_status).join(',') === 'delivered,processing',
+      'Historique : livrée puis de nouveau en cours'
+    );
+
+    console.log('\n✅ File cuisine conforme');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (created) {
+      await pool.query(
+        `DELETE FROM order_status_history
+         WHERE order_id IN (SELECT id FROM orders WHERE order_number LIKE $1)`,
+        [`${prefix}-%`]
+      );
+      await pool.query('DELETE FROM orders WHERE order_number LIKE $1', [`${prefix}-%`]);
+      console.log('🧹 Données de test supprimées');
+    }
+    await pool.end();
+  }
+};
+
+testKitchenQueue();
@@ -0,0 +1,128 @@
+// backend/scripts/testPickupSlots.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const { listAvailableSlots, reservePickupSlot } = require('../services/pickupSlotService');
+const { getRestaurantParts } = require('../utils/restaurantTime');
+
+/**
+ * Test de capacité des créneaux de retrait : N commandes simultanées
+ * Usage: node scripts/testPickupSlots.js [nombre] (DATABASE_URL requis)
+ *
+ * Limite temporairement la capacité à 2 commandes par créneau, puis :
+ * 1. N commandes sur le même créneau : seules les places restantes aboutissent
+ * 2. N commandes sans heure : créneaux par défaut jamais surréservés
+ * 3. Créneau par défaut filtré (articles disponibles à partir de 12:00)
+ * Les paramètres d'origine sont restaurés à la fin.
+ */
+
+const COUNT = parseInt(process.argv[2], 10) || 8;
+const MAX_ORDERS = 2;
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+};
+
+const testPickupSlots = async () => {
+  console.log(`🧪 Test créneaux de retrait (${COUNT} commandes simultanées, ${MAX_ORDERS} par créneau)\n`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 10,
+  });
+  initPool(pool);
+
+  const prefix = `TEST-PICKUP-${Date.now()}`;
+  let originalSettings = null;
+  let orderIndex = 0;
+
+  // Commande click & collect réservée dans la même transaction que son créneau
+  const placeOrder = async (pickupTime, options = {}) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const slot = await reservePickupSlot(client, { pickupTime, itemsCount: 1, ...options });
+      await client.query(
+        `INSERT INTO orders (
+          order_number, billing_address, shipping_address, subtotal, total_amount,
+          status, payment_status, order_type, pickup_time
+        ) VALUES ($1, '{}', '{}', 10, 10, 'pending', 'pending', 'click_collect', $2)`,
+        [`${prefix}-${++orderIndex}`, slot.start]
+      );
+      await client.query('COMMIT');
+      return slot;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status === 409) return null;
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  try {
+    const settingsResult = await pool.query('SELECT * FROM pickup_settings WHERE id = 1');
+    originalSettings = settingsResult.rows[0];
+    if (!originalSettings) throw new Error('pickup_settings absent (migration 022)');
+
+    await pool.query(
+      `UPDATE pickup_settings
+       SET max_orders_per_slot = $1, max_items_per_slot = NULL, is_active = true
+       WHERE id = 1`,
+      [MAX_ORDERS]
+    );
+
+    // Dernier créneau de l'horizon : le moins susceptible d'être déjà occupé
+    const slots = await listAvailableSlots({ db: pool });
+    if (slots.length === 0) throw new Error('Aucun créneau disponible (horaires de retrait ?)');
+    const target = slots[slots.length - 1];
+    console.log(`   Créneau testé : ${target.date} ${target.time} (${target.remainingOrders} place(s))`);
+
+    // 1. Même créneau
+    const sameSlot = await Promise.all(
+      Array.from({ length: COUNT }, () => placeOrder(target.start))
+    );
+    const accepted = sameSlot.filter(Boolean).length;
+    assert(accepted === target.remainingOrders, `Même créneau : ${accepted} acceptée(s), ${COUNT - accepted} refusée(s)`);
+
+    // 2. Créneau par défaut
+    await Promise.all(Array.from({ length: COUNT }, () => placeOrder(null)));
+    const overbooked = await pool.query(
+      `SELECT pickup_time, COUNT(*)::int as orders
+       FROM orders
+       WHERE order_type = 'click_collect' AND status <> ALL($1)
+         AND pickup_time IN (SELECT pickup_time FROM orders WHERE order_number LIKE $2)
+       GROUP BY pickup_time
+       HAVING COUNT(*) > $3`,
+      [['cancelled', 'refunded'], `${prefix}-%`, MAX_ORDERS]
+    );
+    assert(overbooked.rows.length === 0, `Créneaux par défaut : aucun au-delà de ${MAX_ORDERS} commandes`);
+
+    // 3. Créneau par défaut limité aux heures où les articles sont disponibles
+    const afterNoon = at => getRestaurantParts(at).minutes >= 12 * 60;
+    const filtered = await placeOrder(null, { isSlotAllowed: afterNoon });
+    assert(filtered && afterNoon(filtered.start), 'Créneau par défaut dans les horaires des articles');
+
+    console.log('\n✅ Capacité des créneaux respectée');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (originalSettings) {
+      await pool.query('DELETE FROM orders WHERE order_number LIKE $1', [`${prefix}-%`]);
+      await pool.query(
+        `UPDATE pickup_settings
+         SET max_orders_per_slot = $1, max_items_per_slot = $2, is_active = $3
+         WHERE id = 1`,
+        [originalSettings.max_orders_per_slot, originalSettings.max_items_per_slot, originalSettings.is_active]
+      );
+      console.log('🧹 Données de test supprimées, paramètres restaurés');
+    }
+    await pool.end();
+  }
+};
+
+testPickupSlots();
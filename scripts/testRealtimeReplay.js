@@ -0,0 +1,144 @@
+// backend/scripts/testRealtimeReplay.js
+require('dotenv').config();
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { initPool } = require('../database/db.js');
+const { verifyToken } = require('../middleware/auths');
+const {
+  startRealtime,
+  stopRealtime,
+  subscribe,
+  createStreamTicket,
+  verifyStreamTicket,
+} = require('../services/realtimeService');
+
+/**
+ * Test du rejeu du flux temps réel (Last-Event-ID)
+ * Usage: node scripts/testRealtimeReplay.js (DATABASE_URL requis)
+ *
+ * Deux transactions publient un événement ; celle qui a obtenu le plus petit
+ * identifiant valide en dernier. Le client se déconnecte entre les deux COMMIT,
+ * se reconnecte avec son curseur et doit recevoir l'événement manquant, sans doublon.
+ */
+
+const TEST_EVENT = 'test.replay';
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+};
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Délai dépassé');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+// Connexion SSE simulée : événements reçus et dernier curseur (comme EventSource)
+const openStream = async (userId, lastEventId = null) => {
+  const stream = { events: [], cursor: lastEventId, closeHandlers: [] };
+  const req = { on: (event, handler) => event === 'close' && stream.closeHandlers.push(handler) };
+  const res = {
+    writeHead() {},
+    end() {},
+    write(chunk) {
+      const fields = {};
+      chunk.split('\n').forEach((line) => {
+        const index = line.indexOf(': ');
+        if (index > 0) fields[line.slice(0, index)] = line.slice(index + 2);
+      });
+      if (fields.id) stream.cursor = fields.id;
+      if (fields.event === TEST_EVENT) stream.events.push(JSON.parse(fields.data).n);
+    },
+  };
+
+  await subscribe(req, res, { userId, role: 'client', lastEventId });
+  stream.close = () => stream.closeHandlers.forEach(handler => handler());
+  return stream;
+};
+
+const testRealtimeReplay = async () => {
+  console.log('🧪 Test rejeu temps réel\n');
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 4,
+  });
+  initPool(pool);
+
+  const userId = crypto.randomUUID();
+  const channel = `user:${userId}`;
+  let started = false;
+  let published = false;
+
+  const publish = async (db, n) => {
+    await db.query(
+      'SELECT publish_realtime_event($1, ARRAY[$2], $3::jsonb)',
+      [TEST_EVENT, channel, JSON.stringify({ n })]
+    );
+    published = true;
+  };
+
+  try {
+    // 1. Ticket de flux : accepté par le flux, refusé comme JWT d'API
+    const { ticket } = createStreamTicket(userId);
+    assert(verifyStreamTicket(ticket) === userId, 'Ticket de flux valide');
+    assert(!verifyToken(ticket), 'Ticket refusé comme jeton d\'API');
+
+    startRealtime();
+    started = true;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const first = await openStream(userId);
+
+    // 2. Identifiant 1 attribué, COMMIT retardé ; identifiant 2 validé
+    const slow = await pool.connect();
+    try {
+      await slow.query('BEGIN');
+      await publish(slow, 1);
+      await publish(pool, 2);
+
+      await waitFor(() => first.events.includes(2));
+      assert(first.events.join(',') === '2', 'Événement 2 reçu en direct');
+      assert(/:\d+/.test(first.cursor), `Curseur avec identifiant manquant (${first.cursor})`);
+
+      // Déconnexion avant le COMMIT de l'événement 1
+      first.close();
+      await slow.query('COMMIT');
+    } catch (error) {
+      await slow.query('ROLLBACK');
+      throw error;
+    } finally {
+      slow.release();
+    }
+
+    // 3. Reconnexion avec le curseur : rejeu de l'événement 1 seulement
+    const second = await openStream(userId, first.cursor);
+    assert(second.events.join(',') === '1', 'Reconnexion : événement 1 rejoué, 2 non renvoyé');
+    second.close();
+
+    // 4. Reconnexion avec le dernier curseur : rien à rejouer
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const third = await openStream(userId, second.cursor);
+    assert(third.events.length === 0, 'Curseur à jour : aucun rejeu');
+    third.close();
+
+    console.log('\n✅ Rejeu temps réel conforme');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (started) await stopRealtime();
+    if (published) {
+      await pool.query('DELETE FROM realtime_events WHERE event_type = $1 AND channels && ARRAY[$2]', [TEST_EVENT, channel]);
+      console.log('🧹 Données de test supprimées');
+    }
+    await pool.end();
+  }
+};
+
+testRealtimeReplay();
@@ -0,0 +1,101 @@
+// backend/scripts/testTrackingSync.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const Shippo = require('shippo');
+const { initPool } = require('../database/db.js');
+const { createShippoAdapter, setCarrierAdapter } = require('../services/shippingService');
+const { syncTracking } = require('../jobs/trackingSync');
+const { createFakeShippoServer } = require('./fakeShippo');
+
+/**
+ * Test du job de suivi des colis contre un faux Shippo local
+ * Usage: node scripts/testTrackingSync.js (DATABASE_URL requis)
+ */
+
+const testTrackingSync = async () => {
+  console.log('🧪 Test synchronisation suivi colis (faux Shippo)\n');
+
+  // 1. Faux Shippo sur un port libre
+  const fakeServer = createFakeShippoServer();
+  await new Promise((resolve) => fakeServer.listen(0, resolve));
+  const { port } = fakeServer.address();
+
+  const client = Shippo('shippo_test_fake');
+  client.setHost('localhost', port, 'http');
+  const adapter = createShippoAdapter(client);
+  setCarrierAdapter(adapter);
+  console.log(`✅ Faux Shippo démarré sur le port ${port}`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 60000,
+    max: 2,
+  });
+  initPool(pool);
+
+  let orderId = null;
+
+  try {
+    // 2. Étiquette
+    const label = await adapter.createLabel('rate_fake_test', 'test-order');
+    console.log('✅ Étiquette créée:', label.trackingNumber, label.labelUrl);
+
+    // 3. Commande expédiée de test
+    const orderResult = await pool.query(
+      `INSERT INTO orders (
+        order_number, billing_address, shipping_address, subtotal, total_amount,
+        status, shipping_status, shipped_at, shipping_carrier, shipping_carrier_token,
+        tracking_number, label_url
+      ) VALUES ($1, '{}', '{}', 10, 10, 'shipped', 'shipped', NOW(), $2, $3, $4, $5)
+      RETURNING id`,
+      [`TEST-TRACK-${Date.now()}`, label.carrier, label.carrierToken, label.trackingNumber, label.labelUrl]
+    );
+    orderId = orderResult.rows[0].id;
+    console.log('✅ Commande de test créée:', orderId);
+
+    // 4. Passages du job : PRE_TRANSIT → TRANSIT → DELIVERED
+    for (let pass = 1; pass <= 3; pass++) {
+      const summary = await syncTracking({ db: pool, limit: 500 });
+      const { rows } = await pool.query(
+        'SELECT status, tracking_status FROM orders WHERE id = $1',
+        [orderId]
+      );
+      console.log(`   Passage ${pass}:`, rows[0], summary);
+    }
+
+    const { rows } = await pool.query(
+      'SELECT status, shipping_status, delivered_at FROM orders WHERE id = $1',
+      [orderId]
+    );
+
+    if (rows[0].status !== 'delivered' || !rows[0].delivered_at) {
+      throw new Error(`Statut attendu "delivered", obtenu "${rows[0].status}"`);
+    }
+
+    const history = await pool.query(
+      `SELECT COUNT(*)::int as count FROM order_status_history
+       WHERE order_id = $1 AND to_status = 'delivered'`,
+      [orderId]
+    );
+
+    if (history.rows[0].count !== 1) {
+      throw new Error(`1 entrée d'historique attendue, ${history.rows[0].count} trouvée(s)`);
+    }
+
+    console.log('\n✅ Commande passée à "delivered" par le job');
+  } catch (error) {
+    console.error('\n❌ Test échoué:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (orderId) {
+      await pool.query('DELETE FROM order_status_history WHERE order_id = $1', [orderId]);
+      await pool.query('DELETE FROM orders WHERE id = $1', [orderId]);
+      console.log('🧹 Commande de test supprimée');
+    }
+    await pool.end();
+    fakeServer.close();
+  }
+};
+
+testTrackingSync();
@@ -23,6 +23,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { initPool } = require('./database/db');
+const { startJobs, stopJobs } = require('./jobs');
+const { startRealtime, stopRealtime } = require('./services/realtimeService');
 const { initEmailService, isEmailConfigured } = require('./services/emailService');
 
 // Import des routes
@@ -40,6 +42,8 @@ const adminProjectsRoutes = require('./routes/admin/projects');
 const adminReservationsRoutes = require('./routes/admin/reservations');
 const adminDashboardRoutes = require('./routes/admin/dashboard');
 const adminHotelRoutes = require('./routes/admin/hotel');
+const adminHousekeepingRoutes = require('./routes/admin/housekeeping');
+const adminKitchenRoutes = require('./routes/admin/kitchen');
 const messagesRoutes = require('./routes/admin/messages');
 const adminEcommerceStatsRoutes = require('./routes/admin/ecommerce-stats');
 const adminRolesRoutes = require('./routes/admin/roles');
@@ -49,12 +53,15 @@ const adminFinancesRoutes = require('./routes/admin/finances');
 const adminAnalyticsRoutes = require('./routes/admin/analytics');
 const adminCustomersRoutes = require('./routes/admin/customers');
 const adminSupportRoutes = require('./routes/admin/support');
+const adminPromotionsRoutes = require('./routes/admin/promotions');
+const adminRestaurantRoutes = require('./routes/admin/restaurant');
 const dropshipperStatsRoutes = require('./routes/dropshipper/stats');
 const contactRoutes = require('./routes/contact');
 const projectFilesRouter = require('./routes/projectFiles');
 const paymentsRoutes = require('./routes/payments');
 const webhooksRoutes = require('./routes/webhooks');
 const chatRoutes = require('./routes/chat');
+const eventsRoutes = require('./routes/events');
 const hotelRoutes = require('./routes/hotel');
 
 // Routes E-commerce
@@ -62,6 +69,7 @@ const productsRoutes = require('./routes/products');
 const ecommerceCategoriesRoutes = require('./routes/ecommerce-categories');
 const cartRoutes = require('./routes/cart');
 const ecommerceOrdersRoutes = require('./routes/ecommerce-orders');
+const ecommerceReturnsRoutes = require('./routes/ecommerce-returns');
 const couponsRoutes = require('./routes/coupons');
 const chatbotRoutes = require('./routes/chatbot');
 const productReviewsRoutes = require('./routes/product-reviews');
@@ -472,6 +480,7 @@ app.use('/projects', projectFilesRouter);
 app.use('/messages', messagesRoutes);
 app.use('/payments', paymentsRoutes);
 app.use('/chat', chatRoutes);
+app.use('/events', eventsRoutes);
 app.use('/hotel', hotelRoutes);
 
 // ============================================
@@ -493,6 +502,7 @@ app.use('/products', productsRoutes);
 app.use('/ecommerce/categories', ecommerceCategoriesRoutes);
 app.use('/cart', cartRoutes);
 app.use('/ecommerce/orders', ecommerceOrdersRoutes);
+app.use('/ecommerce/returns', ecommerceReturnsRoutes);
 app.use('/coupons', couponsRoutes);
 app.use('/chatbot', chatbotRoutes);
 app.use('/reviews', productReviewsRoutes);
@@ -508,6 +518,7 @@ app.use('/admin/projects', adminProjectsRoutes);
 app.use('/admin/reservations', adminReservationsRoutes);
 app.use('/admin/dashboard', adminDashboardRoutes);
 app.use('/admin/hotel', adminHotelRoutes);
+app.use('/admin/housekeeping', adminHousekeepingRoutes);
 app.use('/admin/ecommerce', adminEcommerceStatsRoutes);
 app.use('/admin/notifications', adminNotificationsRoutes);
 app.use('/admin/inventory', adminInventoryRoutes);
@@ -515,6 +526,9 @@ app.use('/admin/finances', adminFinancesRoutes);
 app.use('/admin/analytics', adminAnalyticsRoutes);
 app.use('/admin/customers', adminCustomersRoutes);
 app.use('/admin/support', adminSupportRoutes);
+app.use('/admin/promotions', adminPromotionsRoutes);
+app.use('/admin/restaurant', adminRestaurantRoutes);
+app.use('/admin/kitchen', adminKitchenRoutes);
 app.use('/admin', adminRolesRoutes);
 
 // ============================================
@@ -638,6 +652,8 @@ function startServer(port) {
 (async () => {
   try {
     server = await startServer(parseInt(PORT, 10) || 5000);
+    startJobs();
+    startRealtime();
   } catch (err) {
     console.error('❌ Impossible de démarrer le serveur:', err.message);
     if (err.code === 'EADDRINUSE') {
@@ -654,6 +670,9 @@ function startServer(port) {
 const { getPool } = require('./database/db');
 const gracefulShutdown = () => {
   console.log('\n⏳ Arrêt du serveur...');
+  stopJobs();
+  // Ferme les flux SSE ouverts (sinon server.close attend leur fin)
+  stopRealtime();
   let pool = null;
   try {
     pool = getPool();
@@ -0,0 +1,224 @@
+/**
+ * Service panier
+ * Fusion du panier invité (session) dans le panier utilisateur à la connexion
+ * Suivi des conversions des relances de paniers abandonnés
+ */
+
+const { getPool } = require('../database/db');
+
+// ============================================
+// HELPER: Disponibilité d'un article
+// ============================================
+/**
+ * Stock et prix actuels d'un article du panier
+ * @param {Object} client - Client pg
+ * @param {Object} item - Ligne cart_items
+ * @returns {Promise<Object|null>} { name, stock, price } ou null si indisponible
+ */
+const getItemAvailability = async (client, item) => {
+  const result = item.variant_id
+    ? await client.query(
+      `SELECT p.name, p.price, pv.price_adjustment, pv.stock_quantity as stock
+       FROM products p
+       JOIN product_variants pv ON pv.product_id = p.id
+       WHERE p.id = $1 AND pv.id = $2 AND p.status = 'active' AND pv.is_active = true`,
+      [item.product_id, item.variant_id]
+    )
+    : await client.query(
+      `SELECT name, price, 0 as price_adjustment, stock_quantity as stock
+       FROM products
+       WHERE id = $1 AND status = 'active'`,
+      [item.product_id]
+    );
+
+  if (result.rows.length === 0) return null;
+
+  const product = result.rows[0];
+  return {
+    name: product.name,
+    stock: Math.max(0, parseInt(product.stock, 10) || 0),
+    price: parseFloat(product.price) + parseFloat(product.price_adjustment || 0),
+  };
+};
+
+// ============================================
+// MERGE GUEST CART
+// ============================================
+/**
+ * Fusionner le panier invité dans le panier de l'utilisateur
+ * - quantités cumulées pour un même produit/variante
+ * - plafonnées au stock disponible, articles indisponibles retirés
+ * @param {string} userId - ID utilisateur connecté
+ * @param {string} sessionId - Identifiant de session invité (header x-session-id)
+ * @returns {Promise<Object>} { merged, cartId, mergedItems, adjustments }
+ */
+const mergeGuestCart = async (userId, sessionId) => {
+  const empty = { merged: false, cartId: null, mergedItems: 0, adjustments: [] };
+
+  if (!userId || !sessionId) return empty;
+
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const guestCartResult = await client.query(
+      `SELECT * FROM carts
+       WHERE session_id = $1 AND user_id IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC LIMIT 1
+       FOR UPDATE`,
+      [sessionId]
+    );
+    const guestCart = guestCartResult.rows[0];
+
+    if (!guestCart) {
+      await client.query('COMMIT');
+      return empty;
+    }
+
+    const guestItemsResult = await client.query(
+      'SELECT * FROM cart_items WHERE cart_id = $1 ORDER BY added_at ASC',
+      [guestCart.id]
+    );
+
+    if (guestItemsResult.rows.length === 0) {
+      await client.query('DELETE FROM carts WHERE id = $1', [guestCart.id]);
+      await client.query('COMMIT');
+      return empty;
+    }
+
+    const userCartResult = await client.query(
+      'SELECT * FROM carts WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1 FOR UPDATE',
+      [userId]
+    );
+    let userCart = userCartResult.rows[0];
+
+    // Pas encore de panier utilisateur : on crée un panier vide qui reçoit la fusion
+    if (!userCart) {
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + 30); // 30 jours
+
+      const insertResult = await client.query(
+        `INSERT INTO carts (user_id, expires_at, coupon_code)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [userId, expiresAt, guestCart.coupon_code || null]
+      );
+      userCart = insertResult.rows[0];
+    } else if (!userCart.coupon_code && guestCart.coupon_code) {
+      await client.query(
+        'UPDATE carts SET coupon_code = $1 WHERE id = $2',
+        [guestCart.coupon_code, userCart.id]
+      );
+    }
+
+    const userItemsResult = await client.query(
+      'SELECT * FROM cart_items WHERE cart_id = $1',
+      [userCart.id]
+    );
+    const userItems = userItemsResult.rows;
+
+    const adjustments = [];
+    let mergedItems = 0;
+
+    for (const guestItem of guestItemsResult.rows) {
+      const existing = userItems.find((item) => (
+        item.product_id === guestItem.product_id &&
+        (item.variant_id || null) === (guestItem.variant_id || null)
+      ));
+
+      const requestedQuantity = guestItem.quantity + (existing ? existing.quantity : 0);
+      const availability = await getItemAvailability(client, guestItem);
+      const quantity = availability ? Math.min(requestedQuantity, availability.stock) : 0;
+
+      if (quantity < requestedQuantity) {
+        adjustments.push({
+          productId: guestItem.product_id,
+          variantId: guestItem.variant_id || null,
+          productName: availability?.name || null,
+          requestedQuantity,
+          quantity,
+          reason: !availability ? 'unavailable' : quantity === 0 ? 'out_of_stock' : 'stock_limited',
+        });
+      }
+
+      if (existing) {
+        if (quantity === 0) {
+          await client.query('DELETE FROM cart_items WHERE id = $1', [existing.id]);
+        } else {
+          await client.query('UPDATE cart_items SET quantity = $1 WHERE id = $2', [quantity, existing.id]);
+        }
+      } else if (quantity > 0) {
+        await client.query(
+          `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, price_snapshot)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [userCart.id, guestItem.product_id, guestItem.variant_id || null, quantity, availability.price]
+        );
+      }
+
+      if (quantity > 0) mergedItems++;
+    }
+
+    // Le panier invité est absorbé
+    await client.query('DELETE FROM carts WHERE id = $1', [guestCart.id]);
+    await client.query('UPDATE carts SET updated_at = NOW() WHERE id = $1', [userCart.id]);
+
+    await client.query('COMMIT');
+
+    return {
+      merged: true,
+      cartId: userCart.id,
+      mergedItems,
+      adjustments,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// ============================================
+// CART RECOVERY CONVERSION
+// ============================================
+/**
+ * Attribuer une commande à la dernière relance de panier abandonné correspondante
+ * (même panier ou coupon de relance utilisé). Une autre commande du même
+ * utilisateur n'est pas attribuée à la relance (taux de conversion gonflé)
+ * @param {Object} client - Client pg dans la transaction de la commande
+ * @param {Object} params
+ * @param {string} params.orderId - ID de la commande créée
+ * @param {number} params.amount - Montant total de la commande
+ * @param {string} [params.cartId] - Panier converti
+ * @param {string} [params.couponId] - Coupon appliqué à la commande
+ * @returns {Promise<boolean>} true si une relance a été convertie
+ */
+const markCartRecovered = async (client, { orderId, amount, cartId = null, couponId = null }) => {
+  if (!cartId && !couponId) return false;
+
+  const attributionDays = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS, 10) || 7;
+
+  const result = await client.query(
+    `UPDATE cart_recovery_emails
+     SET converted_order_id = $1, converted_at = NOW(), converted_amount = $2
+     WHERE id = (
+       SELECT id FROM cart_recovery_emails
+       WHERE converted_at IS NULL
+         AND sent_at > NOW() - make_interval(days => $3)
+         AND (cart_id = $4 OR coupon_id = $5)
+       ORDER BY sent_at DESC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id`,
+    [orderId, amount, attributionDays, cartId, couponId]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  mergeGuestCart,
+  markCartRecovered,
+};
@@ -0,0 +1,161 @@
+/**
+ * Service allergènes et régimes alimentaires
+ * 14 allergènes à déclaration obligatoire (règlement UE 1169/2011, annexe II)
+ * et étiquettes de régime, communs aux plats (dishes) et aux produits du café
+ */
+
+// Codes stockés dans allergen_codes (NULL = allergènes non déclarés)
+const ALLERGENS = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soybeans',
+  'milk',
+  'nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+const ALLERGEN_LABELS = {
+  gluten: 'Céréales contenant du gluten',
+  crustaceans: 'Crustacés',
+  eggs: 'Œufs',
+  fish: 'Poissons',
+  peanuts: 'Arachides',
+  soybeans: 'Soja',
+  milk: 'Lait',
+  nuts: 'Fruits à coque',
+  celery: 'Céleri',
+  mustard: 'Moutarde',
+  sesame: 'Graines de sésame',
+  sulphites: 'Anhydride sulfureux et sulfites',
+  lupin: 'Lupin',
+  molluscs: 'Mollusques',
+};
+
+// Codes stockés dans dietary_tags
+const DIETARY_TAGS = ['vegan', 'vegetarian', 'halal', 'lactose_free'];
+
+const DIETARY_LABELS = {
+  vegan: 'Végan',
+  vegetarian: 'Végétarien',
+  halal: 'Halal',
+  lactose_free: 'Sans lactose',
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+/**
+ * Valider une liste de codes (tableau ou "a,b,c")
+ * @param {Array|string} value
+ * @param {Array<string>} allowed - Codes autorisés
+ * @param {string} field - Nom du champ (message d'erreur)
+ * @returns {Array<string>} Codes uniques, en minuscules
+ * @throws {Error} status 400 si un code est inconnu
+ */
+const parseCodes = (value, allowed, field) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const codes = [...new Set(list.map(code => String(code).trim().toLowerCase()).filter(Boolean))];
+  const unknown = codes.filter(code => !allowed.includes(code));
+
+  if (unknown.length > 0) {
+    throw httpError(400, `${field} : code(s) inconnu(s) ${unknown.join(', ')} (valeurs possibles : ${allowed.join(', ')})`);
+  }
+
+  return codes;
+};
+
+/**
+ * Attributs d'un plat ou produit envoyés par l'admin
+ * Un plat végan est aussi végétarien
+ * @param {Object} input - { allergen_codes, dietary_tags } (undefined ou null = inchangé, [] = aucun allergène)
+ * @returns {Object} { allergenCodes, dietaryTags } (undefined si non fournis)
+ * @throws {Error} status 400
+ */
+const parseDietaryAttributes = ({ allergen_codes: allergenCodes, dietary_tags: dietaryTags }) => {
+  const result = { allergenCodes: undefined, dietaryTags: undefined };
+
+  if (allergenCodes !== undefined && allergenCodes !== null) {
+    result.allergenCodes = parseCodes(allergenCodes, ALLERGENS, 'allergen_codes');
+  }
+
+  if (dietaryTags !== undefined && dietaryTags !== null) {
+    const tags = parseCodes(dietaryTags, DIETARY_TAGS, 'dietary_tags');
+    if (tags.includes('vegan') && !tags.includes('vegetarian')) tags.push('vegetarian');
+    result.dietaryTags = tags;
+  }
+
+  return result;
+};
+
+// ============================================
+// FILTRES DE RECHERCHE
+// ============================================
+/**
+ * Filtres de la query string
+ * ?exclude_allergens=gluten,milk  sans aucun de ces allergènes (déclarés uniquement)
+ * ?allergens=nuts                 contient tous ces allergènes
+ * ?diet=vegan,halal               a toutes ces étiquettes
+ * ?exclude_diet=vegan             n'a aucune de ces étiquettes
+ * @param {Object} query - req.query
+ * @returns {Object|null} Filtres, null si aucun
+ * @throws {Error} status 400 si un code est inconnu
+ */
+const parseDietaryFilters = (query = {}) => {
+  const filters = {
+    includeAllergens: query.allergens ? parseCodes(query.allergens, ALLERGENS, 'allergens') : [],
+    excludeAllergens: query.exclude_allergens ? parseCodes(query.exclude_allergens, ALLERGENS, 'exclude_allergens') : [],
+    includeDiet: query.diet ? parseCodes(query.diet, DIETARY_TAGS, 'diet') : [],
+    excludeDiet: query.exclude_diet ? parseCodes(query.exclude_diet, DIETARY_TAGS, 'exclude_diet') : [],
+  };
+
+  return Object.values(filters).some(list => list.length > 0) ? filters : null;
+};
+
+/**
+ * Conditions SQL correspondant aux filtres
+ * @param {Object|null} filters - parseDietaryFilters
+ * @param {string} alias - Alias de la table (d, p…)
+ * @param {Array} params - Paramètres de la requête (complétés)
+ * @returns {Array<string>} Conditions à joindre par AND
+ */
+const buildDietaryConditions = (filters, alias, params) => {
+  if (!filters) return [];
+
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('$?', `$${params.length}`));
+  };
+
+  if (filters.includeAllergens.length) add(`${alias}.allergen_codes @> $?::text[]`, filters.includeAllergens);
+  // Allergènes non déclarés (NULL) : impossible de garantir l'absence, l'élément est écarté
+  if (filters.excludeAllergens.length) add(`${alias}.allergen_codes IS NOT NULL AND NOT (${alias}.allergen_codes && $?::text[])`, filters.excludeAllergens);
+  if (filters.includeDiet.length) add(`${alias}.dietary_tags @> $?::text[]`, filters.includeDiet);
+  if (filters.excludeDiet.length) add(`NOT (${alias}.dietary_tags && $?::text[])`, filters.excludeDiet);
+
+  return conditions;
+};
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_LABELS,
+  DIETARY_TAGS,
+  DIETARY_LABELS,
+  parseDietaryAttributes,
+  parseDietaryFilters,
+  buildDietaryConditions,
+};
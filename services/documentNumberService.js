@@ -0,0 +1,101 @@
+/**
+ * Service de numérotation des documents
+ * Commandes, tickets support, factures, avoirs
+ *
+ * Compteurs en base (table document_sequences) incrémentés par un UPSERT atomique :
+ * deux transactions concurrentes ne peuvent pas obtenir le même numéro.
+ * Appelé avec le client d'une transaction, le compteur reste verrouillé jusqu'au
+ * COMMIT/ROLLBACK : la numérotation est alors continue (sans trou), ce qu'exigent
+ * les factures et avoirs.
+ */
+
+const { getPool } = require('../database/db');
+
+// ============================================
+// CONFIGURATION PAR TYPE DE DOCUMENT
+// ============================================
+/**
+ * period : 'day' (YYYYMMDD), 'year' (YYYY) ou 'none' — le compteur repart à 1 à chaque période
+ * padding : nombre de chiffres du compteur
+ */
+const DOCUMENT_TYPES = {
+  order: {
+    prefix: process.env.DOCUMENT_PREFIX_ORDER || 'ORD',
+    period: 'day',
+    padding: 4,
+  },
+  ticket: {
+    prefix: process.env.DOCUMENT_PREFIX_TICKET || 'TKT',
+    period: 'day',
+    padding: 4,
+  },
+  invoice: {
+    prefix: process.env.DOCUMENT_PREFIX_INVOICE || 'FAC',
+    period: 'year',
+    padding: 5,
+  },
+  credit_note: {
+    prefix: process.env.DOCUMENT_PREFIX_CREDIT_NOTE || 'AV',
+    period: 'year',
+    padding: 5,
+  },
+};
+
+/**
+ * Clé de période (UTC, comme les numéros de commande historiques)
+ * @param {string} period - 'day' | 'year' | 'none'
+ * @param {Date} date - Date de référence
+ * @returns {string}
+ */
+const getPeriodKey = (period, date = new Date()) => {
+  const isoDate = date.toISOString().slice(0, 10).replace(/-/g, '');
+
+  switch (period) {
+    case 'day':
+      return isoDate;
+    case 'year':
+      return isoDate.slice(0, 4);
+    default:
+      return '';
+  }
+};
+
+// ============================================
+// NEXT DOCUMENT NUMBER
+// ============================================
+/**
+ * Obtenir le prochain numéro d'un type de document
+ * @param {string} documentType - order | ticket | invoice | credit_note
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Client pg d'une transaction (numérotation continue)
+ * @param {Date} [options.date] - Date de référence de la période
+ * @returns {Promise<string>} Ex : ORD-20260314-0007, FAC-2026-00042
+ */
+const nextDocumentNumber = async (documentType, { client = getPool(), date = new Date() } = {}) => {
+  const config = DOCUMENT_TYPES[documentType];
+
+  if (!config) {
+    throw new Error(`Type de document inconnu : ${documentType}`);
+  }
+
+  const periodKey = getPeriodKey(config.period, date);
+
+  const result = await client.query(
+    `INSERT INTO document_sequences (document_type, period_key, last_value)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (document_type, period_key)
+     DO UPDATE SET last_value = document_sequences.last_value + 1, updated_at = NOW()
+     RETURNING last_value`,
+    [documentType, periodKey]
+  );
+
+  const counter = String(result.rows[0].last_value).padStart(config.padding, '0');
+
+  return [config.prefix, periodKey, counter].filter(Boolean).join('-');
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getPeriodKey,
+  nextDocumentNumber,
+};
@@ -250,7 +250,7 @@ const checkUserEmailPreferences = async (userId, emailType) => {
   const pool = getPool();
   try {
     const result = await pool.query(
-      `SELECT email_notifications, reservation_confirmations, reservation_reminders,
+      `SELECT email_notifications, marketing_emails, reservation_confirmations, reservation_reminders,
               project_updates, project_status_changes, payment_notifications, newsletter
        FROM email_preferences WHERE user_id = $1`,
       [userId]
@@ -265,6 +265,10 @@ const checkUserEmailPreferences = async (userId, emailType) => {
       reservation_confirmed: 'reservation_confirmations',
       reservation_cancelled: 'reservation_confirmations',
       reservation_reminder: 'reservation_reminders',
+      hotel_pre_arrival: 'reservation_reminders',
+      hotel_check_in_day: 'reservation_reminders',
+      hotel_post_stay: 'marketing_emails',
+      abandoned_cart: 'marketing_emails',
       project_created: 'project_updates',
       project_updated: 'project_updates',
       project_status_changed: 'project_status_changes',
@@ -0,0 +1,298 @@
+/**
+ * Service d'annulation des séjours
+ * Politique par type de chambre ou par offre (gratuite jusqu'à N jours avant
+ * l'arrivée, puis X % de pénalité, ou non remboursable), calcul du montant
+ * remboursable et remboursement Stripe
+ */
+
+const { getPool } = require('../database/db');
+const stripeService = require('./stripeService');
+const { RELEASED_STATUSES } = require('./hotelInventoryService');
+const { countNights } = require('./hotelRateService');
+const { getRestaurantDateKey } = require('../utils/restaurantTime');
+
+// Sans politique configurée : annulation gratuite jusqu'au jour d'arrivée
+const DEFAULT_POLICY = {
+  id: null,
+  name: 'Annulation gratuite',
+  free_until_days: 0,
+  penalty_percent: 0,
+  non_refundable: false,
+};
+
+// ============================================
+// POLITIQUE
+// ============================================
+/**
+ * Mettre en forme une ligne hotel_cancellation_policies (copie figée sur le séjour)
+ */
+const toPolicySnapshot = (row) => ({
+  id: row.id,
+  name: row.name,
+  free_until_days: Number(row.free_until_days) || 0,
+  penalty_percent: Number(row.penalty_percent) || 0,
+  non_refundable: Boolean(row.non_refundable),
+});
+
+/**
+ * Politique applicable : celle de l'offre si définie, sinon celle du type de chambre
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} roomType - Ligne room_types
+ * @param {Object} [offer] - Ligne hotel_offers
+ * @returns {Promise<Object>} { id, name, free_until_days, penalty_percent, non_refundable }
+ */
+const resolveCancellationPolicy = async (db, roomType, offer = null) => {
+  const policyId = (offer && offer.cancellation_policy_id) || (roomType && roomType.cancellation_policy_id);
+  if (!policyId) return { ...DEFAULT_POLICY };
+
+  const result = await db.query(
+    'SELECT * FROM hotel_cancellation_policies WHERE id = $1 AND is_active = true',
+    [policyId]
+  );
+
+  return result.rows[0] ? toPolicySnapshot(result.rows[0]) : { ...DEFAULT_POLICY };
+};
+
+/**
+ * Politique d'un séjour : copie figée à la réservation, sinon politique actuelle
+ * (séjours antérieurs aux politiques d'annulation)
+ */
+const getReservationPolicy = async (db, reservation) => {
+  if (reservation.cancellation_policy) return reservation.cancellation_policy;
+
+  const roomTypeResult = await db.query('SELECT * FROM room_types WHERE id = $1', [reservation.room_type_id]);
+  const offerResult = reservation.offer_id
+    ? await db.query('SELECT * FROM hotel_offers WHERE id = $1', [reservation.offer_id])
+    : { rows: [] };
+
+  return resolveCancellationPolicy(db, roomTypeResult.rows[0], offerResult.rows[0] || null);
+};
+
+// ============================================
+// CALCUL
+// ============================================
+/**
+ * Montant remboursable d'une annulation
+ * La pénalité porte sur le total du séjour ; seule la part déjà encaissée
+ * peut être retenue (aucun prélèvement complémentaire)
+ * @param {Object} policy - Politique (voir resolveCancellationPolicy)
+ * @param {Object} reservation - Ligne room_reservations
+ * @param {Date} [now]
+ * @returns {Object} { policy, daysBeforeCheckIn, freeCancellation, amountPaid, penaltyAmount, refundAmount }
+ * @throws {Error} status 400 si le séjour a commencé
+ */
+const computeCancellation = (policy, reservation, now = new Date()) => {
+  // Jours calendaires dans le fuseau de l'établissement (pas celui du serveur)
+  const daysBeforeCheckIn = countNights(getRestaurantDateKey(now), reservation.check_in_date);
+
+  if (daysBeforeCheckIn < 0) {
+    const error = new Error('Séjour déjà commencé, annulation impossible');
+    error.status = 400;
+    throw error;
+  }
+
+  const totalAmount = Number(reservation.total_amount) || 0;
+  const amountPaid = Number(reservation.amount_paid) || 0;
+
+  let penalty = 0;
+  let freeCancellation = false;
+
+  if (policy.non_refundable) {
+    penalty = totalAmount;
+  } else if (daysBeforeCheckIn >= policy.free_until_days) {
+    freeCancellation = true;
+  } else {
+    penalty = totalAmount * Math.min(100, Math.max(0, policy.penalty_percent)) / 100;
+  }
+
+  const penaltyAmount = Math.round(Math.min(penalty, amountPaid) * 100) / 100;
+
+  return {
+    policy,
+    daysBeforeCheckIn,
+    freeCancellation,
+    amountPaid,
+    penaltyAmount,
+    refundAmount: Math.round((amountPaid - penaltyAmount) * 100) / 100,
+  };
+};
+
+/**
+ * Simulation d'annulation (sans effet)
+ * @param {Object} reservation - Ligne room_reservations
+ * @param {Object} [options] - { db, now }
+ */
+const quoteCancellation = async (reservation, { db = getPool(), now = new Date() } = {}) => {
+  const policy = await getReservationPolicy(db, reservation);
+  return computeCancellation(policy, reservation, now);
+};
+
+// ============================================
+// ANNULATION
+// ============================================
+/**
+ * Rembourser la part remboursable d'un séjour annulé (après COMMIT, aucun verrou
+ * pendant l'appel Stripe) et enregistrer le résultat
+ * Clé d'idempotence par séjour : un nouvel essai retrouve le même remboursement.
+ * Échec : le séjour reste en refund_pending, alerte admin
+ * @param {Object} pool - Pool pg
+ * @param {Object} reservation - Séjour annulé (refund_amount, penalty_amount enregistrés)
+ * @returns {Promise<Object>} Séjour mis à jour
+ */
+const refundCancelledReservation = async (pool, reservation) => {
+  const refundAmount = Number(reservation.refund_amount);
+
+  try {
+    const refund = await stripeService.refundPayment({
+      paymentIntentId: reservation.payment_intent_id,
+      amount: Math.round(refundAmount * 100),
+      reason: 'requested_by_customer',
+      idempotencyKey: `hotel-cancel-refund-${reservation.id}`,
+    });
+
+    const result = await pool.query(
+      `UPDATE room_reservations
+       SET refund_id = $1, refunded_at = NOW(), payment_status = $2
+       WHERE id = $3 AND payment_status = 'refund_pending'
+       RETURNING *`,
+      [refund.id, Number(reservation.penalty_amount) > 0 ? 'partially_refunded' : 'refunded', reservation.id]
+    );
+
+    return result.rows[0] ? { ...reservation, ...result.rows[0] } : reservation;
+  } catch (error) {
+    console.error('hotel cancel refund:', error.message);
+    await pool.query(
+      `INSERT INTO admin_alerts (alert_type, title, message, severity)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        'hotel_cancel_refund',
+        'Remboursement d\'annulation en attente',
+        `Séjour ${reservation.id} (${reservation.guest_email}) annulé : remboursement de ${refundAmount.toFixed(2)} échoué (${error.message})`,
+        'high'
+      ]
+    );
+    return reservation;
+  }
+};
+
+/**
+ * Annuler un séjour et rembourser la part remboursable de l'acompte
+ * L'annulation est validée d'abord (chambre libérée), le remboursement suit hors
+ * transaction. Un séjour annulé dont le remboursement a échoué (refund_pending)
+ * peut être annulé à nouveau : seul le remboursement est retenté, même montant
+ * @param {Object} pool - Pool pg
+ * @param {string} reservationId - Séjour
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Motif saisi par le client
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { reservation, cancellation, retry } (reservation.payment_status = refund_pending
+ *   si le remboursement a échoué, retry si seul le remboursement a été retenté)
+ * @throws {Error} status 404 / 400
+ */
+const cancelReservation = async (pool, reservationId, { reason = null, now = new Date() } = {}) => {
+  const client = await pool.connect();
+  let reservation;
+  let cancellation;
+  let pendingIntentId = null;
+  let retry = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const reservationResult = await client.query(
+      `SELECT r.*, rt.name as room_type_name
+       FROM room_reservations r
+       JOIN room_types rt ON r.room_type_id = rt.id
+       WHERE r.id = $1
+       FOR UPDATE OF r`,
+      [reservationId]
+    );
+    const current = reservationResult.rows[0];
+
+    if (!current) {
+      const error = new Error('Réservation non trouvée');
+      error.status = 404;
+      throw error;
+    }
+
+    if (current.payment_status === 'refund_pending') {
+      // Déjà annulé, remboursement à retenter (montant enregistré à l'annulation)
+      await client.query('COMMIT');
+      retry = true;
+      reservation = current;
+      cancellation = {
+        policy: current.cancellation_policy,
+        amountPaid: Number(current.amount_paid) || 0,
+        penaltyAmount: Number(current.penalty_amount) || 0,
+        refundAmount: Number(current.refund_amount) || 0,
+      };
+    } else {
+      if (RELEASED_STATUSES.includes(current.status)) {
+        const error = new Error('Déjà annulée');
+        error.status = 400;
+        throw error;
+      }
+
+      if (['checked_in', 'checked_out'].includes(current.status)) {
+        const error = new Error('Séjour déjà commencé, annulation impossible');
+        error.status = 400;
+        throw error;
+      }
+
+      const policy = await getReservationPolicy(client, current);
+      cancellation = computeCancellation(policy, current, now);
+
+      let paymentStatus = current.payment_status;
+
+      if (cancellation.refundAmount > 0 && current.payment_intent_id) {
+        paymentStatus = 'refund_pending';
+      } else if (['pending', 'failed'].includes(current.payment_status)) {
+        // Acompte non encore payé : empêcher un paiement tardif
+        pendingIntentId = current.payment_intent_id;
+        paymentStatus = 'canceled';
+      }
+
+      const updateResult = await client.query(
+        `UPDATE room_reservations
+         SET status = 'cancelled', cancelled_at = NOW(), hold_expires_at = NULL,
+             cancellation_reason = $1, cancellation_policy = $2,
+             penalty_amount = $3, refund_amount = $4, payment_status = $5
+         WHERE id = $6
+         RETURNING *`,
+        [
+          reason, JSON.stringify(policy),
+          cancellation.penaltyAmount, cancellation.refundAmount,
+          paymentStatus, current.id,
+        ]
+      );
+
+      await client.query('COMMIT');
+      reservation = { ...updateResult.rows[0], room_type_name: current.room_type_name };
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (reservation.payment_status === 'refund_pending') {
+    reservation = await refundCancelledReservation(pool, reservation);
+  }
+
+  if (pendingIntentId) {
+    stripeService.cancelPaymentIntent(pendingIntentId)
+      .catch(err => console.error('hotel cancel payment intent:', err.message));
+  }
+
+  return { reservation, cancellation, retry };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  toPolicySnapshot,
+  resolveCancellationPolicy,
+  computeCancellation,
+  quoteCancellation,
+  cancelReservation,
+};
@@ -0,0 +1,374 @@
+/**
+ * Service de réception hôtel
+ * Arrivée (chambre attribuée et occupée), folio (nuits, options, prestations
+ * annexes), départ avec facture de fin de séjour et chambre à nettoyer
+ */
+
+const { nextDocumentNumber } = require('./documentNumberService');
+const { OUT_OF_SERVICE_STATUSES, reassignRoom } = require('./hotelInventoryService');
+const { NOT_READY_STATUSES, createCheckoutTask } = require('./housekeepingService');
+const { toDateKey } = require('./hotelRateService');
+const { getRestaurantDateKey } = require('../utils/restaurantTime');
+
+// Catégories saisies par la réception (room / add_on sont reportées à l'arrivée)
+const EXTRA_CHARGE_CATEGORIES = ['restaurant', 'bar', 'spa', 'minibar', 'other'];
+const PAYMENT_METHODS = ['card', 'cash', 'transfer', 'other'];
+
+// Séjours pouvant arriver
+const ARRIVAL_STATUSES = ['pending', 'confirmed'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Verrouiller un séjour
+ * @throws {Error} status 404
+ */
+const lockReservation = async (client, reservationId) => {
+  const result = await client.query(
+    'SELECT * FROM room_reservations WHERE id = $1 FOR UPDATE',
+    [reservationId]
+  );
+  if (!result.rows[0]) throw httpError(404, 'Réservation non trouvée');
+  return result.rows[0];
+};
+
+/**
+ * Changer le statut opérationnel d'une chambre
+ */
+const setRoomStatus = (client, roomId, status) => client.query(
+  'UPDATE rooms SET status = $1, status_updated_at = NOW() WHERE id = $2',
+  [status, roomId]
+);
+
+// ============================================
+// FOLIO
+// ============================================
+/**
+ * Folio d'un séjour : lignes, règlements et solde
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} reservation - Ligne room_reservations
+ * @returns {Promise<Object>} { charges, payments, totals }
+ */
+const getFolio = async (db, reservation) => {
+  const chargesResult = await db.query(
+    `SELECT * FROM hotel_folio_charges
+     WHERE room_reservation_id = $1
+     ORDER BY charge_date, created_at`,
+    [reservation.id]
+  );
+  const paymentsResult = await db.query(
+    'SELECT * FROM hotel_folio_payments WHERE room_reservation_id = $1 ORDER BY created_at',
+    [reservation.id]
+  );
+
+  const activeCharges = chargesResult.rows.filter(charge => !charge.voided_at);
+  const byCategory = {};
+  for (const charge of activeCharges) {
+    byCategory[charge.category] = round((byCategory[charge.category] || 0) + Number(charge.amount));
+  }
+
+  const total = round(activeCharges.reduce((sum, charge) => sum + Number(charge.amount), 0));
+  const deposit = Number(reservation.amount_paid) || 0;
+  const received = round(paymentsResult.rows.reduce((sum, payment) => sum + Number(payment.amount), 0));
+
+  return {
+    charges: chargesResult.rows,
+    payments: paymentsResult.rows,
+    totals: {
+      by_category: byCategory,
+      total,
+      deposit,
+      received,
+      balance: round(total - deposit - received),
+    },
+  };
+};
+
+/**
+ * Reporter les nuits (détail du prix) et les options réservées sur le folio
+ */
+const postStayCharges = async (client, reservation, userId) => {
+  const addOnsResult = await client.query(
+    `SELECT ra.*, a.name as amenity_name
+     FROM reservation_add_ons ra
+     JOIN amenities a ON ra.amenity_id = a.id
+     WHERE ra.room_reservation_id = $1`,
+    [reservation.id]
+  );
+  const addOnsTotal = addOnsResult.rows.reduce((sum, addOn) => sum + Number(addOn.total_price), 0);
+
+  const lines = [];
+  if (Array.isArray(reservation.price_breakdown) && reservation.price_breakdown.length > 0) {
+    for (const night of reservation.price_breakdown) {
+      lines.push(['room', `Nuit du ${night.date}`, 1, night.total, night.date]);
+    }
+  } else {
+    // Séjours antérieurs au détail par nuit : une ligne pour l'hébergement
+    const roomTotal = round(Number(reservation.total_amount) - addOnsTotal);
+    lines.push(['room', `Hébergement (${reservation.nights} nuit(s))`, 1, roomTotal, reservation.check_in_date]);
+  }
+  for (const addOn of addOnsResult.rows) {
+    const quantity = Number(addOn.quantity) || 1;
+    lines.push(['add_on', addOn.amenity_name, quantity, round(Number(addOn.total_price) / quantity), reservation.check_in_date]);
+  }
+
+  for (const [category, description, quantity, unitPrice, chargeDate] of lines) {
+    await client.query(
+      `INSERT INTO hotel_folio_charges
+        (room_reservation_id, category, description, quantity, unit_price, amount, charge_date, posted_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [reservation.id, category, description, quantity, unitPrice, round(quantity * unitPrice), chargeDate, userId]
+    );
+  }
+};
+
+// ============================================
+// ARRIVÉE
+// ============================================
+/**
+ * Enregistrer l'arrivée d'un client
+ * La chambre prévue (ou celle choisie) doit être propre et libre ; elle passe à "occupied"
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} reservationId - Séjour
+ * @param {Object} [options]
+ * @param {string} [options.roomId] - Chambre choisie à l'arrivée (réattribution)
+ * @param {boolean} [options.force] - Accepter une chambre pas encore prête (ménage en cours)
+ * @param {string} [options.userId] - Réceptionniste
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { reservation, room }
+ * @throws {Error} status 400 / 404 / 409
+ */
+const checkIn = async (client, reservationId, { roomId = null, force = false, userId = null, now = new Date() } = {}) => {
+  let reservation = await lockReservation(client, reservationId);
+
+  if (!ARRIVAL_STATUSES.includes(reservation.status)) {
+    throw httpError(400, `Arrivée impossible pour un séjour au statut "${reservation.status}"`);
+  }
+
+  // Jour de l'établissement, comme le tableau de la réception
+  const today = getRestaurantDateKey(now);
+  if (toDateKey(reservation.check_in_date) > today) {
+    throw httpError(400, 'Arrivée prévue à une date ultérieure');
+  }
+  if (toDateKey(reservation.check_out_date) <= today) {
+    throw httpError(400, 'Date de départ dépassée');
+  }
+
+  if (roomId && roomId !== reservation.room_id) {
+    ({ reservation } = await reassignRoom(client, reservation.id, roomId));
+  }
+  if (!reservation.room_id) {
+    throw httpError(409, 'Aucune chambre attribuée à ce séjour');
+  }
+
+  const roomResult = await client.query('SELECT * FROM rooms WHERE id = $1 FOR UPDATE', [reservation.room_id]);
+  const room = roomResult.rows[0];
+
+  if (room.status === 'occupied') {
+    throw httpError(409, `Chambre ${room.room_number} encore occupée`);
+  }
+  if (OUT_OF_SERVICE_STATUSES.includes(room.status)) {
+    throw httpError(409, `Chambre ${room.room_number} hors service`);
+  }
+  if (NOT_READY_STATUSES.includes(room.status) && !force) {
+    throw httpError(409, `Chambre ${room.room_number} pas encore prête (${room.status})`);
+  }
+
+  await setRoomStatus(client, room.id, 'occupied');
+
+  const updateResult = await client.query(
+    `UPDATE room_reservations SET status = 'checked_in', checked_in_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [reservation.id]
+  );
+
+  await postStayCharges(client, updateResult.rows[0], userId);
+
+  return { reservation: updateResult.rows[0], room: { ...room, status: 'occupied' } };
+};
+
+// ============================================
+// PRESTATIONS ANNEXES
+// ============================================
+/**
+ * Ajouter une prestation au folio d'un client présent
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} reservationId - Séjour
+ * @param {Object} charge - { category, description, quantity, unit_price, charge_date }
+ * @param {Object} [options] - { userId, now }
+ * @returns {Promise<Object>} Ligne hotel_folio_charges
+ * @throws {Error} status 400 / 404
+ */
+const postCharge = async (client, reservationId, charge, { userId = null, now = new Date() } = {}) => {
+  const reservation = await lockReservation(client, reservationId);
+
+  if (reservation.status !== 'checked_in') {
+    throw httpError(400, 'Le client doit être arrivé pour ajouter une prestation');
+  }
+
+  const quantity = Number(charge.quantity) || 1;
+  const unitPrice = Number(charge.unit_price);
+
+  const result = await client.query(
+    `INSERT INTO hotel_folio_charges
+      (room_reservation_id, category, description, quantity, unit_price, amount, charge_date, posted_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      reservation.id, charge.category, charge.description, quantity, unitPrice,
+      round(quantity * unitPrice), charge.charge_date || getRestaurantDateKey(now), userId,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Annuler une ligne du folio (conservée pour l'historique)
+ * @throws {Error} status 400 / 404
+ */
+const voidCharge = async (client, reservationId, chargeId, { reason = null } = {}) => {
+  const reservation = await lockReservation(client, reservationId);
+
+  if (reservation.invoice_number) {
+    throw httpError(400, 'Séjour déjà facturé');
+  }
+
+  const result = await client.query(
+    `UPDATE hotel_folio_charges SET voided_at = NOW(), void_reason = $1
+     WHERE id = $2 AND room_reservation_id = $3 AND voided_at IS NULL
+     RETURNING *`,
+    [reason, chargeId, reservation.id]
+  );
+  if (!result.rows[0]) throw httpError(404, 'Ligne de folio non trouvée');
+
+  return result.rows[0];
+};
+
+// ============================================
+// DÉPART
+// ============================================
+/**
+ * Enregistrer le départ : solde réglé, facture numérotée, chambre à nettoyer (tâche de ménage)
+ * Un départ anticipé libère les nuits restantes (les nuits réservées restent dues)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} reservationId - Séjour
+ * @param {Object} [options]
+ * @param {Object} [options.payment] - { payment_method, reference } pour régler le solde
+ * @param {string} [options.userId] - Réceptionniste
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { reservation, invoice }
+ * @throws {Error} status 400 / 404
+ */
+const checkOut = async (client, reservationId, { payment = null, userId = null, now = new Date() } = {}) => {
+  const reservation = await lockReservation(client, reservationId);
+
+  if (reservation.status !== 'checked_in') {
+    throw httpError(400, 'Le client n\'est pas enregistré comme arrivé');
+  }
+
+  const folio = await getFolio(client, reservation);
+
+  if (folio.totals.balance > 0) {
+    if (!payment || !PAYMENT_METHODS.includes(payment.payment_method)) {
+      const error = httpError(400, `Solde de ${folio.totals.balance.toFixed(2)} à régler avant le départ`);
+      error.balance = folio.totals.balance;
+      throw error;
+    }
+    await client.query(
+      `INSERT INTO hotel_folio_payments (room_reservation_id, amount, payment_method, reference, received_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [reservation.id, folio.totals.balance, payment.payment_method, payment.reference || null, userId]
+    );
+  }
+
+  // Numérotation continue : le compteur reste verrouillé jusqu'au COMMIT
+  const invoiceNumber = await nextDocumentNumber('invoice', { client });
+
+  const updateResult = await client.query(
+    `UPDATE room_reservations
+     SET status = 'checked_out', checked_out_at = NOW(),
+         check_out_date = CASE WHEN $4::date < check_out_date
+                               THEN GREATEST($4::date, check_in_date + 1)
+                               ELSE check_out_date END,
+         folio_total = $1, invoice_number = $2, invoiced_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [folio.totals.total, invoiceNumber, reservation.id, getRestaurantDateKey(now)]
+  );
+
+  const checkedOut = updateResult.rows[0];
+  if (checkedOut.room_id) {
+    await setRoomStatus(client, checkedOut.room_id, 'dirty');
+    await createCheckoutTask(client, checkedOut);
+  }
+
+  return { reservation: checkedOut, invoice: await buildInvoice(client, checkedOut) };
+};
+
+/**
+ * Facture de fin de séjour (à partir du folio)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} reservation - Ligne room_reservations facturée
+ * @returns {Promise<Object>}
+ */
+const buildInvoice = async (db, reservation) => {
+  const folio = await getFolio(db, reservation);
+  const hotelResult = await db.query('SELECT to_jsonb(h) as hotel FROM hotels h WHERE h.id = $1', [reservation.hotel_id]);
+  const hotel = hotelResult.rows[0]?.hotel || {};
+
+  return {
+    invoice_number: reservation.invoice_number,
+    invoiced_at: reservation.invoiced_at,
+    hotel: { name: hotel.name, address: hotel.address || null },
+    guest: {
+      name: `${reservation.guest_firstname} ${reservation.guest_lastname}`,
+      email: reservation.guest_email,
+    },
+    stay: {
+      check_in_date: reservation.check_in_date,
+      check_out_date: reservation.check_out_date,
+      checked_in_at: reservation.checked_in_at,
+      checked_out_at: reservation.checked_out_at,
+    },
+    currency: (reservation.currency || 'EUR').toUpperCase(),
+    lines: folio.charges
+      .filter(charge => !charge.voided_at)
+      .map(charge => ({
+        date: charge.charge_date,
+        category: charge.category,
+        description: charge.description,
+        quantity: Number(charge.quantity),
+        unit_price: Number(charge.unit_price),
+        amount: Number(charge.amount),
+      })),
+    payments: [
+      ...(folio.totals.deposit > 0 ? [{ method: 'stripe', label: 'Acompte', amount: folio.totals.deposit, date: reservation.paid_at }] : []),
+      ...folio.payments.map(payment => ({
+        method: payment.payment_method,
+        label: payment.reference || 'Règlement à la réception',
+        amount: Number(payment.amount),
+        date: payment.created_at,
+      })),
+    ],
+    totals: folio.totals,
+  };
+};
+
+module.exports = {
+  EXTRA_CHARGE_CATEGORIES,
+  PAYMENT_METHODS,
+  getFolio,
+  checkIn,
+  postCharge,
+  voidCharge,
+  checkOut,
+  buildInvoice,
+};
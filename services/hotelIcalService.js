@@ -0,0 +1,371 @@
+/**
+ * Service iCal des séjours (synchronisation avec les sites de réservation)
+ * Export des nuits complètes par type de chambre, import de calendriers
+ * externes en blocages (room_blocks) et alertes admin en cas de conflit
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../database/db');
+const { getNightlyOccupancy } = require('./hotelInventoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fenêtre exportée (jours à partir d'aujourd'hui)
+const getExportDays = () => parseInt(process.env.HOTEL_ICAL_EXPORT_DAYS, 10) || 365;
+const FETCH_TIMEOUT_MS = 15000;
+
+const toDateKey = (value) => {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const addDays = (dateKey, days) =>
+  new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Jeton secret d'URL d'export
+ */
+const generateIcalToken = () => crypto.randomBytes(24).toString('hex');
+
+// ============================================
+// EXPORT
+// ============================================
+/**
+ * Échapper un texte iCal (RFC 5545)
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Calendrier .ics des nuits sans chambre disponible d'un type
+ * Les nuits consécutives sont regroupées en un seul événement
+ * @param {Object} db - Pool pg
+ * @param {Object} roomType - Ligne room_types
+ * @param {Object} [options] - { from (YYYY-MM-DD), days }
+ * @returns {Promise<string>} Contenu text/calendar
+ */
+const buildRoomTypeCalendar = async (db, roomType, { from = toDateKey(new Date()), days = getExportDays() } = {}) => {
+  const nights = await getNightlyOccupancy(db, {
+    roomTypeId: roomType.id,
+    from,
+    to: addDays(from, days),
+  });
+
+  const ranges = [];
+  for (const night of nights) {
+    if (night.total_rooms - night.occupied > 0) continue;
+    const date = toDateKey(night.night);
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === date) {
+      last.end = addDays(date, 1);
+    } else {
+      ranges.push({ start: date, end: addDays(date, 1) });
+    }
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LE SAGE DEV//Hotel//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(roomType.name)}`,
+  ];
+
+  for (const range of ranges) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${roomType.id}-${range.start}@lesagedev.com`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${range.start.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${range.end.replace(/-/g, '')}`,
+      'SUMMARY:Indisponible',
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// ============================================
+// IMPORT
+// ============================================
+/**
+ * Date iCal (20261020, 20261020T140000Z) vers YYYY-MM-DD
+ */
+const parseIcalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Événements d'un calendrier iCal (lignes repliées, événements annulés ignorés)
+ * Un événement par UID (+ RECURRENCE-ID pour les occurrences modifiées d'une série) :
+ * un VEVENT répété remplace le précédent
+ * @param {string} content - Contenu .ics
+ * @returns {Array<Object>} [{ uid, summary, startDate, endDate }]
+ * @throws {Error} status 400 si le contenu n'est pas un calendrier iCal
+ */
+const parseIcalEvents = (content) => {
+  const text = String(content || '');
+  if (!text.includes('BEGIN:VCALENDAR')) {
+    const error = new Error('Fichier iCal invalide (BEGIN:VCALENDAR manquant)');
+    error.status = 400;
+    throw error;
+  }
+
+  // Dépliage : une ligne commençant par un espace prolonge la précédente
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const events = new Map();
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current && current.startDate) {
+        const endDate = current.endDate && current.endDate > current.startDate
+          ? current.endDate
+          : addDays(current.startDate, 1);
+        const baseUid = current.uid || `${current.startDate}-${endDate}`;
+        const uid = current.recurrenceId ? `${baseUid}#${current.recurrenceId}` : baseUid;
+
+        if (current.status === 'CANCELLED') {
+          events.delete(uid);
+        } else {
+          events.set(uid, {
+            uid,
+            summary: current.summary || null,
+            startDate: current.startDate,
+            endDate,
+          });
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (name === 'UID') current.uid = value;
+    else if (name === 'SUMMARY') current.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+    else if (name === 'DTSTART') current.startDate = parseIcalDate(value);
+    else if (name === 'DTEND') current.endDate = parseIcalDate(value);
+    else if (name === 'STATUS') current.status = value.toUpperCase();
+    else if (name === 'RECURRENCE-ID') current.recurrenceId = value;
+  }
+
+  return [...events.values()];
+};
+
+/**
+ * Importer un calendrier externe dans les blocages du type de chambre
+ * Les événements disparus du calendrier sont supprimés ; un blocage nouveau
+ * ou modifié qui dépasse la capacité (surréservation) crée une alerte admin
+ * @param {Object} pool - Pool pg
+ * @param {Object} feed - Ligne hotel_ical_feeds
+ * @param {string} content - Contenu .ics
+ * @returns {Promise<Object>} { events, created, updated, removed, conflicts }
+ */
+const importFeed = async (pool, feed, content) => {
+  const today = toDateKey(new Date());
+  // Événements passés ignorés
+  const events = parseIcalEvents(content).filter(event => event.endDate > today);
+  const summary = { events: events.length, created: 0, updated: 0, removed: 0, conflicts: 0 };
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Verrou du type : même règle que les réservations
+    await client.query('SELECT id FROM room_types WHERE id = $1 FOR UPDATE', [feed.room_type_id]);
+
+    const existingResult = await client.query(
+      'SELECT * FROM room_blocks WHERE feed_id = $1',
+      [feed.id]
+    );
+    const existing = new Map(existingResult.rows.map(block => [block.external_uid, block]));
+    const changed = [];
+
+    for (const event of events) {
+      const block = existing.get(event.uid);
+      existing.delete(event.uid);
+
+      if (!block) {
+        const inserted = await client.query(
+          `INSERT INTO room_blocks (hotel_id, room_type_id, feed_id, external_uid, summary, start_date, end_date)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [feed.hotel_id, feed.room_type_id, feed.id, event.uid, event.summary, event.startDate, event.endDate]
+        );
+        summary.created++;
+        changed.push(inserted.rows[0]);
+      } else if (toDateKey(block.start_date) !== event.startDate || toDateKey(block.end_date) !== event.endDate) {
+        const updated = await client.query(
+          `UPDATE room_blocks SET summary = $1, start_date = $2, end_date = $3
+           WHERE id = $4
+           RETURNING *`,
+          [event.summary, event.startDate, event.endDate, block.id]
+        );
+        summary.updated++;
+        changed.push(updated.rows[0]);
+      }
+    }
+
+    // Annulés sur le site externe
+    const removedIds = [...existing.values()].map(block => block.id);
+    if (removedIds.length > 0) {
+      await client.query('DELETE FROM room_blocks WHERE id = ANY($1)', [removedIds]);
+      summary.removed = removedIds.length;
+    }
+
+    for (const block of changed) {
+      const conflict = await findConflict(client, block);
+      if (!conflict) continue;
+
+      summary.conflicts++;
+      await client.query(
+        `INSERT INTO admin_alerts (alert_type, title, message, severity, related_resource_type, related_resource_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          'hotel_ical_conflict',
+          `Conflit de calendrier : ${feed.name}`,
+          `Blocage ${toDateKey(block.start_date)} → ${toDateKey(block.end_date)}${block.summary ? ` (${block.summary})` : ''} : ` +
+            `${conflict.occupied} chambre(s) occupée(s) pour ${conflict.total_rooms} le ${toDateKey(conflict.night)}` +
+            (conflict.reservations.length > 0 ? `. Séjours concernés : ${conflict.reservations.join(', ')}` : ''),
+          'high',
+          'room_block',
+          block.id,
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE hotel_ical_feeds
+       SET last_synced_at = NOW(), last_status = 'ok', last_error = NULL, event_count = $1
+       WHERE id = $2`,
+      [events.length, feed.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return summary;
+};
+
+/**
+ * Première nuit d'un blocage où l'occupation dépasse le nombre de chambres
+ * @returns {Promise<Object|null>} { night, total_rooms, occupied, reservations }
+ */
+const findConflict = async (client, block) => {
+  const nights = await getNightlyOccupancy(client, {
+    roomTypeId: block.room_type_id,
+    from: toDateKey(block.start_date),
+    to: toDateKey(block.end_date),
+  });
+  const night = nights.find(n => n.occupied > n.total_rooms);
+  if (!night) return null;
+
+  const reservationsResult = await client.query(
+    `SELECT guest_firstname, guest_lastname, check_in_date
+     FROM room_reservations
+     WHERE room_type_id = $1 AND status NOT IN ('cancelled', 'expired')
+       AND check_in_date < $3 AND check_out_date > $2`,
+    [block.room_type_id, block.start_date, block.end_date]
+  );
+
+  return {
+    ...night,
+    reservations: reservationsResult.rows.map(r => `${r.guest_firstname} ${r.guest_lastname} (${toDateKey(r.check_in_date)})`),
+  };
+};
+
+/**
+ * Télécharger et importer un calendrier externe par son URL
+ * En cas d'échec, l'erreur est enregistrée sur le flux (blocages existants conservés)
+ * @param {Object} pool - Pool pg
+ * @param {Object} feed - Ligne hotel_ical_feeds (url requise)
+ * @returns {Promise<Object>} Résumé de l'import (voir importFeed)
+ */
+const syncFeed = async (pool, feed) => {
+  try {
+    if (!feed.url) {
+      const error = new Error('Aucune URL configurée pour ce calendrier');
+      error.status = 400;
+      throw error;
+    }
+
+    const response = await fetch(feed.url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      const error = new Error(`Calendrier inaccessible (HTTP ${response.status})`);
+      error.status = 502;
+      throw error;
+    }
+
+    return await importFeed(pool, feed, await response.text());
+  } catch (error) {
+    await pool.query(
+      `UPDATE hotel_ical_feeds SET last_synced_at = NOW(), last_status = 'error', last_error = $1
+       WHERE id = $2`,
+      [error.message, feed.id]
+    );
+    if (!error.status) error.status = 502;
+    throw error;
+  }
+};
+
+/**
+ * Synchroniser tous les calendriers actifs ayant une URL
+ * @param {Object} [options] - { db }
+ * @returns {Promise<Object>} { feeds, synced, conflicts, errors }
+ */
+const syncAllFeeds = async ({ db = getPool() } = {}) => {
+  const summary = { feeds: 0, synced: 0, conflicts: 0, errors: 0 };
+
+  const result = await db.query(
+    'SELECT * FROM hotel_ical_feeds WHERE is_active = true AND url IS NOT NULL ORDER BY last_synced_at NULLS FIRST'
+  );
+  summary.feeds = result.rows.length;
+
+  for (const feed of result.rows) {
+    try {
+      const feedSummary = await syncFeed(db, feed);
+      summary.synced++;
+      summary.conflicts += feedSummary.conflicts;
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Synchro iCal ${feed.name}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  generateIcalToken,
+  buildRoomTypeCalendar,
+  parseIcalEvents,
+  importFeed,
+  syncFeed,
+  syncAllFeeds,
+};
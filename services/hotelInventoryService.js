@@ -0,0 +1,240 @@
+/**
+ * Service d'inventaire hôtel
+ * Disponibilité par type de chambre (chambres physiques) et attribution d'une chambre
+ * Le type de chambre est verrouillé pendant l'attribution : deux demandes
+ * simultanées pour la dernière chambre ne peuvent pas aboutir toutes les deux
+ */
+
+// Séjours qui n'occupent plus de chambre (annulés, acompte non payé à temps)
+const RELEASED_STATUSES = ['cancelled', 'expired'];
+
+// Chambres hors vente ; occupied / dirty restent vendables pour les séjours à venir
+// (les blocages maintenance datés sont dans room_maintenance_blocks)
+const OUT_OF_SERVICE_STATUSES = ['out_of_service', 'maintenance'];
+
+// ============================================
+// DISPONIBILITÉ
+// ============================================
+/**
+ * Chambres disponibles d'un type sur un séjour
+ * Occupation = nuit la plus chargée (séjours attribués ou non, blocages iCal)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params
+ * @param {string} params.roomTypeId - Type de chambre
+ * @param {string} params.checkIn - YYYY-MM-DD
+ * @param {string} params.checkOut - YYYY-MM-DD
+ * @param {string} [params.excludeReservationId] - Séjour à ignorer (réattribution)
+ * @returns {Promise<Object>} { totalRooms, occupied, available }
+ */
+const getRoomTypeAvailability = async (db, { roomTypeId, checkIn, checkOut, excludeReservationId = null }) => {
+  const [night] = await getNightlyOccupancy(db, { roomTypeId, from: checkIn, to: checkOut, excludeReservationId, busiestOnly: true });
+  const totalRooms = night ? night.total_rooms : 0;
+  const occupied = night ? night.occupied : 0;
+
+  return {
+    totalRooms,
+    occupied,
+    available: Math.max(0, totalRooms - occupied),
+  };
+};
+
+/**
+ * Occupation nuit par nuit d'un type de chambre (réservations + blocages)
+ * Les chambres en maintenance sur une nuit sont retirées du total de cette nuit
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params
+ * @param {string} params.roomTypeId - Type de chambre
+ * @param {string} params.from - Première nuit (YYYY-MM-DD)
+ * @param {string} params.to - Lendemain de la dernière nuit (YYYY-MM-DD)
+ * @param {string} [params.excludeReservationId] - Séjour à ignorer
+ * @param {boolean} [params.busiestOnly] - Ne renvoyer que la nuit la plus chargée
+ * @returns {Promise<Array>} [{ night, total_rooms, reserved, blocked, occupied }]
+ */
+const getNightlyOccupancy = async (db, { roomTypeId, from, to, excludeReservationId = null, busiestOnly = false }) => {
+  const result = await db.query(
+    `SELECT night::date as night, total_rooms, reserved, blocked, (reserved + blocked) as occupied
+     FROM (
+       SELECT night,
+         (SELECT COUNT(*)::int FROM rooms ro
+          WHERE ro.room_type_id = $1 AND ro.status <> ALL($6)
+            AND NOT EXISTS (
+              SELECT 1 FROM room_maintenance_blocks mb
+              WHERE mb.room_id = ro.id
+                AND mb.start_date <= night::date
+                AND mb.end_date > night::date
+            )) as total_rooms,
+         (SELECT COUNT(*)::int FROM room_reservations rr
+          WHERE rr.room_type_id = $1
+            AND rr.status <> ALL($4)
+            AND rr.check_in_date <= night::date
+            AND rr.check_out_date > night::date
+            AND ($5::uuid IS NULL OR rr.id <> $5::uuid)) as reserved,
+         (SELECT COALESCE(SUM(rb.rooms_count), 0)::int FROM room_blocks rb
+          WHERE rb.room_type_id = $1
+            AND rb.start_date <= night::date
+            AND rb.end_date > night::date) as blocked
+       FROM generate_series($2::date, $3::date - 1, INTERVAL '1 day') as night
+     ) nights
+     ORDER BY ${busiestOnly ? 'occupied DESC LIMIT 1' : 'night'}`,
+    [roomTypeId, from, to, RELEASED_STATUSES, excludeReservationId, OUT_OF_SERVICE_STATUSES]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Chambres physiques libres sur tout le séjour (ni séjour ni maintenance)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params - { roomTypeId | hotelId, checkIn, checkOut, excludeReservationId }
+ * @returns {Promise<Array>} Lignes rooms (étage puis numéro)
+ */
+const getFreeRooms = async (db, { roomTypeId = null, hotelId = null, checkIn, checkOut, excludeReservationId = null }) => {
+  const result = await db.query(
+    `SELECT r.*
+     FROM rooms r
+     WHERE r.status <> ALL($7)
+       AND ($1::uuid IS NULL OR r.room_type_id = $1::uuid)
+       AND ($2::uuid IS NULL OR r.hotel_id = $2::uuid)
+       AND NOT EXISTS (
+         SELECT 1 FROM room_reservations rr
+         WHERE rr.room_id = r.id
+           AND rr.status <> ALL($5)
+           AND rr.check_in_date < $4
+           AND rr.check_out_date > $3
+           AND ($6::uuid IS NULL OR rr.id <> $6::uuid)
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM room_maintenance_blocks mb
+         WHERE mb.room_id = r.id
+           AND mb.start_date < $4
+           AND mb.end_date > $3
+       )
+     ORDER BY r.floor ASC, r.room_number ASC`,
+    [roomTypeId, hotelId, checkIn, checkOut, RELEASED_STATUSES, excludeReservationId, OUT_OF_SERVICE_STATUSES]
+  );
+
+  return result.rows;
+};
+
+// ============================================
+// ATTRIBUTION
+// ============================================
+/**
+ * Verrouiller un type de chambre et choisir une chambre libre pour le séjour
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} params
+ * @param {string} params.roomTypeId - Type de chambre
+ * @param {string} params.checkIn - YYYY-MM-DD
+ * @param {string} params.checkOut - YYYY-MM-DD
+ * @returns {Promise<Object>} Ligne rooms attribuée
+ * @throws {Error} status 409 si complet
+ */
+const reserveRoom = async (client, { roomTypeId, checkIn, checkOut }) => {
+  await client.query('SELECT id FROM room_types WHERE id = $1 FOR UPDATE', [roomTypeId]);
+
+  const { available } = await getRoomTypeAvailability(client, { roomTypeId, checkIn, checkOut });
+
+  if (available < 1) {
+    const error = new Error('Plus aucune chambre de ce type disponible pour ces dates');
+    error.status = 409;
+    throw error;
+  }
+
+  const [room] = await getFreeRooms(client, { roomTypeId, checkIn, checkOut });
+
+  if (!room) {
+    const error = new Error('Aucune chambre libre sur toute la durée du séjour');
+    error.status = 409;
+    throw error;
+  }
+
+  return room;
+};
+
+/**
+ * Réattribuer une chambre à un séjour existant (surclassement possible)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} reservationId - Séjour
+ * @param {string} roomId - Nouvelle chambre
+ * @returns {Promise<Object>} { reservation, room }
+ * @throws {Error} status 404 / 400 / 409
+ */
+const reassignRoom = async (client, reservationId, roomId) => {
+  const reservationResult = await client.query(
+    'SELECT * FROM room_reservations WHERE id = $1 FOR UPDATE',
+    [reservationId]
+  );
+  const reservation = reservationResult.rows[0];
+
+  if (!reservation) {
+    const error = new Error('Réservation non trouvée');
+    error.status = 404;
+    throw error;
+  }
+
+  if (RELEASED_STATUSES.includes(reservation.status)) {
+    const error = new Error('Réservation annulée');
+    error.status = 400;
+    throw error;
+  }
+
+  const roomResult = await client.query('SELECT * FROM rooms WHERE id = $1', [roomId]);
+  const room = roomResult.rows[0];
+
+  if (!room || room.hotel_id !== reservation.hotel_id) {
+    const error = new Error('Chambre non trouvée dans cet hôtel');
+    error.status = 404;
+    throw error;
+  }
+
+  // Verrou du type de destination (mêmes règles qu'une nouvelle réservation)
+  await client.query('SELECT id FROM room_types WHERE id = $1 FOR UPDATE', [room.room_type_id]);
+
+  const freeRooms = await getFreeRooms(client, {
+    roomTypeId: room.room_type_id,
+    checkIn: reservation.check_in_date,
+    checkOut: reservation.check_out_date,
+    excludeReservationId: reservation.id,
+  });
+
+  if (!freeRooms.some((candidate) => candidate.id === room.id)) {
+    const error = new Error(`Chambre ${room.room_number} déjà occupée sur ces dates`);
+    error.status = 409;
+    throw error;
+  }
+
+  // Changement de type : la capacité du nouveau type doit aussi être respectée
+  if (room.room_type_id !== reservation.room_type_id) {
+    const { available } = await getRoomTypeAvailability(client, {
+      roomTypeId: room.room_type_id,
+      checkIn: reservation.check_in_date,
+      checkOut: reservation.check_out_date,
+      excludeReservationId: reservation.id,
+    });
+
+    if (available < 1) {
+      const error = new Error('Plus aucune chambre de ce type disponible pour ces dates');
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  const updateResult = await client.query(
+    `UPDATE room_reservations SET room_id = $1, room_type_id = $2
+     WHERE id = $3
+     RETURNING *`,
+    [room.id, room.room_type_id, reservation.id]
+  );
+
+  return { reservation: updateResult.rows[0], room };
+};
+
+module.exports = {
+  RELEASED_STATUSES,
+  OUT_OF_SERVICE_STATUSES,
+  getRoomTypeAvailability,
+  getNightlyOccupancy,
+  getFreeRooms,
+  reserveRoom,
+  reassignRoom,
+};
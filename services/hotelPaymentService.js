@@ -0,0 +1,271 @@
+/**
+ * Service d'acompte / prépaiement des séjours
+ * Politique par type de chambre ou par offre, PaymentIntent Stripe,
+ * confirmation par webhook et libération des séjours non payés
+ */
+
+const { getPool } = require('../database/db');
+const stripeService = require('./stripeService');
+const { reserveRoom } = require('./hotelInventoryService');
+
+const DEPOSIT_POLICIES = ['none', 'first_night', 'percentage', 'full'];
+
+/**
+ * Durée de mise en attente d'un séjour avant paiement de l'acompte
+ */
+const getHoldMinutes = () => parseInt(process.env.HOTEL_PAYMENT_HOLD_MINUTES, 10) || 30;
+
+// ============================================
+// POLITIQUE ET MONTANT
+// ============================================
+/**
+ * Politique applicable : celle de l'offre si définie, sinon celle du type de chambre
+ * @param {Object} roomType - Ligne room_types
+ * @param {Object} [offer] - Ligne hotel_offers
+ * @returns {Object} { policy, percent }
+ */
+const resolveDepositPolicy = (roomType, offer = null) => {
+  const source = offer && offer.deposit_policy ? offer : roomType;
+  const policy = DEPOSIT_POLICIES.includes(source.deposit_policy) ? source.deposit_policy : 'none';
+
+  return {
+    policy,
+    percent: source.deposit_percent != null ? Number(source.deposit_percent) : null,
+  };
+};
+
+/**
+ * Montant de l'acompte
+ * @param {Object} depositPolicy - { policy, percent }
+ * @param {Object} amounts
+ * @param {Array<number>} amounts.nightlyPrices - Prix de chaque nuit
+ * @param {number} amounts.totalAmount - Total du séjour (options incluses)
+ * @returns {number}
+ */
+const computeDepositAmount = ({ policy, percent }, { nightlyPrices, totalAmount }) => {
+  let amount = 0;
+
+  switch (policy) {
+    case 'first_night':
+      amount = nightlyPrices[0] || 0;
+      break;
+    case 'percentage':
+      amount = totalAmount * Math.min(100, Math.max(0, percent || 0)) / 100;
+      break;
+    case 'full':
+      amount = totalAmount;
+      break;
+    default:
+      amount = 0;
+  }
+
+  return Math.round(Math.min(amount, totalAmount) * 100) / 100;
+};
+
+// ============================================
+// PAYMENT INTENT
+// ============================================
+/**
+ * Créer le PaymentIntent de l'acompte d'un séjour en attente de paiement
+ * @param {Object} reservation - Ligne room_reservations (deposit_amount > 0)
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @returns {Promise<Object>} { clientSecret, paymentIntentId, amount, currency }
+ */
+const createDepositPayment = async (reservation, { db = getPool() } = {}) => {
+  const intent = await stripeService.createPaymentIntent({
+    amount: Number(reservation.deposit_amount),
+    currency: reservation.currency || 'eur',
+    customer_email: reservation.guest_email,
+    customer_name: `${reservation.guest_firstname} ${reservation.guest_lastname}`.trim(),
+    description: `Acompte séjour du ${String(reservation.check_in_date).slice(0, 10)} (${reservation.nights} nuit(s))`,
+    metadata: {
+      room_reservation_id: reservation.id,
+      hotel_id: reservation.hotel_id,
+    },
+  });
+
+  await db.query(
+    `UPDATE room_reservations SET payment_intent_id = $1, payment_status = 'pending'
+     WHERE id = $2`,
+    [intent.paymentIntentId, reservation.id]
+  );
+
+  return intent;
+};
+
+// ============================================
+// WEBHOOKS
+// ============================================
+/**
+ * Acompte encaissé : séjour confirmé
+ * Si la mise en attente avait expiré, une chambre est réattribuée si possible.
+ * Plus de chambre, ou séjour annulé entre-temps (annulation du PaymentIntent échouée
+ * ou webhook arrivé avant) : l'acompte est remboursé automatiquement après COMMIT,
+ * alerte admin si le remboursement échoue
+ * @param {Object} pool - Pool pg
+ * @param {Object} paymentIntent - Objet Stripe payment_intent
+ */
+const confirmDepositPayment = async (pool, paymentIntent) => {
+  const reservationId = paymentIntent.metadata?.room_reservation_id;
+  if (!reservationId) return;
+
+  const client = await pool.connect();
+  let refundDue = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const reservationResult = await client.query(
+      'SELECT * FROM room_reservations WHERE id = $1 FOR UPDATE',
+      [reservationId]
+    );
+    const reservation = reservationResult.rows[0];
+
+    // Inconnue ou déjà traitée (Stripe peut renvoyer l'événement)
+    if (!reservation || ['paid', 'refunded'].includes(reservation.payment_status)) {
+      await client.query('COMMIT');
+      return;
+    }
+
+    const amountPaid = paymentIntent.amount_received != null
+      ? paymentIntent.amount_received / 100
+      : paymentIntent.amount / 100;
+
+    let status = 'confirmed';
+    let roomId = reservation.room_id;
+
+    if (reservation.status === 'expired') {
+      try {
+        await client.query('SAVEPOINT rehold');
+        const room = await reserveRoom(client, {
+          roomTypeId: reservation.room_type_id,
+          checkIn: reservation.check_in_date,
+          checkOut: reservation.check_out_date,
+        });
+        roomId = room.id;
+      } catch (error) {
+        if (!error.status) throw error;
+        await client.query('ROLLBACK TO SAVEPOINT rehold');
+
+        // Payé trop tard et plus de chambre : le séjour reste expiré, acompte à rembourser
+        status = 'expired';
+        refundDue = { reservation, amountPaid, reason: 'late' };
+      }
+    } else if (reservation.status === 'cancelled') {
+      // Annulé entre-temps : statut conservé, acompte à rembourser
+      status = reservation.status;
+      refundDue = { reservation, amountPaid, reason: 'cancelled' };
+    } else if (reservation.status !== 'pending_payment') {
+      status = reservation.status;
+    }
+
+    await client.query(
+      `UPDATE room_reservations
+       SET status = $1, room_id = $2, payment_status = 'paid', amount_paid = $3,
+           paid_at = NOW(), hold_expires_at = NULL
+       WHERE id = $4`,
+      [status, roomId, amountPaid, reservation.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (refundDue) {
+    await refundUnheldDeposit(pool, paymentIntent, refundDue);
+  }
+};
+
+// Acompte encaissé sans chambre : séjour annulé, ou expiré sans chambre libre
+const UNHELD_DEPOSIT_ALERTS = {
+  cancelled: {
+    type: 'hotel_deposit_cancelled',
+    title: 'Acompte reçu sur un séjour annulé',
+    detail: 'encaissés après annulation',
+  },
+  late: {
+    type: 'hotel_deposit_late',
+    title: 'Acompte reçu après expiration',
+    detail: 'encaissés mais plus de chambre disponible',
+  },
+};
+
+/**
+ * Rembourser un acompte encaissé pour un séjour sans chambre (annulé ou expiré)
+ * Clé d'idempotence par PaymentIntent : un webhook rejoué ne rembourse pas deux fois
+ */
+const refundUnheldDeposit = async (pool, paymentIntent, { reservation, amountPaid, reason }) => {
+  const alert = UNHELD_DEPOSIT_ALERTS[reason];
+
+  try {
+    const refund = await stripeService.refundPayment({
+      paymentIntentId: paymentIntent.id,
+      reason: 'requested_by_customer',
+      idempotencyKey: `hotel-deposit-${reason}-refund-${paymentIntent.id}`,
+    });
+
+    await pool.query(
+      `UPDATE room_reservations
+       SET payment_status = 'refunded', refund_amount = $1, refund_id = $2, refunded_at = NOW()
+       WHERE id = $3`,
+      [amountPaid, refund.id, reservation.id]
+    );
+  } catch (error) {
+    console.error(`hotel ${reason} deposit refund:`, error.message);
+    await pool.query(
+      `INSERT INTO admin_alerts (alert_type, title, message, severity)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        alert.type,
+        alert.title,
+        `Séjour ${reservation.id} (${reservation.guest_email}) : ${amountPaid} ${paymentIntent.currency.toUpperCase()} ${alert.detail}, remboursement automatique échoué (${error.message})`,
+        'high'
+      ]
+    );
+  }
+};
+
+/**
+ * Paiement refusé : le séjour reste en attente jusqu'à expiration (le client peut réessayer)
+ */
+const markDepositFailed = async (pool, paymentIntent) => {
+  const reservationId = paymentIntent.metadata?.room_reservation_id;
+  if (!reservationId) return;
+
+  await pool.query(
+    `UPDATE room_reservations SET payment_status = 'failed'
+     WHERE id = $1 AND status = 'pending_payment'`,
+    [reservationId]
+  );
+};
+
+/**
+ * PaymentIntent annulé : chambre libérée immédiatement
+ */
+const releaseDepositHold = async (pool, paymentIntent) => {
+  const reservationId = paymentIntent.metadata?.room_reservation_id;
+  if (!reservationId) return;
+
+  await pool.query(
+    `UPDATE room_reservations
+     SET status = 'expired', payment_status = 'canceled', hold_expires_at = NULL
+     WHERE id = $1 AND status = 'pending_payment'`,
+    [reservationId]
+  );
+};
+
+module.exports = {
+  DEPOSIT_POLICIES,
+  getHoldMinutes,
+  resolveDepositPolicy,
+  computeDepositAmount,
+  createDepositPayment,
+  confirmDepositPayment,
+  markDepositFailed,
+  releaseDepositHold,
+};
@@ -0,0 +1,161 @@
+/**
+ * Service des établissements (multi-propriétés)
+ * Résolution de l'hôtel d'une requête (hotel_id, slug, nom de domaine, hôtel
+ * par défaut) et rattachement du personnel à des établissements
+ */
+
+const { getPool } = require('../database/db');
+
+// Établissements actifs gardés en mémoire (résolution à chaque requête publique)
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { hotels: null, loadedAt: 0 };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ============================================
+// ÉTABLISSEMENTS ACTIFS
+// ============================================
+/**
+ * Établissements actifs (cache de 60 s, vidé à chaque modification admin)
+ * @param {Object} [db] - Pool pg
+ * @returns {Promise<Array>} Lignes hotels
+ */
+const getActiveHotels = async (db = getPool()) => {
+  if (cache.hotels && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.hotels;
+
+  const result = await db.query(
+    'SELECT * FROM hotels WHERE is_active = true ORDER BY display_order, name'
+  );
+  cache = { hotels: result.rows, loadedAt: Date.now() };
+
+  return cache.hotels;
+};
+
+const clearHotelCache = () => {
+  cache = { hotels: null, loadedAt: 0 };
+};
+
+/**
+ * Hôtel par défaut : DEFAULT_HOTEL_ID, sinon le seul établissement actif
+ */
+const getDefaultHotel = (hotels) => {
+  if (process.env.DEFAULT_HOTEL_ID) {
+    return hotels.find(hotel => hotel.id === process.env.DEFAULT_HOTEL_ID) || null;
+  }
+  return hotels.length === 1 ? hotels[0] : null;
+};
+
+/**
+ * Résoudre l'établissement d'une requête publique
+ * Priorité : hotel_id, puis slug (?hotel=), puis nom de domaine, puis hôtel par défaut
+ * @param {Object} [db] - Pool pg
+ * @param {Object} params
+ * @param {string} [params.hotelId]
+ * @param {string} [params.slug]
+ * @param {string} [params.hostname]
+ * @returns {Promise<Object|null>} Ligne hotels
+ * @throws {Error} status 404 si un identifiant explicite ne correspond à aucun hôtel actif
+ */
+const resolveHotel = async (db, { hotelId = null, slug = null, hostname = null } = {}) => {
+  const hotels = await getActiveHotels(db);
+
+  if (hotelId) {
+    const hotel = UUID_PATTERN.test(hotelId) ? hotels.find(h => h.id === hotelId) : null;
+    if (!hotel) throw httpError(404, 'Hôtel non trouvé');
+    return hotel;
+  }
+
+  if (slug) {
+    const hotel = hotels.find(h => h.slug === String(slug).toLowerCase());
+    if (!hotel) throw httpError(404, 'Hôtel non trouvé');
+    return hotel;
+  }
+
+  if (hostname) {
+    const host = String(hostname).toLowerCase();
+    const hotel = hotels.find(h => (h.hostnames || []).some(name => name.toLowerCase() === host));
+    if (hotel) return hotel;
+  }
+
+  return getDefaultHotel(hotels);
+};
+
+// ============================================
+// PERSONNEL
+// ============================================
+/**
+ * Établissements accessibles à un utilisateur
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} user - { userId, role }
+ * @returns {Promise<Array|null>} Identifiants d'hôtels, null = tous (admin)
+ */
+const getAccessibleHotelIds = async (db, { userId, role }) => {
+  if (role === 'admin') return null;
+
+  const result = await db.query('SELECT hotel_id FROM hotel_staff WHERE user_id = $1', [userId]);
+  return result.rows.map(row => row.hotel_id);
+};
+
+/**
+ * Un utilisateur peut-il travailler pour cet établissement ?
+ */
+const canAccessHotel = async (db, user, hotelId) => {
+  const hotelIds = await getAccessibleHotelIds(db, user);
+  return hotelIds === null || hotelIds.includes(hotelId);
+};
+
+/**
+ * Remplacer le personnel rattaché à un établissement
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} hotelId
+ * @param {Array<string>} userIds - Utilisateurs staff
+ * @returns {Promise<Array>} Personnel rattaché
+ * @throws {Error} status 400 si un utilisateur n'est pas membre du personnel
+ */
+const setHotelStaff = async (client, hotelId, userIds) => {
+  const ids = [...new Set(userIds)];
+
+  if (ids.length > 0) {
+    const usersResult = await client.query(
+      'SELECT id FROM users WHERE id = ANY($1::uuid[]) AND role = \'staff\'',
+      [ids]
+    );
+    if (usersResult.rows.length !== ids.length) {
+      throw httpError(400, 'Seuls les utilisateurs staff peuvent être rattachés à un établissement');
+    }
+  }
+
+  await client.query('DELETE FROM hotel_staff WHERE hotel_id = $1 AND user_id <> ALL($2::uuid[])', [hotelId, ids]);
+  await client.query(
+    `INSERT INTO hotel_staff (hotel_id, user_id)
+     SELECT $1, unnest($2::uuid[])
+     ON CONFLICT DO NOTHING`,
+    [hotelId, ids]
+  );
+
+  const result = await client.query(
+    `SELECT u.id, u.email, u.firstname, u.lastname, hs.created_at
+     FROM hotel_staff hs
+     JOIN users u ON hs.user_id = u.id
+     WHERE hs.hotel_id = $1
+     ORDER BY u.lastname, u.firstname`,
+    [hotelId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  getActiveHotels,
+  clearHotelCache,
+  resolveHotel,
+  getAccessibleHotelIds,
+  canAccessHotel,
+  setHotelStaff,
+};
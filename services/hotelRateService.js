@@ -0,0 +1,251 @@
+/**
+ * Moteur tarifaire des séjours
+ * Plans tarifaires (tarifs semaine / week-end, restrictions de durée et de jours
+ * d'arrivée / départ, suppléments adulte / enfant, prestations incluses)
+ * Utilisé à l'identique par la recherche de disponibilité et la réservation
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_LABELS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+// Sans plan configuré : prix du type de chambre, sans restriction ni supplément
+const STANDARD_RATE_PLAN = {
+  id: null,
+  code: 'standard',
+  name: 'Tarif standard',
+  description: null,
+  weekday_price: null,
+  weekend_price: null,
+  weekend_days: [5, 6],
+  base_occupancy: null,
+  extra_adult_price: 0,
+  child_price: 0,
+  min_stay: null,
+  max_stay: null,
+  closed_to_arrival: [],
+  closed_to_departure: [],
+  includes_breakfast: false,
+  inclusions: [],
+};
+
+// ============================================
+// DATES
+// ============================================
+/**
+ * Date au format YYYY-MM-DD (les DATE pg arrivent en minuit local)
+ */
+const toDateKey = (value) => {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const dayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const addDays = (dateKey, days) =>
+  new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const countNights = (checkIn, checkOut) =>
+  Math.round((new Date(`${toDateKey(checkOut)}T00:00:00Z`) - new Date(`${toDateKey(checkIn)}T00:00:00Z`)) / DAY_MS);
+
+// ============================================
+// PLANS
+// ============================================
+/**
+ * Plans actifs d'un type de chambre (spécifiques au type ou communs à l'hôtel)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} roomType - Ligne room_types
+ * @returns {Promise<Array>} Lignes hotel_rate_plans (plan par défaut en premier)
+ */
+const getRatePlans = async (db, roomType) => {
+  const result = await db.query(
+    `SELECT * FROM hotel_rate_plans
+     WHERE hotel_id = $1 AND (room_type_id IS NULL OR room_type_id = $2) AND is_active = true
+     ORDER BY is_default DESC, display_order, name`,
+    [roomType.hotel_id, roomType.id]
+  );
+
+  return result.rows.length > 0 ? result.rows : [STANDARD_RATE_PLAN];
+};
+
+/**
+ * Plan proposé pour une date d'arrivée (période de validité)
+ */
+const isPlanValidFor = (plan, checkIn) => {
+  const arrival = toDateKey(checkIn);
+  if (plan.valid_from && arrival < toDateKey(plan.valid_from)) return false;
+  if (plan.valid_to && arrival > toDateKey(plan.valid_to)) return false;
+  return true;
+};
+
+/**
+ * Restrictions non respectées par un séjour
+ * @returns {Array<Object>} [{ code, message }] (vide = réservable)
+ */
+const checkRestrictions = (plan, { checkIn, checkOut, nights }) => {
+  const violations = [];
+
+  if (plan.min_stay && nights < plan.min_stay) {
+    violations.push({ code: 'min_stay', message: `Séjour de ${plan.min_stay} nuit(s) minimum` });
+  }
+  if (plan.max_stay && nights > plan.max_stay) {
+    violations.push({ code: 'max_stay', message: `Séjour de ${plan.max_stay} nuit(s) maximum` });
+  }
+
+  const arrivalDay = dayOfWeek(toDateKey(checkIn));
+  if ((plan.closed_to_arrival || []).map(Number).includes(arrivalDay)) {
+    violations.push({ code: 'closed_to_arrival', message: `Arrivée impossible le ${WEEKDAY_LABELS[arrivalDay]}` });
+  }
+
+  const departureDay = dayOfWeek(toDateKey(checkOut));
+  if ((plan.closed_to_departure || []).map(Number).includes(departureDay)) {
+    violations.push({ code: 'closed_to_departure', message: `Départ impossible le ${WEEKDAY_LABELS[departureDay]}` });
+  }
+
+  return violations;
+};
+
+// ============================================
+// PRIX
+// ============================================
+/**
+ * Prix du type de chambre pour une nuit (tarif période ou prix de base)
+ */
+const getRoomTypePrice = (pricings, basePrice, dateKey) => {
+  const match = pricings.find(p => toDateKey(p.start_date) <= dateKey && dateKey <= toDateKey(p.end_date));
+  return match ? Number(match.price_per_night) : Number(basePrice);
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Devis d'un séjour sur un plan tarifaire
+ * @param {Object} params
+ * @param {Object} params.roomType - Ligne room_types
+ * @param {Object} params.ratePlan - Ligne hotel_rate_plans (ou STANDARD_RATE_PLAN)
+ * @param {Array} params.pricings - Lignes room_pricings du type
+ * @param {string} params.checkIn - YYYY-MM-DD
+ * @param {string} params.checkOut - YYYY-MM-DD
+ * @param {number} [params.adults]
+ * @param {number} [params.children]
+ * @returns {Object} { rate_plan, bookable, restrictions, nights, breakdown, room_total }
+ */
+const quoteStay = ({ roomType, ratePlan, pricings, checkIn, checkOut, adults = 1, children = 0 }) => {
+  const nights = countNights(checkIn, checkOut);
+  const weekendDays = (ratePlan.weekend_days || []).map(Number);
+  const baseOccupancy = ratePlan.base_occupancy || Number(roomType.max_guests) || adults;
+  const extraAdults = Math.max(0, adults - baseOccupancy);
+
+  const breakdown = [];
+  for (let i = 0; i < nights; i++) {
+    const date = addDays(toDateKey(checkIn), i);
+    const weekend = weekendDays.includes(dayOfWeek(date));
+    const planPrice = weekend ? ratePlan.weekend_price : ratePlan.weekday_price;
+    const basePrice = planPrice != null
+      ? Number(planPrice)
+      : getRoomTypePrice(pricings, roomType.base_price_per_night, date);
+    const extraAdultsAmount = extraAdults * Number(ratePlan.extra_adult_price || 0);
+    const childrenAmount = children * Number(ratePlan.child_price || 0);
+
+    breakdown.push({
+      date,
+      weekend,
+      base_price: round(basePrice),
+      extra_adults: extraAdults,
+      extra_adults_amount: round(extraAdultsAmount),
+      children,
+      children_amount: round(childrenAmount),
+      total: round(basePrice + extraAdultsAmount + childrenAmount),
+    });
+  }
+
+  const restrictions = checkRestrictions(ratePlan, { checkIn, checkOut, nights });
+
+  return {
+    rate_plan: {
+      id: ratePlan.id,
+      code: ratePlan.code,
+      name: ratePlan.name,
+      description: ratePlan.description,
+      includes_breakfast: Boolean(ratePlan.includes_breakfast),
+      inclusions: ratePlan.inclusions || [],
+    },
+    bookable: restrictions.length === 0,
+    restrictions,
+    nights,
+    breakdown,
+    room_total: round(breakdown.reduce((sum, night) => sum + night.total, 0)),
+  };
+};
+
+/**
+ * Devis d'un séjour sur tous les plans proposés pour ces dates
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params - { roomType, checkIn, checkOut, adults, children }
+ * @returns {Promise<Array>} Devis (voir quoteStay)
+ * @throws {Error} status 400 si la capacité du type de chambre est dépassée
+ */
+const quoteRoomType = async (db, { roomType, checkIn, checkOut, adults = 1, children = 0 }) => {
+  if (roomType.max_guests && adults + children > Number(roomType.max_guests)) {
+    const error = new Error(`${roomType.max_guests} personne(s) maximum pour ce type de chambre`);
+    error.status = 400;
+    throw error;
+  }
+
+  const pricingsResult = await db.query('SELECT * FROM room_pricings WHERE room_type_id = $1', [roomType.id]);
+  const ratePlans = (await getRatePlans(db, roomType)).filter(plan => isPlanValidFor(plan, checkIn));
+
+  return ratePlans.map(ratePlan => quoteStay({
+    roomType,
+    ratePlan,
+    pricings: pricingsResult.rows,
+    checkIn,
+    checkOut,
+    adults,
+    children,
+  }));
+};
+
+/**
+ * Devis retenu pour une réservation : plan demandé, sinon premier plan réservable
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params - { roomType, checkIn, checkOut, adults, children, ratePlanId }
+ * @returns {Promise<Object>} Devis (voir quoteStay)
+ * @throws {Error} status 400 (restrictions, capacité) / 404 (plan inconnu)
+ */
+const quoteBooking = async (db, { ratePlanId = null, ...params }) => {
+  const quotes = await quoteRoomType(db, params);
+
+  const quote = ratePlanId
+    ? quotes.find(q => q.rate_plan.id === ratePlanId)
+    : quotes.find(q => q.bookable) || quotes[0];
+
+  if (!quote) {
+    const error = new Error(ratePlanId ? 'Plan tarifaire non disponible pour ces dates' : 'Aucun tarif disponible pour ces dates');
+    error.status = ratePlanId ? 404 : 400;
+    throw error;
+  }
+
+  if (!quote.bookable) {
+    const error = new Error(quote.restrictions.map(r => r.message).join(', '));
+    error.status = 400;
+    error.restrictions = quote.restrictions;
+    throw error;
+  }
+
+  return quote;
+};
+
+module.exports = {
+  STANDARD_RATE_PLAN,
+  toDateKey,
+  countNights,
+  getRatePlans,
+  checkRestrictions,
+  quoteStay,
+  quoteRoomType,
+  quoteBooking,
+};
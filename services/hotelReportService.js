@@ -0,0 +1,471 @@
+/**
+ * Service de rapports hôtel
+ * Indicateurs sur une période : taux d'occupation, ADR (prix moyen par nuitée vendue),
+ * RevPAR (revenu par chambre disponible), rythme des réservations par rapport à
+ * l'année précédente, taux d'annulation et chiffre d'affaires déjà réservé (OTB)
+ * par type de chambre et par offre
+ */
+
+const { RELEASED_STATUSES, OUT_OF_SERVICE_STATUSES } = require('./hotelInventoryService');
+const { countNights } = require('./hotelRateService');
+
+// Période maximale d'un rapport (une ligne par chambre et par nuit côté SQL)
+const MAX_REPORT_DAYS = 366;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const ratio = (numerator, denominator, scale = 1) =>
+  (denominator > 0 ? round((numerator / denominator) * scale) : 0);
+
+/**
+ * Même période un an plus tôt (le 29 février devient le 28)
+ */
+const shiftYear = (dateKey, years) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year + years, month - 1, day));
+  if (shifted.getUTCMonth() !== month - 1) shifted.setUTCDate(0);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// ============================================
+// NUITÉES VENDUES
+// ============================================
+/**
+ * Nuitées vendues et revenu hébergement par type de chambre et par offre
+ * Revenu d'une nuit : détail par nuit du séjour, sinon hébergement / nombre de nuits
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params
+ * @param {string} params.hotelId
+ * @param {string} params.from - Première nuit (YYYY-MM-DD)
+ * @param {string} params.to - Dernière nuit incluse (YYYY-MM-DD)
+ * @param {Date} [params.asOf] - Photo du carnet à cette date (séjours créés avant et pas encore annulés)
+ * @param {string} [params.today] - Nuits à partir de ce jour comptées comme "à venir"
+ * @returns {Promise<Array>} [{ room_type_id, offer_id, future, room_nights, revenue, reservation_ids }]
+ */
+const getSoldNights = async (db, { hotelId, from, to, asOf = null, today = null }) => {
+  const result = await db.query(
+    `WITH stay_nights AS (
+       SELECT r.id, r.room_type_id, r.offer_id, n::date as night,
+         COALESCE(
+           (SELECT (e->>'total')::numeric
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(r.price_breakdown) = 'array' THEN r.price_breakdown ELSE '[]'::jsonb END) e
+            WHERE e->>'date' = to_char(n, 'YYYY-MM-DD')
+            LIMIT 1),
+           (r.total_amount - COALESCE((SELECT SUM(ra.total_price) FROM reservation_add_ons ra WHERE ra.room_reservation_id = r.id), 0))
+             / GREATEST(COALESCE(r.nights, r.check_out_date - r.check_in_date), 1)
+         ) as revenue
+       FROM room_reservations r
+       CROSS JOIN LATERAL generate_series(GREATEST(r.check_in_date, $2::date), LEAST(r.check_out_date - 1, $3::date), INTERVAL '1 day') n
+       WHERE r.hotel_id = $1
+         AND r.check_in_date <= $3::date
+         AND r.check_out_date > $2::date
+         AND r.status <> 'expired'
+         AND (
+           ($4::timestamptz IS NULL AND r.status <> ALL($5))
+           OR ($4::timestamptz IS NOT NULL AND r.created_at <= $4::timestamptz
+               AND (r.status <> 'cancelled' OR r.cancelled_at > $4::timestamptz))
+         )
+     )
+     SELECT room_type_id, offer_id, ($6::date IS NOT NULL AND night >= $6::date) as future,
+       COUNT(*)::int as room_nights,
+       COALESCE(SUM(revenue), 0)::numeric as revenue,
+       array_agg(DISTINCT id) as reservation_ids
+     FROM stay_nights
+     GROUP BY room_type_id, offer_id, future`,
+    [hotelId, from, to, asOf, RELEASED_STATUSES, today]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    revenue: round(Number(row.revenue)),
+  }));
+};
+
+/**
+ * Nuitées disponibles par type de chambre
+ * Chambres vendables (hors service et maintenance exclues), moins les blocages iCal
+ * (vendus sur des sites externes, sans revenu connu)
+ * @returns {Promise<Object>} { [room_type_id]: { room_nights, blocked_nights } }
+ */
+const getAvailableNights = async (db, { hotelId, from, to }) => {
+  const roomsResult = await db.query(
+    `SELECT ro.room_type_id, COUNT(*)::int as room_nights
+     FROM rooms ro
+     CROSS JOIN generate_series($2::date, $3::date, INTERVAL '1 day') n
+     WHERE ro.hotel_id = $1
+       AND ro.status <> ALL($4)
+       AND NOT EXISTS (
+         SELECT 1 FROM room_maintenance_blocks mb
+         WHERE mb.room_id = ro.id AND mb.start_date <= n::date AND mb.end_date > n::date
+       )
+     GROUP BY ro.room_type_id`,
+    [hotelId, from, to, OUT_OF_SERVICE_STATUSES]
+  );
+
+  const blocksResult = await db.query(
+    `SELECT rb.room_type_id,
+       SUM(rb.rooms_count * (LEAST(rb.end_date, $3::date + 1) - GREATEST(rb.start_date, $2::date)))::int as blocked_nights
+     FROM room_blocks rb
+     WHERE rb.hotel_id = $1 AND rb.start_date <= $3::date AND rb.end_date > $2::date
+     GROUP BY rb.room_type_id`,
+    [hotelId, from, to]
+  );
+
+  const nights = {};
+  for (const row of roomsResult.rows) {
+    nights[row.room_type_id] = { room_nights: row.room_nights, blocked_nights: 0 };
+  }
+  for (const row of blocksResult.rows) {
+    nights[row.room_type_id] = nights[row.room_type_id] || { room_nights: 0, blocked_nights: 0 };
+    nights[row.room_type_id].blocked_nights = row.blocked_nights;
+  }
+
+  return nights;
+};
+
+// ============================================
+// INDICATEURS
+// ============================================
+/**
+ * Occupation, ADR et RevPAR à partir des nuitées disponibles et vendues
+ */
+const toKpis = (availableNights, soldNights, revenue) => ({
+  available_nights: availableNights,
+  sold_nights: soldNights,
+  revenue: round(revenue),
+  occupancy_percent: ratio(soldNights, availableNights, 100),
+  adr: ratio(revenue, soldNights),
+  revpar: ratio(revenue, availableNights),
+});
+
+/**
+ * Nombre de nuits de la période
+ * @throws {Error} status 400 si la période est invalide ou trop longue
+ */
+const checkPeriod = (from, to) => {
+  const days = countNights(from, to) + 1;
+  if (!(days > 0)) throw httpError(400, 'La date de fin doit être après la date de début');
+  if (days > MAX_REPORT_DAYS) throw httpError(400, `Période limitée à ${MAX_REPORT_DAYS} jours`);
+  return days;
+};
+
+// Un séjour à cheval sur aujourd'hui apparaît dans deux groupes : compté une fois
+const sumRows = (rows) => {
+  const reservationIds = new Set(rows.flatMap(row => row.reservation_ids));
+  return {
+    room_nights: rows.reduce((sum, row) => sum + row.room_nights, 0),
+    revenue: round(rows.reduce((sum, row) => sum + row.revenue, 0)),
+    reservations: reservationIds.size,
+  };
+};
+
+/**
+ * Taux d'annulation des séjours dont l'arrivée tombe dans la période
+ * (séjours expirés faute d'acompte exclus : jamais confirmés)
+ */
+const getCancellationStats = async (db, { hotelId, from, to }) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int as bookings,
+       COUNT(*) FILTER (WHERE status = 'cancelled')::int as cancelled,
+       COALESCE(SUM(total_amount) FILTER (WHERE status = 'cancelled'), 0)::numeric as cancelled_amount,
+       COALESCE(SUM(penalty_amount) FILTER (WHERE status = 'cancelled'), 0)::numeric as penalties
+     FROM room_reservations
+     WHERE hotel_id = $1 AND check_in_date BETWEEN $2::date AND $3::date AND status <> 'expired'`,
+    [hotelId, from, to]
+  );
+  const row = result.rows[0];
+
+  return {
+    bookings: row.bookings,
+    cancelled: row.cancelled,
+    rate_percent: ratio(row.cancelled, row.bookings, 100),
+    cancelled_amount: round(Number(row.cancelled_amount)),
+    penalties: round(Number(row.penalties)),
+  };
+};
+
+/**
+ * Rapport d'indicateurs hôtel sur une période
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params
+ * @param {string} params.hotelId
+ * @param {string} params.from - Première nuit (YYYY-MM-DD)
+ * @param {string} params.to - Dernière nuit incluse (YYYY-MM-DD)
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { hotel, period, totals, by_room_type, by_offer, pace, cancellations, on_the_books }
+ * @throws {Error} status 400 si la période est invalide
+ */
+const buildKpiReport = async (db, { hotelId, from, to, now = new Date() }) => {
+  const days = checkPeriod(from, to);
+
+  const todayResult = await db.query('SELECT CURRENT_DATE::text as today');
+  const today = todayResult.rows[0].today;
+  const lastYear = { from: shiftYear(from, -1), to: shiftYear(to, -1) };
+  const lastYearAsOf = new Date(now);
+  lastYearAsOf.setFullYear(lastYearAsOf.getFullYear() - 1);
+
+  const [hotelResult, sold, available, paceNow, paceLastYear, lastYearFinal, cancellations, roomTypesResult, offersResult] = await Promise.all([
+    db.query('SELECT id, name FROM hotels WHERE id = $1', [hotelId]),
+    getSoldNights(db, { hotelId, from, to, today }),
+    getAvailableNights(db, { hotelId, from, to }),
+    getSoldNights(db, { hotelId, from, to, asOf: now }),
+    getSoldNights(db, { hotelId, from: lastYear.from, to: lastYear.to, asOf: lastYearAsOf }),
+    getSoldNights(db, { hotelId, from: lastYear.from, to: lastYear.to }),
+    getCancellationStats(db, { hotelId, from, to }),
+    db.query('SELECT id, name FROM room_types WHERE hotel_id = $1 ORDER BY display_order, name', [hotelId]),
+    db.query('SELECT id, name FROM hotel_offers WHERE hotel_id = $1 ORDER BY name', [hotelId]),
+  ]);
+
+  // Par type de chambre
+  const byRoomType = roomTypesResult.rows.map((roomType) => {
+    const rows = sold.filter(row => row.room_type_id === roomType.id);
+    const totals = sumRows(rows);
+    const nights = available[roomType.id] || { room_nights: 0, blocked_nights: 0 };
+    return {
+      room_type_id: roomType.id,
+      name: roomType.name,
+      blocked_nights: nights.blocked_nights,
+      ...toKpis(Math.max(0, nights.room_nights - nights.blocked_nights), totals.room_nights, totals.revenue),
+      on_the_books_revenue: sumRows(rows.filter(row => row.future)).revenue,
+    };
+  });
+
+  // Par offre (séjours sans offre regroupés)
+  const offerNames = Object.fromEntries(offersResult.rows.map(offer => [offer.id, offer.name]));
+  const offerIds = [...new Set(sold.map(row => row.offer_id || null))];
+  const byOffer = offerIds.map((offerId) => {
+    const rows = sold.filter(row => (row.offer_id || null) === offerId);
+    const totals = sumRows(rows);
+    return {
+      offer_id: offerId,
+      name: offerId ? (offerNames[offerId] || 'Offre supprimée') : 'Sans offre',
+      sold_nights: totals.room_nights,
+      revenue: totals.revenue,
+      adr: ratio(totals.revenue, totals.room_nights),
+      reservations: totals.reservations,
+      on_the_books_revenue: sumRows(rows.filter(row => row.future)).revenue,
+    };
+  }).sort((a, b) => b.revenue - a.revenue);
+
+  const totalAvailable = byRoomType.reduce((sum, roomType) => sum + roomType.available_nights, 0);
+  const totalSold = sumRows(sold);
+
+  // Rythme : carnet aujourd'hui vs carnet à la même date l'an dernier (même période décalée d'un an)
+  const current = sumRows(paceNow);
+  const sameTimeLastYear = sumRows(paceLastYear);
+  const finalLastYear = sumRows(lastYearFinal);
+  const variance = (value, reference) => (reference > 0 ? round(((value - reference) / reference) * 100) : null);
+
+  // Chiffre d'affaires déjà réservé sur les nuits à venir de la période
+  const future = sold.filter(row => row.future);
+  const onTheBooksFrom = from > today ? from : today;
+
+  return {
+    hotel: hotelResult.rows[0] || { id: hotelId, name: null },
+    period: { from, to, days },
+    generated_at: now.toISOString(),
+    totals: {
+      blocked_nights: byRoomType.reduce((sum, roomType) => sum + roomType.blocked_nights, 0),
+      ...toKpis(totalAvailable, totalSold.room_nights, totalSold.revenue),
+      reservations: totalSold.reservations,
+    },
+    by_room_type: byRoomType,
+    by_offer: byOffer,
+    pace: {
+      as_of: now.toISOString(),
+      current,
+      last_year_same_time: { ...sameTimeLastYear, from: lastYear.from, to: lastYear.to, as_of: lastYearAsOf.toISOString() },
+      last_year_final: finalLastYear,
+      room_nights_variance_percent: variance(current.room_nights, sameTimeLastYear.room_nights),
+      revenue_variance_percent: variance(current.revenue, sameTimeLastYear.revenue),
+    },
+    cancellations,
+    on_the_books: {
+      from: onTheBooksFrom <= to ? onTheBooksFrom : null,
+      to,
+      ...sumRows(future),
+      by_room_type: byRoomType.map(roomType => ({
+        room_type_id: roomType.room_type_id,
+        name: roomType.name,
+        ...sumRows(future.filter(row => row.room_type_id === roomType.room_type_id)),
+      })),
+      by_offer: byOffer.map(offer => ({
+        offer_id: offer.offer_id,
+        name: offer.name,
+        ...sumRows(future.filter(row => (row.offer_id || null) === offer.offer_id)),
+      })).filter(offer => offer.room_nights > 0),
+    },
+  };
+};
+
+/**
+ * Rapport consolidé de plusieurs établissements (indicateurs recalculés sur les sommes)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} params
+ * @param {Array<Object>} params.hotels - Lignes hotels
+ * @param {string} params.from
+ * @param {string} params.to
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { period, totals, by_hotel, pace, cancellations, on_the_books, properties }
+ */
+const buildPortfolioReport = async (db, { hotels, from, to, now = new Date() }) => {
+  const days = checkPeriod(from, to);
+
+  const properties = [];
+  for (const hotel of hotels) {
+    properties.push(await buildKpiReport(db, { hotelId: hotel.id, from, to, now }));
+  }
+
+  const sum = (items, key) => round(items.reduce((total, item) => total + (Number(item[key]) || 0), 0));
+  const sumPace = (key) => ({
+    room_nights: sum(properties.map(p => p.pace[key]), 'room_nights'),
+    revenue: sum(properties.map(p => p.pace[key]), 'revenue'),
+    reservations: sum(properties.map(p => p.pace[key]), 'reservations'),
+  });
+  const variance = (value, reference) => (reference > 0 ? round(((value - reference) / reference) * 100) : null);
+
+  const totals = properties.map(p => p.totals);
+  const current = sumPace('current');
+  const sameTimeLastYear = sumPace('last_year_same_time');
+  const cancellations = properties.map(p => p.cancellations);
+  const bookings = sum(cancellations, 'bookings');
+  const cancelled = sum(cancellations, 'cancelled');
+
+  return {
+    hotel: null,
+    period: { from, to, days },
+    generated_at: now.toISOString(),
+    totals: {
+      blocked_nights: sum(totals, 'blocked_nights'),
+      ...toKpis(sum(totals, 'available_nights'), sum(totals, 'sold_nights'), sum(totals, 'revenue')),
+      reservations: sum(totals, 'reservations'),
+    },
+    by_hotel: properties.map(p => ({
+      hotel: p.hotel,
+      ...p.totals,
+      cancellation_rate_percent: p.cancellations.rate_percent,
+      on_the_books_revenue: p.on_the_books.revenue,
+    })),
+    pace: {
+      as_of: now.toISOString(),
+      current,
+      last_year_same_time: sameTimeLastYear,
+      last_year_final: sumPace('last_year_final'),
+      room_nights_variance_percent: variance(current.room_nights, sameTimeLastYear.room_nights),
+      revenue_variance_percent: variance(current.revenue, sameTimeLastYear.revenue),
+    },
+    cancellations: {
+      bookings,
+      cancelled,
+      rate_percent: ratio(cancelled, bookings, 100),
+      cancelled_amount: sum(cancellations, 'cancelled_amount'),
+      penalties: sum(cancellations, 'penalties'),
+    },
+    on_the_books: {
+      to,
+      room_nights: sum(properties.map(p => p.on_the_books), 'room_nights'),
+      revenue: sum(properties.map(p => p.on_the_books), 'revenue'),
+      reservations: sum(properties.map(p => p.on_the_books), 'reservations'),
+    },
+    properties,
+  };
+};
+
+// ============================================
+// EXPORT CSV
+// ============================================
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Lignes CSV d'un rapport (sections absentes d'un rapport consolidé ignorées)
+ */
+const reportRows = (report, hotelLabel) => {
+  const rows = [];
+  const push = (section, label, metrics) => {
+    for (const [metric, value] of Object.entries(metrics)) {
+      rows.push([hotelLabel, section, label, metric, value]);
+    }
+  };
+  const kpis = (item) => ({
+    'Nuitées disponibles': item.available_nights,
+    'Nuitées vendues': item.sold_nights,
+    'Occupation %': item.occupancy_percent,
+    ADR: item.adr,
+    RevPAR: item.revpar,
+    'CA hébergement': item.revenue,
+  });
+
+  push('Total', `${report.period.from} - ${report.period.to}`, {
+    ...kpis(report.totals),
+    'Nuitées bloquées (iCal)': report.totals.blocked_nights,
+    Réservations: report.totals.reservations,
+  });
+  for (const roomType of report.by_room_type || []) {
+    push('Type de chambre', roomType.name, { ...kpis(roomType), 'CA à venir': roomType.on_the_books_revenue });
+  }
+  for (const offer of report.by_offer || []) {
+    push('Offre', offer.name, {
+      'Nuitées vendues': offer.sold_nights,
+      ADR: offer.adr,
+      'CA hébergement': offer.revenue,
+      'CA à venir': offer.on_the_books_revenue,
+    });
+  }
+  const { pace } = report;
+  push('Rythme', 'Carnet actuel', { Nuitées: pace.current.room_nights, CA: pace.current.revenue });
+  push('Rythme', 'Même date N-1', { Nuitées: pace.last_year_same_time.room_nights, CA: pace.last_year_same_time.revenue });
+  push('Rythme', 'Réalisé N-1', { Nuitées: pace.last_year_final.room_nights, CA: pace.last_year_final.revenue });
+  push('Rythme', 'Écart vs N-1 %', { Nuitées: pace.room_nights_variance_percent, CA: pace.revenue_variance_percent });
+  push('Annulations', 'Arrivées sur la période', {
+    Réservations: report.cancellations.bookings,
+    Annulées: report.cancellations.cancelled,
+    'Taux %': report.cancellations.rate_percent,
+    Pénalités: report.cancellations.penalties,
+  });
+  push('CA à venir', 'Total', { Nuitées: report.on_the_books.room_nights, CA: report.on_the_books.revenue });
+  for (const roomType of report.on_the_books.by_room_type || []) {
+    push('CA à venir - type de chambre', roomType.name, { Nuitées: roomType.room_nights, CA: roomType.revenue });
+  }
+  for (const offer of report.on_the_books.by_offer || []) {
+    push('CA à venir - offre', offer.name, { Nuitées: offer.room_nights, CA: offer.revenue });
+  }
+
+  return rows;
+};
+
+/**
+ * Rapport au format CSV (une ligne par indicateur : hôtel, section, libellé, indicateur, valeur)
+ * Rapport consolidé : lignes consolidées puis détail de chaque établissement
+ * @param {Object} report - Résultat de buildKpiReport ou buildPortfolioReport
+ * @returns {string}
+ */
+const kpiReportToCsv = (report) => {
+  const rows = report.properties
+    ? [
+      ...reportRows(report, 'Tous les établissements'),
+      ...report.properties.flatMap(property => reportRows(property, property.hotel.name)),
+    ]
+    : reportRows(report, report.hotel.name);
+
+  return [
+    ['Hôtel', 'Section', 'Libellé', 'Indicateur', 'Valeur'].join(','),
+    ...rows.map(row => row.map(csvCell).join(',')),
+  ].join('\n');
+};
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  buildKpiReport,
+  buildPortfolioReport,
+  kpiReportToCsv,
+};
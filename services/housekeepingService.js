@@ -0,0 +1,287 @@
+/**
+ * Service de ménage hôtel
+ * Tâches quotidiennes (départs, recouches), assignation au personnel,
+ * cycle des chambres dirty → cleaning → inspected → available
+ * et blocages maintenance retirant une chambre de la vente sur une période
+ */
+
+const { RELEASED_STATUSES, getNightlyOccupancy } = require('./hotelInventoryService');
+
+const TASK_TYPES = ['checkout', 'stayover'];
+
+// Transitions autorisées d'une tâche
+const TASK_TRANSITIONS = {
+  pending: ['cleaning', 'cancelled'],
+  cleaning: ['inspected', 'pending'],
+  inspected: ['done', 'cleaning'],
+  done: [],
+  cancelled: ['pending'],
+};
+
+// Statut de la chambre suivant une tâche de départ (une recouche laisse la chambre occupée)
+const ROOM_STATUS_BY_TASK = {
+  pending: 'dirty',
+  cleaning: 'cleaning',
+  inspected: 'inspected',
+  done: 'available',
+};
+
+// Chambres pas encore prêtes pour une arrivée
+const NOT_READY_STATUSES = ['dirty', 'cleaning', 'inspected'];
+
+// Séjours ne générant pas de ménage
+const NO_TASK_STATUSES = [...RELEASED_STATUSES, 'pending_payment', 'no_show'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ============================================
+// GÉNÉRATION DES TÂCHES
+// ============================================
+/**
+ * Tâche de départ pour une chambre libérée (appelée au départ du client)
+ * Sans effet si la tâche du jour existe déjà (générée le matin)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} reservation - Ligne room_reservations (room_id renseigné)
+ * @returns {Promise<Object|null>} Tâche créée
+ */
+const createCheckoutTask = async (client, reservation) => {
+  const result = await client.query(
+    `INSERT INTO housekeeping_tasks (hotel_id, room_id, room_reservation_id, task_date, task_type, priority)
+     SELECT $1, $2, $3, CURRENT_DATE, 'checkout',
+       CASE WHEN EXISTS (
+         SELECT 1 FROM room_reservations a
+         WHERE a.room_id = $2 AND a.check_in_date = CURRENT_DATE
+           AND a.id <> $3 AND a.status <> ALL($4)
+       ) THEN 1 ELSE 0 END
+     ON CONFLICT (room_id, task_date, task_type) DO NOTHING
+     RETURNING *`,
+    [reservation.hotel_id, reservation.room_id, reservation.id, NO_TASK_STATUSES]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Générer les tâches d'une journée
+ * Départ : séjours quittant la chambre ce jour (prioritaire si une arrivée suit)
+ * Recouche : clients présents qui restent au moins une nuit de plus
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD (aujourd'hui par défaut)
+ * @param {string} [options.hotelId] - Limiter à un hôtel
+ * @returns {Promise<Object>} { date, checkout, stayover } (tâches créées)
+ */
+const generateDailyTasks = async (db, { date = null, hotelId = null } = {}) => {
+  const checkoutResult = await db.query(
+    `INSERT INTO housekeeping_tasks (hotel_id, room_id, room_reservation_id, task_date, task_type, priority)
+     SELECT r.hotel_id, r.room_id, r.id, COALESCE($1::date, CURRENT_DATE), 'checkout',
+       CASE WHEN EXISTS (
+         SELECT 1 FROM room_reservations a
+         WHERE a.room_id = r.room_id AND a.check_in_date = r.check_out_date
+           AND a.id <> r.id AND a.status <> ALL($3)
+       ) THEN 1 ELSE 0 END
+     FROM room_reservations r
+     WHERE r.room_id IS NOT NULL
+       AND r.check_out_date = COALESCE($1::date, CURRENT_DATE)
+       AND r.status <> ALL($3)
+       AND ($2::uuid IS NULL OR r.hotel_id = $2::uuid)
+     ON CONFLICT (room_id, task_date, task_type) DO NOTHING
+     RETURNING id`,
+    [date, hotelId, NO_TASK_STATUSES]
+  );
+
+  const stayoverResult = await db.query(
+    `INSERT INTO housekeeping_tasks (hotel_id, room_id, room_reservation_id, task_date, task_type)
+     SELECT r.hotel_id, r.room_id, r.id, COALESCE($1::date, CURRENT_DATE), 'stayover'
+     FROM room_reservations r
+     WHERE r.room_id IS NOT NULL
+       AND r.status = 'checked_in'
+       AND r.check_in_date < COALESCE($1::date, CURRENT_DATE)
+       AND r.check_out_date > COALESCE($1::date, CURRENT_DATE)
+       AND ($2::uuid IS NULL OR r.hotel_id = $2::uuid)
+     ON CONFLICT (room_id, task_date, task_type) DO NOTHING
+     RETURNING id`,
+    [date, hotelId]
+  );
+
+  const dateResult = await db.query('SELECT COALESCE($1::date, CURRENT_DATE)::text as date', [date]);
+
+  return {
+    date: dateResult.rows[0].date,
+    checkout: checkoutResult.rowCount,
+    stayover: stayoverResult.rowCount,
+  };
+};
+
+// ============================================
+// CYCLE DES TÂCHES
+// ============================================
+/**
+ * Faire avancer une tâche ; une tâche de départ fait suivre le statut de la chambre
+ * La chambre n'est pas modifiée si elle n'est plus dans le cycle de ménage
+ * (client arrivé entre-temps, chambre hors service)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} taskId - Tâche
+ * @param {string} status - Nouveau statut
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Auteur
+ * @param {boolean} [options.isAdmin] - Un membre du personnel ne modifie que ses tâches (ou non assignées)
+ * @param {Array<string>} [options.hotelIds] - Établissements accessibles (null = tous)
+ * @param {string} [options.notes]
+ * @returns {Promise<Object>} { task, room }
+ * @throws {Error} status 400 / 403 / 404
+ */
+const updateTaskStatus = async (client, taskId, status, { userId = null, isAdmin = false, hotelIds = null, notes = null } = {}) => {
+  const taskResult = await client.query('SELECT * FROM housekeeping_tasks WHERE id = $1 FOR UPDATE', [taskId]);
+  const task = taskResult.rows[0];
+  if (!task || (hotelIds && !hotelIds.includes(task.hotel_id))) throw httpError(404, 'Tâche non trouvée');
+
+  if (!isAdmin && task.assigned_to && task.assigned_to !== userId) {
+    throw httpError(403, 'Tâche assignée à un autre membre du personnel');
+  }
+
+  const allowed = TASK_TRANSITIONS[task.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(400, `Passage de "${task.status}" à "${status}" impossible`);
+  }
+
+  const updateResult = await client.query(
+    `UPDATE housekeeping_tasks
+     SET status = $1,
+         assigned_to = CASE WHEN $1 = 'cleaning' THEN COALESCE(assigned_to, $2) ELSE assigned_to END,
+         started_at = CASE WHEN $1 = 'cleaning' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+         inspected_at = CASE WHEN $1 = 'inspected' THEN NOW() WHEN $1 IN ('pending', 'cleaning') THEN NULL ELSE inspected_at END,
+         inspected_by = CASE WHEN $1 = 'inspected' THEN $2 WHEN $1 IN ('pending', 'cleaning') THEN NULL ELSE inspected_by END,
+         completed_at = CASE WHEN $1 = 'done' THEN NOW() ELSE NULL END,
+         notes = COALESCE($3, notes)
+     WHERE id = $4
+     RETURNING *`,
+    [status, userId, notes, task.id]
+  );
+
+  const roomResult = await client.query('SELECT * FROM rooms WHERE id = $1 FOR UPDATE', [task.room_id]);
+  let room = roomResult.rows[0];
+  const roomStatus = ROOM_STATUS_BY_TASK[status];
+
+  if (task.task_type === 'checkout' && roomStatus
+      && [...NOT_READY_STATUSES, 'available'].includes(room.status) && room.status !== roomStatus) {
+    const roomUpdate = await client.query(
+      'UPDATE rooms SET status = $1, status_updated_at = NOW() WHERE id = $2 RETURNING *',
+      [roomStatus, room.id]
+    );
+    room = roomUpdate.rows[0];
+  }
+
+  return { task: updateResult.rows[0], room };
+};
+
+/**
+ * Assigner une tâche à un membre du personnel (ou la désassigner)
+ * Le personnel doit être rattaché à l'établissement de la tâche (hotel_staff)
+ * @param {Object} db - Pool ou client pg
+ * @param {string} taskId - Tâche
+ * @param {string|null} userId - Utilisateur staff ou admin
+ * @returns {Promise<Object>} Tâche
+ * @throws {Error} status 400 / 404
+ */
+const assignTask = async (db, taskId, userId) => {
+  const taskResult = await db.query(
+    'SELECT * FROM housekeeping_tasks WHERE id = $1 AND status NOT IN (\'done\', \'cancelled\')',
+    [taskId]
+  );
+  const task = taskResult.rows[0];
+  if (!task) throw httpError(404, 'Tâche non trouvée ou terminée');
+
+  if (userId) {
+    const userResult = await db.query(
+      `SELECT u.id FROM users u
+       WHERE u.id = $1 AND u.is_active = true
+         AND (u.role = 'admin'
+           OR (u.role = 'staff' AND EXISTS (
+             SELECT 1 FROM hotel_staff hs WHERE hs.user_id = u.id AND hs.hotel_id = $2
+           )))`,
+      [userId, task.hotel_id]
+    );
+    if (!userResult.rows[0]) throw httpError(400, 'Utilisateur introuvable ou non rattaché à cet établissement');
+  }
+
+  const result = await db.query(
+    'UPDATE housekeeping_tasks SET assigned_to = $1 WHERE id = $2 RETURNING *',
+    [userId, task.id]
+  );
+
+  return result.rows[0];
+};
+
+// ============================================
+// MAINTENANCE
+// ============================================
+/**
+ * Retirer une chambre de la vente sur une période (end_date exclue)
+ * Refusé si un séjour est attribué à la chambre sur la période, ou si le type
+ * de chambre n'a plus assez de chambres pour les séjours non attribués
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} block - { roomId, startDate, endDate, reason, userId }
+ * @returns {Promise<Object>} Ligne room_maintenance_blocks
+ * @throws {Error} status 404 / 409
+ */
+const createMaintenanceBlock = async (client, { roomId, startDate, endDate, reason = null, userId = null }) => {
+  const roomResult = await client.query('SELECT * FROM rooms WHERE id = $1', [roomId]);
+  const room = roomResult.rows[0];
+  if (!room) throw httpError(404, 'Chambre non trouvée');
+
+  // Même verrou que l'attribution des chambres
+  await client.query('SELECT id FROM room_types WHERE id = $1 FOR UPDATE', [room.room_type_id]);
+
+  const conflictsResult = await client.query(
+    `SELECT id, guest_firstname, guest_lastname, check_in_date, check_out_date
+     FROM room_reservations
+     WHERE room_id = $1
+       AND status <> ALL($2) AND status <> 'checked_out'
+       AND check_in_date < $4
+       AND check_out_date > $3
+     ORDER BY check_in_date`,
+    [room.id, RELEASED_STATUSES, startDate, endDate]
+  );
+  if (conflictsResult.rows.length > 0) {
+    const error = httpError(409, `Chambre ${room.room_number} attribuée à ${conflictsResult.rows.length} séjour(s) sur la période : réattribuer avant de bloquer`);
+    error.conflicts = conflictsResult.rows;
+    throw error;
+  }
+
+  const insertResult = await client.query(
+    `INSERT INTO room_maintenance_blocks (hotel_id, room_id, start_date, end_date, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [room.hotel_id, room.id, startDate, endDate, reason, userId]
+  );
+
+  const overbooked = (await getNightlyOccupancy(client, {
+    roomTypeId: room.room_type_id,
+    from: startDate,
+    to: endDate,
+  })).filter(night => night.occupied > night.total_rooms);
+
+  if (overbooked.length > 0) {
+    const error = httpError(409, 'Plus assez de chambres de ce type pour les séjours prévus sur la période');
+    error.conflicts = overbooked;
+    throw error;
+  }
+
+  return { ...insertResult.rows[0], room_number: room.room_number };
+};
+
+module.exports = {
+  TASK_TYPES,
+  TASK_TRANSITIONS,
+  NOT_READY_STATUSES,
+  createCheckoutTask,
+  generateDailyTasks,
+  updateTaskStatus,
+  assignTask,
+  createMaintenanceBlock,
+};
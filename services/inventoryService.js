@@ -0,0 +1,185 @@
+/**
+ * Service de gestion du stock des commandes
+ * Réservation atomique (verrous FOR UPDATE) et libération idempotente
+ */
+
+// ============================================
+// LOCK STOCK ROWS
+// ============================================
+/**
+ * Verrouiller les lignes produits/variantes d'une liste d'articles
+ * Ordre de verrouillage stable (produit puis variante) pour éviter les interblocages
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Array} items - Articles { productId, variantId }
+ */
+const lockStockRows = async (client, items) => {
+  const productIds = [...new Set(items.map((item) => item.productId))].sort();
+  const variantIds = [...new Set(items.filter((item) => item.variantId).map((item) => item.variantId))].sort();
+
+  if (productIds.length > 0) {
+    await client.query(
+      'SELECT id FROM products WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+      [productIds]
+    );
+  }
+
+  if (variantIds.length > 0) {
+    await client.query(
+      'SELECT id FROM product_variants WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+      [variantIds]
+    );
+  }
+};
+
+// ============================================
+// RESERVE ORDER STOCK
+// ============================================
+/**
+ * Décrémenter le stock des articles d'une commande (lignes déjà verrouillées)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Array} items - Articles { productId, variantId, productName, quantity }
+ * @param {string} reference - Référence du mouvement (numéro de commande)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowShortage] - Décrémenter même si le stock est insuffisant
+ * @returns {Promise<Array>} Articles en rupture (si allowShortage)
+ * @throws {Error} status 409 si le stock est insuffisant
+ */
+const reserveOrderStock = async (client, items, reference, { allowShortage = false } = {}) => {
+  const shortages = [];
+
+  for (const item of items) {
+    const table = item.variantId ? 'product_variants' : 'products';
+    const stockId = item.variantId || item.productId;
+
+    const result = await client.query(
+      `UPDATE ${table} SET stock_quantity = stock_quantity - $1
+       WHERE id = $2 ${allowShortage ? '' : 'AND stock_quantity >= $1'}
+       RETURNING stock_quantity`,
+      [item.quantity, stockId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error(`Stock insuffisant pour ${item.productName || item.productId}`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (result.rows[0].stock_quantity < 0) {
+      shortages.push({ ...item, missing: -result.rows[0].stock_quantity });
+    }
+
+    // Mouvement inventaire
+    await client.query(
+      `INSERT INTO inventory_movements (
+        product_id, variant_id, type, quantity, reference
+      ) VALUES ($1, $2, 'sale', $3, $4)`,
+      [item.productId, item.variantId || null, -item.quantity, reference]
+    );
+  }
+
+  return shortages;
+};
+
+// ============================================
+// RELEASE ORDER STOCK
+// ============================================
+/**
+ * Remettre en stock les articles d'une commande (une seule fois par commande)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} order - Commande { id, order_number }
+ * @param {string} note - Motif (annulation, paiement échoué…)
+ * @returns {Promise<boolean>} true si le stock a été libéré par cet appel
+ */
+const releaseOrderStock = async (client, order, note) => {
+  const claimResult = await client.query(
+    `UPDATE orders SET stock_released_at = NOW()
+     WHERE id = $1 AND stock_released_at IS NULL
+     RETURNING id`,
+    [order.id]
+  );
+
+  if (claimResult.rows.length === 0) {
+    return false;
+  }
+
+  const itemsResult = await client.query(
+    'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+    [order.id]
+  );
+
+  await lockStockRows(
+    client,
+    itemsResult.rows.map((item) => ({ productId: item.product_id, variantId: item.variant_id }))
+  );
+
+  for (const item of itemsResult.rows) {
+    if (item.variant_id) {
+      await client.query(
+        'UPDATE product_variants SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+        [item.quantity, item.variant_id]
+      );
+    } else {
+      await client.query(
+        'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+        [item.quantity, item.product_id]
+      );
+    }
+
+    // Ajouter mouvement inventaire
+    await client.query(
+      `INSERT INTO inventory_movements (
+        product_id, variant_id, type, quantity, reference, note
+      ) VALUES ($1, $2, 'return', $3, $4, $5)`,
+      [item.product_id, item.variant_id, item.quantity, order.order_number, note]
+    );
+  }
+
+  return true;
+};
+
+// ============================================
+// RE-RESERVE RELEASED STOCK
+// ============================================
+/**
+ * Réserver à nouveau le stock d'une commande libérée (paiement finalement réussi)
+ * Le paiement étant encaissé, la commande est honorée même en cas de rupture
+ * Une commande annulée n'est jamais re-réservée (paiement à rembourser)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} order - Commande { id, order_number }
+ * @returns {Promise<Array|null>} Articles en rupture, null si rien à réserver
+ */
+const rereserveOrderStock = async (client, order) => {
+  const claimResult = await client.query(
+    `UPDATE orders SET stock_released_at = NULL
+     WHERE id = $1 AND stock_released_at IS NOT NULL AND status <> 'cancelled'
+     RETURNING id`,
+    [order.id]
+  );
+
+  if (claimResult.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await client.query(
+    'SELECT product_id, variant_id, product_name, quantity FROM order_items WHERE order_id = $1',
+    [order.id]
+  );
+
+  const items = itemsResult.rows.map((item) => ({
+    productId: item.product_id,
+    variantId: item.variant_id,
+    productName: item.product_name,
+    quantity: item.quantity,
+  }));
+
+  await lockStockRows(client, items);
+
+  return reserveOrderStock(client, items, order.order_number, { allowShortage: true });
+};
+
+module.exports = {
+  lockStockRows,
+  reserveOrderStock,
+  releaseOrderStock,
+  rereserveOrderStock,
+};
@@ -0,0 +1,275 @@
+/**
+ * Service de file de préparation cuisine
+ * États de préparation par article (received → preparing → ready → collected)
+ * pour les commandes click & collect et sur place, file triée par heure de retrait
+ */
+
+const { getRestaurantTimezone } = require('../utils/restaurantTime');
+
+// Commandes préparées en cuisine
+const KITCHEN_ORDER_TYPES = ['click_collect', 'on_site'];
+
+const PREP_STATUSES = ['received', 'preparing', 'ready', 'collected'];
+
+// Transitions autorisées d'un article (retour arrière possible en cas d'erreur de manipulation)
+const PREP_TRANSITIONS = {
+  received: ['preparing', 'ready'],
+  preparing: ['ready', 'received'],
+  ready: ['collected', 'preparing'],
+  collected: ['ready'],
+};
+
+// Commandes hors file
+const EXCLUDED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+// Sur place, réglée au comptoir : préparée avant paiement
+const COUNTER_PAYMENT_METHOD = 'counter';
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Commande à préparer : payée, ou sur place explicitement réglée au comptoir
+ * (une commande en ligne en attente de paiement n'entre pas en cuisine)
+ */
+const isPaidForKitchen = order => (
+  order.payment_status === 'paid'
+  || (order.order_type === 'on_site'
+    && order.payment_method === COUNTER_PAYMENT_METHOD
+    && order.payment_status === 'pending')
+);
+
+/**
+ * État d'une commande = état de son article le moins avancé
+ * @param {Array} items - Articles (prep_status)
+ * @returns {string}
+ */
+const getOrderPrepStatus = (items) => {
+  if (items.length === 0) return 'received';
+  const index = Math.min(...items.map(item => PREP_STATUSES.indexOf(item.prep_status)));
+  return PREP_STATUSES[index];
+};
+
+// ============================================
+// FILE
+// ============================================
+/**
+ * File de préparation, triée par heure de retrait (sans heure : ordre d'arrivée, en fin de file)
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} [options]
+ * @param {Array<string>} [options.statuses] - États de commande à inclure (défaut : non retirées)
+ * @param {string} [options.date] - YYYY-MM-DD, jour de retrait en heure du restaurant (défaut : tous)
+ * @param {string} [options.orderType] - click_collect | on_site
+ * @returns {Promise<Array>} Commandes avec articles et prep_status global
+ */
+const getKitchenQueue = async (db, { statuses = ['received', 'preparing', 'ready'], date = null, orderType = null } = {}) => {
+  const ordersResult = await db.query(
+    `SELECT o.id, o.order_number, o.order_type, o.status, o.payment_status,
+            o.pickup_time, o.special_notes, o.customer_note, o.created_at, o.ready_at,
+            o.billing_address->>'firstName' as customer_firstname,
+            o.billing_address->>'lastName' as customer_lastname
+     FROM orders o
+     WHERE o.order_type = ANY($1)
+       AND o.status <> ALL($2)
+       AND (o.payment_status = 'paid'
+         OR (o.order_type = 'on_site' AND o.payment_method = $6 AND o.payment_status = 'pending'))
+       AND ($3::date IS NULL OR (o.pickup_time AT TIME ZONE $5)::date = $3::date)
+       AND ($4::text IS NULL OR o.order_type = $4)
+       AND EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id AND oi.prep_status <> 'collected')
+     ORDER BY o.pickup_time ASC NULLS LAST, o.created_at ASC`,
+    [KITCHEN_ORDER_TYPES, EXCLUDED_ORDER_STATUSES, date, orderType, getRestaurantTimezone(), COUNTER_PAYMENT_METHOD]
+  );
+
+  if (ordersResult.rows.length === 0) return [];
+
+  const itemsResult = await db.query(
+    `SELECT id, order_id, product_name, variant_name, quantity,
+            prep_status, prep_started_at, prep_ready_at
+     FROM order_items
+     WHERE order_id = ANY($1)
+     ORDER BY created_at ASC, id ASC`,
+    [ordersResult.rows.map(order => order.id)]
+  );
+
+  return ordersResult.rows
+    .map((order) => {
+      const items = itemsResult.rows.filter(item => item.order_id === order.id);
+      return { ...order, prep_status: getOrderPrepStatus(items), items };
+    })
+    .filter(order => statuses.includes(order.prep_status));
+};
+
+// ============================================
+// CHANGEMENTS D'ÉTAT
+// ============================================
+/**
+ * Commande de cuisine verrouillée (sérialise les changements d'état de ses articles)
+ */
+const lockKitchenOrder = async (client, orderId) => {
+  const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  const order = result.rows[0];
+
+  if (!order || !KITCHEN_ORDER_TYPES.includes(order.order_type)) {
+    throw httpError(404, 'Commande non trouvée dans la file cuisine');
+  }
+  if (EXCLUDED_ORDER_STATUSES.includes(order.status)) {
+    throw httpError(400, 'Commande annulée');
+  }
+  if (!isPaidForKitchen(order)) {
+    throw httpError(400, 'Commande en attente de paiement');
+  }
+
+  return order;
+};
+
+/**
+ * Recalculer l'état de la commande après un changement d'article
+ * Tous prêts : ready_at (avis client à envoyer si ready_notified_at vide)
+ * Tous retirés : commande livrée (historique de statut)
+ * @returns {Promise<Object>} { order, items, prepStatus, notifyReady }
+ */
+const syncOrderPrepStatus = async (client, order, { userId = null } = {}) => {
+  const itemsResult = await client.query(
+    'SELECT * FROM order_items WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+    [order.id]
+  );
+  const items = itemsResult.rows;
+  const prepStatus = getOrderPrepStatus(items);
+  const isReady = prepStatus === 'ready' || prepStatus === 'collected';
+  const notifyReady = isReady && !order.ready_notified_at;
+
+  const updateResult = await client.query(
+    `UPDATE orders
+     SET ready_at = CASE WHEN $1 THEN COALESCE(ready_at, NOW()) ELSE NULL END,
+         ready_notified_at = CASE WHEN $2 THEN NOW() ELSE ready_notified_at END,
+         collected_at = CASE WHEN $3 THEN COALESCE(collected_at, NOW()) ELSE NULL END,
+         status = CASE
+           WHEN $3 THEN 'delivered'
+           -- Retrait annulé (erreur de manipulation)
+           WHEN status = 'delivered' AND collected_at IS NOT NULL THEN 'processing'
+           WHEN status = 'pending' AND $4 THEN 'processing'
+           ELSE status
+         END,
+         delivered_at = CASE
+           WHEN $3 THEN COALESCE(delivered_at, NOW())
+           WHEN collected_at IS NOT NULL THEN NULL
+           ELSE delivered_at
+         END,
+         updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [isReady, notifyReady, prepStatus === 'collected', prepStatus !== 'received', order.id]
+  );
+  const updated = updateResult.rows[0];
+
+  if (updated.status !== order.status) {
+    await client.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, comment, admin_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        order.id,
+        order.status,
+        updated.status,
+        updated.status === 'delivered' ? 'Commande retirée' : 'Préparation en cuisine',
+        userId,
+      ]
+    );
+  }
+
+  return { order: updated, items, prepStatus, notifyReady };
+};
+
+/**
+ * Changer l'état de préparation d'un article
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} itemId - Ligne order_items
+ * @param {string} status - Nouvel état
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Membre du personnel
+ * @returns {Promise<Object>} { item, order, items, prepStatus, notifyReady }
+ * @throws {Error} status 400 transition impossible, 404 article inconnu
+ */
+const updateItemPrepStatus = async (client, itemId, status, { userId = null } = {}) => {
+  const lookup = await client.query('SELECT order_id FROM order_items WHERE id = $1', [itemId]);
+  if (!lookup.rows[0]) throw httpError(404, 'Article non trouvé');
+
+  const order = await lockKitchenOrder(client, lookup.rows[0].order_id);
+  const itemResult = await client.query('SELECT * FROM order_items WHERE id = $1', [itemId]);
+  const item = itemResult.rows[0];
+
+  const allowed = PREP_TRANSITIONS[item.prep_status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(400, `Passage de "${item.prep_status}" à "${status}" impossible`);
+  }
+
+  const updateResult = await client.query(
+    `UPDATE order_items
+     SET prep_status = $1,
+         prep_started_at = CASE WHEN $1 = 'received' THEN NULL ELSE COALESCE(prep_started_at, NOW()) END,
+         prep_ready_at = CASE WHEN $1 IN ('ready', 'collected') THEN COALESCE(prep_ready_at, NOW()) ELSE NULL END,
+         prep_updated_by = $2
+     WHERE id = $3
+     RETURNING *`,
+    [status, userId, item.id]
+  );
+
+  const result = await syncOrderPrepStatus(client, order, { userId });
+  return { item: updateResult.rows[0], ...result };
+};
+
+/**
+ * Faire avancer un article à l'état suivant (bouton "bump" de l'écran cuisine)
+ */
+const bumpItem = async (client, itemId, options = {}) => {
+  const lookup = await client.query('SELECT prep_status FROM order_items WHERE id = $1', [itemId]);
+  if (!lookup.rows[0]) throw httpError(404, 'Article non trouvé');
+
+  const next = PREP_STATUSES[PREP_STATUSES.indexOf(lookup.rows[0].prep_status) + 1];
+  if (!next) throw httpError(400, 'Article déjà retiré');
+
+  return updateItemPrepStatus(client, itemId, next, options);
+};
+
+/**
+ * Faire avancer toute une commande : les articles les moins avancés passent à l'état suivant
+ * @param {Object} client - Client pg dans une transaction
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @returns {Promise<Object>} { order, items, prepStatus, notifyReady }
+ */
+const bumpOrder = async (client, orderId, { userId = null } = {}) => {
+  const order = await lockKitchenOrder(client, orderId);
+  const itemsResult = await client.query('SELECT prep_status FROM order_items WHERE order_id = $1', [order.id]);
+  const current = getOrderPrepStatus(itemsResult.rows);
+  const next = PREP_STATUSES[PREP_STATUSES.indexOf(current) + 1];
+
+  if (!next) throw httpError(400, 'Commande déjà retirée');
+
+  await client.query(
+    `UPDATE order_items
+     SET prep_status = $1,
+         prep_started_at = COALESCE(prep_started_at, NOW()),
+         prep_ready_at = CASE WHEN $1 IN ('ready', 'collected') THEN COALESCE(prep_ready_at, NOW()) ELSE prep_ready_at END,
+         prep_updated_by = $2
+     WHERE order_id = $3 AND prep_status = $4`,
+    [next, userId, order.id, current]
+  );
+
+  return syncOrderPrepStatus(client, order, { userId });
+};
+
+module.exports = {
+  KITCHEN_ORDER_TYPES,
+  COUNTER_PAYMENT_METHOD,
+  PREP_STATUSES,
+  PREP_TRANSITIONS,
+  getOrderPrepStatus,
+  getKitchenQueue,
+  updateItemPrepStatus,
+  bumpItem,
+  bumpOrder,
+};
@@ -0,0 +1,314 @@
+/**
+ * Service des créneaux de retrait (click & collect)
+ * Créneaux générés à partir des horaires de retrait, capacité par créneau
+ * (commandes et/ou articles), délai de préparation et jours de fermeture
+ */
+
+const { getPool } = require('../database/db');
+const { timeToMinutes, minutesToTime } = require('./tableReservationService');
+const {
+  getRestaurantParts,
+  getRestaurantDateKey,
+  restaurantTimeToDate,
+  addDaysToDateKey,
+  getDateKeyDayOfWeek,
+  parseRestaurantDateTime,
+} = require('../utils/restaurantTime');
+
+// Commandes qui n'occupent plus de créneau (l'annulation libère la place)
+const RELEASED_STATUSES = ['cancelled', 'refunded'];
+
+const MINUTE_MS = 60 * 1000;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ============================================
+// HELPERS: Dates (heure du restaurant, comme les horaires)
+// ============================================
+/**
+ * Date → "YYYY-MM-DD" (heure du restaurant)
+ */
+const toLocalDateKey = (date) => getRestaurantDateKey(date);
+
+/**
+ * "YYYY-MM-DD" + minutes depuis minuit → Date (heure du restaurant)
+ */
+const atMinutes = (dateKey, minutes) => restaurantTimeToDate(dateKey, minutes);
+
+const addLocalDays = (dateKey, days) => addDaysToDateKey(dateKey, days);
+
+/**
+ * Heure de retrait demandée → Date
+ * Accepte une date ISO ou "HH:MM" (aujourd'hui), sans fuseau = heure du restaurant
+ * @throws {Error} status 400 si le format est invalide
+ */
+const parsePickupTime = (value, now = new Date()) => {
+  const date = parseRestaurantDateTime(value, now);
+  if (!date) {
+    throw httpError(400, 'Heure de retrait invalide (date ISO ou HH:MM attendue)');
+  }
+  return date;
+};
+
+// ============================================
+// CHARGEMENT
+// ============================================
+/**
+ * Paramètres des créneaux
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Verrouiller la ligne (sérialise les réservations de créneau)
+ */
+const getPickupSettings = async (db, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM pickup_settings WHERE id = 1 ${lock ? 'FOR UPDATE' : ''}`
+  );
+  if (!result.rows[0]) throw httpError(503, 'Créneaux de retrait non configurés');
+  return result.rows[0];
+};
+
+const getPickupHours = async (db) => {
+  const result = await db.query(
+    'SELECT * FROM pickup_hours ORDER BY day_of_week ASC, open_time ASC'
+  );
+  return result.rows;
+};
+
+const getClosedDates = async (db, from, to) => {
+  const result = await db.query(
+    `SELECT closed_date::text as closed_date FROM pickup_closed_days
+     WHERE closed_date >= $1 AND closed_date <= $2`,
+    [from, to]
+  );
+  return new Set(result.rows.map(row => row.closed_date));
+};
+
+/**
+ * Commandes click & collect d'une période avec leur nombre d'articles
+ * @param {Object} db - Pool ou client pg
+ * @param {Date} from
+ * @param {Date} to - Exclu
+ * @returns {Promise<Array>} [{ pickupTime: Date, items }]
+ */
+const getPickupOrders = async (db, from, to) => {
+  const result = await db.query(
+    `SELECT o.pickup_time, COALESCE(SUM(oi.quantity), 0)::int as items
+     FROM orders o
+     LEFT JOIN order_items oi ON oi.order_id = o.id
+     WHERE o.order_type = 'click_collect'
+       AND o.pickup_time >= $1 AND o.pickup_time < $2
+       AND o.status <> ALL($3)
+     GROUP BY o.id`,
+    [from, to, RELEASED_STATUSES]
+  );
+
+  return result.rows.map(row => ({ pickupTime: new Date(row.pickup_time), items: row.items }));
+};
+
+// ============================================
+// CRÉNEAUX
+// ============================================
+/**
+ * Créneaux d'une journée (un créneau commence entre l'ouverture incluse et la fermeture exclue)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} settings - Ligne pickup_settings
+ * @param {Array} hours - Lignes pickup_hours
+ * @returns {Array} [{ start, end }]
+ */
+const buildDaySlots = (dateKey, settings, hours) => {
+  const dayOfWeek = getDateKeyDayOfWeek(dateKey);
+  const slots = [];
+
+  hours
+    .filter(range => range.day_of_week === dayOfWeek)
+    .forEach((range) => {
+      const close = timeToMinutes(range.close_time);
+
+      for (let start = timeToMinutes(range.open_time); start < close; start += settings.slot_minutes) {
+        slots.push({
+          start: atMinutes(dateKey, start),
+          end: atMinutes(dateKey, start + settings.slot_minutes),
+        });
+      }
+    });
+
+  return slots;
+};
+
+/**
+ * Occupation et places restantes d'un créneau
+ */
+const evaluateSlot = (slot, orders, settings) => {
+  const inSlot = orders.filter(order => order.pickupTime >= slot.start && order.pickupTime < slot.end);
+  const ordersCount = inSlot.length;
+  const itemsCount = inSlot.reduce((sum, order) => sum + order.items, 0);
+
+  return {
+    ordersCount,
+    itemsCount,
+    remainingOrders: settings.max_orders_per_slot ? Math.max(0, settings.max_orders_per_slot - ordersCount) : null,
+    remainingItems: settings.max_items_per_slot ? Math.max(0, settings.max_items_per_slot - itemsCount) : null,
+  };
+};
+
+const fitsSlot = (usage, itemsCount) => (
+  (usage.remainingOrders === null || usage.remainingOrders >= 1) &&
+  (usage.remainingItems === null || usage.remainingItems >= itemsCount)
+);
+
+/**
+ * Créneaux réservables
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool ou client pg
+ * @param {string} [options.date] - YYYY-MM-DD (défaut : tout l'horizon de réservation)
+ * @param {number} [options.itemsCount] - Articles de la commande (capacité en articles)
+ * @param {Date} [options.now]
+ * @param {Object} [options.settings] - Paramètres déjà chargés (verrouillés)
+ * @param {Function} [options.isSlotAllowed] - (Date) => boolean, ex. articles disponibles à cette heure
+ * @returns {Promise<Array>} [{ start, end, date, time, remainingOrders, remainingItems }]
+ */
+const listAvailableSlots = async ({
+  db = getPool(),
+  date = null,
+  itemsCount = 1,
+  now = new Date(),
+  settings = null,
+  isSlotAllowed = null,
+} = {}) => {
+  const pickupSettings = settings || await getPickupSettings(db);
+  if (!pickupSettings.is_active) return [];
+
+  const today = toLocalDateKey(now);
+  const lastDay = addLocalDays(today, pickupSettings.booking_horizon_days - 1);
+  const from = date || today;
+  const to = date || lastDay;
+
+  if (from < today || to > lastDay) return [];
+
+  const [hours, closedDates] = await Promise.all([
+    getPickupHours(db),
+    getClosedDates(db, from, to),
+  ]);
+  const orders = await getPickupOrders(db, atMinutes(from, 0), atMinutes(addLocalDays(to, 1), 0));
+
+  const earliest = new Date(now.getTime() + pickupSettings.lead_time_minutes * MINUTE_MS);
+  const slots = [];
+
+  for (let day = from; day <= to; day = addLocalDays(day, 1)) {
+    if (closedDates.has(day)) continue;
+
+    buildDaySlots(day, pickupSettings, hours).forEach((slot) => {
+      if (slot.start < earliest) return;
+      if (isSlotAllowed && !isSlotAllowed(slot.start)) return;
+
+      const usage = evaluateSlot(slot, orders, pickupSettings);
+      if (!fitsSlot(usage, itemsCount)) return;
+
+      slots.push({
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        date: day,
+        time: minutesToTime(getRestaurantParts(slot.start).minutes),
+        remainingOrders: usage.remainingOrders,
+        remainingItems: usage.remainingItems,
+      });
+    });
+  }
+
+  return slots;
+};
+
+// ============================================
+// RÉSERVATION
+// ============================================
+/**
+ * Réserver un créneau pour une commande (paramètres verrouillés jusqu'au COMMIT :
+ * deux commandes ne peuvent pas prendre la dernière place du même créneau)
+ * La commande doit être insérée dans la même transaction avec pickup_time = start
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} params
+ * @param {string} [params.pickupTime] - Date ISO ou "HH:MM", défaut : premier créneau libre
+ * @param {number} params.itemsCount - Nombre d'articles de la commande
+ * @param {Date} [params.now]
+ * @param {Function} [params.isSlotAllowed] - Filtre du créneau par défaut (sans pickupTime)
+ * @returns {Promise<Object>} { start, end } (Date)
+ * @throws {Error} status 400 hors horaires / délai, 409 si le créneau est complet
+ */
+const reservePickupSlot = async (client, {
+  pickupTime = null,
+  itemsCount,
+  now = new Date(),
+  isSlotAllowed = null,
+}) => {
+  const settings = await getPickupSettings(client, { lock: true });
+
+  if (!settings.is_active) {
+    throw httpError(400, 'Le retrait click & collect est momentanément indisponible');
+  }
+  if (settings.max_items_per_slot && itemsCount > settings.max_items_per_slot) {
+    throw httpError(400, `Commande trop importante pour un créneau de retrait (${settings.max_items_per_slot} articles maximum)`);
+  }
+
+  // Sans heure demandée : premier créneau disponible (et accepté par le filtre)
+  if (!pickupTime) {
+    const [first] = await listAvailableSlots({ db: client, itemsCount, now, settings, isSlotAllowed });
+    if (!first) {
+      throw httpError(409, isSlotAllowed
+        ? 'Aucun créneau de retrait disponible pendant les horaires de service de ces articles'
+        : 'Aucun créneau de retrait disponible');
+    }
+    return { start: new Date(first.start), end: new Date(first.end) };
+  }
+
+  const requested = parsePickupTime(pickupTime, now);
+  const day = toLocalDateKey(requested);
+  const today = toLocalDateKey(now);
+
+  if (day < today || day > addLocalDays(today, settings.booking_horizon_days - 1)) {
+    throw httpError(400, `Les retraits sont possibles jusqu'à ${settings.booking_horizon_days} jour(s) à l'avance`);
+  }
+
+  const closedDates = await getClosedDates(client, day, day);
+  if (closedDates.has(day)) {
+    throw httpError(400, 'Pas de retrait click & collect ce jour-là');
+  }
+
+  const hours = await getPickupHours(client);
+  const slot = buildDaySlots(day, settings, hours)
+    .find(candidate => candidate.start.getTime() === requested.getTime());
+
+  if (!slot) {
+    const ranges = hours
+      .filter(range => range.day_of_week === getRestaurantParts(requested).dayOfWeek)
+      .map(range => `${minutesToTime(timeToMinutes(range.open_time))}-${minutesToTime(timeToMinutes(range.close_time))}`);
+    throw httpError(400, ranges.length
+      ? `Heure de retrait invalide : créneaux de ${settings.slot_minutes} min, ${ranges.join(', ')}`
+      : 'Pas de retrait click & collect ce jour-là');
+  }
+
+  if (slot.start < new Date(now.getTime() + settings.lead_time_minutes * MINUTE_MS)) {
+    throw httpError(400, `Délai de préparation : retrait au plus tôt ${settings.lead_time_minutes} min après la commande`);
+  }
+
+  const orders = await getPickupOrders(client, slot.start, slot.end);
+  const usage = evaluateSlot(slot, orders, settings);
+
+  if (!fitsSlot(usage, itemsCount)) {
+    throw httpError(409, 'Ce créneau de retrait est complet, veuillez en choisir un autre');
+  }
+
+  return slot;
+};
+
+module.exports = {
+  RELEASED_STATUSES,
+  parsePickupTime,
+  getPickupSettings,
+  buildDaySlots,
+  listAvailableSlots,
+  reservePickupSlot,
+};
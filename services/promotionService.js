@@ -1,243 +1,649 @@
 /**
  * Service de gestion des promotions
  * Promotions automatiques, codes promo, flash sales
+ *
+ * priceCart() est le moteur de prix unique utilisé par le panier,
+ * POST /api/coupons/validate et la création de commande.
  */
 
 const { getPool } = require('../database/db');
+const { getRestaurantParts } = require('../utils/restaurantTime');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Erreur métier sur un code promo (message affichable au client)
+ */
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = 400;
+  }
+}
 
 // ============================================
-// APPLY PROMOTIONS TO CART
+// HELPERS : LIGNES & RÉPARTITION
 // ============================================
 /**
- * Appliquer les promotions automatiques à un panier
- * @param {Array} cartItems - Articles du panier
- * @returns {Promise<Object>} Promotions appliquées et réductions
+ * Répartir un montant global sur des lignes au prorata de leur base
+ * (le reliquat d'arrondi est porté par la dernière ligne éligible)
+ * @param {number} amount - Montant à répartir
+ * @param {Array<number>} bases - Base de chaque ligne (0 = non éligible)
+ * @returns {Array<number>} Part de chaque ligne
  */
-const applyPromotions = async (cartItems) => {
-  const pool = getPool();
-  const now = new Date();
+const allocateAmount = (amount, bases) => {
+  const totalBase = bases.reduce((sum, base) => sum + base, 0);
+  if (amount <= 0 || totalBase <= 0) return bases.map(() => 0);
+
+  const capped = Math.min(amount, totalBase);
+  let lastIndex = -1;
+  bases.forEach((base, index) => {
+    if (base > 0) lastIndex = index;
+  });
+
+  let allocated = 0;
+  return bases.map((base, index) => {
+    if (base <= 0) return 0;
+    if (index === lastIndex) return round2(capped - allocated);
+    const share = round2((capped * base) / totalBase);
+    allocated += share;
+    return share;
+  });
+};
 
-  try {
-    // Récupérer les promotions actives
-    const promotionsResult = await pool.query(
-      `SELECT * FROM promotions 
-       WHERE is_active = true 
-       AND (starts_at IS NULL OR starts_at <= $1)
-       AND (ends_at IS NULL OR ends_at >= $1)
-       ORDER BY priority DESC`,
-      [now]
-    );
+/**
+ * Une ligne du panier est-elle ciblée par la promotion ?
+ * Ciblage : rules.productId / rules.categoryId (simple) ou
+ * rules.productIds / rules.categoryIds / rules.excludedProductIds (listes)
+ * @param {Object} promo - Promotion
+ * @param {Object} line - Ligne { productId, categoryId }
+ * @returns {boolean}
+ */
+const isLineTargeted = (promo, line) => {
+  const rules = promo.rules || {};
+  const productIds = rules.productIds || [];
+  const categoryIds = rules.categoryIds || [];
+
+  if ((rules.excludedProductIds || []).includes(line.productId)) return false;
+  if (rules.productId && line.productId !== rules.productId) return false;
+  if (rules.categoryId && line.categoryId !== rules.categoryId) return false;
+  if (productIds.length > 0 && !productIds.includes(line.productId)) return false;
+  if (categoryIds.length > 0 && !categoryIds.includes(line.categoryId)) return false;
+  return true;
+};
+
+/**
+ * La promotion est-elle dans sa fenêtre de programmation ?
+ * starts_at / ends_at + créneau récurrent optionnel
+ * rules.schedule = { daysOfWeek: [0-6], startTime: 'HH:MM', endTime: 'HH:MM' } (heure du restaurant)
+ * @param {Object} promo - Promotion
+ * @param {Date} at - Date de référence
+ * @returns {boolean}
+ */
+const isPromotionScheduled = (promo, at = new Date()) => {
+  if (promo.starts_at && new Date(promo.starts_at) > at) return false;
+  if (promo.ends_at && new Date(promo.ends_at) < at) return false;
 
-    const promotions = promotionsResult.rows;
-    let totalDiscount = 0;
-    const appliedPromotions = [];
+  const schedule = (promo.rules || {}).schedule;
+  if (!schedule) return true;
 
-    for (const promo of promotions) {
-      const discount = calculatePromoDiscount(promo, cartItems);
-      
-      if (discount > 0) {
-        totalDiscount += discount;
-        appliedPromotions.push({
-          id: promo.id,
-          name: promo.name,
-          type: promo.type,
-          discount: discount,
-        });
-      }
-    }
+  // Créneau saisi en heure du restaurant (serveur souvent en UTC)
+  const { dayOfWeek, minutes } = getRestaurantParts(at);
 
-    return {
-      totalDiscount: totalDiscount.toFixed(2),
-      appliedPromotions,
-    };
-  } catch (error) {
-    console.error('Error applying promotions:', error);
-    return {
-      totalDiscount: 0,
-      appliedPromotions: [],
-    };
+  if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0 && !schedule.daysOfWeek.includes(dayOfWeek)) {
+    return false;
+  }
+
+  const currentTime = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  if (schedule.startTime && currentTime < schedule.startTime) return false;
+  if (schedule.endTime && currentTime >= schedule.endTime) return false;
+
+  return true;
+};
+
+/**
+ * Une ligne est-elle éligible au coupon (applicable_to / excluded_ids) ?
+ * @param {Object} coupon - Ligne de la table coupons
+ * @param {Object} line - Ligne { productId, categoryId }
+ * @returns {boolean}
+ */
+const isLineEligibleForCoupon = (coupon, line) => {
+  const applicableIds = coupon.applicable_ids || [];
+  const excludedIds = coupon.excluded_ids || [];
+
+  if (excludedIds.includes(line.productId) || excludedIds.includes(line.categoryId)) {
+    return false;
+  }
+
+  switch (coupon.applicable_to) {
+    case 'products':
+      return applicableIds.includes(line.productId);
+    case 'categories':
+      return applicableIds.includes(line.categoryId);
+    default:
+      return true;
   }
 };
 
 // ============================================
-// CALCULATE PROMO DISCOUNT
+// CALCULATE PROMO DISCOUNT (PAR LIGNE)
 // ============================================
 /**
- * Calculer la réduction d'une promotion
+ * Calculer la réduction d'une promotion, ligne par ligne
  * @param {Object} promo - Promotion à appliquer
- * @param {Array} cartItems - Articles du panier
- * @returns {number} Montant de la réduction
+ * @param {Array} lines - Lignes du panier { productId, categoryId, price, quantity }
+ * @param {Array<number>} remaining - Montant restant à payer par ligne
+ * @returns {Array<number>} Réduction par ligne
  */
-const calculatePromoDiscount = (promo, cartItems) => {
-  const cartTotal = cartItems.reduce(
-    (sum, item) => sum + item.price * item.quantity,
-    0
-  );
+const calculatePromoLineDiscounts = (promo, lines, remaining) => {
+  const none = lines.map(() => 0);
+  const value = parseFloat(promo.discount_value) || 0;
+  const rules = promo.rules || {};
+  const targeted = lines.map((line, index) => (isLineTargeted(promo, line) ? remaining[index] : 0));
+
+  const applyDiscountType = (bases) => {
+    if (promo.discount_type === 'percentage') {
+      return bases.map((base) => round2(base * (value / 100)));
+    }
+    if (promo.discount_type === 'fixed') {
+      return allocateAmount(value, bases);
+    }
+    return none;
+  };
 
   switch (promo.type) {
     case 'category_discount': {
       // Réduction sur une catégorie spécifique
-      const rules = promo.rules || {};
-      const categoryId = rules.categoryId;
-      
-      if (!categoryId) return 0;
-
-      const categoryTotal = cartItems
-        .filter((item) => item.categoryId === categoryId)
-        .reduce((sum, item) => sum + item.price * item.quantity, 0);
-
-      if (promo.discount_type === 'percentage') {
-        return categoryTotal * (parseFloat(promo.discount_value) / 100);
-      } else if (promo.discount_type === 'fixed') {
-        return Math.min(parseFloat(promo.discount_value), categoryTotal);
-      }
-      
-      return 0;
+      if (!rules.categoryId && !(rules.categoryIds || []).length) return none;
+      return applyDiscountType(targeted);
     }
 
     case 'buy_x_get_y': {
       // Achetez X, obtenez Y gratuit
-      const rules = promo.rules || {};
       const buyQuantity = rules.buyQuantity || 2;
       const getQuantity = rules.getQuantity || 1;
-      const productId = rules.productId;
-
-      if (!productId) return 0;
-
-      const matchingItem = cartItems.find((item) => item.productId === productId);
-      if (!matchingItem) return 0;
-
-      const setsCount = Math.floor(matchingItem.quantity / buyQuantity);
-      const freeItems = setsCount * getQuantity;
-
-      return matchingItem.price * freeItems;
+      if (!rules.productId && !(rules.productIds || []).length) return none;
+
+      return lines.map((line, index) => {
+        if (!targeted[index]) return 0;
+        const setsCount = Math.floor(line.quantity / buyQuantity);
+        const freeItems = setsCount * getQuantity;
+        return Math.min(round2(line.price * freeItems), remaining[index]);
+      });
     }
 
     case 'flash_sale': {
       // Flash sale : réduction globale
-      if (promo.discount_type === 'percentage') {
-        return cartTotal * (parseFloat(promo.discount_value) / 100);
-      } else if (promo.discount_type === 'fixed') {
-        return Math.min(parseFloat(promo.discount_value), cartTotal);
-      }
-      
-      return 0;
+      return applyDiscountType(targeted);
     }
 
     case 'min_purchase': {
       // Réduction si montant minimum atteint
-      const rules = promo.rules || {};
-      const minAmount = rules.minAmount || 0;
-
-      if (cartTotal < minAmount) return 0;
-
-      if (promo.discount_type === 'percentage') {
-        return cartTotal * (parseFloat(promo.discount_value) / 100);
-      } else if (promo.discount_type === 'fixed') {
-        return parseFloat(promo.discount_value);
-      }
-      
-      return 0;
+      const cartTotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+      if (cartTotal < (rules.minAmount || 0)) return none;
+      return applyDiscountType(targeted);
     }
 
     default:
-      return 0;
+      return none;
   }
 };
 
 // ============================================
-// VALIDATE COUPON
+// LOAD & CHECK COUPON
 // ============================================
 /**
- * Valider un code promo
+ * Charger un coupon et vérifier validité, limites globales et par utilisateur
+ * @param {Object} db - Pool ou client pg (transaction)
  * @param {string} code - Code promo
  * @param {string} userId - ID utilisateur (optionnel)
- * @param {number} cartTotal - Total du panier
- * @param {Array} cartItems - Articles du panier
- * @returns {Promise<Object>} Informations sur le coupon et réduction
+ * @param {number} cartTotal - Sous-total du panier
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Verrouiller le coupon jusqu'au COMMIT (commandes
+ *   simultanées du même client : utilisations comptées une à une)
+ * @returns {Promise<Object>} Ligne coupon
+ * @throws {CouponError}
  */
-const validateCoupon = async (code, userId, cartTotal, cartItems = []) => {
-  const pool = getPool();
+const loadCoupon = async (db, code, userId, cartTotal, { lock = false } = {}) => {
   const now = new Date();
 
-  try {
-    // Récupérer le coupon
-    const couponResult = await pool.query(
-      `SELECT * FROM coupons 
-       WHERE UPPER(code) = UPPER($1) AND is_active = true`,
-      [code]
+  const couponResult = await db.query(
+    `SELECT * FROM coupons 
+     WHERE UPPER(code) = UPPER($1) AND is_active = true
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [code]
+  );
+
+  if (couponResult.rows.length === 0) {
+    throw new CouponError('Code promo invalide');
+  }
+
+  const coupon = couponResult.rows[0];
+
+  // Vérifier validité temporelle
+  if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+    throw new CouponError('Code promo pas encore actif');
+  }
+
+  if (coupon.valid_to && new Date(coupon.valid_to) < now) {
+    throw new CouponError('Code promo expiré');
+  }
+
+  // Vérifier limite d'utilisation globale
+  if (coupon.usage_limit && coupon.usage_count >= coupon.usage_limit) {
+    throw new CouponError('Code promo épuisé');
+  }
+
+  // Vérifier montant minimum
+  if (coupon.min_purchase_amount && cartTotal < parseFloat(coupon.min_purchase_amount)) {
+    throw new CouponError(
+      `Montant minimum requis : ${coupon.min_purchase_amount}€`
     );
+  }
 
-    if (couponResult.rows.length === 0) {
-      throw new Error('Code promo invalide');
+  // Vérifier limite par utilisateur
+  if (userId && coupon.usage_limit_per_user) {
+    const userUsageResult = await db.query(
+      `SELECT COUNT(*) as count FROM coupon_usage 
+       WHERE coupon_id = $1 AND user_id = $2`,
+      [coupon.id, userId]
+    );
+
+    const userUsageCount = parseInt(userUsageResult.rows[0].count);
+    if (userUsageCount >= coupon.usage_limit_per_user) {
+      throw new CouponError('Limite atteinte pour ce code');
     }
+  }
 
-    const coupon = couponResult.rows[0];
+  return coupon;
+};
 
-    // Vérifier validité temporelle
-    if (coupon.valid_from && new Date(coupon.valid_from) > now) {
-      throw new Error('Code promo pas encore actif');
+/**
+ * Calculer la réduction d'un coupon, ligne par ligne
+ * @param {Object} coupon - Ligne coupon
+ * @param {Array} lines - Lignes du panier
+ * @param {Array<number>} remaining - Montant restant à payer par ligne
+ * @returns {Array<number>} Réduction par ligne
+ */
+const calculateCouponLineDiscounts = (coupon, lines, remaining) => {
+  const bases = lines.map((line, index) => (isLineEligibleForCoupon(coupon, line) ? remaining[index] : 0));
+  const eligibleTotal = bases.reduce((sum, base) => sum + base, 0);
+  const value = parseFloat(coupon.discount_value) || 0;
+
+  if (coupon.discount_type === 'percentage') {
+    let discountAmount = eligibleTotal * (value / 100);
+    if (coupon.max_discount_amount) {
+      discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount_amount));
     }
+    return allocateAmount(round2(discountAmount), bases);
+  }
 
-    if (coupon.valid_to && new Date(coupon.valid_to) < now) {
-      throw new Error('Code promo expiré');
-    }
+  if (coupon.discount_type === 'fixed_amount') {
+    return allocateAmount(value, bases);
+  }
+
+  // free_shipping : pas de réduction sur les articles
+  return lines.map(() => 0);
+};
+
+// ============================================
+// PRICING ENGINE
+// ============================================
+/**
+ * Appliquer promotions puis coupon sur des lignes (une passe)
+ */
+const runPricingPass = (lines, promotions, coupon) => {
+  const remaining = lines.map((line) => round2(line.price * line.quantity));
+  const lineDiscounts = lines.map(() => []);
+  const appliedPromotions = [];
+  let stopped = false;
+
+  for (const promo of promotions) {
+    if (stopped) break;
+
+    const discounts = calculatePromoLineDiscounts(promo, lines, remaining);
+    let total = 0;
+
+    discounts.forEach((amount, index) => {
+      const applied = Math.min(amount, remaining[index]);
+      if (applied <= 0) return;
+      remaining[index] = round2(remaining[index] - applied);
+      total += applied;
+      lineDiscounts[index].push({ type: 'promotion', id: promo.id, name: promo.name, amount: round2(applied) });
+    });
 
-    // Vérifier limite d'utilisation globale
-    if (coupon.usage_limit && coupon.usage_count >= coupon.usage_limit) {
-      throw new Error('Code promo épuisé');
+    if (total > 0) {
+      appliedPromotions.push({
+        id: promo.id,
+        name: promo.name,
+        type: promo.type,
+        discount: round2(total),
+        stackableWithCoupons: (promo.rules || {}).stackableWithCoupons !== false,
+      });
+      // Promotion exclusive : aucune promotion de priorité inférieure ne s'applique
+      if ((promo.rules || {}).exclusive) stopped = true;
     }
+  }
 
-    // Vérifier montant minimum
-    if (coupon.min_purchase_amount && cartTotal < parseFloat(coupon.min_purchase_amount)) {
-      throw new Error(
-        `Montant minimum requis : ${coupon.min_purchase_amount}€`
-      );
+  let couponDiscount = 0;
+  if (coupon) {
+    const discounts = calculateCouponLineDiscounts(coupon, lines, remaining);
+    discounts.forEach((amount, index) => {
+      const applied = Math.min(amount, remaining[index]);
+      if (applied <= 0) return;
+      remaining[index] = round2(remaining[index] - applied);
+      couponDiscount += applied;
+      lineDiscounts[index].push({ type: 'coupon', id: coupon.id, name: coupon.code, amount: round2(applied) });
+    });
+  }
+
+  const promotionDiscount = appliedPromotions.reduce((sum, promo) => sum + promo.discount, 0);
+
+  return {
+    remaining,
+    lineDiscounts,
+    appliedPromotions,
+    promotionDiscount: round2(promotionDiscount),
+    couponDiscount: round2(couponDiscount),
+  };
+};
+
+/**
+ * Calculer le prix d'un panier : promotions automatiques, coupon, règles de cumul
+ * @param {Array} items - Lignes { productId, variantId, categoryId, productName, price, quantity }
+ * @param {Object} options
+ * @param {string} [options.couponCode] - Code promo saisi
+ * @param {string} [options.userId] - ID utilisateur (limites par utilisateur)
+ * @param {Object} [options.db] - Pool ou client pg (transaction)
+ * @param {boolean} [options.strictCoupon] - Lever une CouponError si le code est refusé
+ * @param {boolean} [options.lockCoupon] - Verrouiller le coupon (transaction de la commande)
+ * @param {Date} [options.at] - Date de calcul (simulation)
+ * @param {Array} [options.promotions] - Promotions à évaluer (sinon : promotions actives en base)
+ * @returns {Promise<Object>} Détail ligne par ligne, totaux et promotions appliquées
+ */
+const priceCart = async (items, {
+  couponCode = null,
+  userId = null,
+  db = getPool(),
+  strictCoupon = false,
+  lockCoupon = false,
+  at = new Date(),
+  promotions: candidatePromotions = null,
+} = {}) => {
+  const lines = items.map((item) => ({
+    ...item,
+    price: parseFloat(item.price),
+    quantity: parseInt(item.quantity, 10),
+  }));
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+  if (!candidatePromotions) {
+    const promotionsResult = await db.query(
+      `SELECT * FROM promotions 
+       WHERE is_active = true 
+       AND (starts_at IS NULL OR starts_at <= $1)
+       AND (ends_at IS NULL OR ends_at >= $1)
+       ORDER BY priority DESC, created_at ASC`,
+      [at]
+    );
+    candidatePromotions = promotionsResult.rows;
+  }
+  const promotions = candidatePromotions.filter((promo) => isPromotionScheduled(promo, at));
+
+  let coupon = null;
+  let couponError = null;
+
+  if (couponCode) {
+    try {
+      coupon = await loadCoupon(db, couponCode, userId, subtotal, { lock: lockCoupon });
+    } catch (error) {
+      if (!(error instanceof CouponError) || strictCoupon) throw error;
+      couponError = error.message;
     }
+  }
 
-    // Vérifier limite par utilisateur
-    if (userId && coupon.usage_limit_per_user) {
-      const userUsageResult = await pool.query(
-        `SELECT COUNT(*) as count FROM coupon_usage 
-         WHERE coupon_id = $1 AND user_id = $2`,
-        [coupon.id, userId]
+  // Passe sans coupon : référence pour les règles de cumul
+  let pass = runPricingPass(lines, promotions, null);
+  const skippedPromotions = [];
+
+  if (coupon) {
+    const blocking = pass.appliedPromotions.filter((promo) => !promo.stackableWithCoupons);
+
+    if (blocking.length === 0) {
+      pass = runPricingPass(lines, promotions, coupon);
+    } else {
+      // Promotion non cumulable : on retient la combinaison la plus avantageuse
+      const blockingIds = new Set(blocking.map((promo) => promo.id));
+      const withCoupon = runPricingPass(
+        lines,
+        promotions.filter((promo) => !blockingIds.has(promo.id)),
+        coupon
       );
+      const withoutCouponTotal = pass.promotionDiscount;
+      const withCouponTotal = withCoupon.promotionDiscount + withCoupon.couponDiscount;
 
-      const userUsageCount = parseInt(userUsageResult.rows[0].count);
-      if (userUsageCount >= coupon.usage_limit_per_user) {
-        throw new Error('Limite atteinte pour ce code');
+      if (withCouponTotal > withoutCouponTotal) {
+        pass = withCoupon;
+        blocking.forEach((promo) => skippedPromotions.push({
+          id: promo.id,
+          name: promo.name,
+          reason: 'Non cumulable avec un code promo',
+        }));
+      } else {
+        const message = `Code non cumulable avec la promotion « ${blocking[0].name} »`;
+        if (strictCoupon) throw new CouponError(message);
+        couponError = message;
+        coupon = null;
       }
     }
 
-    // Calculer la réduction
-    let discountAmount = 0;
-
-    if (coupon.discount_type === 'percentage') {
-      discountAmount = cartTotal * (parseFloat(coupon.discount_value) / 100);
-      
-      if (coupon.max_discount_amount) {
-        discountAmount = Math.min(
-          discountAmount,
-          parseFloat(coupon.max_discount_amount)
-        );
-      }
-    } else if (coupon.discount_type === 'fixed_amount') {
-      discountAmount = Math.min(parseFloat(coupon.discount_value), cartTotal);
-    } else if (coupon.discount_type === 'free_shipping') {
-      discountAmount = 0; // Géré ailleurs
+    if (coupon && pass.couponDiscount <= 0 && coupon.discount_type !== 'free_shipping') {
+      const message = 'Ce code ne s\'applique à aucun article du panier';
+      if (strictCoupon) throw new CouponError(message);
+      couponError = message;
+      coupon = null;
+      pass = runPricingPass(lines, promotions, null);
     }
+  }
+
+  const discountTotal = round2(pass.promotionDiscount + pass.couponDiscount);
+
+  return {
+    lines: lines.map((line, index) => {
+      const lineSubtotal = round2(line.price * line.quantity);
+      return {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        productName: line.productName,
+        quantity: line.quantity,
+        unitPrice: line.price,
+        subtotal: lineSubtotal,
+        discounts: pass.lineDiscounts[index],
+        discountTotal: round2(lineSubtotal - pass.remaining[index]),
+        total: pass.remaining[index],
+      };
+    }),
+    subtotal,
+    promotionDiscount: pass.promotionDiscount,
+    couponDiscount: pass.couponDiscount,
+    discountTotal,
+    total: round2(subtotal - discountTotal),
+    appliedPromotions: pass.appliedPromotions.map(({ stackableWithCoupons, ...promo }) => promo),
+    skippedPromotions,
+    coupon: coupon
+      ? {
+          id: coupon.id,
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discount_type,
+          discountValue: coupon.discount_value,
+          discount: pass.couponDiscount,
+        }
+      : null,
+    couponError,
+    freeShipping: !!coupon && coupon.discount_type === 'free_shipping',
+  };
+};
+
+// ============================================
+// BUILD CART LINES
+// ============================================
+/**
+ * Construire les lignes de calcul depuis la base (prix et catégorie réels)
+ * Les produits inactifs ou introuvables sont ignorés
+ * @param {Array} items - Articles { productId, variantId, quantity }
+ * @param {Object} [db] - Pool ou client pg
+ * @returns {Promise<Array>} Lignes pour priceCart()
+ */
+const buildCartLines = async (items, db = getPool()) => {
+  const lines = [];
+
+  for (const item of items) {
+    const productResult = await db.query(
+      `SELECT p.id, p.name, p.price, p.category_id, pv.price_adjustment
+       FROM products p
+       LEFT JOIN product_variants pv ON pv.product_id = p.id AND pv.id = $2
+       WHERE p.id = $1 AND p.status = 'active'`,
+      [item.productId, item.variantId || null]
+    );
+
+    if (productResult.rows.length === 0) continue;
+
+    const product = productResult.rows[0];
+    lines.push({
+      productId: product.id,
+      variantId: item.variantId || null,
+      categoryId: product.category_id,
+      productName: product.name,
+      price: parseFloat(product.price) + parseFloat(product.price_adjustment || 0),
+      quantity: item.quantity,
+    });
+  }
+
+  return lines;
+};
+
+// ============================================
+// DRY RUN
+// ============================================
+/**
+ * Simuler les promotions sur un panier exemple (admin)
+ * Indique pour chaque promotion si elle se déclenche, et sinon pourquoi
+ * @param {Array} lines - Lignes issues de buildCartLines()
+ * @param {Object} options
+ * @param {string} [options.couponCode] - Code promo à tester
+ * @param {Date} [options.at] - Date simulée
+ * @param {Object} [options.draftPromotion] - Promotion non enregistrée à inclure (format table)
+ * @returns {Promise<Object>} { pricing, promotions }
+ */
+const dryRunPromotions = async (lines, { couponCode = null, at = new Date(), draftPromotion = null } = {}) => {
+  const pool = getPool();
+
+  const result = await pool.query(
+    'SELECT * FROM promotions ORDER BY priority DESC, created_at ASC'
+  );
+  const allPromotions = result.rows;
+
+  if (draftPromotion) {
+    allPromotions.push({ id: 'draft', created_at: at, ...draftPromotion });
+    allPromotions.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  const pricing = await priceCart(lines, {
+    couponCode,
+    at,
+    promotions: allPromotions.filter((promo) => promo.is_active),
+  });
+
+  const grossAmounts = lines.map((line) => round2(parseFloat(line.price) * line.quantity));
+
+  const promotions = allPromotions.map((promo) => {
+    const summary = {
+      id: promo.id,
+      name: promo.name,
+      type: promo.type,
+      priority: promo.priority,
+    };
+
+    if (!promo.is_active) return { ...summary, status: 'inactive' };
+    if (!isPromotionScheduled(promo, at)) return { ...summary, status: 'out_of_schedule' };
+
+    const applied = pricing.appliedPromotions.find((item) => item.id === promo.id);
+    if (applied) return { ...summary, status: 'applied', discount: applied.discount };
+
+    const skipped = pricing.skippedPromotions.find((item) => item.id === promo.id);
+    if (skipped) return { ...summary, status: 'skipped', reason: skipped.reason };
+
+    // Éligible seule mais écartée (promotion exclusive prioritaire ou lignes déjà soldées)
+    const standalone = calculatePromoLineDiscounts(promo, lines, grossAmounts)
+      .reduce((sum, amount) => sum + amount, 0);
+
+    return standalone > 0
+      ? { ...summary, status: 'blocked', reason: 'Écartée par une promotion prioritaire' }
+      : { ...summary, status: 'not_eligible', reason: 'Aucun article ciblé ou conditions non remplies' };
+  });
+
+  return { pricing, promotions };
+};
+
+// ============================================
+// APPLY PROMOTIONS TO CART
+// ============================================
+/**
+ * Appliquer les promotions automatiques à un panier
+ * @param {Array} cartItems - Articles du panier
+ * @returns {Promise<Object>} Promotions appliquées et réductions
+ */
+const applyPromotions = async (cartItems) => {
+  try {
+    const pricing = await priceCart(cartItems);
+
+    return {
+      totalDiscount: pricing.promotionDiscount.toFixed(2),
+      appliedPromotions: pricing.appliedPromotions,
+    };
+  } catch (error) {
+    console.error('Error applying promotions:', error);
+    return {
+      totalDiscount: 0,
+      appliedPromotions: [],
+    };
+  }
+};
+
+// ============================================
+// VALIDATE COUPON
+// ============================================
+/**
+ * Valider un code promo
+ * @param {string} code - Code promo
+ * @param {string} userId - ID utilisateur (optionnel)
+ * @param {number} cartTotal - Total du panier
+ * @param {Array} cartItems - Articles du panier
+ * @returns {Promise<Object>} Informations sur le coupon et réduction
+ */
+const validateCoupon = async (code, userId, cartTotal, cartItems = []) => {
+  try {
+    // Sans détail du panier, on valorise une ligne unique au montant total
+    const items = cartItems.length > 0
+      ? cartItems
+      : [{ productId: null, categoryId: null, productName: 'Panier', price: cartTotal, quantity: 1 }];
+
+    const pricing = await priceCart(items, { couponCode: code, userId, strictCoupon: true });
 
     return {
       valid: true,
       coupon: {
-        id: coupon.id,
-        code: coupon.code,
-        description: coupon.description,
-        discountType: coupon.discount_type,
-        discountValue: coupon.discount_value,
+        id: pricing.coupon.id,
+        code: pricing.coupon.code,
+        description: pricing.coupon.description,
+        discountType: pricing.coupon.discountType,
+        discountValue: pricing.coupon.discountValue,
       },
-      discountAmount: discountAmount.toFixed(2),
-      freeShipping: coupon.discount_type === 'free_shipping',
+      discountAmount: pricing.couponDiscount.toFixed(2),
+      freeShipping: pricing.freeShipping,
+      pricing,
     };
   } catch (error) {
     return {
@@ -256,19 +662,24 @@ const validateCoupon = async (code, userId, cartTotal, cartItems = []) => {
  * @param {string} userId - ID utilisateur (optionnel)
  * @param {string} orderId - ID de la commande
  * @param {number} discountAmount - Montant de la réduction
+ * @param {Object} [db] - Pool ou client pg (transaction de la commande)
  */
-const recordCouponUsage = async (couponId, userId, orderId, discountAmount) => {
-  const pool = getPool();
-
+const recordCouponUsage = async (couponId, userId, orderId, discountAmount, db = getPool()) => {
   try {
-    // Incrémenter le compteur d'utilisation
-    await pool.query(
-      'UPDATE coupons SET usage_count = usage_count + 1 WHERE id = $1',
+    // Incrémenter le compteur sans dépasser la limite (requêtes concurrentes)
+    const updateResult = await db.query(
+      `UPDATE coupons SET usage_count = usage_count + 1
+       WHERE id = $1 AND (usage_limit IS NULL OR usage_count < usage_limit)
+       RETURNING id`,
       [couponId]
     );
 
+    if (updateResult.rows.length === 0) {
+      throw new CouponError('Code promo épuisé');
+    }
+
     // Enregistrer l'utilisation
-    await pool.query(
+    await db.query(
       `INSERT INTO coupon_usage (coupon_id, user_id, order_id, discount_amount)
        VALUES ($1, $2, $3, $4)`,
       [couponId, userId || null, orderId, discountAmount]
@@ -381,7 +792,9 @@ const updatePromotion = async (promotionId, updates) => {
     });
 
     if (fields.length === 0) {
-      throw new Error('No fields to update');
+      const error = new Error('No fields to update');
+      error.status = 400;
+      throw error;
     }
 
     values.push(promotionId);
@@ -395,7 +808,9 @@ const updatePromotion = async (promotionId, updates) => {
     const result = await pool.query(query, values);
 
     if (result.rows.length === 0) {
-      throw new Error('Promotion not found');
+      const error = new Error('Promotion not found');
+      error.status = 404;
+      throw error;
     }
 
     return result.rows[0];
@@ -430,6 +845,11 @@ const deletePromotion = async (promotionId) => {
 };
 
 module.exports = {
+  CouponError,
+  priceCart,
+  buildCartLines,
+  dryRunPromotions,
+  isPromotionScheduled,
   applyPromotions,
   validateCoupon,
   recordCouponUsage,
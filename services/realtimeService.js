@@ -0,0 +1,448 @@
+/**
+ * Service temps réel (Server-Sent Events)
+ * Les événements sont écrits en base par triggers (realtime_events) puis
+ * signalés par NOTIFY : chaque instance écoute le canal et pousse l'événement
+ * aux connexions autorisées. À la reconnexion, le client renvoie Last-Event-ID
+ * et reçoit les événements manqués.
+ *
+ * Les identifiants (BIGSERIAL) sont attribués à l'insertion, pas au COMMIT :
+ * l'événement 41 peut être validé après le 42. Le curseur envoyé au client
+ * ("42" ou "42:41") liste donc les identifiants encore manquants sous le plus
+ * grand identifiant reçu, rejoués à la reconnexion s'ils ont été validés entre-temps.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Client } = require('pg');
+const { getPool } = require('../database/db');
+
+const NOTIFY_CHANNEL = 'realtime_events';
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+// Au-delà, le client doit recharger ses données (événement "resync")
+const REPLAY_LIMIT = 500;
+// Délai de reconnexion conseillé au navigateur (champ retry)
+const CLIENT_RETRY_MS = 5 * 1000;
+// Identifiant manquant abandonné après ce délai (transaction annulée)
+const GAP_TIMEOUT_MS = 60 * 1000;
+// Identifiants manquants listés dans le curseur (les plus récents)
+const MAX_CURSOR_GAPS = 50;
+// Au-delà d'un tel saut, les identifiants intermédiaires ne sont pas suivis
+const MAX_TRACKED_JUMP = 1000;
+
+// Ticket de connexion au flux : EventSource ne permet pas d'envoyer d'en-tête,
+// le ticket passe dans l'URL à la place du JWT (valable 60 s, flux uniquement)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const STREAM_TICKET_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('realtime-stream-ticket').digest('hex');
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+const connections = new Map();
+let nextConnectionId = 1;
+
+const state = {
+  listener: null,
+  heartbeat: null,
+  reconnectTimer: null,
+  stopped: true,
+  lastEventId: 0,
+  // Identifiant manquant → date de détection
+  gaps: new Map(),
+  pendingIds: new Set(),
+  flushScheduled: false,
+};
+
+// ============================================
+// AUTORISATIONS
+// ============================================
+/**
+ * Canaux accessibles à un utilisateur
+ * @param {Object} user - { userId, role }
+ * @returns {Array<string>}
+ */
+const getUserChannels = ({ userId, role }) => {
+  const channels = [`user:${userId}`];
+  if (role === 'admin' || role === 'staff') channels.push('role:staff');
+  if (role === 'admin') channels.push('role:admin');
+  return channels;
+};
+
+const canReceive = (connection, event) => event.channels.some(channel => connection.channels.has(channel));
+
+// ============================================
+// TICKETS DE FLUX
+// ============================================
+/**
+ * Ticket court pour ouvrir le flux (?ticket=), refusé par les routes API
+ * @param {string} userId
+ * @returns {Object} { ticket, expiresIn }
+ */
+const createStreamTicket = (userId) => ({
+  ticket: jwt.sign({ userId, purpose: 'realtime_stream' }, STREAM_TICKET_SECRET, {
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+  }),
+  expiresIn: STREAM_TICKET_TTL_SECONDS,
+});
+
+/**
+ * @returns {string|null} userId, null si le ticket est invalide ou expiré
+ */
+const verifyStreamTicket = (ticket) => {
+  try {
+    const decoded = jwt.verify(ticket, STREAM_TICKET_SECRET);
+    return decoded.purpose === 'realtime_stream' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ============================================
+// CURSEUR (Last-Event-ID)
+// ============================================
+/**
+ * Suivre un identifiant reçu : les identifiants sautés deviennent manquants
+ */
+const trackEventId = (id) => {
+  if (id <= state.lastEventId) {
+    state.gaps.delete(id);
+    return;
+  }
+
+  if (id - state.lastEventId <= MAX_TRACKED_JUMP) {
+    const now = Date.now();
+    for (let gap = state.lastEventId + 1; gap < id; gap++) state.gaps.set(gap, now);
+  }
+  state.lastEventId = id;
+};
+
+/**
+ * Curseur de l'instance : "42" ou "42:39,41" (identifiants encore manquants)
+ */
+const formatCursor = () => {
+  const now = Date.now();
+  state.gaps.forEach((since, id) => {
+    if (now - since > GAP_TIMEOUT_MS) state.gaps.delete(id);
+  });
+
+  const gaps = [...state.gaps.keys()].sort((a, b) => a - b).slice(-MAX_CURSOR_GAPS);
+  return gaps.length > 0 ? `${state.lastEventId}:${gaps.join(',')}` : String(state.lastEventId);
+};
+
+/**
+ * Last-Event-ID → { afterId, gaps } (afterId 0 si absent ou invalide)
+ */
+const parseCursor = (value) => {
+  const match = String(value || '').trim().match(/^(\d+)(?::(\d+(?:,\d+)*))?$/);
+  if (!match) return { afterId: 0, gaps: [] };
+
+  const afterId = Number(match[1]);
+  const gaps = match[2]
+    ? match[2].split(',').map(Number).filter(id => id < afterId).slice(-MAX_CURSOR_GAPS)
+    : [];
+  return { afterId, gaps };
+};
+
+// ============================================
+// FORMAT SSE
+// ============================================
+/**
+ * @param {Object} event
+ * @param {string} [cursor] - Champ id (absent : le curseur du client est inchangé)
+ */
+const formatEvent = (event, cursor = null) => {
+  const data = { ...event.payload, event_id: event.id, created_at: event.created_at };
+  const idLine = cursor ? `id: ${cursor}\n` : '';
+  return `${idLine}event: ${event.event_type}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+const write = (connection, chunk) => {
+  try {
+    connection.res.write(chunk);
+  } catch (error) {
+    connections.delete(connection.id);
+  }
+};
+
+/**
+ * Envoyer un événement à une connexion (mis en attente pendant le rejeu)
+ * @param {string} cursor - Curseur de l'instance après cet événement
+ */
+const deliver = (connection, event, cursor) => {
+  if (!canReceive(connection, event)) return;
+
+  if (connection.replaying) {
+    connection.queue.push(event);
+    return;
+  }
+
+  // Déjà rejoué (validé avant le rejeu, signalé après)
+  if (connection.replayedIds.delete(event.id)) return;
+
+  write(connection, formatEvent(event, cursor));
+};
+
+// ============================================
+// LECTURE DES ÉVÉNEMENTS
+// ============================================
+const parseEvent = (row) => ({ ...row, id: Number(row.id) });
+
+/**
+ * Événements postérieurs à un curseur (ou manquants à ce moment-là), limités aux canaux donnés
+ * @param {Object} db - Pool pg
+ * @param {Object} cursor - { afterId, gaps }
+ * @param {Array<string>} [channels] - Tous les canaux si absent
+ * @param {number} [limit]
+ */
+const getEventsSince = async (db, { afterId, gaps = [] }, channels = null, limit = REPLAY_LIMIT) => {
+  const result = await db.query(
+    `SELECT * FROM realtime_events
+     WHERE (id > $1 OR id = ANY($2::bigint[]))
+       AND ($3::text[] IS NULL OR channels && $3::text[])
+     ORDER BY id ASC
+     LIMIT $4`,
+    [afterId, gaps, channels, limit]
+  );
+  return result.rows.map(parseEvent);
+};
+
+/**
+ * Pousser les événements signalés (regroupés : une requête par lot de NOTIFY)
+ */
+const flushPending = async () => {
+  state.flushScheduled = false;
+  const ids = [...state.pendingIds];
+  state.pendingIds.clear();
+  if (ids.length === 0) return;
+
+  try {
+    const result = await getPool().query(
+      'SELECT * FROM realtime_events WHERE id = ANY($1::bigint[]) ORDER BY id ASC',
+      [ids]
+    );
+    dispatch(result.rows.map(parseEvent));
+  } catch (error) {
+    console.error('❌ Temps réel (lecture événements):', error.message);
+  }
+};
+
+const dispatch = (events) => {
+  events.forEach((event) => {
+    trackEventId(event.id);
+    const cursor = formatCursor();
+    connections.forEach(connection => deliver(connection, event, cursor));
+  });
+};
+
+const handleNotification = (message) => {
+  const id = Number(message.payload);
+  if (!id) return;
+
+  state.pendingIds.add(id);
+  if (!state.flushScheduled) {
+    state.flushScheduled = true;
+    setImmediate(flushPending);
+  }
+};
+
+// ============================================
+// ÉCOUTE (LISTEN)
+// ============================================
+const scheduleReconnect = () => {
+  if (state.stopped || state.reconnectTimer) return;
+
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    connectListener();
+  }, RECONNECT_DELAY_MS);
+  state.reconnectTimer.unref();
+};
+
+/**
+ * Connexion dédiée au LISTEN (hors pool : elle reste ouverte)
+ * REALTIME_DATABASE_URL permet d'utiliser une connexion directe si DATABASE_URL
+ * passe par un pooler en mode transaction (LISTEN non supporté)
+ */
+const connectListener = async () => {
+  const config = process.env.REALTIME_DATABASE_URL
+    ? { connectionString: process.env.REALTIME_DATABASE_URL, ssl: getPool().options.ssl }
+    : getPool().options;
+  const client = new Client(config);
+
+  client.on('notification', handleNotification);
+  client.on('error', (error) => {
+    console.error('❌ Temps réel (écoute):', error.message);
+    if (state.listener === client) state.listener = null;
+    client.end().catch(() => {});
+    scheduleReconnect();
+  });
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    state.listener = client;
+
+    // Rattraper les événements émis pendant la coupure
+    if (state.lastEventId > 0) {
+      dispatch(await getEventsSince(getPool(), {
+        afterId: state.lastEventId,
+        gaps: [...state.gaps.keys()],
+      }));
+    } else {
+      const result = await getPool().query('SELECT COALESCE(MAX(id), 0) as id FROM realtime_events');
+      state.lastEventId = Number(result.rows[0].id);
+    }
+  } catch (error) {
+    console.error('❌ Temps réel (connexion):', error.message);
+    client.end().catch(() => {});
+    scheduleReconnect();
+  }
+};
+
+// ============================================
+// START / STOP
+// ============================================
+const startRealtime = () => {
+  if (!state.stopped) return;
+  state.stopped = false;
+
+  connectListener();
+
+  // Commentaire SSE régulier : garde la connexion ouverte derrière les proxys
+  state.heartbeat = setInterval(() => {
+    connections.forEach(connection => write(connection, ': ping\n\n'));
+  }, HEARTBEAT_MS);
+  state.heartbeat.unref();
+};
+
+const stopRealtime = async () => {
+  state.stopped = true;
+  clearInterval(state.heartbeat);
+  clearTimeout(state.reconnectTimer);
+  state.reconnectTimer = null;
+
+  connections.forEach(connection => connection.res.end());
+  connections.clear();
+
+  if (state.listener) {
+    const listener = state.listener;
+    state.listener = null;
+    await listener.end().catch(() => {});
+  }
+};
+
+// ============================================
+// ABONNEMENT
+// ============================================
+/**
+ * Ouvrir un flux SSE pour un utilisateur authentifié
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.role - Rôle vérifié en base
+ * @param {string} [params.lastEventId] - Curseur reçu (Last-Event-ID, reconnexion)
+ */
+const subscribe = async (req, res, { userId, role, lastEventId = null }) => {
+  const channels = getUserChannels({ userId, role });
+  const cursor = parseCursor(lastEventId);
+  const connection = {
+    id: nextConnectionId++,
+    userId,
+    res,
+    channels: new Set(channels),
+    replaying: true,
+    queue: [],
+    replayedIds: new Set(),
+  };
+  const { replayedIds } = connection;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Nginx : pas de mise en tampon
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  // Enregistrée avant le rejeu : les événements arrivant pendant celui-ci sont mis en attente
+  connections.set(connection.id, connection);
+  req.on('close', () => connections.delete(connection.id));
+
+  try {
+    if (cursor.afterId > 0) {
+      const missed = await getEventsSince(getPool(), cursor, channels, REPLAY_LIMIT + 1);
+      const oldest = await getPool().query('SELECT MIN(id) as id FROM realtime_events');
+      const since = Math.min(cursor.afterId, ...cursor.gaps);
+      const pruned = oldest.rows[0].id !== null && Number(oldest.rows[0].id) > since + 1;
+
+      if (missed.length > REPLAY_LIMIT || pruned) {
+        // Trop d'événements manqués (ou purgés) : le client recharge ses listes
+        write(connection, `event: resync\ndata: ${JSON.stringify({ reason: pruned ? 'expired' : 'too_many_events' })}\n\n`);
+      } else {
+        // Sans champ id : le curseur n'avance qu'avec l'événement ready, une fois tout rejoué
+        missed.forEach((event) => {
+          replayedIds.add(event.id);
+          write(connection, formatEvent(event));
+        });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Temps réel (rejeu):', error.message);
+    write(connection, `event: resync\ndata: ${JSON.stringify({ reason: 'replay_failed' })}\n\n`);
+  }
+
+  const queued = connection.queue;
+  connection.replaying = false;
+  connection.queue = [];
+  queued.forEach(event => deliver(connection, event, formatCursor()));
+
+  // Rejoués et déjà signalés à l'instance : ne seront plus diffusés
+  replayedIds.forEach((id) => {
+    if (id <= state.lastEventId && !state.gaps.has(id)) replayedIds.delete(id);
+  });
+
+  // Point de reprise : tout événement reçu par l'instance a été rejoué ou mis en attente
+  // (écoute pas encore démarrée : curseur du client conservé)
+  const readyCursor = state.lastEventId > 0 ? formatCursor() : (lastEventId || '0');
+  write(connection, `id: ${readyCursor}\nevent: ready\ndata: ${JSON.stringify({ channels })}\n\n`);
+};
+
+/**
+ * Connexions ouvertes (supervision)
+ */
+const getRealtimeStats = () => ({
+  connections: connections.size,
+  users: new Set([...connections.values()].map(connection => connection.userId)).size,
+  listening: Boolean(state.listener),
+  lastEventId: state.lastEventId,
+  pendingGaps: state.gaps.size,
+});
+
+// ============================================
+// PURGE
+// ============================================
+/**
+ * Supprimer les événements anciens (au-delà, une reconnexion reçoit "resync")
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {number} [options.retentionHours]
+ * @returns {Promise<number>} Événements supprimés
+ */
+const pruneRealtimeEvents = async ({ db = getPool(), retentionHours = 24 } = {}) => {
+  const result = await db.query(
+    'DELETE FROM realtime_events WHERE created_at < NOW() - make_interval(hours => $1)',
+    [retentionHours]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  getUserChannels,
+  createStreamTicket,
+  verifyStreamTicket,
+  startRealtime,
+  stopRealtime,
+  subscribe,
+  getRealtimeStats,
+  pruneRealtimeEvents,
+};
@@ -0,0 +1,207 @@
+/**
+ * Service des périodes de service (petit-déjeuner, déjeuner, fika, dîner…)
+ * Une période = jours de la semaine + plage horaire. Menus, plats et produits
+ * assignés à des périodes ne sont proposés que pendant l'une d'elles ;
+ * sans période, ils restent toujours disponibles
+ */
+
+const { timeToMinutes } = require('./tableReservationService');
+const { getRestaurantParts, parseRestaurantDateTime } = require('../utils/restaurantTime');
+
+const DAY_LABELS = ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ============================================
+// HELPERS: Périodes (heure du restaurant, comme les horaires)
+// ============================================
+/**
+ * La période est-elle ouverte à cette date ?
+ * start_time inclus, end_time exclu
+ */
+const isPeriodOpen = (period, date) => {
+  if (!period.is_active) return false;
+
+  const { dayOfWeek, minutes } = getRestaurantParts(date);
+  const days = (period.days_of_week || []).map(Number);
+  if (!days.includes(dayOfWeek)) return false;
+
+  return minutes >= timeToMinutes(period.start_time) && minutes < timeToMinutes(period.end_time);
+};
+
+/**
+ * Un élément assigné à ces périodes est-il disponible à cette date ?
+ * Aucune période = toujours disponible
+ */
+const isAvailableAt = (codes, periodsByCode, date) => (
+  !codes || codes.length === 0 || codes.some((code) => {
+    const period = periodsByCode.get(code);
+    return period && isPeriodOpen(period, date);
+  })
+);
+
+/**
+ * "Fika (lun, mar, mer, jeu, ven 14:00-17:00)"
+ */
+const formatPeriod = (period) => {
+  const days = (period.days_of_week || []).map(Number).sort((a, b) => a - b);
+  const dayLabel = days.length === 7 ? 'tous les jours' : days.map(day => DAY_LABELS[day]).join(', ');
+  return `${period.name} (${dayLabel} ${String(period.start_time).slice(0, 5)}-${String(period.end_time).slice(0, 5)})`;
+};
+
+/**
+ * Moment demandé (?at=) → Date
+ * Accepte une date ISO ou "HH:MM" (aujourd'hui), sans fuseau = heure du restaurant ;
+ * absent = maintenant ; "any" = pas de filtre horaire (carte complète)
+ * @returns {Date|null} null si at=any
+ * @throws {Error} status 400 si le format est invalide
+ */
+const parseAvailabilityAt = (value, now = new Date()) => {
+  if (value === undefined || value === '') return now;
+  if (value === 'any') return null;
+
+  const date = parseRestaurantDateTime(value, now);
+  if (!date) {
+    throw httpError(400, 'Paramètre at invalide (date ISO, HH:MM ou any attendu)');
+  }
+  return date;
+};
+
+// ============================================
+// CHARGEMENT
+// ============================================
+/**
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly]
+ */
+const getServicePeriods = async (db, { activeOnly = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM service_periods
+     ${activeOnly ? 'WHERE is_active = true' : ''}
+     ORDER BY display_order ASC, start_time ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * Périodes ouvertes à un moment donné
+ * @returns {Array<Object>}
+ */
+const getOpenPeriods = async (db, at) => {
+  const periods = await getServicePeriods(db, { activeOnly: true });
+  return periods.filter(period => isPeriodOpen(period, at));
+};
+
+/**
+ * Codes de périodes envoyés par l'admin (tableau ou "a,b")
+ * @returns {Promise<Array<string>>} Codes uniques
+ * @throws {Error} status 400 si un code est inconnu
+ */
+const validatePeriodCodes = async (db, value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const codes = [...new Set(list.map(code => String(code).trim().toLowerCase()).filter(Boolean))];
+  if (codes.length === 0) return [];
+
+  const result = await db.query('SELECT code FROM service_periods WHERE code = ANY($1::text[])', [codes]);
+  const known = result.rows.map(row => row.code);
+  const unknown = codes.filter(code => !known.includes(code));
+
+  if (unknown.length > 0) {
+    throw httpError(400, `service_periods : période(s) inconnue(s) ${unknown.join(', ')}`);
+  }
+
+  return codes;
+};
+
+// ============================================
+// FILTRES
+// ============================================
+/**
+ * Condition SQL "disponible pendant l'une des périodes ouvertes"
+ * @param {Array<Object>|null} openPeriods - getOpenPeriods (null = pas de filtre)
+ * @param {string} alias - Alias de la table (m, d, p…)
+ * @param {Array} params - Paramètres de la requête (complétés)
+ * @returns {Array<string>} Conditions à joindre par AND
+ */
+const buildServicePeriodConditions = (openPeriods, alias, params) => {
+  if (!openPeriods) return [];
+
+  params.push(openPeriods.map(period => period.code));
+  return [`(${alias}.service_periods = '{}' OR ${alias}.service_periods && $${params.length}::text[])`];
+};
+
+// ============================================
+// COMMANDES
+// ============================================
+/**
+ * Produits commandés limités à des périodes de service
+ * @returns {Promise<Object>} { products, periodsByCode } (products vide si aucune restriction)
+ */
+const getRestrictedProducts = async (db, productIds) => {
+  const result = await db.query(
+    `SELECT id, name, service_periods FROM products
+     WHERE id = ANY($1) AND service_periods <> '{}'`,
+    [productIds]
+  );
+  if (result.rows.length === 0) return { products: [], periodsByCode: new Map() };
+
+  const periods = await getServicePeriods(db);
+  return {
+    products: result.rows,
+    periodsByCode: new Map(periods.map(period => [period.code, period])),
+  };
+};
+
+/**
+ * Filtre de créneaux : tous les produits sont-ils disponibles à cette heure ?
+ * Sert à choisir le créneau de retrait par défaut
+ * @returns {Promise<Function|null>} (Date) => boolean, null si aucune restriction
+ */
+const getProductsAvailabilityFilter = async (db, productIds) => {
+  const { products, periodsByCode } = await getRestrictedProducts(db, productIds);
+  if (products.length === 0) return null;
+
+  return (at) => products.every(product => isAvailableAt(product.service_periods, periodsByCode, at));
+};
+
+/**
+ * Vérifier que les produits commandés sont disponibles à l'heure de retrait
+ * @param {Object} db - Pool ou client pg
+ * @param {Array<string>} productIds
+ * @param {Date} at - Heure de retrait
+ * @throws {Error} status 400 avec les produits hors période
+ */
+const assertProductsAvailableAt = async (db, productIds, at) => {
+  const { products, periodsByCode } = await getRestrictedProducts(db, productIds);
+  if (products.length === 0) return;
+
+  const unavailable = products.filter(product => !isAvailableAt(product.service_periods, periodsByCode, at));
+
+  if (unavailable.length > 0) {
+    const details = unavailable.map(product => {
+      const windows = product.service_periods
+        .map(code => periodsByCode.get(code))
+        .filter(period => period && period.is_active)
+        .map(formatPeriod);
+      return `${product.name} : ${windows.length ? windows.join(', ') : 'indisponible'}`;
+    });
+    throw httpError(400, `Articles non disponibles à l'heure de retrait choisie — ${details.join(' ; ')}`);
+  }
+};
+
+module.exports = {
+  isPeriodOpen,
+  formatPeriod,
+  parseAvailabilityAt,
+  getServicePeriods,
+  getOpenPeriods,
+  validatePeriodCodes,
+  buildServicePeriodConditions,
+  getProductsAvailabilityFilter,
+  assertProductsAvailableAt,
+};
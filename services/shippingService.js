@@ -9,6 +9,13 @@ try {
   if (process.env.SHIPPO_API_KEY) {
     const Shippo = require('shippo');
     shippo = Shippo(process.env.SHIPPO_API_KEY);
+
+    // API alternative (ex : faux Shippo local, voir scripts/fakeShippo.js)
+    if (process.env.SHIPPO_API_URL) {
+      const apiUrl = new URL(process.env.SHIPPO_API_URL);
+      shippo.setHost(apiUrl.hostname, apiUrl.port, apiUrl.protocol.replace(':', ''));
+    }
+
     console.log('✅ Shippo initialized');
   } else {
     console.warn('⚠️ SHIPPO_API_KEY not found - Shipping features disabled');
@@ -32,6 +39,81 @@ const DEFAULT_FROM_ADDRESS = {
   email: process.env.SHOP_EMAIL || 'contact@votreshop.com',
 };
 
+// ============================================
+// TARIFS FIXES (FALLBACK) & RETRAIT
+// ============================================
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '50');
+
+const CLICK_COLLECT_RATE = {
+  rateId: 'click_collect',
+  carrier: 'Retrait',
+  service: 'Click & Collect',
+  price: 0,
+  currency: 'EUR',
+  estimatedDays: 0,
+};
+
+const FIXED_RATES = [
+  {
+    rateId: 'fixed_standard',
+    carrier: 'Standard',
+    service: 'Livraison standard',
+    price: 5.99,
+    currency: 'EUR',
+    estimatedDays: 3,
+  },
+  {
+    rateId: 'fixed_express',
+    carrier: 'Express',
+    service: 'Livraison express',
+    price: 12.99,
+    currency: 'EUR',
+    estimatedDays: 1,
+  },
+];
+
+/**
+ * Erreur de tarif de livraison (400)
+ * @param {string} message - Message affichable
+ * @returns {Error}
+ */
+const shippingRateError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Convertir un tarif Shippo au format interne
+ * @param {Object} rate - Objet rate Shippo
+ * @returns {Object} Tarif
+ */
+const mapShippoRate = (rate) => ({
+  rateId: rate.object_id,
+  carrier: rate.provider,
+  service: rate.servicelevel?.name,
+  price: parseFloat(rate.amount),
+  currency: rate.currency,
+  estimatedDays: rate.estimated_days,
+  duration: rate.duration_terms,
+});
+
+/**
+ * Livraison offerte : le tarif le moins cher devient gratuit
+ * @param {Array} rates - Tarifs de livraison
+ * @param {boolean} eligible - Seuil atteint ou coupon livraison gratuite
+ * @returns {Array} Tarifs ajustés
+ */
+const applyFreeShipping = (rates, eligible) => {
+  if (!eligible || rates.length === 0) return rates;
+
+  const cheapest = rates.reduce((min, rate) => (rate.price < min.price ? rate : min), rates[0]);
+
+  return rates.map((rate) => (rate.rateId === cheapest.rateId
+    ? { ...rate, originalPrice: rate.price, price: 0, freeShipping: true }
+    : rate));
+};
+
 // ============================================
 // CALCULATE SHIPPING RATES
 // ============================================
@@ -44,22 +126,7 @@ const DEFAULT_FROM_ADDRESS = {
 const calculateShippingRates = async (toAddress, parcel) => {
   if (!shippo) {
     // Fallback : tarifs fixes si Shippo non configuré
-    return [
-      {
-        carrier: 'Standard',
-        service: 'Livraison standard',
-        price: 5.99,
-        currency: 'EUR',
-        estimatedDays: 3,
-      },
-      {
-        carrier: 'Express',
-        service: 'Livraison express',
-        price: 12.99,
-        currency: 'EUR',
-        estimatedDays: 1,
-      },
-    ];
+    return FIXED_RATES.map((rate) => ({ ...rate }));
   }
 
   try {
@@ -93,15 +160,7 @@ const calculateShippingRates = async (toAddress, parcel) => {
       throw new Error('Aucun tarif disponible pour cette destination');
     }
 
-    return shipment.rates.map((rate) => ({
-      rateId: rate.object_id,
-      carrier: rate.provider,
-      service: rate.servicelevel.name,
-      price: parseFloat(rate.amount),
-      currency: rate.currency,
-      estimatedDays: rate.estimated_days,
-      duration: rate.duration_terms,
-    }));
+    return shipment.rates.map(mapShippoRate);
   } catch (error) {
     console.error('Error calculating shipping rates:', error);
     throw error;
@@ -109,27 +168,33 @@ const calculateShippingRates = async (toAddress, parcel) => {
 };
 
 // ============================================
-// CREATE SHIPPING LABEL
+// ADAPTATEUR TRANSPORTEUR
 // ============================================
 /**
- * Créer une étiquette d'expédition
- * @param {string} rateId - ID du tarif sélectionné
- * @param {string} orderId - ID de la commande
- * @returns {Promise<Object>} Informations sur l'étiquette
+ * Nom de transporteur → code Shippo (« DHL Express » → « dhl_express »)
+ * Utilisé quand le code n'a pas été enregistré (commandes antérieures)
  */
-const createShippingLabel = async (rateId, orderId) => {
-  if (!shippo) {
-    throw new Error('Shippo is not configured');
-  }
+const toCarrierToken = (carrier) => String(carrier || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
 
-  try {
-    const transaction = await shippo.transaction.create({
+/**
+ * Adaptateur Shippo : étiquettes et suivi
+ * Un adaptateur expose createLabel(rateId, orderId) et getTracking(trackingNumber, carrierToken)
+ * @param {Object} client - Client Shippo (shippo(token))
+ * @returns {Object} Adaptateur transporteur
+ */
+const createShippoAdapter = (client) => ({
+  name: 'shippo',
+
+  createLabel: async (rateId, orderId) => {
+    const transaction = await client.transaction.create({
       rate: rateId,
       label_file_type: 'PDF',
       async: false,
-      metadata: {
-        order_id: orderId,
-      },
+      metadata: `order_id=${orderId}`,
     });
 
     if (transaction.status !== 'SUCCESS') {
@@ -138,14 +203,87 @@ const createShippingLabel = async (rateId, orderId) => {
       );
     }
 
+    // Le tarif n'est pas toujours développé dans la réponse
+    const rate = typeof transaction.rate === 'object'
+      ? transaction.rate
+      : await client.rate.retrieve(transaction.rate);
+
+    // Code transporteur du compte utilisé (le nom affiché ne sert pas au suivi)
+    let carrierToken = null;
+    if (rate.carrier_account) {
+      try {
+        const account = await client.carrieraccount.retrieve(rate.carrier_account);
+        carrierToken = account.carrier || null;
+      } catch (error) {
+        console.error('Error retrieving carrier account:', error.message);
+      }
+    }
+
     return {
       labelUrl: transaction.label_url,
       trackingNumber: transaction.tracking_number,
       trackingUrl: transaction.tracking_url_provider,
-      carrier: transaction.rate.provider,
-      service: transaction.rate.servicelevel.name,
+      carrier: rate.provider,
+      carrierToken: carrierToken || toCarrierToken(rate.provider),
+      service: rate.servicelevel?.name,
       transactionId: transaction.object_id,
     };
+  },
+
+  getTracking: async (trackingNumber, carrierToken) => {
+    const tracking = await client.track.get_status(toCarrierToken(carrierToken), trackingNumber);
+    const status = tracking.tracking_status || {};
+
+    return {
+      trackingNumber: tracking.tracking_number,
+      carrier: tracking.carrier,
+      status: status.status || 'UNKNOWN',
+      statusDetails: status.status_details,
+      statusDate: status.status_date,
+      location: status.location,
+      eta: tracking.eta,
+      trackingHistory: (tracking.tracking_history || []).map((event) => ({
+        status: event.status,
+        statusDetails: event.status_details,
+        location: event.location,
+        date: event.status_date,
+      })),
+    };
+  },
+});
+
+let carrierAdapter = shippo ? createShippoAdapter(shippo) : null;
+
+/**
+ * Remplacer l'adaptateur transporteur (autre transporteur, tests)
+ * @param {Object|null} adapter - Adaptateur { name, createLabel, getTracking }
+ */
+const setCarrierAdapter = (adapter) => {
+  carrierAdapter = adapter;
+};
+
+/**
+ * Adaptateur transporteur courant (null si aucun configuré)
+ * @returns {Object|null}
+ */
+const getCarrierAdapter = () => carrierAdapter;
+
+// ============================================
+// CREATE SHIPPING LABEL
+// ============================================
+/**
+ * Créer une étiquette d'expédition
+ * @param {string} rateId - ID du tarif sélectionné
+ * @param {string} orderId - ID de la commande
+ * @returns {Promise<Object>} Informations sur l'étiquette
+ */
+const createShippingLabel = async (rateId, orderId) => {
+  if (!carrierAdapter) {
+    throw new Error('Shippo is not configured');
+  }
+
+  try {
+    return await carrierAdapter.createLabel(rateId, orderId);
   } catch (error) {
     console.error('Error creating shipping label:', error);
     throw error;
@@ -158,31 +296,16 @@ const createShippingLabel = async (rateId, orderId) => {
 /**
  * Obtenir les informations de suivi d'un colis
  * @param {string} trackingNumber - Numéro de suivi
- * @param {string} carrier - Transporteur
- * @returns {Promise<Object>} État du suivi
+ * @param {string} carrier - Code transporteur (orders.shipping_carrier_token) ou, à défaut, son nom
+ * @returns {Promise<Object>} État du suivi (status : PRE_TRANSIT, TRANSIT, DELIVERED, RETURNED, FAILURE, UNKNOWN)
  */
 const getTrackingInfo = async (trackingNumber, carrier) => {
-  if (!shippo) {
+  if (!carrierAdapter) {
     throw new Error('Shippo is not configured');
   }
 
   try {
-    const tracking = await shippo.track.get(carrier, trackingNumber);
-
-    return {
-      trackingNumber: tracking.tracking_number,
-      carrier: tracking.carrier,
-      status: tracking.tracking_status.status,
-      statusDetails: tracking.tracking_status.status_details,
-      location: tracking.tracking_status.location,
-      eta: tracking.eta,
-      trackingHistory: tracking.tracking_history.map((event) => ({
-        status: event.status,
-        statusDetails: event.status_details,
-        location: event.location,
-        date: event.status_date,
-      })),
-    };
+    return await carrierAdapter.getTracking(trackingNumber, carrier);
   } catch (error) {
     console.error('Error getting tracking info:', error);
     throw error;
@@ -231,6 +354,8 @@ const validateAddress = async (address) => {
 // ============================================
 /**
  * Calculer les dimensions d'un colis à partir des produits
+ * Utilise weight_kg / length_cm / width_cm / height_cm quand ils sont renseignés
+ * (camelCase ou snake_case), sinon une estimation basée sur la quantité
  * @param {Array} orderItems - Articles de la commande
  * @returns {Object} Dimensions du colis
  */
@@ -247,18 +372,178 @@ const calculateParcelDimensions = (orderItems) => {
     return defaultParcel;
   }
 
-  // TODO: Améliorer avec les vraies dimensions des produits
-  // Pour l'instant, on utilise des dimensions standard basées sur la quantité
+  const read = (item, camelKey, snakeKey) => parseFloat(item[camelKey] ?? item[snakeKey]) || null;
   const totalQuantity = orderItems.reduce((sum, item) => sum + item.quantity, 0);
-  
+  const hasDimensions = orderItems.some((item) => read(item, 'lengthCm', 'length_cm'));
+
+  // Poids réel, 0.5kg par article quand le produit n'a pas de poids
+  const weight = orderItems.reduce(
+    (sum, item) => sum + (read(item, 'weightKg', 'weight_kg') || 0.5) * item.quantity,
+    0
+  );
+
+  if (!hasDimensions) {
+    // Estimation standard basée sur la quantité
+    return {
+      length: Math.min(30 + totalQuantity * 5, 100), // Max 100cm
+      width: Math.min(20 + totalQuantity * 3, 80),   // Max 80cm
+      height: Math.min(10 + totalQuantity * 2, 50),  // Max 50cm
+      weight: Math.max(0.1, Math.round(weight * 100) / 100),
+    };
+  }
+
+  // Articles empilés : plus grande longueur/largeur, hauteurs cumulées
   return {
-    length: Math.min(30 + totalQuantity * 5, 100), // Max 100cm
-    width: Math.min(20 + totalQuantity * 3, 80),   // Max 80cm
-    height: Math.min(10 + totalQuantity * 2, 50),  // Max 50cm
-    weight: Math.max(1, totalQuantity * 0.5),      // Min 1kg, 0.5kg par article
+    length: Math.min(Math.max(...orderItems.map((item) => read(item, 'lengthCm', 'length_cm') || defaultParcel.length)), 100),
+    width: Math.min(Math.max(...orderItems.map((item) => read(item, 'widthCm', 'width_cm') || defaultParcel.width)), 80),
+    height: Math.min(
+      orderItems.reduce((sum, item) => sum + (read(item, 'heightCm', 'height_cm') || 5) * item.quantity, 0),
+      50
+    ),
+    weight: Math.max(0.1, Math.round(weight * 100) / 100),
   };
 };
 
+// ============================================
+// QUOTE SHIPPING RATES (CHECKOUT)
+// ============================================
+/**
+ * Adresse suffisante pour un devis transporteur ?
+ * @param {Object} address - Adresse de livraison
+ * @returns {boolean}
+ */
+const isShippableAddress = (address) => !!(
+  address && address.addressLine1 && address.city && address.postalCode && address.country
+);
+
+/**
+ * Proposer les tarifs de livraison d'un panier (retrait + transporteurs)
+ * @param {Object} params
+ * @param {Object} [params.toAddress] - Adresse de livraison
+ * @param {Array} params.items - Articles (avec poids/dimensions)
+ * @param {number} params.subtotal - Sous-total articles
+ * @param {boolean} [params.freeShipping] - Coupon livraison gratuite
+ * @returns {Promise<Array>} Tarifs disponibles
+ */
+const quoteShippingRates = async ({ toAddress, items, subtotal, freeShipping = false }) => {
+  const eligible = freeShipping || subtotal >= FREE_SHIPPING_THRESHOLD;
+
+  if (shippo && !isShippableAddress(toAddress)) {
+    return [{ ...CLICK_COLLECT_RATE }];
+  }
+
+  const parcel = calculateParcelDimensions(items);
+  const rates = await calculateShippingRates(toAddress, parcel);
+
+  return [{ ...CLICK_COLLECT_RATE }, ...applyFreeShipping(rates, eligible)];
+};
+
+/**
+ * Normaliser un code postal / pays pour comparaison
+ */
+const normalizeAddressPart = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Tarif transporteur équivalent à un tarif fixe (anciens clients sans devis) :
+ * le moins cher pour fixed_standard, le plus rapide pour fixed_express
+ * @param {string} rateId - fixed_standard | fixed_express
+ * @param {Array} rates - Tarifs Shippo (livraison offerte appliquée)
+ * @returns {Object|null}
+ */
+const pickLegacyRate = (rateId, rates) => {
+  const basePrice = rate => (rate.originalPrice !== undefined ? rate.originalPrice : rate.price);
+  const days = rate => (Number.isFinite(rate.estimatedDays) ? rate.estimatedDays : Infinity);
+
+  const sorted = [...rates].sort((a, b) => (rateId === 'fixed_express'
+    ? days(a) - days(b) || basePrice(a) - basePrice(b)
+    : basePrice(a) - basePrice(b)));
+  return sorted[0] || null;
+};
+
+/**
+ * Recalculer côté serveur le tarif choisi au checkout
+ * Le prix n'est jamais repris du client : il est relu depuis la grille fixe
+ * ou depuis Shippo (tarif + envoi d'origine, qui doit correspondre à la commande).
+ * Tarif fixe avec Shippo configuré (ancien shippingMethod) : nouveau devis côté serveur
+ * @param {string} rateId - ID du tarif choisi
+ * @param {Object} params - Mêmes paramètres que quoteShippingRates()
+ * @returns {Promise<Object>} Tarif vérifié { rateId, carrier, service, price, ... }
+ * @throws {Error} status 400 si le tarif est invalide, expiré ou ne correspond pas
+ */
+const verifyShippingRate = async (rateId, { toAddress, items, subtotal, freeShipping = false }) => {
+  if (rateId === CLICK_COLLECT_RATE.rateId) {
+    return { ...CLICK_COLLECT_RATE };
+  }
+
+  const eligible = freeShipping || subtotal >= FREE_SHIPPING_THRESHOLD;
+  let rates;
+
+  if (rateId.startsWith('fixed_')) {
+    if (!FIXED_RATES.some((rate) => rate.rateId === rateId)) {
+      throw shippingRateError('Tarif de livraison invalide');
+    }
+    if (!shippo) {
+      rates = FIXED_RATES;
+    } else {
+      if (!isShippableAddress(toAddress)) {
+        throw shippingRateError('Adresse de livraison incomplète');
+      }
+
+      let quoted;
+      try {
+        quoted = await calculateShippingRates(toAddress, calculateParcelDimensions(items));
+      } catch (error) {
+        throw shippingRateError('Aucun tarif de livraison disponible pour cette adresse');
+      }
+
+      const rate = pickLegacyRate(rateId, applyFreeShipping(quoted, eligible));
+      if (!rate) {
+        throw shippingRateError('Aucun tarif de livraison disponible pour cette adresse');
+      }
+      return { ...rate };
+    }
+  } else {
+    if (!shippo) {
+      throw shippingRateError('Tarif de livraison invalide');
+    }
+    if (!isShippableAddress(toAddress)) {
+      throw shippingRateError('Adresse de livraison incomplète');
+    }
+
+    let shipment;
+    try {
+      const rate = await shippo.rate.retrieve(rateId);
+      shipment = await shippo.shipment.retrieve(rate.shipment);
+    } catch (error) {
+      console.error('Error retrieving shipping rate:', error);
+      throw shippingRateError('Tarif de livraison invalide ou expiré');
+    }
+
+    // Le devis doit porter sur la même destination et au moins le même poids
+    const quotedTo = shipment.address_to || {};
+    const quotedWeight = parseFloat(shipment.parcels?.[0]?.weight) || 0;
+    const parcel = calculateParcelDimensions(items);
+
+    if (
+      normalizeAddressPart(quotedTo.zip) !== normalizeAddressPart(toAddress.postalCode) ||
+      normalizeAddressPart(quotedTo.country) !== normalizeAddressPart(toAddress.country) ||
+      quotedWeight + 0.01 < parcel.weight
+    ) {
+      throw shippingRateError('Le tarif de livraison ne correspond plus au panier, veuillez le recalculer');
+    }
+
+    rates = (shipment.rates || []).map(mapShippoRate);
+  }
+
+  const rate = applyFreeShipping(rates, eligible).find((item) => item.rateId === rateId);
+
+  if (!rate) {
+    throw shippingRateError('Tarif de livraison invalide ou expiré');
+  }
+
+  return { ...rate };
+};
+
 // ============================================
 // GET SHIPPING RATES FOR ORDER
 // ============================================
@@ -299,9 +584,16 @@ const getShippingRatesForOrder = async (orderId, db) => {
 };
 
 module.exports = {
+  FREE_SHIPPING_THRESHOLD,
   calculateShippingRates,
+  quoteShippingRates,
+  verifyShippingRate,
   createShippingLabel,
   getTrackingInfo,
+  createShippoAdapter,
+  toCarrierToken,
+  setCarrierAdapter,
+  getCarrierAdapter,
   validateAddress,
   calculateParcelDimensions,
   getShippingRatesForOrder,
@@ -295,7 +295,7 @@ const handleWebhookEvent = async (event) => {
         // E-COMMERCE: Mettre à jour commande
         if (order_id) {
           // Mettre à jour statut paiement
-          await pool.query(
+          const paidResult = await pool.query(
             `UPDATE orders 
              SET payment_status = 'paid', 
                  payment_method = 'stripe',
@@ -303,10 +303,13 @@ const handleWebhookEvent = async (event) => {
                  paid_at = NOW(),
                  status = 'processing',
                  updated_at = NOW()
-             WHERE id = $2`,
+             WHERE id = $2 AND status <> 'cancelled'`,
             [paymentIntent.id, order_id]
           );
 
+          // Commande annulée : paiement remboursé par le webhook, pas de reprise
+          if (paidResult.rowCount === 0) break;
+
           // Ajouter à l'historique
           await pool.query(
             `INSERT INTO order_status_history (order_id, from_status, to_status, comment)
@@ -511,7 +514,9 @@ const getPaymentStatus = async (payment_intent_id) => {
 // ============================================
 // REFUND PAYMENT
 // ============================================
-const refundPayment = async ({ paymentIntentId, amount, reason }) => {
+// idempotencyKey : un nouvel essai avec la même clé renvoie le même remboursement
+// au lieu de rembourser une seconde fois (clé conservée 24 h par Stripe)
+const refundPayment = async ({ paymentIntentId, amount, reason, idempotencyKey }) => {
   if (!stripe) {
     throw new Error('Stripe is not configured');
   }
@@ -531,7 +536,10 @@ const refundPayment = async ({ paymentIntentId, amount, reason }) => {
       refundParams.reason = reason;
     }
 
-    const refund = await stripe.refunds.create(refundParams);
+    const refund = await stripe.refunds.create(
+      refundParams,
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
 
     return {
       id: refund.id,
@@ -570,6 +578,29 @@ const confirmPaymentIntent = async (paymentIntentId, paymentMethodId) => {
   }
 };
 
+// ============================================
+// CANCEL PAYMENT INTENT
+// ============================================
+const cancelPaymentIntent = async (paymentIntentId, reason = 'abandoned') => {
+  if (!stripe) {
+    throw new Error('Stripe is not configured');
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId, {
+      cancellation_reason: reason
+    });
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status
+    };
+  } catch (error) {
+    console.error('Error canceling payment intent:', error);
+    throw error;
+  }
+};
+
 // ============================================
 // RETRIEVE CUSTOMER
 // ============================================
@@ -680,6 +711,7 @@ module.exports = {
   getPaymentStatus,
   refundPayment,
   confirmPaymentIntent,
+  cancelPaymentIntent,
   retrieveCustomer,
   updateCustomer,
   listPaymentMethods,
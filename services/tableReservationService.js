@@ -0,0 +1,272 @@
+/**
+ * Service de réservation de tables (restaurant)
+ * Disponibilités par nombre de couverts, durée de rotation par service
+ * et attribution automatique de la plus petite table adaptée
+ */
+
+const { getPool } = require('../database/db');
+const { getRestaurantParts } = require('../utils/restaurantTime');
+
+// Réservations qui occupent une table
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Couverts supposés pour les anciennes réservations sans party_size
+const DEFAULT_PARTY_SIZE = 2;
+
+// ============================================
+// HELPERS: Heures
+// ============================================
+/**
+ * "HH:MM" ou "HH:MM:SS" → minutes depuis minuit
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Minutes depuis minuit → "HH:MM"
+ */
+const minutesToTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Service contenant l'heure de début demandée
+ * @param {Array} services - Lignes restaurant_services
+ * @param {number} start - Minutes depuis minuit
+ * @returns {Object|null}
+ */
+const findService = (services, start) => services.find((service) => (
+  start >= timeToMinutes(service.start_time) && start < timeToMinutes(service.end_time)
+)) || null;
+
+// ============================================
+// CHARGEMENT
+// ============================================
+const getServices = async (db) => {
+  const result = await db.query(
+    'SELECT * FROM restaurant_services WHERE is_active = true ORDER BY start_time ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * Tables actives, de la plus petite à la plus grande
+ * @param {Object} db - Pool ou client pg
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Verrouiller les tables (sérialise les attributions)
+ */
+const getTables = async (db, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM restaurant_tables
+     WHERE is_active = true
+     ORDER BY seats ASC, display_order ASC, name ASC
+     ${lock ? 'FOR UPDATE' : ''}`
+  );
+  return result.rows;
+};
+
+/**
+ * Réservations de table d'une journée, sous forme d'intervalles en minutes
+ * @param {Object} db - Pool ou client pg
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Réservation à ignorer (modification)
+ */
+const getDayBookings = async (db, date, { excludeId = null } = {}) => {
+  const result = await db.query(
+    `SELECT id, reservation_time, duration, party_size, table_id, service_code
+     FROM reservations
+     WHERE reservation_date = $1
+       AND LOWER(meeting_type) = 'table'
+       AND status = ANY($2)
+       AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [date, ACTIVE_STATUSES, excludeId]
+  );
+
+  return result.rows.map((booking) => {
+    const start = timeToMinutes(booking.reservation_time);
+    return {
+      ...booking,
+      start,
+      end: start + (booking.duration || 0),
+      partySize: booking.party_size || DEFAULT_PARTY_SIZE,
+    };
+  });
+};
+
+// ============================================
+// ÉVALUATION D'UN CRÉNEAU
+// ============================================
+/**
+ * Chercher une table libre pour un créneau
+ * @param {Object} params
+ * @param {Array} params.tables - Tables actives (triées par taille)
+ * @param {Array} params.bookings - Réservations du jour (getDayBookings)
+ * @param {Object} params.service - Service du créneau
+ * @param {number} params.start - Début en minutes
+ * @param {number} params.partySize - Nombre de couverts
+ * @returns {Object} { table, reason } — reason si aucune table : 'covers' | 'tables'
+ */
+const evaluateSlot = ({ tables, bookings, service, start, partySize }) => {
+  const end = start + service.turn_minutes;
+  const overlapping = bookings.filter((booking) => overlaps(start, end, booking.start, booking.end));
+
+  if (service.max_covers) {
+    const covers = overlapping
+      .filter((booking) => !booking.service_code || booking.service_code === service.code)
+      .reduce((sum, booking) => sum + booking.partySize, 0);
+
+    if (covers + partySize > service.max_covers) {
+      return { table: null, reason: 'covers' };
+    }
+  }
+
+  const busyTableIds = new Set(overlapping.filter((booking) => booking.table_id).map((booking) => booking.table_id));
+  const freeTables = tables.filter((candidate) => !busyTableIds.has(candidate.id));
+
+  // Réservations sans table (antérieures au plan de salle, table supprimée) :
+  // elles occupent quand même une table, la plus petite adaptée (sinon la plus grande)
+  overlapping
+    .filter((booking) => !booking.table_id)
+    .sort((a, b) => b.partySize - a.partySize)
+    .forEach((booking) => {
+      if (freeTables.length === 0) return;
+      const index = freeTables.findIndex((candidate) => candidate.seats >= booking.partySize);
+      freeTables.splice(index >= 0 ? index : freeTables.length - 1, 1);
+    });
+
+  const table = freeTables.find((candidate) => (
+    candidate.seats >= partySize &&
+    candidate.min_seats <= partySize
+  ));
+
+  return table ? { table, reason: null } : { table: null, reason: 'tables' };
+};
+
+/**
+ * Heure de début minimale réservable pour une date (pas de créneau passé)
+ * Date et heure du restaurant (RESTAURANT_TIMEZONE), pas celles du serveur
+ */
+const getEarliestStart = (date, now = new Date()) => {
+  const { dateKey: today, minutes } = getRestaurantParts(now);
+
+  if (date < today) return Infinity;
+  if (date > today) return 0;
+  return minutes + 1;
+};
+
+// ============================================
+// DISPONIBILITÉS
+// ============================================
+/**
+ * Heures réservables d'une journée pour un nombre de couverts
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} partySize - Nombre de couverts
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Pool pg
+ * @param {Date} [options.now] - Date courante (créneaux passés exclus)
+ * @returns {Promise<Array>} [{ time, service, serviceName, duration }]
+ */
+const getAvailableTimes = async (date, partySize, { db = getPool(), now = new Date() } = {}) => {
+  const [services, tables, bookings] = await Promise.all([
+    getServices(db),
+    getTables(db),
+    getDayBookings(db, date),
+  ]);
+
+  const earliestStart = getEarliestStart(date, now);
+  const times = [];
+
+  for (const service of services) {
+    const serviceEnd = timeToMinutes(service.end_time);
+
+    for (
+      let start = timeToMinutes(service.start_time);
+      start < serviceEnd;
+      start += service.slot_interval_minutes
+    ) {
+      if (start < earliestStart) continue;
+
+      const { table } = evaluateSlot({ tables, bookings, service, start, partySize });
+
+      if (table) {
+        times.push({
+          time: minutesToTime(start),
+          service: service.code,
+          serviceName: service.name,
+          duration: service.turn_minutes,
+        });
+      }
+    }
+  }
+
+  return times;
+};
+
+// ============================================
+// ATTRIBUTION
+// ============================================
+/**
+ * Attribuer une table à une réservation (tables verrouillées jusqu'au COMMIT)
+ * @param {Object} client - Client pg dans une transaction
+ * @param {Object} params
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {number} params.partySize - Nombre de couverts
+ * @param {string} [params.excludeId] - Réservation modifiée à ignorer
+ * @param {Date} [params.now] - Date courante (créneaux passés refusés)
+ * @returns {Promise<Object>} { table, service }
+ * @throws {Error} status 400 hors service ou créneau passé, 409 si complet
+ */
+const assignTable = async (client, { date, time, partySize, excludeId = null, now = new Date() }) => {
+  const services = await getServices(client);
+  const start = timeToMinutes(time);
+
+  if (start < getEarliestStart(date, now)) {
+    const error = new Error('Ce créneau est déjà passé, veuillez choisir un autre horaire');
+    error.status = 400;
+    throw error;
+  }
+
+  const service = findService(services, start);
+
+  if (!service) {
+    const hours = services
+      .map((item) => `${item.name.toLowerCase()} ${minutesToTime(timeToMinutes(item.start_time))}-${minutesToTime(timeToMinutes(item.end_time))}`)
+      .join(', ');
+    const error = new Error(`Horaires restaurant : ${hours}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const tables = await getTables(client, { lock: true });
+  const bookings = await getDayBookings(client, date, { excludeId });
+  const { table, reason } = evaluateSlot({ tables, bookings, service, start, partySize });
+
+  if (!table) {
+    const error = new Error(
+      reason === 'covers'
+        ? 'Capacité maximale atteinte pour ce service, veuillez choisir un autre horaire'
+        : `Aucune table disponible pour ${partySize} personne(s) à cet horaire`
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  return { table, service };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  findService,
+  evaluateSlot,
+  getAvailableTimes,
+  assignTable,
+};
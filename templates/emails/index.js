@@ -788,6 +788,288 @@ const {
     });
   };
   
+  // ============================================
+  // 20. PANIER ABANDONNÉ
+  // ============================================
+  
+  const abandonedCartEmail = (variables) => {
+    const { firstname, items = [], cart_total, currency, coupon_code, coupon_value, coupon_expires, cart_url } = variables;
+    
+    const itemsHTML = items.map((item) => `
+      <p style="margin: 8px 0; font-size: 14px;">
+        ${item.quantity} × <strong style="color: #0A0E27;">${item.name}</strong> — ${item.total} ${currency || 'EUR'}
+      </p>
+    `).join('');
+    
+    const content = `
+      <h1>Vous avez oublié quelque chose ? 🛒</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>Votre panier vous attend toujours. Les articles ne sont pas réservés : finalisez votre commande avant qu'ils ne soient plus disponibles.</p>
+      
+      <div class="info-box" style="background: #f5f7fa; border-left: 4px solid #0066FF; padding: 20px; margin: 20px 0; border-radius: 4px;">
+        ${itemsHTML}
+        <p style="margin: 12px 0 0; font-size: 16px;">
+          <strong>Total :</strong> ${cart_total} ${currency || 'EUR'}
+        </p>
+      </div>
+      
+      ${coupon_code ? `
+        <div class="info-box" style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          <p style="margin: 0; color: #1b5e20;">
+            🎁 Profitez de <strong>${coupon_value}</strong> de réduction avec le code
+            <strong style="font-size: 18px;">${coupon_code}</strong>
+            ${coupon_expires ? `<br><span style="font-size: 13px;">Valable une seule fois, jusqu'au ${coupon_expires}</span>` : ''}
+          </p>
+        </div>
+      ` : ''}
+      
+      ${createButton('Finaliser ma commande', cart_url || `${frontendUrl}/cart`)}
+      
+      <p style="font-size: 14px; color: #666;">
+        Une question ? Contactez-nous : <a href="mailto:contact@lesagedev.com" style="color: #0066FF;">contact@lesagedev.com</a>
+      </p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Votre panier vous attend - LE SAGE DEV',
+      preheader: coupon_code ? `Votre code ${coupon_code} vous attend` : 'Finalisez votre commande',
+      content,
+      variables
+    });
+  };
+  
+  // ============================================
+  // 21. SÉJOUR ANNULÉ (HÔTEL)
+  // ============================================
+  
+  const hotelCancellationEmail = (variables) => {
+    const {
+      firstname, room_type_name, check_in_date, check_out_date, nights,
+      total_amount, amount_paid, penalty_amount, refund_amount, currency, policy_name
+    } = variables;
+    const cur = currency || 'EUR';
+    
+    const content = `
+      <h1>Séjour annulé</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>Votre séjour a bien été annulé. Voici le récapitulatif :</p>
+      
+      ${createInfoBox([
+        { label: 'Chambre', value: room_type_name || '-' },
+        { label: 'Arrivée', value: new Date(check_in_date).toLocaleDateString('fr-FR') },
+        { label: 'Départ', value: new Date(check_out_date).toLocaleDateString('fr-FR') },
+        { label: 'Nuits', value: nights },
+        { label: 'Montant du séjour', value: `${total_amount} ${cur}` },
+        { label: 'Conditions', value: policy_name || '-' },
+      ])}
+      
+      ${createInfoBox([
+        { label: 'Montant réglé', value: `${amount_paid} ${cur}` },
+        { label: 'Frais d\'annulation', value: `${penalty_amount} ${cur}` },
+        { label: 'Remboursement', value: `<strong>${refund_amount} ${cur}</strong>` },
+      ])}
+      
+      ${Number(refund_amount) > 0 ? `
+        <p>Le remboursement sera visible sur votre moyen de paiement sous 5 à 10 jours ouvrés.</p>
+      ` : ''}
+      
+      <p style="margin-top: 30px; font-size: 14px; color: #666;">
+        Des questions ? Contactez-nous à 
+        <a href="mailto:contact@lesagedev.com" style="color: #0066FF;">contact@lesagedev.com</a>
+      </p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Séjour annulé - LE SAGE DEV',
+      preheader: Number(refund_amount) > 0 ? `Remboursement de ${refund_amount} ${cur}` : 'Votre séjour a été annulé',
+      content,
+      variables
+    });
+  };
+  
+  // ============================================
+  // 22. AVANT L'ARRIVÉE (HÔTEL)
+  // ============================================
+  
+  const hotelPreArrivalEmail = (variables) => {
+    const {
+      firstname, hotel_name, room_type_name, check_in_date, check_out_date, nights,
+      days_before, amenities = [], wellness = [], currency, hotel_url
+    } = variables;
+    const cur = currency || 'EUR';
+    
+    const upsellHTML = (items) => items.map((item) => `
+      <p style="margin: 8px 0; font-size: 14px;">
+        <strong style="color: #0A0E27;">${item.name}</strong>${item.price != null ? ` — ${item.price} ${cur}${item.price_label ? ` ${item.price_label}` : ''}` : ''}
+        ${item.description ? `<br><span style="color: #666;">${item.description}</span>` : ''}
+      </p>
+    `).join('');
+    
+    const content = `
+      <h1>Plus que ${days_before} jour(s) avant votre séjour 🏨</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>Toute l'équipe ${hotel_name || ''} se réjouit de vous accueillir. Voici un rappel de votre réservation :</p>
+      
+      ${createInfoBox([
+        { label: 'Chambre', value: room_type_name || '-' },
+        { label: 'Arrivée', value: new Date(check_in_date).toLocaleDateString('fr-FR') },
+        { label: 'Départ', value: new Date(check_out_date).toLocaleDateString('fr-FR') },
+        { label: 'Nuits', value: nights },
+      ])}
+      
+      ${amenities.length > 0 ? `
+        <h2 style="font-size: 18px; margin-top: 30px;">Complétez votre séjour</h2>
+        <div class="info-box" style="background: #f5f7fa; border-left: 4px solid #0066FF; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          ${upsellHTML(amenities)}
+        </div>
+      ` : ''}
+      
+      ${wellness.length > 0 ? `
+        <h2 style="font-size: 18px; margin-top: 30px;">Un moment pour vous</h2>
+        <div class="info-box" style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          ${upsellHTML(wellness)}
+        </div>
+      ` : ''}
+      
+      ${hotel_url ? createButton('Ajouter une option', hotel_url) : ''}
+      
+      <p style="font-size: 14px; color: #666;">
+        Une question ? Contactez-nous : <a href="mailto:contact@lesagedev.com" style="color: #0066FF;">contact@lesagedev.com</a>
+      </p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Votre séjour approche - LE SAGE DEV',
+      preheader: `Arrivée le ${new Date(check_in_date).toLocaleDateString('fr-FR')}`,
+      content,
+      variables
+    });
+  };
+  
+  // ============================================
+  // 23. JOUR D'ARRIVÉE (HÔTEL)
+  // ============================================
+  
+  const hotelCheckInDayEmail = (variables) => {
+    const { firstname, hotel_name, room_type_name, room_number, check_in_time, check_out_date, address, phone } = variables;
+    
+    const content = `
+      <h1>Bienvenue aujourd'hui ! 🔑</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>C'est le grand jour : votre chambre vous attend${hotel_name ? ` à ${hotel_name}` : ''}.</p>
+      
+      ${createInfoBox([
+        { label: 'Chambre', value: room_number ? `${room_type_name} (n° ${room_number})` : room_type_name || '-' },
+        { label: 'Arrivée à partir de', value: check_in_time || '15:00' },
+        { label: 'Départ', value: new Date(check_out_date).toLocaleDateString('fr-FR') },
+        ...(address ? [{ label: 'Adresse', value: address }] : []),
+        ...(phone ? [{ label: 'Téléphone', value: phone }] : []),
+      ])}
+      
+      <p>Signalez-nous l'heure prévue de votre arrivée si vous arrivez tard : nous vous attendrons.</p>
+      
+      <p style="margin-top: 30px;">Bon voyage !</p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Bienvenue - LE SAGE DEV',
+      preheader: `Votre chambre est prête à partir de ${check_in_time || '15:00'}`,
+      content,
+      variables
+    });
+  };
+  
+  // ============================================
+  // 24. APRÈS LE SÉJOUR (HÔTEL)
+  // ============================================
+  
+  const hotelPostStayEmail = (variables) => {
+    const { firstname, hotel_name, check_in_date, check_out_date, review_url } = variables;
+    
+    const content = `
+      <h1>Merci pour votre séjour 🙏</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>Merci d'avoir séjourné${hotel_name ? ` à ${hotel_name}` : ''} du ${new Date(check_in_date).toLocaleDateString('fr-FR')} au ${new Date(check_out_date).toLocaleDateString('fr-FR')}. Nous espérons que tout s'est bien passé.</p>
+      
+      <p>Votre avis compte beaucoup pour nous et aide les prochains voyageurs. Cela ne prend qu'une minute :</p>
+      
+      ${createButton('Donner mon avis', review_url)}
+      
+      <p style="font-size: 14px; color: #666;">
+        Un souci pendant votre séjour ? Écrivez-nous directement : <a href="mailto:contact@lesagedev.com" style="color: #0066FF;">contact@lesagedev.com</a>
+      </p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Merci pour votre séjour - LE SAGE DEV',
+      preheader: 'Votre avis nous intéresse',
+      content,
+      variables
+    });
+  };
+  
+  // ============================================
+  // 25. COMMANDE PRÊTE (CLICK & COLLECT)
+  // ============================================
+  
+  const orderReadyEmail = (variables) => {
+    const { firstname, order_number, order_type, pickup_time, items = [], order_url } = variables;
+    const isOnSite = order_type === 'on_site';
+    
+    const itemsHTML = items.map((item) => `
+      <p style="margin: 8px 0; font-size: 14px;">
+        ${item.quantity} × <strong style="color: #0A0E27;">${item.name}</strong>
+      </p>
+    `).join('');
+    
+    const content = `
+      <h1>Votre commande est prête ! 🥡</h1>
+      
+      <p>Bonjour ${firstname},</p>
+      
+      <p>${isOnSite
+        ? 'Votre commande est prête, elle va vous être servie.'
+        : 'Votre commande vous attend au comptoir. Présentez simplement votre numéro de commande.'}</p>
+      
+      ${createInfoBox([
+        { label: 'Commande', value: `<strong>${order_number}</strong>` },
+        ...(pickup_time && !isOnSite ? [{
+          label: 'Retrait prévu',
+          value: new Date(pickup_time).toLocaleString('fr-FR', { weekday: 'long', hour: '2-digit', minute: '2-digit' })
+        }] : []),
+      ])}
+      
+      ${itemsHTML ? `
+        <div class="info-box" style="background: #f5f7fa; border-left: 4px solid #0066FF; padding: 20px; margin: 20px 0; border-radius: 4px;">
+          ${itemsHTML}
+        </div>
+      ` : ''}
+      
+      ${order_url ? createButton('Voir ma commande', order_url) : ''}
+      
+      <p style="font-size: 14px; color: #666;">
+        Un empêchement ? Contactez-nous : <a href="mailto:contact@lesagedev.com" style="color: #0066FF;">contact@lesagedev.com</a>
+      </p>
+    `;
+  
+    return generateBaseEmailHTML({
+      title: 'Commande prête - LE SAGE DEV',
+      preheader: `Commande ${order_number} prête${isOnSite ? '' : ' à retirer'}`,
+      content,
+      variables
+    });
+  };
+  
   // ============================================
   // EXPORTS
   // ============================================
@@ -820,6 +1102,16 @@ const {
     paymentFailedEmail,
     invoiceEmail,
     
+    // E-commerce
+    abandonedCartEmail,
+    orderReadyEmail,
+    
+    // Hôtel
+    hotelCancellationEmail,
+    hotelPreArrivalEmail,
+    hotelCheckInDayEmail,
+    hotelPostStayEmail,
+    
     // Others
     newsletterEmail,
     notificationEmail
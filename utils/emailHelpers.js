@@ -158,6 +158,97 @@ const sendReservationCancelledEmail = async (reservation, user) => {
   }
 };
 
+/**
+ * Envoyer le récapitulatif d'annulation d'un séjour hôtel
+ */
+const sendHotelCancellationEmail = async (reservation) => {
+  try {
+    const currency = (reservation.currency || 'EUR').toUpperCase();
+    const html = emailTemplates.hotelCancellationEmail({
+      firstname: reservation.guest_firstname,
+      room_type_name: reservation.room_type_name,
+      check_in_date: reservation.check_in_date,
+      check_out_date: reservation.check_out_date,
+      nights: reservation.nights,
+      total_amount: Number(reservation.total_amount || 0).toFixed(2),
+      amount_paid: Number(reservation.amount_paid || 0).toFixed(2),
+      penalty_amount: Number(reservation.penalty_amount || 0).toFixed(2),
+      refund_amount: Number(reservation.refund_amount || 0).toFixed(2),
+      currency,
+      policy_name: reservation.cancellation_policy?.name
+    });
+
+    const result = await sendEmail({
+      to: reservation.guest_email,
+      toName: `${reservation.guest_firstname} ${reservation.guest_lastname}`,
+      subject: `Séjour annulé - ${new Date(reservation.check_in_date).toLocaleDateString('fr-FR')}`,
+      html,
+      emailType: 'hotel_reservation_cancelled',
+      userId: reservation.user_id || null,
+      context: { room_reservation_id: reservation.id, refund_id: reservation.refund_id || null },
+      variables: {
+        firstname: reservation.guest_firstname,
+        refund_amount: reservation.refund_amount
+      }
+    });
+
+    console.log('✅ Email annulation séjour envoyé:', reservation.guest_email);
+    return result;
+
+  } catch (error) {
+    console.error('❌ Erreur envoi email annulation séjour:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Envoyer l'avis "commande prête" (click & collect / sur place)
+ * @param {Object} order - Ligne orders (billing_address, guest_email)
+ * @param {Array} items - Lignes order_items
+ * @param {Object} [user] - Client connecté ({ id, email, firstname, lastname })
+ */
+const sendOrderReadyEmail = async (order, items = [], user = null) => {
+  try {
+    const billing = order.billing_address || {};
+    const email = user?.email || order.guest_email || billing.email;
+    const firstname = user?.firstname || billing.firstName || '';
+    const lastname = user?.lastname || billing.lastName || '';
+
+    if (!email) {
+      return { success: false, error: 'Aucun email pour cette commande' };
+    }
+
+    const html = emailTemplates.orderReadyEmail({
+      firstname,
+      order_number: order.order_number,
+      order_type: order.order_type,
+      pickup_time: order.pickup_time,
+      items: items.map(item => ({
+        name: item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name,
+        quantity: item.quantity
+      }))
+    });
+
+    const result = await sendEmail({
+      to: email,
+      toName: `${firstname} ${lastname}`.trim(),
+      subject: `Commande ${order.order_number} prête 🥡`,
+      html,
+      emailType: 'order_ready',
+      userId: order.user_id || null,
+      context: { order_id: order.id },
+      variables: { firstname, order_number: order.order_number }
+    });
+
+    console.log('✅ Email commande prête envoyé:', email);
+    return result;
+
+  } catch (error) {
+    console.error('❌ Erreur envoi email commande prête:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Envoyer email projet créé
  */
@@ -409,6 +500,8 @@ module.exports = {
   sendReservationCreatedEmail,
   sendReservationConfirmedEmail,
   sendReservationCancelledEmail,
+  sendHotelCancellationEmail,
+  sendOrderReadyEmail,
   sendProjectCreatedEmail,
   sendProjectUpdateEmail,
   sendContactMessageReceivedEmail,
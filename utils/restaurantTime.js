@@ -0,0 +1,126 @@
+/**
+ * Heure du restaurant
+ * Les horaires (services, retraits, périodes) sont saisis en heure du café,
+ * indépendamment du fuseau du serveur (souvent UTC en production)
+ * Fuseau : RESTAURANT_TIMEZONE (défaut Europe/Paris)
+ */
+
+const getRestaurantTimezone = () => process.env.RESTAURANT_TIMEZONE || 'Europe/Paris';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Date → composantes dans le fuseau du restaurant
+ * @param {Date} date
+ * @returns {Object} { dateKey: "YYYY-MM-DD", minutes (depuis minuit), dayOfWeek (0 = dimanche) }
+ */
+const getRestaurantParts = (date, timeZone = getRestaurantTimezone()) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  return {
+    dateKey,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+    dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+};
+
+/**
+ * Décalage du fuseau (ms) à un instant donné
+ */
+const getOffset = (instant, timeZone) => {
+  const { dateKey, minutes, seconds } = getRestaurantParts(new Date(instant), timeZone);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, 0, minutes, seconds) - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * "YYYY-MM-DD" + minutes depuis minuit (heure du restaurant) → Date
+ * Gère les changements d'heure (décalage recalculé à l'instant obtenu)
+ */
+const restaurantTimeToDate = (dateKey, minutes, timeZone = getRestaurantTimezone()) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  let instant = wallClock - getOffset(wallClock, timeZone);
+  const offset = getOffset(instant, timeZone);
+  instant = wallClock - offset;
+
+  return new Date(instant);
+};
+
+/**
+ * Date du jour (heure du restaurant) → "YYYY-MM-DD"
+ */
+const getRestaurantDateKey = (date = new Date()) => getRestaurantParts(date).dateKey;
+
+/**
+ * "YYYY-MM-DD" + n jours (calendrier, sans dépendre du fuseau)
+ */
+const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Jour de la semaine d'une date "YYYY-MM-DD" (0 = dimanche)
+ */
+const getDateKeyDayOfWeek = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Date saisie par un client → Date
+ * "HH:MM" = aujourd'hui, date ISO sans fuseau ("2026-05-12T14:30") = heure du restaurant,
+ * date ISO avec fuseau ("…Z", "…+02:00") = instant exact
+ * @returns {Date|null} null si le format est invalide
+ */
+const parseRestaurantDateTime = (value, now = new Date()) => {
+  const text = String(value).trim();
+
+  const timeOnly = text.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  if (timeOnly) {
+    return restaurantTimeToDate(getRestaurantDateKey(now), Number(timeOnly[1]) * 60 + Number(timeOnly[2]));
+  }
+
+  const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ]([01]\d|2[0-3]):([0-5]\d)(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (local) {
+    return restaurantTimeToDate(local[1], local[2] ? Number(local[2]) * 60 + Number(local[3]) : 0);
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  getRestaurantTimezone,
+  getRestaurantParts,
+  restaurantTimeToDate,
+  getRestaurantDateKey,
+  addDaysToDateKey,
+  getDateKeyDayOfWeek,
+  parseRestaurantDateTime,
+};